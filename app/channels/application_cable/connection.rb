@@ -0,0 +1,37 @@
+# ============================================================================
+# Action Cable: ApplicationCable::Connection
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Every WebSocket opened by the browser (e.g. by `turbo_stream_from` on the
+# kanban board) goes through this connection class first.
+#
+# KEY CONCEPTS:
+# - `identified_by` names what identifies a connection (here: the user)
+# - `connect` runs once per WebSocket; rejecting it closes the socket
+# - Devise stores the signed-in user in Warden, which lives in the Rack env,
+#   so we can reuse the same login session the HTML pages use
+#
+# COMPARISON TO EXPRESS:
+# - Express + socket.io: io.use((socket, next) => { /* check session */ })
+# - Rails: one Connection class, checked before any channel subscription
+#
+# ============================================================================
+
+module ApplicationCable
+  class Connection < ActionCable::Connection::Base
+    identified_by :current_user
+
+    def connect
+      self.current_user = find_verified_user
+    end
+
+    private
+
+    # Only signed-in users may subscribe to board updates
+    def find_verified_user
+      env["warden"]&.user || reject_unauthorized_connection
+    end
+  end
+end
@@ -0,0 +1,95 @@
+# ============================================================================
+# API Controller: Api::ActivitiesController
+# ============================================================================
+#
+# Activity across every task, for the "What's happening" feed on the board
+# (activity_feed_controller.js). tasks/show lists one task's history;
+# this is the same TaskActivity records, all tasks together.
+#
+# ENDPOINTS:
+# - GET /api/activities                  -> newest 30 activities
+# - GET /api/activities?before=812       -> the 30 before activity 812 (older)
+# - GET /api/activities?after=840        -> anything newer than 840
+#
+# Filters (combine freely):
+# - actor=mechdog / actor=sparky / actor=system (no signed-in user)
+# - type=status_changed or type=created,archived
+# - task_id=42
+# - limit=50 (at most 100)
+#
+# Response format:
+# {
+#   "activities": [
+#     { "id": 840, "type": "status_changed", "actor": "sparky",
+#       "description": "Status changed from 'backlog' to 'in_progress'",
+#       "changes": { "status": { "from": "backlog", "to": "in_progress" } },
+#       "created_at": "2026-02-11T09:30:00Z",
+#       "task": { "id": 42, "title": "Deploy", "archived": false } }
+#   ],
+#   "next_cursor": 811
+# }
+#
+# LEARNING NOTES:
+#
+# CURSOR PAGINATION:
+# Page 2 isn't "skip 30" (OFFSET): while someone reads the feed new
+# activities arrive, and an offset would then repeat entries. Instead
+# next_cursor is the id of the last entry sent, and the next page asks
+# for ids below it - stable however many rows are added meanwhile.
+# next_cursor is null when there's nothing older.
+#
+# The feed polls ?after=<newest id> and the answer is usually empty, so
+# it carries an ETag and comes back 304 Not Modified (see lib/poller.js).
+#
+# Like the rest of /api, it needs a session or a token with the read scope.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Express: SELECT ... WHERE id < ? ORDER BY id DESC LIMIT 31, with the
+#   WHERE clauses pushed conditionally
+# - Rails: the same query built from chained scopes
+#
+# ============================================================================
+
+module Api
+  class ActivitiesController < ApplicationController
+    include ApiAuthentication
+
+    PER_PAGE = 30
+    MAX_PER_PAGE = 100
+
+    # ========================================================================
+    # GET /api/activities
+    # ========================================================================
+    def index
+      limit = params[:limit].presence&.to_i&.clamp(1, MAX_PER_PAGE) || PER_PAGE
+
+      # One extra row tells us whether there's another page
+      activities = filtered_activities.includes(:user, :api_token).limit(limit + 1).to_a
+      more = activities.size > limit
+      activities = activities.first(limit)
+
+      # Archived tasks too - their history still belongs in the feed
+      tasks = Task.with_archived.where(id: activities.map(&:task_id)).index_by(&:id)
+
+      entries = activities.map { |activity| activity.feed_json(tasks[activity.task_id]) }
+      return unless stale?(etag: [entries, more], template: false)
+
+      render json: {
+        activities: entries,
+        next_cursor: more ? activities.last.id : nil
+      }
+    end
+
+    private
+
+    def filtered_activities
+      scope = TaskActivity.order(id: :desc)
+      scope = scope.where('task_activities.id < ?', params[:before].to_i) if params[:before].present?
+      scope = scope.where('task_activities.id > ?', params[:after].to_i) if params[:after].present?
+      scope = scope.by_actor(params[:actor]) if params[:actor].present?
+      scope = scope.of_type(params[:type].to_s.split(',')) if params[:type].present?
+      scope = scope.where(task_id: params[:task_id]) if params[:task_id].present?
+      scope
+    end
+  end
+end
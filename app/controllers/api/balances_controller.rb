@@ -13,18 +13,24 @@
 
 module Api
   class BalancesController < ApplicationController
-    # Skip CSRF for API requests
-    skip_before_action :verify_authenticity_token
-    
-    # Allow public access to balance data (or add auth if needed)
-    # before_action :authenticate_user!, except: [:index]
+    # Session or bearer token; querying the providers needs balances:write
+    include ApiAuthentication
+    require_api_scope 'balances:write', only: :refresh
 
     # ========================================================================
     # GET /api/balances
     # ========================================================================
     #
     # Returns current balances from all providers.
-    # Queries APIs in real-time for providers that support it.
+    # Served from ApiBalanceHistory while the last recording is under
+    # 10 minutes old (BalanceService.cached_balances); older than that, the
+    # providers are queried live once and the answer recorded.
+    #
+    # CONDITIONAL GET:
+    # balance_controller.js polls this every 5 minutes from every open tab.
+    # The response carries an ETag built from the balances themselves, and
+    # a poll that sends it back as If-None-Match gets 304 Not Modified
+    # with no body while nothing has changed.
     #
     # Response format:
     # {
@@ -44,15 +50,31 @@ module Api
     #   }
     # }
     #
+    # The JSON also carries the low-balance alerts the banner should show
+    # ("alerts", see BalanceAlert.active) and each provider's thresholds
+    # ("thresholds"), so the Healthy / Low / Critical colours match them.
+    #
     def index
-      # Query all providers in real-time
-      @balances = BalanceService.query_all
+      @balances = BalanceService.cached_balances
       
       # Also get the last recorded balances from database for comparison
       @last_recorded = ApiBalanceHistory.latest_balances
       
+      @alerts = BalanceAlert.active.to_a
+      @thresholds = BalanceThreshold.by_provider
+      
+      # "Updated 3 minutes ago" is part of the HTML, so it's part of the ETag.
+      # So are the alerts: acknowledging one elsewhere must reach this tab.
+      last_updated = @balances.values.filter_map { |data| data[:queried_at] }.max
+      return unless stale?(
+        etag: [@balances, @alerts.as_json, @thresholds.as_json, request.format.to_s, last_updated && helpers.time_ago_in_words(last_updated)],
+        template: false
+      )
+      
       respond_to do |format|
-        format.json { render json: { balances: @balances, last_recorded: @last_recorded } }
+        format.json do
+          render json: { balances: @balances, last_recorded: @last_recorded, alerts: @alerts, thresholds: @thresholds }
+        end
         format.html { render partial: 'balances/balance', locals: { balances: @balances } }
       end
     end
@@ -100,23 +122,32 @@ module Api
     # GET /api/balances/history
     # ========================================================================
     #
-    # Returns balance history for charting over time.
+    # Returns balance history for charting over time, with a burn-rate
+    # forecast per provider (BalanceForecast: daily spend, top-ups, days
+    # until empty). The balance dashboard at /balances draws both.
     #
     # Query parameters:
     # - provider: Filter to specific provider (optional)
-    # - days: Number of days to include (default: 7)
+    # - days: Number of days to include (default: 7, between 1 and 30)
     #
     # Response format:
     # {
-    #   "moonshot": [
-    #     { "timestamp": "2026-02-01T00:00:00Z", "balance": 150.0 },
-    #     { "timestamp": "2026-02-02T00:00:00Z", "balance": 145.0 }
-    #   ]
+    #   "days": 7,
+    #   "history": {
+    #     "moonshot": [
+    #       { "timestamp": "2026-02-01T00:00:00Z", "balance": 150.0 },
+    #       { "timestamp": "2026-02-02T00:00:00Z", "balance": 145.0 }
+    #     ]
+    #   },
+    #   "forecasts": {
+    #     "moonshot": { "burn_rate": { "linear": 5.0, "ewma": 5.0 }, ... }
+    #   }
     # }
     #
+    # With ?provider=moonshot: { provider, days, history: [...], stats, forecast }
+    #
     def history
-      days = (params[:days] || 7).to_i
-      days = [days, 30].min # Cap at 30 days
+      days = (params[:days] || 7).to_i.clamp(1, 30)
       
       if params[:provider].present?
         # Return history for specific provider
@@ -127,20 +158,26 @@ module Api
           provider: params[:provider],
           days: days,
           history: history,
-          stats: stats
+          stats: stats,
+          forecast: BalanceForecast.new(params[:provider], days: days)
         }
       else
         # Return history for all providers
         history = {}
+        forecasts = {}
         
         ApiBalanceHistory::PROVIDERS.each do |provider|
           provider_history = ApiBalanceHistory.history_for(provider, days)
-          history[provider] = provider_history if provider_history.any?
+          next if provider_history.empty?
+          
+          history[provider] = provider_history
+          forecasts[provider] = BalanceForecast.new(provider, days: days)
         end
         
         render json: {
           days: days,
-          history: history
+          history: history,
+          forecasts: forecasts
         }
       end
     end
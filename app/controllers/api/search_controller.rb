@@ -0,0 +1,50 @@
+# ============================================================================
+# API Controller: Api::SearchController
+# ============================================================================
+#
+# Search endpoint behind the Ctrl+K command palette
+# (command_palette_controller.js).
+#
+# ENDPOINTS:
+# - GET /api/search?q=deploy -> Ranked matches across tasks (including
+#                               archived), quick notes and config files
+#
+# Response format:
+# {
+#   "query": "deploy",
+#   "results": [
+#     { "type": "task", "id": 42, "title": "Deploy to prod",
+#       "subtitle": "#42 · Sparky · In Progress", "url": "/tasks/42",
+#       "score": 130, "status": "in_progress", "assignee": "sparky",
+#       "archived": false },
+#     { "type": "note", ... },
+#     { "type": "config", "id": "SOUL.md", ... }
+#   ]
+# }
+#
+# The ranking itself lives in app/services/command_search.rb.
+#
+# LEARNING NOTES:
+# The palette calls it with the browser session; like the rest of /api it
+# also takes a bearer token with the read scope (ApiAuthentication).
+# Anything else gets 401 JSON rather than a redirect to the login page.
+#
+# ============================================================================
+
+module Api
+  class SearchController < ApplicationController
+    include ApiAuthentication
+
+    MAX_LIMIT = 50
+
+    # ========================================================================
+    # GET /api/search
+    # ========================================================================
+    def index
+      limit = params[:limit].presence&.to_i&.clamp(1, MAX_LIMIT) || CommandSearch::DEFAULT_LIMIT
+      results = CommandSearch.new(params[:q], limit: limit).results
+
+      render json: { query: params[:q].to_s, results: results }
+    end
+  end
+end
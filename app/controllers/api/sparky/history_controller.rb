@@ -0,0 +1,51 @@
+# ============================================================================
+# API Controller: Api::Sparky::HistoryController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The status endpoint next door reports Sparky's latest session. This one
+# returns every session in a time window, for the context-usage chart on
+# the status card (sparky_history_controller.js draws it as SVG).
+#
+# The work happens in SparkyHistory (app/services/sparky_history.rb);
+# this controller only reads the window from the query string.
+#
+# COMPARISON TO NODE.JS/EXPRESS:
+# - Express: app.get('/api/sparky/history', (req, res) => res.json(...))
+# - Rails: a one-action controller, routed in the api/sparky namespace
+#
+# ============================================================================
+
+module Api
+  module Sparky
+    class HistoryController < ApplicationController
+      include ApiAuthentication
+
+      # ========================================================================
+      # GET /api/sparky/history
+      # ========================================================================
+      #
+      # Query parameters:
+      # - hours: how far back to go (default 24, at most 168)
+      #
+      # Response format:
+      # {
+      #   "from": "2026-02-05T20:30:00Z",
+      #   "to": "2026-02-06T20:30:00Z",
+      #   "stale_after": 1800,
+      #   "sessions": [
+      #     { "timestamp": "2026-02-06T19:00:00Z", "context_pct": 42.0,
+      #       "model": "moonshot/kimi-k2.5", "note": "...",
+      #       "task": { "id": 12, "title": "Deploy", "status": "sprint" } }
+      #   ],
+      #   "gaps": [{ "from": "...", "to": "..." }]
+      # }
+      #
+      def show
+        history = SparkyHistory.new(hours: params.fetch(:hours, SparkyHistory::DEFAULT_HOURS))
+        render json: history
+      end
+    end
+  end
+end
@@ -36,8 +36,8 @@
 module Api
   module Sparky
     class StatusController < ApplicationController
-      # Allow cross-origin requests and skip CSRF for API
-      skip_before_action :verify_authenticity_token
+      # Session or bearer token with the read scope
+      include ApiAuthentication
       
       # ==========================================================================
       # GET /api/sparky/status
@@ -80,6 +80,9 @@ module Api
           file_timestamp: file_timestamp&.iso8601
         }
         
+        # Nothing changed since the poller's last answer? 304, no body.
+        return unless stale?(etag: status_etag, template: false)
+        
         # Respond based on Accept header
         # Turbo Stream format: text/vnd.turbo-stream.html
         # JSON format: application/json
@@ -100,7 +103,7 @@ module Api
       # We use rescue blocks to handle missing files gracefully
       #
       def read_usage_log
-        log_path = Rails.root.join('..', 'memory', 'usage-log.json')
+        log_path = SparkyHistory.log_path
         
         # Get usage data from file
         file_data = if File.exist?(log_path)
@@ -172,11 +175,13 @@ module Api
       
       # Fetch Sparky's current active task
       def fetch_current_task
-        # Look for sprint tasks first (priority), then in_progress
-        sprint_task = Task.for_assignee('sparky').with_status('sprint').first
+        # Look for sprint tasks first (priority), then in_progress. A WIP
+        # limit on those columns keeps this to one or a few candidates;
+        # of those, the top card of the column wins (board order).
+        sprint_task = Task.in_column('sparky', 'sprint').ordered.first
         return format_task(sprint_task) if sprint_task
         
-        in_progress_task = Task.for_assignee('sparky').with_status('in_progress').first
+        in_progress_task = Task.in_column('sparky', 'in_progress').ordered.first
         return format_task(in_progress_task) if in_progress_task
         
         nil
@@ -197,6 +202,30 @@ module Api
         }
       end
       
+      # ==========================================================================
+      # Conditional GET (ETag / If-None-Match)
+      # ==========================================================================
+      #
+      # sparky_status_controller.js polls every 30 seconds and sends back the
+      # ETag of the last answer. stale? compares the two: if they match it
+      # answers 304 Not Modified and we skip rendering entirely.
+      #
+      # Rails' Rack::ETag middleware would add an ETag on its own, but it
+      # hashes the body after rendering it, and our body always differs
+      # because of :timestamp. So we build ours from what the card shows:
+      # - the status without :timestamp
+      # - the relative time ("5 minutes ago"), which changes on its own
+      # - the format, since JSON and Turbo Stream answers differ
+      #
+      # COMPARISON TO EXPRESS:
+      # - Express: res.set('ETag', ...) and check req.fresh yourself
+      # - Rails: stale?(etag: ...) does the comparison and the 304
+      #
+      def status_etag
+        last_update = @status[:last_activity_at] || @status[:timestamp]
+        [@status.except(:timestamp), helpers.time_ago_in_words(last_update), request.format.to_s]
+      end
+      
       # Determine Sparky's status based on current task
       def determine_status(current_task)
         return 'idle' unless current_task
@@ -18,8 +18,29 @@
 # - POST   /api/tasks          -> Create task
 # - PATCH  /api/tasks/:id      -> Update task
 # - DELETE /api/tasks/:id      -> Delete task
+# - POST   /api/tasks/batch    -> Change or archive many tasks at once
+# - POST   /api/tasks/:id/undo -> Reverse a move, archive or edit
 # - GET    /api/stats          -> Get task statistics (counts by assignee/status)
 #
+# AUTHENTICATION:
+# - Browser: the signed-in session, plus the CSRF token (lib/request.js)
+# - Sparky and scripts: Authorization: Bearer <ApiToken> - read for GETs,
+#   tasks:write for everything else. Activities logged by a token request
+#   record the token as well as its user.
+#
+# VERSIONS (optimistic locking, see TaskVersioning):
+# - show, create and update answer with ETag: "task-12-v3"
+# - PATCH with If-Match: "task-12-v3" (or a lock_version field) only
+#   saves if nobody changed the same fields since version 3; otherwise
+#   409 Conflict with the current task and what changed. Without either,
+#   the PATCH saves as before (last write wins).
+#
+# WIP LIMITS (see TaskWipLimits):
+# - create, update and batch refuse to put a task into a column that is
+#   at its limit (422, "Sparky · In Progress is at its WIP limit (1/1)")
+# - override_wip_limit: true goes over it anyway and logs a wip_override
+#   activity
+#
 # COMPARISON TO EXPRESS/NODE.JS:
 # - Express: app.get('/api/stats', (req, res) => { ... })
 # - Rails:  def stats ... render json: stats end
@@ -29,8 +50,10 @@
 
 module Api
   class TasksController < ApplicationController
-    # Skip CSRF for API requests
-    skip_before_action :verify_authenticity_token
+    # Session or bearer token; tokens need tasks:write to change anything
+    # (see app/controllers/concerns/api_authentication.rb)
+    include ApiAuthentication
+    require_api_scope 'tasks:write', except: [:index, :show, :stats]
     
     # Find task before show, update, destroy, touch_last_worked
     # Note: stats doesn't need set_task, so it's not in this list
@@ -47,23 +70,27 @@ module Api
     # {
     #   "total": 42,
     #   "byAssignee": {
-    #     "mechdog": 20,
-    #     "sparky": 22
+    #     "sparky": 22,
+    #     "mechdog": 20
     #   },
     #   "byStatus": {
-    #     "sprint": 5,
-    #     "daily": 3,
+    #     "hold": 2,
     #     "backlog": 10,
     #     "in_progress": 8,
-    #     "hold": 2,
+    #     "sprint": 5,
+    #     "daily": 3,
     #     "done": 14
     #   }
     # }
     #
+    # byAssignee and byStatus have one key per swim lane and column of the
+    # workflow (Workflow, edited on /workflow), in board order, with 0 for
+    # empty ones - add a "review" column and it shows up here.
+    #
     # LEARNING NOTES:
     # - Rails uses ActiveRecord's count method for aggregation
     # - group(:column).count returns a hash: { 'value' => count }
-    # - We use transform_keys to ensure consistent key types
+    # - index_with builds { key => value } from the workflow's keys
     #
     # COMPARISON TO EXPRESS/NODE.JS:
     # - Express: db.prepare('SELECT COUNT(*)...').get().count
@@ -74,18 +101,8 @@ module Api
       # Build stats hash matching Node.js format
       stats = {
         total: Task.count,
-        byAssignee: {
-          mechdog: Task.for_assignee('mechdog').count,
-          sparky: Task.for_assignee('sparky').count
-        },
-        byStatus: {
-          sprint: Task.with_status('sprint').count,
-          daily: Task.with_status('daily').count,
-          backlog: Task.with_status('backlog').count,
-          in_progress: Task.with_status('in_progress').count,
-          hold: Task.with_status('hold').count,
-          done: Task.with_status('done').count
-        }
+        byAssignee: count_by(:assignee, Workflow.assignee_keys),
+        byStatus: count_by(:status, Workflow.status_keys)
       }
       
       render json: stats
@@ -112,6 +129,7 @@ module Api
     # GET /api/tasks/:id
     # ========================================================================
     def show
+      set_version_etag
       render json: @task
     end
 
@@ -132,6 +150,8 @@ module Api
       task = Task.new(task_params)
       
       if task.save
+        task.log_wip_override(current_user)
+        response.set_header('ETag', task.version_etag)
         render json: task, status: :created
       else
         render json: { errors: task.errors.full_messages }, status: :unprocessable_entity
@@ -141,20 +161,55 @@ module Api
     # ========================================================================
     # PATCH /api/tasks/:id
     # ========================================================================
+    #
+    # Optional "position" param: 0-based index within the task's (new)
+    # column, sent by sortable_controller.js when a card is dropped.
+    # The rest of the column is renumbered around it.
+    #
+    # Changes are logged to the task's activity history the same way the
+    # HTML form does (TasksController#update), so drags and inline edits
+    # on the board show up there too.
+    #
+    # If-Match (or lock_version) makes it a conditional update: 409 when
+    # someone else changed one of these fields since that version. See
+    # VERSIONS at the top.
+    #
     def update
+      conflict = @task.conflict_for(expected_version, task_params)
+      return render_conflict(conflict) if conflict
+
+      @task.requested_position = params[:position] if params[:position].present?
+      
       if @task.update(task_params)
+        @task.log_update_activity(current_user)
+        set_version_etag
         render json: @task
       else
         render json: { errors: @task.errors.full_messages }, status: :unprocessable_entity
       end
+    rescue ActiveRecord::StaleObjectError
+      # Another save landed between conflict_for and our UPDATE (lock_version
+      # moved under us). Start over against the version that's there now.
+      @task.reload
+      retry if (@stale_retries = @stale_retries.to_i + 1) < 3
+      raise
     end
 
     # ========================================================================
     # DELETE /api/tasks/:id
     # ========================================================================
-    # Archives the task (soft delete) instead of permanent deletion
+    # Archives the task (soft delete) instead of permanent deletion, and
+    # logs it like the HTML destroy and the batch archive do
     def destroy
-      @task.archive!
+      Task.transaction do
+        @task.archive!
+        TaskActivity.create!(
+          task: @task,
+          activity_type: 'archived',
+          description: "Task archived by #{current_user&.username || 'system'}",
+          user: current_user
+        )
+      end
       
       # Check if client accepts Turbo Streams
       if request.accepts.include?('text/vnd.turbo-stream.html')
@@ -169,6 +224,131 @@ module Api
       render json: { error: 'Task not found' }, status: :not_found
     end
 
+    # ========================================================================
+    # POST /api/tasks/batch
+    # ========================================================================
+    #
+    # Applies the same change to many tasks at once. Used by the bulk action
+    # bar and multi-card drags on the board (board_selection_controller.js,
+    # sortable_controller.js).
+    #
+    # Request body:
+    # {
+    #   "ids": [12, 15, 19],
+    #   "changes": { "status": "done", "assignee": "sparky", "priority": "low" },
+    #   "position": 2,      // optional: drop index for the first task, the
+    #                       // rest follow it in order
+    #   "archive": true,    // instead of changes: archive every task
+    #   "override_wip_limit": true  // optional: go over WIP limits
+    # }
+    #
+    # Tasks are saved one after another, so a column's WIP limit lets the
+    # first few in and fails the rest (their results say why).
+    #
+    # Response (200 if anything succeeded, 422 if nothing did):
+    # {
+    #   "succeeded": 2, "failed": 1,
+    #   "results": [
+    #     { "id": 12, "ok": true, "task": { ... } },
+    #     { "id": 15, "ok": false, "errors": ["Status is not included in the list"] },
+    #     ...
+    #   ]
+    # }
+    #
+    # LEARNING NOTES - ONE TRANSACTION, PER-TASK RESULTS:
+    # - The whole batch runs inside one transaction, so broadcasts and
+    #   after_commit callbacks only fire once everything has been written
+    # - Each task gets its own SAVEPOINT (transaction(requires_new: true)).
+    #   If one task fails validation only its savepoint rolls back; the
+    #   others still commit and the failure is reported in its result.
+    # - Every changed task gets exactly one TaskActivity, like a single move
+    #
+    # COMPARISON TO EXPRESS/SEQUELIZE:
+    # - Sequelize: sequelize.transaction(async t => { for (...) await task.update(..., { transaction: t }) })
+    # - Rails: Task.transaction { ... } — no transaction object to pass around
+    #
+    BATCH_LIMIT = 200
+
+    def batch
+      ids = Array(params[:ids]).map(&:to_i).uniq
+      changes = batch_changes
+      archive = ActiveModel::Type::Boolean.new.cast(params[:archive])
+
+      if ids.empty? || (changes.empty? && !archive)
+        render json: { error: 'Send ids and either changes (status, assignee, priority) or archive: true' },
+               status: :unprocessable_entity
+        return
+      end
+
+      if ids.size > BATCH_LIMIT
+        render json: { error: "At most #{BATCH_LIMIT} tasks per batch" }, status: :unprocessable_entity
+        return
+      end
+
+      tasks = Task.where(id: ids).index_by(&:id)
+      position = params[:position].presence&.to_i
+      changes = changes.merge(override_wip_limit: true) if ActiveModel::Type::Boolean.new.cast(params[:override_wip_limit])
+
+      # Without a position every task lands at the top of its column, so
+      # apply them last-to-first to keep the selection's order
+      ordered_ids = position ? ids : ids.reverse
+
+      results = Task.transaction do
+        ordered_ids.each_with_index.map do |id, index|
+          apply_batch_change(id, tasks[id], changes, archive, position && position + index)
+        end
+      end
+      results = results.reverse unless position
+
+      succeeded = results.count { |result| result[:ok] }
+      render json: { succeeded: succeeded, failed: results.size - succeeded, results: results },
+             status: succeeded.zero? ? :unprocessable_entity : :ok
+    end
+
+    # ========================================================================
+    # POST /api/tasks/:id/undo
+    # ========================================================================
+    #
+    # Reverses one board change. Called by undo_controller.js from the Undo
+    # button on a toast or from Ctrl+Z. Send exactly one of:
+    #
+    #   { "restore": true }
+    #       Undo an archive (the task is looked up including archived ones)
+    #
+    #   { "revert": { "status": "backlog", "assignee": "sparky" }, "position": 3 }
+    #       Put fields back to the values the browser saw before a drag or a
+    #       bulk change; position is the card's old index in its column
+    #
+    #   { "activity_id": 42 }
+    #       Reapply the "from" values of that TaskActivity's changeset
+    #       (edits through the form, which the browser can't see)
+    #
+    # Responds with the task and the 'reverted' activity that was logged,
+    # or 422 with errors (e.g. "Nothing left to undo: the task has changed since").
+    #
+    # The reversal is an ordinary save, so BoardBroadcastable puts the card
+    # back on every open board, including the one that asked for the undo.
+    #
+    def undo
+      task = Task.with_archived.find_by(id: params[:id])
+      return render json: { error: 'Task not found' }, status: :not_found unless task
+
+      activity =
+        if ActiveModel::Type::Boolean.new.cast(params[:restore])
+          task.undo_archive!(current_user)
+        elsif params[:activity_id].present?
+          task.undo_activity!(task.activities.find(params[:activity_id]), current_user)
+        else
+          task.revert_to!(undo_revert_params, current_user, position: params[:position].presence&.to_i)
+        end
+
+      render json: { task: task, activity: activity }
+    rescue ActiveRecord::RecordInvalid => e
+      render json: { errors: e.record.errors.full_messages }, status: :unprocessable_entity
+    rescue ActiveRecord::RecordNotFound
+      render json: { error: 'Activity not found' }, status: :not_found
+    end
+
     # ========================================================================
     # POST /api/tasks/:id/touch_last_worked
     # ========================================================================
@@ -189,12 +369,83 @@ module Api
 
     private
 
+    # { "backlog" => 10, "review" => 0, ... } for every key, in `keys` order
+    def count_by(column, keys)
+      counts = Task.group(column).count
+      keys.index_with { |key| counts[key].to_i }
+    end
+
     def set_task
       @task = Task.find(params[:id])
     rescue ActiveRecord::RecordNotFound
       render json: { error: 'Task not found' }, status: :not_found
     end
 
+    # Apply one batch change inside its own savepoint; returns the result hash
+    def apply_batch_change(id, task, changes, archive, position)
+      return { id: id, ok: false, errors: ['Task not found'] } unless task
+
+      Task.transaction(requires_new: true) do
+        if archive
+          task.archive!
+          TaskActivity.create!(
+            task: task,
+            activity_type: 'archived',
+            description: "Task archived by #{current_user&.username || 'system'} (bulk)",
+            user: current_user
+          )
+        else
+          task.requested_position = position if position
+          task.update!(changes)
+          task.log_update_activity(current_user)
+        end
+      end
+
+      { id: id, ok: true, task: task.as_json }
+    rescue ActiveRecord::RecordInvalid => e
+      { id: id, ok: false, errors: e.record.errors.full_messages }
+    end
+
+    # The version the client last saw, from If-Match: "task-12-v3" or a
+    # lock_version field (for clients that can't set headers). nil when
+    # neither was sent - an unconditional update.
+    def expected_version
+      if request.headers['If-Match'].present?
+        Task.version_from_etag(request.headers['If-Match'])
+      else
+        (params.dig(:task, :lock_version) || params[:lock_version]).presence&.to_i
+      end
+    end
+
+    def set_version_etag
+      response.set_header('ETag', @task.version_etag)
+    end
+
+    # 409 with everything a merge prompt needs: the task as it is now (and
+    # its ETag, to retry with) and the conflicting changes
+    def render_conflict(conflict)
+      set_version_etag
+      render json: {
+        error: "Task ##{@task.id} was changed since you loaded it (#{conflict[:fields].keys.to_sentence})",
+        task: @task,
+        conflict: conflict
+      }, status: :conflict
+    end
+
+    # Previous values the browser sends back for an undo
+    def undo_revert_params
+      return {} unless params[:revert].respond_to?(:permit)
+
+      params.require(:revert).permit(*TaskUndo::UNDOABLE_FIELDS).to_h
+    end
+
+    # Only the fields the bulk bar can change
+    def batch_changes
+      return {} unless params[:changes].respond_to?(:permit)
+
+      params.require(:changes).permit(:status, :assignee, :priority).to_h.compact_blank
+    end
+
     def task_params
       # Support both flat params (Node.js style) and nested params (Rails convention)
       # Node.js API sends: {"title": "...", "assignee": "..."}
@@ -203,9 +454,9 @@ module Api
       # Note: last_worked_on can be set directly for backdating or manual entry,
       # but typically use POST /api/tasks/:id/touch_last_worked to set it to now
       if params[:task].present?
-        params.require(:task).permit(:title, :description, :assignee, :status, :priority, :last_worked_on)
+        params.require(:task).permit(:title, :description, :assignee, :status, :priority, :last_worked_on, :override_wip_limit)
       else
-        params.permit(:title, :description, :assignee, :status, :priority, :last_worked_on)
+        params.permit(:title, :description, :assignee, :status, :priority, :last_worked_on, :override_wip_limit)
       end
     end
   end
@@ -0,0 +1,76 @@
+# ============================================================================
+# Controller: ApiTokensController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Creates and revokes a user's API tokens (ApiToken), from the "API
+# tokens" card on the user's edit page. Admins for their own account,
+# super admins for anyone's (ApiTokenPolicy).
+#
+# ROUTES (nested under users):
+#   POST   /users/:user_id/api_tokens       create
+#   DELETE /users/:user_id/api_tokens/:id   revoke
+#
+# SHOWN ONCE:
+# Only the token's digest is saved, so the one chance to see the token
+# itself is right after create. It rides along in flash[:api_token] to
+# the edit page, which shows it with a copy button; the layout skips
+# that key when it renders flash messages. Reload the page and it's gone.
+#
+# Revoking keeps the row (revoked_at), so the activity log can still say
+# which token made a change.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Express: router.post('/users/:userId/tokens', requireSuperAdmin, ...)
+#   rendering the token in the response once
+# - Rails: nested resources + Pundit, and the flash carries the token
+#   across the redirect
+#
+# ============================================================================
+
+class ApiTokensController < ApplicationController
+  before_action :authenticate_user!
+  before_action :set_user
+
+  after_action :verify_authorized
+
+  # ==========================================================================
+  # POST /users/:user_id/api_tokens
+  # ==========================================================================
+  def create
+    @api_token = @user.api_tokens.new(api_token_params)
+    authorize @api_token
+
+    if @api_token.save
+      flash[:api_token] = @api_token.token
+      redirect_to edit_user_path(@user, anchor: 'api-tokens'),
+                  notice: "Token '#{@api_token.name}' created. Copy it now - it won't be shown again."
+    else
+      redirect_to edit_user_path(@user, anchor: 'api-tokens'),
+                  alert: "Token not created: #{@api_token.errors.full_messages.to_sentence}"
+    end
+  end
+
+  # ==========================================================================
+  # DELETE /users/:user_id/api_tokens/:id
+  # ==========================================================================
+  def destroy
+    @api_token = @user.api_tokens.find(params[:id])
+    authorize @api_token
+
+    @api_token.revoke! unless @api_token.revoked?
+    redirect_to edit_user_path(@user, anchor: 'api-tokens'),
+                notice: "Token '#{@api_token.name}' revoked."
+  end
+
+  private
+
+  def set_user
+    @user = User.find(params[:user_id])
+  end
+
+  def api_token_params
+    params.require(:api_token).permit(:name, scopes: [])
+  end
+end
@@ -51,13 +51,19 @@ class ApplicationController < ActionController::Base
   # -------------------------------------------------------------------------
   #
   # LEARNING NOTE: When authorization fails, Pundit raises an error.
-  # We catch it here and redirect with a flash message.
+  # We catch it here and redirect with a flash message - or, for fetch()
+  # calls asking for JSON, answer 403 so the script can show the error.
   
   rescue_from Pundit::NotAuthorizedError, with: :user_not_authorized
 
   private
 
   def user_not_authorized
+    if request.format.json?
+      render json: { error: "You are not authorized to perform this action." }, status: :forbidden
+      return
+    end
+
     flash[:alert] = "You are not authorized to perform this action."
     redirect_back(fallback_location: root_path)
   end
@@ -0,0 +1,58 @@
+# ============================================================================
+# Controller: BalanceAlertsController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The buttons on the low-balance banner (balance_controller.js). Alerts
+# themselves are only ever created by BalanceAlert.evaluate! when balances
+# are recorded; people can just look at them, acknowledge or snooze them.
+#
+# ENDPOINTS:
+# - GET   /balance_alerts                 -> alerts the banner should show
+# - PATCH /balance_alerts/:id/acknowledge -> hide it until the next alert
+# - PATCH /balance_alerts/:id/snooze      -> hide it for a while (?duration=1h)
+#
+# These are plain session routes (not /api) like PushSubscriptionsController:
+# only the page's own JavaScript calls them, with the CSRF token.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Express: app.patch('/alerts/:id/ack', requireLogin, ...)
+# - Rails: member routes on a resource, and Devise's authenticate_user!
+#
+# ============================================================================
+
+class BalanceAlertsController < ApplicationController
+  before_action :authenticate_user!
+  before_action :set_alert, only: [:acknowledge, :snooze]
+
+  # GET /balance_alerts
+  def index
+    render json: { alerts: BalanceAlert.active }
+  end
+
+  # PATCH /balance_alerts/:id/acknowledge
+  def acknowledge
+    @alert.acknowledge!
+    render json: { alert: @alert, alerts: BalanceAlert.active }
+  end
+
+  # PATCH /balance_alerts/:id/snooze?duration=1d
+  def snooze
+    duration = BalanceAlert::SNOOZE_DURATIONS[params[:duration]]
+
+    unless duration
+      return render json: { error: "Duration must be one of #{BalanceAlert::SNOOZE_DURATIONS.keys.join(', ')}" },
+                    status: :unprocessable_entity
+    end
+
+    @alert.snooze!(duration)
+    render json: { alert: @alert, alerts: BalanceAlert.active }
+  end
+
+  private
+
+  def set_alert
+    @alert = BalanceAlert.find(params[:id])
+  end
+end
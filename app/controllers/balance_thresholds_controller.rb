@@ -0,0 +1,54 @@
+# ============================================================================
+# Controller: BalanceThresholdsController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Saves the warning / critical thresholds from the form on the balance
+# dashboard. The URL uses the provider name rather than an id
+# (PATCH /balance_thresholds/moonshot) because a provider may not have a
+# saved row yet - BalanceThreshold.for hands back the defaults, and the
+# first save creates it.
+#
+# New thresholds apply from the next recording: BalanceAlert.evaluate!
+# runs when balances are recorded, not when thresholds change.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Express: app.patch('/thresholds/:provider', ...) with an upsert
+# - Rails: find_or_initialize_by + update, with the model's validations
+#
+# ============================================================================
+
+class BalanceThresholdsController < ApplicationController
+  before_action :authenticate_user!
+
+  # PATCH /balance_thresholds/:provider
+  def update
+    unless ApiBalanceHistory::PROVIDERS.include?(params[:provider])
+      return head :not_found
+    end
+
+    threshold = BalanceThreshold.for(params[:provider])
+
+    respond_to do |format|
+      if threshold.update(threshold_params)
+        format.html { redirect_to balances_path, notice: "#{provider_name(threshold)} thresholds saved." }
+        format.json { render json: { provider: threshold.provider, thresholds: threshold } }
+      else
+        message = threshold.errors.full_messages.to_sentence
+        format.html { redirect_to balances_path, alert: "#{provider_name(threshold)}: #{message}" }
+        format.json { render json: { errors: threshold.errors.full_messages }, status: :unprocessable_entity }
+      end
+    end
+  end
+
+  private
+
+  def threshold_params
+    params.require(:balance_threshold).permit(:warning, :critical)
+  end
+
+  def provider_name(threshold)
+    BalanceService::PROVIDER_CONFIG.dig(threshold.provider.to_sym, :name)
+  end
+end
@@ -0,0 +1,34 @@
+# ============================================================================
+# Controller: BalancesController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The balance dashboard at /balances: the provider table, and below it a
+# chart per provider with daily spend, top-ups and a projected date the
+# balance runs out.
+#
+# This controller only renders the page. The numbers come from the JSON
+# API (Api::BalancesController): balance_controller.js polls
+# /api/balances for the table, and balance_dashboard_controller.js loads
+# /api/balances/history for the charts, so changing the day range doesn't
+# reload the page.
+#
+# COMPARISON TO NODE.JS/EXPRESS:
+# - Express: res.render('balances') and let the client fetch the data
+# - Rails: the same split - an HTML controller and a JSON API controller
+#
+# ============================================================================
+
+class BalancesController < ApplicationController
+  before_action :authenticate_user!
+
+  # Day ranges offered on the dashboard (the API accepts 1 to 30)
+  RANGES = [1, 3, 7, 14, 30].freeze
+
+  # GET /balances
+  def index
+    @balances = BalanceService.cached_balances
+    @days = RANGES.include?(params[:days].to_i) ? params[:days].to_i : 7
+  end
+end
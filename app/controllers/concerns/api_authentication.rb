@@ -0,0 +1,121 @@
+# ============================================================================
+# Concern: ApiAuthentication
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Who may call the JSON API (/api/*), included by every Api:: controller.
+# A request gets in one of two ways:
+#
+# 1. BEARER TOKEN (scripts, Sparky)
+#      Authorization: Bearer kbt_3fQ9...
+#    The token (ApiToken) acts as its user, limited to its scopes. There's
+#    no cookie to forge, so the CSRF check is skipped for these requests.
+#
+# 2. BROWSER SESSION (the board's Stimulus controllers)
+#    The signed-in user, with everything the UI can do. Cookies are sent
+#    automatically, so these keep Rails' CSRF check: scripts must send the
+#    X-CSRF-Token header, which lib/request.js does for them.
+#
+# Anything else gets 401. A token missing a scope gets 403. A session
+# request with a stale CSRF token (a page left open past its session)
+# gets 422 with "reauthenticate": true, so the offline queue in
+# service-worker.js can tell it from a refused change and keep it:
+#
+#   class Api::TasksController < ApplicationController
+#     include ApiAuthentication
+#     require_api_scope 'tasks:write', except: [:index, :show, :stats]
+#   end
+#
+# GET requests need the 'read' scope, without each controller saying so.
+#
+# HTML + JSON CONTROLLERS:
+# TasksController and QuickNotesController answer both. They include this
+# concern too and override api_request? so only their .json requests go
+# through it; HTML requests keep Devise's redirect to the login page.
+#
+#   def api_request?
+#     request.format.json?
+#   end
+#
+# current_user is the token's user for token requests, so the existing
+# log_update_activity(current_user) calls record them, and Current.api_token
+# lets TaskActivity record the token too.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Express: passport.authenticate(['bearer', 'session']) plus a
+#   requireScope('tasks:write') middleware per route
+# - Rails: before_action callbacks from a concern do both jobs
+#
+# ============================================================================
+
+module ApiAuthentication
+  extend ActiveSupport::Concern
+
+  included do
+    skip_before_action :verify_authenticity_token, if: :api_token_request?
+    before_action :authenticate_api!, if: :api_request?
+    before_action -> { require_api_scope!('read') }, if: -> { api_request? && (request.get? || request.head?) }
+    rescue_from ActionController::InvalidAuthenticityToken, with: :render_invalid_authenticity_token
+  end
+
+  class_methods do
+    # require_api_scope 'tasks:write', only: [:create, :update]
+    def require_api_scope(scope, **options)
+      before_action(-> { require_api_scope!(scope) }, **options)
+    end
+  end
+
+  # The token this request authenticated with (nil for browser sessions)
+  attr_reader :current_api_token
+
+  # Devise's current_user, unless a token is acting for its user
+  def current_user
+    current_api_token ? current_api_token.user : super
+  end
+
+  private
+
+  def bearer_token
+    request.authorization.to_s[/\ABearer\s+(\S+)\z/i, 1]
+  end
+
+  # Every request in an Api:: controller; see HTML + JSON CONTROLLERS
+  def api_request?
+    true
+  end
+
+  def api_token_request?
+    api_request? && bearer_token.present?
+  end
+
+  def authenticate_api!
+    if api_token_request?
+      @current_api_token = ApiToken.authenticate(bearer_token)
+      return render_api_error(:unauthorized, 'Invalid or revoked API token') unless @current_api_token
+
+      Current.api_token = @current_api_token
+    elsif !user_signed_in?
+      render_api_error(:unauthorized, 'Sign in, or send an API token as "Authorization: Bearer <token>"')
+    end
+  end
+
+  # Browser sessions can do whatever the UI can; only tokens are scoped
+  def require_api_scope!(scope)
+    return if current_api_token.nil? || current_api_token.allows?(scope)
+
+    render_api_error(:forbidden, "This API token doesn't have the '#{scope}' scope")
+  end
+
+  def render_api_error(status, message, **details)
+    response.headers['WWW-Authenticate'] = 'Bearer realm="kanban"' if status == :unauthorized
+    render json: { error: message, **details }, status: status
+  end
+
+  # HTML requests keep Rails' own handling
+  def render_invalid_authenticity_token(exception)
+    raise exception unless api_request?
+
+    render_api_error(:unprocessable_entity, 'Your session has changed - reload the page or sign in again', reauthenticate: true)
+  end
+end
@@ -5,12 +5,24 @@
 # LEARNING NOTES:
 #
 # This controller serves Sparky's configuration files for viewing in the browser.
-# It's a simple read-only interface to markdown files in the parent directory.
+# Anyone can read them; admins can also edit them (config_editor_controller.js),
+# save with a check that nobody changed the file meanwhile, and put back
+# one of the backups kept for every save.
 #
 # KEY CONCEPTS:
 # - Controllers handle HTTP requests and return responses
-# - This controller doesn't use a model - it reads files directly
+# - This controller doesn't use a model - ConfigFileStore reads and writes
+#   the files (and their backups) directly
 # - The files are markdown, rendered to HTML in the view
+# - Editing is authorized with a headless Pundit policy (ConfigFilePolicy)
+#
+# EDITING ENDPOINTS (JSON, admins only):
+#   PATCH /config/:file                             { content, base_digest }
+#   GET   /config/:file/backups                     list of backups
+#   GET   /config/:file/backups/:backup             one backup's content
+#   POST  /config/:file/backups/:backup/restore     { base_digest }
+# A save or restore based on an old version gets 409 Conflict with the
+# current content, so the editor can show what changed.
 #
 # COMPARISON TO NODE.JS:
 # - Express: app.get('/config', (req, res) => { ... })
@@ -21,11 +33,14 @@
 require 'redcarpet'
 
 class ConfigController < ApplicationController
-  # Config viewer is read-only and doesn't require authentication
-  # (authenticate_user! is only defined in TasksController, not ApplicationController)
-  
-  # Base path for config files (parent of Rails app)
-  CONFIG_PATH = Rails.root.join('..').freeze
+  # Viewing doesn't require authentication; changing files does
+  # (the folder is config.x.config_files.root, see config/initializers/config_files.rb)
+  EDITING_ACTIONS = %i[update backups backup restore].freeze
+  before_action :authenticate_user!, only: EDITING_ACTIONS
+  before_action :authorize_editing, only: EDITING_ACTIONS
+  before_action :require_allowed_file, only: EDITING_ACTIONS
+
+  rescue_from ConfigFileStore::BackupNotFound, with: :backup_not_found
   
   # List of allowed config files (security whitelist)
   ALLOWED_FILES = %w[
@@ -42,6 +57,7 @@ class ConfigController < ApplicationController
     @current_file = params[:file] || 'SOUL.md'
     @file_content = read_config_file(@current_file)
     @file_metadata = file_metadata(@current_file)
+    @backups = editor_backups(@current_file)
   end
   
   # =======================================================================
@@ -52,6 +68,23 @@ class ConfigController < ApplicationController
     render json: config_file_list
   end
   
+  # =======================================================================
+  # GET /config/search?q=deploy
+  # Full-text search across every file, for the sidebar search box.
+  # Each result links to its file, at the heading the match is under.
+  # =======================================================================
+  def search
+    labels = config_file_list.to_h { |file| [file[:name], file[:label]] }
+    results = ConfigSearch.new(params[:q]).results.map do |result|
+      result.merge(
+        label: labels[result[:file]],
+        url: config_file_path(result[:file], anchor: result[:anchor])
+      )
+    end
+
+    render json: { query: params[:q].to_s, results: results }
+  end
+  
   # =======================================================================
   # GET /config/:file
   # Shows a specific config file
@@ -67,12 +100,87 @@ class ConfigController < ApplicationController
     @current_file = filename
     @file_content = read_config_file(filename)
     @file_metadata = file_metadata(filename)
+    @backups = editor_backups(filename)
     
     # Force HTML format (file param ends with .md but we render HTML)
     render :index, formats: [:html]
   end
+
+  # =======================================================================
+  # PATCH /config/:file
+  # Save edited content. base_digest is the version the editor started from.
+  # =======================================================================
+  def update
+    content = params[:content]
+    return render json: { error: "Content is missing" }, status: :unprocessable_entity if content.nil?
+
+    metadata = config_store.write(@current_file, content, base_digest: params[:base_digest])
+    render json: { file: @current_file, metadata: metadata, backups: config_store.backups(@current_file) }
+  rescue ConfigFileStore::StaleError => e
+    render_conflict(e)
+  rescue ConfigFileStore::Error => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+
+  # =======================================================================
+  # GET /config/:file/backups
+  # =======================================================================
+  def backups
+    render json: config_store.backups(@current_file)
+  end
+
+  # =======================================================================
+  # GET /config/:file/backups/:backup
+  # One backup's content, for the "compare" view
+  # =======================================================================
+  def backup
+    render json: { id: params[:backup], content: config_store.read_backup(@current_file, params[:backup]) }
+  end
+
+  # =======================================================================
+  # POST /config/:file/backups/:backup/restore
+  # =======================================================================
+  def restore
+    metadata = config_store.restore(@current_file, params[:backup], base_digest: params[:base_digest])
+    render json: { file: @current_file, metadata: metadata, backups: config_store.backups(@current_file) }
+  rescue ConfigFileStore::StaleError => e
+    render_conflict(e)
+  end
   
   private
+
+  def config_store
+    @config_store ||= ConfigFileStore.new
+  end
+
+  def authorize_editing
+    authorize :config_file, action_name == "restore" ? :restore? : :update?
+  end
+
+  def require_allowed_file
+    @current_file = params[:file]
+    render json: { error: "File not found" }, status: :not_found unless config_store.allowed?(@current_file)
+  end
+
+  def backup_not_found
+    render json: { error: "Backup not found" }, status: :not_found
+  end
+
+  # Backups listed under the editor - only for people who can restore them
+  def editor_backups(filename)
+    return [] unless ALLOWED_FILES.include?(filename) && policy(:config_file).backups?
+
+    config_store.backups(filename)
+  end
+
+  # 409 with what the file holds now, so the editor can diff against it
+  def render_conflict(error)
+    render json: {
+      error: error.message,
+      content: error.content,
+      metadata: error.metadata
+    }, status: :conflict
+  end
   
   # =======================================================================
   # Build list of config files with metadata
@@ -98,40 +206,30 @@ class ConfigController < ApplicationController
   def read_config_file(filename)
     return nil unless ALLOWED_FILES.include?(filename)
     
-    file_path = CONFIG_PATH.join(filename)
-    
-    if File.exist?(file_path)
-      File.read(file_path)
-    else
-      "# File not found\n\nThe file `#{filename}` does not exist."
-    end
+    config_store.read(filename) || "# File not found\n\nThe file `#{filename}` does not exist."
   rescue => e
     "# Error reading file\n\n#{e.message}"
   end
   
   # =======================================================================
-  # Get file metadata (size, modified time)
+  # Get file metadata (size, modified time, content digest)
+  # The digest goes to the editor, which sends it back when saving
   # =======================================================================
   def file_metadata(filename)
     return nil unless ALLOWED_FILES.include?(filename)
     
-    file_path = CONFIG_PATH.join(filename)
-    
-    if File.exist?(file_path)
-      {
-        size: File.size(file_path),
-        modified: File.mtime(file_path)
-      }
-    else
-      { size: 0, modified: nil }
-    end
+    config_store.metadata(filename)
   rescue
-    { size: 0, modified: nil }
+    { size: 0, modified: nil, digest: nil }
   end
   
   # =======================================================================
   # Render markdown to HTML using Redcarpet
   # Made public for testing purposes
+  #
+  # This is the no-JavaScript fallback; the viewer normally re-renders the
+  # file in the browser with app/javascript/lib/markdown.js. Like that
+  # renderer, it escapes raw HTML and drops javascript:/data: links.
   # =======================================================================
   helper_method :render_markdown
   def render_markdown(text)
@@ -139,6 +237,8 @@ class ConfigController < ApplicationController
     
     renderer = Redcarpet::Render::HTML.new(
       hard_wrap: true,
+      escape_html: true,
+      safe_links_only: true,
       link_attributes: { target: "_blank" }
     )
     
@@ -0,0 +1,64 @@
+# ============================================================================
+# Controller: PushSubscriptionsController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Saves and removes the current user's Web Push subscriptions.
+# push_subscription_controller.js calls it after the browser subscribes
+# (or unsubscribes) with the push service.
+#
+# ENDPOINTS:
+# - POST   /push_subscription -> save this browser's subscription
+# - DELETE /push_subscription -> forget it (endpoint in the params)
+#
+# The request body is what PushSubscription#toJSON() returns in the browser:
+#   { "endpoint": "https://...", "keys": { "p256dh": "...", "auth": "..." } }
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Express: app.post('/subscribe', (req, res) => db.save(req.body))
+# - Rails: same idea, but Devise gives us current_user and strong
+#   params only let the three subscription fields through
+#
+# ============================================================================
+
+class PushSubscriptionsController < ApplicationController
+  before_action :authenticate_user!
+
+  # ==========================================================================
+  # POST /push_subscription
+  # ==========================================================================
+  #
+  # Upsert by endpoint: a browser that subscribes again (new keys, or a
+  # different user signed in on it) updates its existing row.
+  #
+  def create
+    subscription = PushSubscription.find_or_initialize_by(endpoint: subscription_params[:endpoint])
+    subscription.assign_attributes(
+      user: current_user,
+      p256dh_key: subscription_params.dig(:keys, :p256dh),
+      auth_key: subscription_params.dig(:keys, :auth),
+      user_agent: request.user_agent
+    )
+
+    if subscription.save
+      render json: { id: subscription.id }, status: :created
+    else
+      render json: { errors: subscription.errors.full_messages }, status: :unprocessable_entity
+    end
+  end
+
+  # ==========================================================================
+  # DELETE /push_subscription
+  # ==========================================================================
+  def destroy
+    current_user.push_subscriptions.where(endpoint: params[:endpoint]).destroy_all
+    head :no_content
+  end
+
+  private
+
+  def subscription_params
+    params.permit(:endpoint, keys: [:p256dh, :auth])
+  end
+end
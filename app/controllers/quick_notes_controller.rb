@@ -22,11 +22,13 @@
 # ============================================================================
 
 class QuickNotesController < ApplicationController
-  # Skip CSRF for API requests (JSON format)
-  skip_before_action :verify_authenticity_token, if: -> { request.format.json? }
+  # JSON requests need an API token (writes: notes:write) or a session
+  # plus the CSRF token - see ApiAuthentication
+  include ApiAuthentication
+  require_api_scope 'notes:write', except: [:index, :show]
   
   # Require login for HTML views
-  before_action :authenticate_user!, unless: -> { request.format.json? }
+  before_action :authenticate_user!, unless: :api_request?
   
   # Find the note before show, edit, update, destroy
   before_action :set_quick_note, only: [:show, :edit, :update, :destroy]
@@ -147,6 +149,11 @@ class QuickNotesController < ApplicationController
   
   private
 
+  # Only .json requests go through ApiAuthentication; HTML uses Devise
+  def api_request?
+    request.format.json?
+  end
+
   # Find note by ID from URL parameter
   def set_quick_note
     @quick_note = QuickNote.find(params[:id])
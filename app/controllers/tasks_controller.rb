@@ -28,23 +28,24 @@
 #
 # AUTHENTICATION:
 # - HTML requests require login (Devise)
-# - JSON API requests are open (for Sparky's heartbeat checks)
-#   In production, add API token auth for JSON endpoints
+# - JSON requests go through ApiAuthentication, like /api/*: a bearer API
+#   token (writes need its tasks:write scope), or a signed-in session that
+#   sends the CSRF token. Anything else gets 401.
 #
 # ============================================================================
 
 class TasksController < ApplicationController
-  # Skip CSRF verification for API requests (JSON)
-  # In production, you'd use token-based auth instead
-  skip_before_action :verify_authenticity_token, if: -> { request.format.json? }
+  # JSON requests: API token or session + CSRF (see api_request? below)
+  include ApiAuthentication
+  require_api_scope 'tasks:write', except: [:index, :show, :archived]
   
-  # Require login for HTML views, but allow JSON API access
-  before_action :authenticate_user!, unless: -> { request.format.json? }
+  # Require login for HTML views
+  before_action :authenticate_user!, unless: :api_request?
   
   # Find the task before show, update, and destroy actions
   # Added :move_left and :move_right for status transitions
   # Added :archive, :restore for soft deletion
-  before_action :set_task, only: [:show, :edit, :update, :destroy, :move_left, :move_right]
+  before_action :set_task, only: [:show, :edit, :update, :destroy, :move_left, :move_right, :move_lane]
   
   # Find task including archived for restore action
   before_action :set_task_with_archived, only: [:restore]
@@ -77,13 +78,17 @@ class TasksController < ApplicationController
     @tasks = @tasks.for_assignee(params[:assignee]) if params[:assignee].present?
     @tasks = @tasks.with_status(params[:status]) if params[:status].present?
     
-    # Order by most recently updated
-    @tasks = @tasks.recent
+    # Kanban board: hand-sorted column order (see Task#reposition!)
+    # JSON API: most recently updated first
+    @tasks = request.format.json? ? @tasks.recent : @tasks.ordered
     
     # Load recent quick notes for display on the kanban board
     # Only load for HTML format (kanban board view)
     @recent_quick_notes = QuickNote.recent_for_board(5) unless request.format.json?
     
+    # Column limits for the headers ("3/5") and the drag (data-wip-limit)
+    @wip_limits = WipLimit.table unless request.format.json?
+    
     respond_to do |format|
       format.html # Renders app/views/tasks/index.html.slim
       format.json { render json: @tasks }
@@ -115,7 +120,9 @@ class TasksController < ApplicationController
   # Show form for creating a new task (HTML only).
   #
   def new
-    @task = Task.new
+    # Prefill from the query string, e.g. /tasks/new?assignee=sparky
+    # (the command palette's "New task for Sparky")
+    @task = Task.new(params.permit(:assignee, :status, :priority))
     authorize @task
   end
 
@@ -139,8 +146,8 @@ class TasksController < ApplicationController
   # {
   #   "title": "Task title",
   #   "description": "Optional description",
-  #   "assignee": "mechdog" or "sparky",
-  #   "status": "backlog" (default),
+  #   "assignee": "mechdog" (a swim lane key - Workflow.assignee_keys),
+  #   "status": "backlog" (default; a column key - Workflow.status_keys),
   #   "priority": "medium" (default)
   # }
   #
@@ -174,21 +181,38 @@ class TasksController < ApplicationController
   #
   # Request body (JSON): Same as create, all fields optional
   #
+  # The edit form sends the lock_version it was rendered with. If someone
+  # changed the same fields since (TaskVersioning#conflict_for), the form
+  # comes back as 409 with the merge panel (tasks/_conflict) and the
+  # current lock_version; resubmitting it saves what the person picked.
+  #
   def update
     authorize @task unless request.format.json?
+    attributes = resolved_task_params
+    @conflict = @task.conflict_for(params.dig(:task, :lock_version).presence, attributes)
     
     respond_to do |format|
-      if @task.update(task_params)
+      if @conflict
+        # Show their values in the panel and mine in the form
+        @task.assign_attributes(attributes)
+        format.html { render :edit, status: :conflict }
+        format.json { render json: { error: 'Task was changed since you loaded it', task: @task.reload, conflict: @conflict }, status: :conflict }
+      elsif @task.update(attributes)
         # Log the update activity with changes
-        @task.log_update_activity(current_user)
+        activity = @task.log_update_activity(current_user)
         
-        format.html { redirect_to tasks_path, notice: 'Task was successfully updated.' }
+        format.html { redirect_to tasks_path, notice: 'Task was successfully updated.', flash: undo_flash(activity) }
         format.json { render json: @task }
       else
         format.html { render :edit, status: :unprocessable_entity }
         format.json { render json: { errors: @task.errors.full_messages }, status: :unprocessable_entity }
       end
     end
+  rescue ActiveRecord::StaleObjectError
+    # Saved by someone else between the check and the UPDATE: check again
+    @task.reload
+    retry if (@stale_retries = @stale_retries.to_i + 1) < 3
+    raise
   end
 
   # ==========================================================================
@@ -207,7 +231,7 @@ class TasksController < ApplicationController
     @task.archive!
     
     # Log the archive activity
-    TaskActivity.create!(
+    activity = TaskActivity.create!(
       task: @task,
       activity_type: 'archived',
       description: "Task archived by #{current_user&.username || 'system'}",
@@ -215,7 +239,7 @@ class TasksController < ApplicationController
     )
     
     respond_to do |format|
-      format.html { redirect_to tasks_path, notice: 'Task was successfully archived.' }
+      format.html { redirect_to tasks_path, notice: 'Task was successfully archived.', flash: undo_flash(activity) }
       format.json { head :no_content }
       format.turbo_stream do
         render turbo_stream: [
@@ -252,11 +276,24 @@ class TasksController < ApplicationController
   # ==========================================================================
   #
   # Restore an archived task (unarchive).
-  # Brings the task back to the main kanban board.
+  # Brings the task back to the main kanban board - unless its column is
+  # at its WIP limit (override_wip_limit=1 restores it anyway).
   #
   def restore
     authorize @task unless request.format.json?
     
+    # update_column skips validations, so check the column's WIP limit here
+    reached = @task.wip_limit_reached
+    @task.override_wip_limit = params[:override_wip_limit]
+    if reached && !@task.exceed_wip_limit(reached)
+      message = "Can't restore: #{@task.wip_limit_message(reached)}"
+      respond_to do |format|
+        format.html { redirect_to archived_tasks_path, alert: message }
+        format.json { render json: { error: message }, status: :unprocessable_entity }
+      end
+      return
+    end
+    
     # Restore the task by unarchiving it
     @task.restore!
     
@@ -267,6 +304,7 @@ class TasksController < ApplicationController
       description: "Task restored by #{current_user&.username || 'system'}",
       user: current_user
     )
+    @task.log_wip_override(current_user)
     
     respond_to do |format|
       format.html { redirect_to archived_tasks_path, notice: 'Task was successfully restored.' }
@@ -318,6 +356,7 @@ class TasksController < ApplicationController
     authorize @task unless request.format.json?
     
     previous = @task.previous_status
+    @task.override_wip_limit = params[:override_wip_limit]
     
     if previous && @task.update(status: previous)
       # Log the status change
@@ -330,6 +369,8 @@ class TasksController < ApplicationController
             # Remove task from current column
             turbo_stream.remove(@task),
             # Add task to new column (at the top)
+            # The model callback stores it at position 0, so prepend
+            # matches the order tasks#index renders after a reload
             turbo_stream.prepend(
               "column_#{@task.assignee}_#{@task.status}",
               partial: 'tasks/task_card',
@@ -338,11 +379,13 @@ class TasksController < ApplicationController
             # Update column counts
             turbo_stream.update(
               "count_#{@task.assignee}_#{@task.status}",
-              Task.for_assignee(@task.assignee).with_status(@task.status).count.to_s
+              partial: 'tasks/column_count',
+              locals: { count: Task.in_column(@task.assignee, @task.status).count, limit: WipLimit.for(@task.assignee, @task.status) }
             ),
             turbo_stream.update(
               "count_#{@task.assignee}_#{previous}",
-              Task.for_assignee(@task.assignee).with_status(previous).count.to_s
+              partial: 'tasks/column_count',
+              locals: { count: Task.in_column(@task.assignee, previous).count, limit: WipLimit.for(@task.assignee, previous) }
             )
           ]
         end
@@ -350,14 +393,18 @@ class TasksController < ApplicationController
         format.json { render json: @task }
       end
     else
+      # Validation errors: the next column is at its WIP limit
+      message = @task.errors.full_messages.to_sentence.presence
+      
       respond_to do |format|
         # Turbo Stream error - just return success with no changes
-        # The UI can detect no change occurred
+        # The UI can detect no change occurred. A refused move is worth
+        # explaining, so that one reloads the board with the alert.
         format.turbo_stream do
-          render turbo_stream: []
+          message ? redirect_to(tasks_path, alert: message, status: :see_other) : render(turbo_stream: [])
         end
-        format.html { redirect_to tasks_path, alert: 'Cannot move task further left.' }
-        format.json { render json: { error: 'Cannot move task further left' }, status: :unprocessable_entity }
+        format.html { redirect_to tasks_path, alert: message || 'Cannot move task further left.' }
+        format.json { render json: { error: message || 'Cannot move task further left' }, status: :unprocessable_entity }
       end
     end
   end
@@ -369,10 +416,14 @@ class TasksController < ApplicationController
   # Move task to next status in workflow.
   # Used by right arrow button on task cards.
   #
+  # The next column's WIP limit applies like it does to drags (see
+  # TaskWipLimits); override_wip_limit=1 goes over it on purpose.
+  #
   def move_right
     authorize @task unless request.format.json?
     
     next_stat = @task.next_status
+    @task.override_wip_limit = params[:override_wip_limit]
     
     if next_stat && @task.update(status: next_stat)
       # Log the status change
@@ -385,6 +436,8 @@ class TasksController < ApplicationController
             # Remove task from current column
             turbo_stream.remove(@task),
             # Add task to new column (at the top)
+            # The model callback stores it at position 0, so prepend
+            # matches the order tasks#index renders after a reload
             turbo_stream.prepend(
               "column_#{@task.assignee}_#{@task.status}",
               partial: 'tasks/task_card',
@@ -393,11 +446,13 @@ class TasksController < ApplicationController
             # Update column counts
             turbo_stream.update(
               "count_#{@task.assignee}_#{@task.status}",
-              Task.for_assignee(@task.assignee).with_status(@task.status).count.to_s
+              partial: 'tasks/column_count',
+              locals: { count: Task.in_column(@task.assignee, @task.status).count, limit: WipLimit.for(@task.assignee, @task.status) }
             ),
             turbo_stream.update(
               "count_#{@task.assignee}_#{next_stat}",
-              Task.for_assignee(@task.assignee).with_status(next_stat).count.to_s
+              partial: 'tasks/column_count',
+              locals: { count: Task.in_column(@task.assignee, next_stat).count, limit: WipLimit.for(@task.assignee, next_stat) }
             )
           ]
         end
@@ -405,14 +460,78 @@ class TasksController < ApplicationController
         format.json { render json: @task }
       end
     else
+      # Validation errors: the next column is at its WIP limit
+      message = @task.errors.full_messages.to_sentence.presence
+      
       respond_to do |format|
         # Turbo Stream error - just return success with no changes
-        # The UI can detect no change occurred
+        # The UI can detect no change occurred. A refused move is worth
+        # explaining, so that one reloads the board with the alert.
         format.turbo_stream do
-          render turbo_stream: []
+          message ? redirect_to(tasks_path, alert: message, status: :see_other) : render(turbo_stream: [])
         end
-        format.html { redirect_to tasks_path, alert: 'Cannot move task further right.' }
-        format.json { render json: { error: 'Cannot move task further right' }, status: :unprocessable_entity }
+        format.html { redirect_to tasks_path, alert: message || 'Cannot move task further right.' }
+        format.json { render json: { error: message || 'Cannot move task further right' }, status: :unprocessable_entity }
+      end
+    end
+  end
+
+  # ==========================================================================
+  # POST /tasks/:id/move_lane
+  # ==========================================================================
+  #
+  # Move task to another assignee's swim lane, keeping its status.
+  # Used by the swap-lane button on task cards and the Shift+↑/↓ keyboard
+  # shortcut (board_keyboard_controller.js).
+  #
+  # Params:
+  # - assignee: the lane to move to (one of Workflow.assignee_keys)
+  # - override_wip_limit: go over the column's WIP limit (see move_right)
+  #
+  def move_lane
+    authorize @task unless request.format.json?
+    
+    previous = @task.assignee
+    target = params[:assignee]
+    @task.override_wip_limit = params[:override_wip_limit]
+    
+    if target.in?(Workflow.assignee_keys) && target != previous && @task.update(assignee: target)
+      @task.log_update_activity(current_user)
+      
+      respond_to do |format|
+        format.turbo_stream do
+          render turbo_stream: [
+            turbo_stream.remove(@task),
+            # Same column (status) in the new lane, at the top
+            turbo_stream.prepend(
+              "column_#{target}_#{@task.status}",
+              partial: 'tasks/task_card',
+              locals: { task: @task }
+            ),
+            turbo_stream.update(
+              "count_#{target}_#{@task.status}",
+              partial: 'tasks/column_count',
+              locals: { count: Task.in_column(target, @task.status).count, limit: WipLimit.for(target, @task.status) }
+            ),
+            turbo_stream.update(
+              "count_#{previous}_#{@task.status}",
+              partial: 'tasks/column_count',
+              locals: { count: Task.in_column(previous, @task.status).count, limit: WipLimit.for(previous, @task.status) }
+            )
+          ]
+        end
+        format.html { redirect_to tasks_path, notice: "Task moved to #{target.titleize}." }
+        format.json { render json: @task }
+      end
+    else
+      message = @task.errors.full_messages.to_sentence.presence
+      
+      respond_to do |format|
+        format.turbo_stream do
+          message ? redirect_to(tasks_path, alert: message, status: :see_other) : render(turbo_stream: [])
+        end
+        format.html { redirect_to tasks_path, alert: message || 'Cannot move task to that swim lane.' }
+        format.json { render json: { error: message || 'Cannot move task to that swim lane' }, status: :unprocessable_entity }
       end
     end
   end
@@ -423,6 +542,11 @@ class TasksController < ApplicationController
   
   private
 
+  # Only .json requests go through ApiAuthentication; HTML uses Devise
+  def api_request?
+    request.format.json?
+  end
+
   # Find task by ID from URL parameter
   # Called by before_action for show, edit, update, destroy
   def set_task
@@ -434,6 +558,33 @@ class TasksController < ApplicationController
     end
   end
   
+  # task_params, minus the fields the merge panel resolved to "theirs".
+  # The panel's buttons send resolve=mine, theirs or merge; with merge,
+  # resolution[field] says which side each conflicting field takes.
+  # Dropping a field keeps the value the other person saved.
+  def resolved_task_params
+    attributes = task_params
+    resolution = params[:resolution].respond_to?(:permit) ? params[:resolution].permit(*TaskVersioning::VERSIONED_FIELDS).to_h : {}
+
+    theirs =
+      case params[:resolve]
+      when 'theirs' then resolution.keys
+      when 'merge' then resolution.select { |_field, side| side == 'theirs' }.keys
+      else []
+      end
+    attributes.except(*theirs)
+  end
+
+  # Hand an undo for this change to the next page. The layout passes
+  # flash[:undo] to undo_controller.js, which shows the Undo toast.
+  # Shape matches the undo:register event (see undo_controller.js).
+  def undo_flash(activity)
+    return {} unless activity
+    
+    label = activity.activity_type == 'archived' ? "Archived task ##{activity.task_id}" : "Edited task ##{activity.task_id}"
+    { undo: { label: label, steps: [{ taskId: activity.task_id, body: { activity_id: activity.id } }] } }
+  end
+  
   # Find task including archived ones
   # Called by before_action for restore action
   def set_task_with_archived
@@ -455,10 +606,10 @@ class TasksController < ApplicationController
   # - Rails: Strong parameters provide a declarative whitelist
   #
   def task_params
-    params.require(:task).permit(:title, :description, :assignee, :status, :priority, :last_worked_on)
+    params.require(:task).permit(:title, :description, :assignee, :status, :priority, :last_worked_on, :override_wip_limit)
   rescue ActionController::ParameterMissing
     # Allow params without :task wrapper for API convenience
-    params.permit(:title, :description, :assignee, :status, :priority, :last_worked_on)
+    params.permit(:title, :description, :assignee, :status, :priority, :last_worked_on, :override_wip_limit)
   end
 
   # ==========================================================================
@@ -470,25 +621,8 @@ class TasksController < ApplicationController
   #
   helper_method :fetch_api_balances
   def fetch_api_balances
-    # Use cached balances from database if available and fresh (< 10 min old)
-    latest = ApiBalanceHistory.latest_balances
-    
-    # If we have recent data, use it; otherwise query live
-    if latest.values.any? { |v| v[:queried_at] && v[:queried_at] > 10.minutes.ago }
-      # Transform to same format as live query
-      latest.transform_values do |data|
-        {
-          success: data[:success],
-          balance: data[:balance],
-          currency: data[:currency],
-          queried_at: data[:queried_at],
-          supports_api: true
-        }
-      end
-    else
-      # Fall back to live query
-      BalanceService.query_all
-    end
+    # Recorded balances while they're fresh, a live query otherwise
+    BalanceService.cached_balances
   rescue => e
     Rails.logger.error("Error fetching API balances: #{e.message}")
     # Return empty hash on error - view will handle gracefully
@@ -546,7 +680,7 @@ class TasksController < ApplicationController
       # ======================================================================
       # STEP 2: Get usage data from file (may be stale)
       # ======================================================================
-      log_path = Rails.root.join('..', 'memory', 'usage-log.json')
+      log_path = SparkyHistory.log_path
       file_data = { context_percent: 0, model: 'moonshot/kimi-k2.5', file_timestamp: nil }
       
       if File.exist?(log_path)
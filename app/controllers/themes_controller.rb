@@ -0,0 +1,41 @@
+# ============================================================================
+# Controller: ThemesController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Saves the theme picked in the navbar (theme_controller.js calls this).
+#
+# ENDPOINT:
+# - PATCH /theme { "theme": "dark" }
+#
+# WHERE IT'S STORED:
+# - Signed in: on the user, so every browser they use gets it
+# - Always: in a cookie, so pages rendered before sign-in (and for
+#   visitors) get it too
+#
+# Either way the layout reads it back (ApplicationHelper#theme_preference)
+# and renders it into <html data-bs-theme>, so the page arrives in the
+# right colours instead of flashing the default until JavaScript runs.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Express: res.cookie('theme', theme) and maybe a users UPDATE
+# - Rails: cookies.permanent + current_user.update, same idea
+#
+# ============================================================================
+
+class ThemesController < ApplicationController
+  # PATCH /theme
+  def update
+    theme = params[:theme].to_s
+
+    unless User::THEMES.include?(theme)
+      return render json: { error: "Theme must be one of #{User::THEMES.join(', ')}" }, status: :unprocessable_entity
+    end
+
+    current_user&.update!(theme: theme)
+    cookies.permanent[:theme] = { value: theme, same_site: :lax }
+
+    render json: { theme: theme }
+  end
+end
@@ -0,0 +1,60 @@
+# ============================================================================
+# Controller: WipLimitsController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The page behind the board's "WIP limits" button: one number per column
+# (swim lane × status), blank for "no limit". The whole grid is saved in
+# one PATCH, inside one transaction (WipLimit.apply!), so a typo in one
+# column doesn't leave the others half-saved.
+#
+# ENDPOINTS:
+# - GET   /wip_limits   -> the grid
+# - PATCH /wip_limits   -> { limits: { sparky: { in_progress: "1", ... } } }
+#
+# New limits apply to the next move; columns already over a new limit
+# stay as they are and show red until tasks leave them.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Express: app.patch('/wip-limits', ...) looping over req.body.limits
+# - Rails: a singular resource (resource :wip_limits - no ids in the
+#   URL), with Pundit deciding who may save
+#
+# ============================================================================
+
+class WipLimitsController < ApplicationController
+  before_action :authenticate_user!
+
+  after_action :verify_authorized
+
+  # GET /wip_limits
+  def show
+    authorize WipLimit
+    @statuses = Workflow.statuses
+    @assignees = Workflow.assignees
+    @limits = WipLimit.table
+    @counts = Task.group(:assignee, :status).count
+  end
+
+  # PATCH /wip_limits
+  def update
+    authorize WipLimit
+
+    WipLimit.apply!(limits_params)
+    redirect_to wip_limits_path, notice: 'WIP limits saved.'
+  rescue ActiveRecord::RecordInvalid => e
+    limit = e.record
+    redirect_to wip_limits_path,
+                alert: "#{WipLimit.column_name(limit.assignee, limit.status)}: #{limit.errors.full_messages.to_sentence}"
+  end
+
+  private
+
+  # Only real columns: { "sparky" => { "in_progress" => "1" } }
+  def limits_params
+    return {} unless params[:limits].respond_to?(:permit)
+
+    params.require(:limits).permit(Workflow.assignee_keys.index_with { Workflow.status_keys }).to_h
+  end
+end
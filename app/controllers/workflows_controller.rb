@@ -0,0 +1,75 @@
+# ============================================================================
+# Controller: WorkflowsController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The page behind the board's "Workflow" button: the board's columns
+# (statuses) and swim lanes (assignees) in one form - labels, colors,
+# icons, order, plus a blank row to add one and a box to remove one.
+# Saved in one PATCH and one transaction (Workflow.apply!).
+#
+# ENDPOINTS:
+# - GET   /workflow   -> both tables
+# - PATCH /workflow   -> { workflow: {
+#                            statuses:  { "0" => { key: "review", label: "Review", position: "4" } },
+#                            assignees: { "0" => { key: "sparky", remove: "1" } } } }
+#
+# A status or assignee that tasks still use can't be removed (archived
+# tasks included) - move them first. Removing one drops its columns'
+# WIP limits.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Express: app.patch('/workflow', ...) upserting both lists in a
+#   transaction
+# - Rails: a singular resource like /wip_limits, with the saving in the
+#   model layer (Workflow) and Pundit deciding who may save
+#
+# ============================================================================
+
+class WorkflowsController < ApplicationController
+  before_action :authenticate_user!
+
+  after_action :verify_authorized
+
+  STATUS_FIELDS = %i[key label color icon position remove].freeze
+  ASSIGNEE_FIELDS = %i[key name kind color icon position remove].freeze
+
+  # GET /workflow
+  def show
+    authorize :workflow
+    @statuses = Workflow.statuses
+    @assignees = Workflow.assignees
+    @status_counts = Task.unscoped.group(:status).count
+    @assignee_counts = Task.unscoped.group(:assignee).count
+  end
+
+  # PATCH /workflow
+  def update
+    authorize :workflow
+
+    Workflow.apply!(**workflow_params)
+    redirect_to workflow_path, notice: 'Workflow saved.'
+  rescue ActiveRecord::RecordInvalid => e
+    entry = e.record
+    redirect_to workflow_path, alert: "#{entry.display_name.presence || entry.key}: #{entry.errors.full_messages.to_sentence}"
+  end
+
+  private
+
+  # { statuses: [{ "key" => ..., ... }], assignees: [...] }, in form order
+  def workflow_params
+    return {} unless params[:workflow].respond_to?(:permit)
+
+    permitted = params.require(:workflow).permit(statuses: STATUS_FIELDS, assignees: ASSIGNEE_FIELDS).to_h
+    {
+      statuses: rows(permitted['statuses']),
+      assignees: rows(permitted['assignees'])
+    }
+  end
+
+  # Form rows arrive as { "0" => {...}, "1" => {...} }, JSON as an array
+  def rows(list)
+    list.is_a?(Hash) ? list.values : Array(list)
+  end
+end
@@ -1,2 +1,14 @@
 module ApplicationHelper
+  # The theme the user picked: saved on their account when signed in,
+  # otherwise from the cookie ThemesController sets. "system" by default.
+  def theme_preference
+    theme = user_signed_in? ? current_user.theme : cookies[:theme]
+    User::THEMES.include?(theme) ? theme : "system"
+  end
+
+  # The data-bs-theme to render. "system" depends on the browser, so we
+  # leave it to the inline script in the layout's <head>.
+  def rendered_theme
+    theme_preference unless theme_preference == "system"
+  end
 end
@@ -0,0 +1,55 @@
+# ============================================================================
+# Helper: MarkdownHelper
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Task descriptions and quick notes are markdown (Sparky writes them that
+# way). They're rendered in the browser by markdown_controller.js with
+# the same renderer as the config viewer (app/javascript/lib/markdown.js).
+# This helper builds the data-* attributes that wire an element up to it:
+#
+#   .task-description data=markdown_data(@task.description)
+#     = simple_format(@task.description)   / shown without JavaScript
+#
+#   p data=markdown_data(note.content, preview: 150)   / plain-text preview
+#
+# Options:
+#   preview:   plain text, cut to this many characters (cards and lists)
+#   checklist: { url:, model:, attribute: } makes "- [ ]" boxes tickable;
+#              the new text is PATCHed to url as { model => { attribute => text } }
+#              (add etag: to send it as If-Match - see TaskVersioning)
+#
+# #123 in the text links to task 123 (hover for its status and assignee).
+#
+# COMPARISON TO REACT:
+# - React: <Markdown source={task.description} checklist={...} />
+# - Rails: a helper returns the attributes; Stimulus does the rendering
+#
+# ============================================================================
+
+module MarkdownHelper
+  # Hash for Slim's data= attribute. Keys are already dashed and values are
+  # strings, because Slim drops attributes whose value is false.
+  def markdown_data(source, preview: nil, checklist: nil)
+    actions = ["mouseover->markdown#previewTask", "focusin->markdown#previewTask"]
+    data = {
+      "controller" => "markdown",
+      "markdown-source-value" => source.to_s,
+      "markdown-anchors-value" => "false",
+      "markdown-breaks-value" => "true",
+      "markdown-task-url-value" => "#{tasks_path}/:id"
+    }
+    data["markdown-preview-value"] = preview.to_s if preview
+
+    if checklist
+      data["markdown-update-url-value"] = checklist.fetch(:url)
+      data["markdown-update-model-value"] = checklist.fetch(:model)
+      data["markdown-update-attribute-value"] = checklist.fetch(:attribute)
+      data["markdown-update-etag-value"] = checklist[:etag] if checklist[:etag]
+      actions << "change->markdown#tick"
+    end
+
+    data.merge("action" => actions.join(" "))
+  end
+end
@@ -27,14 +27,22 @@ module TasksHelper
     end
   end
   
-  # Map status to Bootstrap color class
+  # Map status to Bootstrap color class - the column's color on /workflow
   def status_color(status)
-    case status
-    when 'done' then 'success'
-    when 'in_progress' then 'primary'
-    when 'review' then 'info'
-    when 'backlog' then 'secondary'
-    else 'secondary'
+    Workflow.status(status)&.color || 'secondary'
+  end
+
+  # Bootstrap Icons classes for a workflow column or swim lane, colored:
+  # "bi bi-inbox text-secondary". nil when it has no icon.
+  def workflow_icon_class(entry)
+    "bi #{entry.icon} text-#{entry.color}" if entry&.icon.present?
+  end
+
+  # The activity feed's avatars, from the swim lanes:
+  # { "sparky" => { icon: "bi-lightning-charge-fill", className: "text-bg-warning" } }
+  def activity_avatars
+    Workflow.assignees.to_h do |assignee|
+      [assignee.key, { icon: assignee.icon.presence, className: "text-bg-#{assignee.color}" }.compact]
     end
   end
 end
@@ -0,0 +1,299 @@
+// ============================================================================
+// Stimulus Controller: Activity Feed
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The board's "What's happening" panel: every task's activity, newest
+// first, grouped by day. It sits in a Bootstrap offcanvas, and nothing is
+// fetched until the panel is first opened.
+//
+// WHERE ENTRIES COME FROM (GET /api/activities, cursor-paginated):
+// - Opening the panel: the newest page
+// - Scrolling to the bottom: ?before=<next_cursor>, the page before that
+//   (an IntersectionObserver watches the "sentinel" under the list)
+// - While open: ?after=<newest id>, through lib/poller.js. The board's
+//   Turbo Stream broadcasts mean something just changed, so each one
+//   triggers an early poll; the timer only catches what they miss.
+//
+// lib/activity_feed.js merges the pages and groups them by day; here we
+// only fetch and draw.
+//
+// DATA ATTRIBUTES:
+// - data-activity-feed-url-value: API endpoint (default: /api/activities)
+// - data-activity-feed-interval-value: poll interval in ms (default: 1 minute)
+// - data-activity-feed-avatars-value: { actor: { icon, className } } for the
+//   workflow's swim lanes (TasksHelper#activity_avatars); anyone else gets
+//   their initials
+//
+// ACTIONS:
+// - show.bs.offcanvas->activity-feed#open / hidden.bs.offcanvas->activity-feed#close
+// - turbo:before-stream-render@document->activity-feed#boardChanged
+// - change->activity-feed#filter: the actor and type selects
+//
+// COMPARISON TO REACT:
+// - React: useState for the list, useEffect for polling, and a library
+//   like react-infinite-scroll for the older pages
+// - Stimulus: the list is a plain array on the controller, redrawn from
+//   scratch when it changes - cheap for a few hundred entries
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { Poller } from "lib/poller"
+import { requestJSON } from "lib/request"
+import { mergeActivities, groupByDay, titleize } from "lib/activity_feed"
+
+const SYSTEM_AVATAR = { icon: "bi-gear-fill", className: "activity-avatar-system" }
+
+export default class extends Controller {
+  static values = {
+    url: { type: String, default: "/api/activities" },
+    interval: { type: Number, default: 60000 },
+    avatars: { type: Object, default: {} }
+  }
+
+  static targets = ["list", "sentinel", "status", "actor", "type"]
+
+  connect() {
+    this.activities = []
+    this.nextCursor = null
+    this.loaded = false
+
+    this.poller = new Poller({
+      url: this.url(),
+      interval: this.intervalValue,
+      headers: { "Accept": "application/json" },
+      onUpdate: response => this.newerArrived(response),
+      onError: error => console.error("[ActivityFeed] Poll failed:", error)
+    })
+
+    this.observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) this.loadOlder()
+    })
+    this.observer.observe(this.sentinelTarget)
+  }
+
+  disconnect() {
+    this.poller.stop()
+    this.observer.disconnect()
+    clearTimeout(this.boardChangedTimer)
+  }
+
+  // Panel opened: first page the first time, then keep up while it's open
+  async open() {
+    if (this.loaded) {
+      this.poller.refresh()
+    } else {
+      await this.reload()
+    }
+    if (this.loaded) this.poller.start()
+  }
+
+  close() {
+    this.poller.stop()
+  }
+
+  filter() {
+    this.reload()
+  }
+
+  // A board broadcast usually means a new activity. They come in bursts
+  // (remove, insert, two counts), so wait for the burst to end.
+  boardChanged() {
+    if (!this.loaded) return
+
+    clearTimeout(this.boardChangedTimer)
+    this.boardChangedTimer = setTimeout(() => this.poller.refresh(), 500)
+  }
+
+  // Start over: newest page with the current filters
+  async reload() {
+    this.activities = []
+    this.nextCursor = null
+    this.loaded = false
+    this.showStatus("Loading…")
+
+    const page = await this.fetchPage()
+    if (!page) return
+
+    this.loaded = true
+    this.add(page.activities)
+    this.nextCursor = page.next_cursor
+    this.pollAfterNewest()
+  }
+
+  async loadOlder() {
+    if (!this.loaded || !this.nextCursor || this.loadingOlder) return
+
+    this.loadingOlder = true
+    const page = await this.fetchPage({ before: this.nextCursor })
+    this.loadingOlder = false
+    if (!page) return
+
+    this.add(page.activities)
+    this.nextCursor = page.next_cursor
+  }
+
+  // Called by the Poller with each 2xx answer to ?after=
+  async newerArrived(response) {
+    const page = await response.json()
+
+    // More arrived than fit in a page: there'd be a gap, so start over
+    if (page.next_cursor) return this.reload()
+
+    this.add(page.activities)
+    this.pollAfterNewest()
+  }
+
+  pollAfterNewest() {
+    this.poller.url = this.url({ after: this.activities[0]?.id ?? 0 })
+  }
+
+  async fetchPage(cursor = {}) {
+    try {
+      return await requestJSON(this.url(cursor))
+    } catch (error) {
+      console.error("[ActivityFeed] Load failed:", error)
+      this.showStatus("Couldn't load activity.")
+      return null
+    }
+  }
+
+  url(cursor = {}) {
+    const url = new URL(this.urlValue, window.location.origin)
+    const params = { ...cursor }
+    if (this.hasActorTarget && this.actorTarget.value) params.actor = this.actorTarget.value
+    if (this.hasTypeTarget && this.typeTarget.value) params.type = this.typeTarget.value
+
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value))
+    return url.pathname + url.search
+  }
+
+  add(activities) {
+    this.activities = mergeActivities(this.activities, activities)
+    this.render()
+  }
+
+  // ==========================================================================
+  // DRAWING
+  // ==========================================================================
+
+  render() {
+    const groups = groupByDay(this.activities)
+
+    this.listTarget.replaceChildren(...groups.map(group => {
+      const section = document.createElement("li")
+      section.className = "activity-feed-day"
+
+      const heading = document.createElement("h3")
+      heading.className = "activity-feed-day-label"
+      heading.textContent = group.label
+
+      const entries = document.createElement("ul")
+      entries.className = "list-unstyled mb-0"
+      entries.append(...group.activities.map(activity => this.entry(activity)))
+
+      section.append(heading, entries)
+      return section
+    }))
+
+    if (this.activities.length === 0) {
+      this.showStatus("Nothing has happened yet.")
+    } else {
+      this.showStatus(this.nextCursor ? "" : "That's everything.")
+    }
+  }
+
+  entry(activity) {
+    const item = document.createElement("li")
+    item.className = "activity-feed-item"
+    item.append(this.avatar(activity.actor))
+
+    const body = document.createElement("div")
+    body.className = "activity-feed-body"
+
+    const headline = document.createElement("div")
+    const actor = document.createElement("strong")
+    actor.textContent = titleize(activity.actor)
+    headline.append(actor, " ")
+    if (activity.task) {
+      const link = document.createElement("a")
+      link.href = `/tasks/${activity.task.id}`
+      link.textContent = `#${activity.task.id} ${activity.task.title}`
+      if (activity.task.archived) link.classList.add("text-decoration-line-through")
+      headline.append(link)
+    }
+
+    body.append(headline, this.detail(activity))
+
+    const time = document.createElement("time")
+    time.className = "small text-muted"
+    time.dateTime = activity.created_at
+    time.textContent = new Date(activity.created_at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    body.append(time)
+
+    // Made through /api with a token: name it ("via Sparky heartbeat")
+    if (activity.via) {
+      const via = document.createElement("span")
+      via.className = "small text-muted ms-2"
+      const icon = document.createElement("i")
+      icon.className = "bi bi-key me-1"
+      via.append(icon, `via ${activity.via}`)
+      body.append(via)
+    }
+
+    item.append(body)
+    return item
+  }
+
+  // Status changes as "Backlog → In Progress"; everything else as logged
+  detail(activity) {
+    const detail = document.createElement("div")
+    detail.className = "small"
+    const status = activity.changes?.status
+
+    if (status) {
+      const from = document.createElement("span")
+      from.className = "badge text-bg-secondary"
+      from.textContent = titleize(status.from)
+
+      const arrow = document.createElement("i")
+      arrow.className = "bi bi-arrow-right mx-1"
+      arrow.setAttribute("aria-label", "to")
+
+      const to = document.createElement("span")
+      to.className = "badge text-bg-primary"
+      to.textContent = titleize(status.to)
+
+      detail.append(from, arrow, to)
+    } else {
+      detail.classList.add("text-muted")
+      detail.textContent = activity.description
+    }
+
+    return detail
+  }
+
+  avatar(actor) {
+    const known = actor === "system" ? SYSTEM_AVATAR : this.avatarsValue[actor]
+    const avatar = document.createElement("span")
+    avatar.className = `activity-avatar ${known?.className || "activity-avatar-user"}`
+    avatar.title = titleize(actor)
+
+    if (known?.icon) {
+      const icon = document.createElement("i")
+      icon.className = `bi ${known.icon}`
+      avatar.append(icon)
+    } else {
+      avatar.textContent = actor.slice(0, 2).toUpperCase()
+    }
+
+    return avatar
+  }
+
+  showStatus(message) {
+    this.statusTarget.textContent = message
+    this.statusTarget.hidden = message === ""
+  }
+}
@@ -10,99 +10,144 @@
 // This controller follows the same pattern as sparky_status_controller.js
 // but with simplified functionality for balance display.
 //
+// Polling goes through lib/poller.js: nothing while the tab is hidden,
+// slower after errors, and 304 Not Modified while the balances haven't
+// changed. GET /api/balances answers from the recorded history, so
+// polling doesn't call the provider APIs; only the refresh button does
+// (POST /api/balances/refresh records fresh numbers, then we poll).
+//
 // DATA ATTRIBUTES:
 // - data-balance-url-value: API endpoint URL (default: /api/balances)
+// - data-balance-refresh-url-value: live query endpoint (default: /api/balances/refresh)
 // - data-balance-refresh-interval-value: Polling interval in ms (default: 5min)
+// - data-balance-alerts-value: active BalanceAlerts, rendered by the server
+// - data-balance-thresholds-value: { moonshot: { warning, critical }, ... }
+// - data-balance-alerts-url-value: acknowledge/snooze endpoint (default: /balance_alerts)
 //
 // ACTIONS:
 // - click->balance#refresh: Manual refresh button
+// - click->balance#acknowledge / #snooze: buttons on the alert banner
+// - click->balance#enableNotifications: ask for browser notifications
+//
+// LOW-BALANCE ALERTS:
+// The server raises alerts when it records balances (BalanceAlert) and
+// sends the ones still needing attention with every poll. We draw them
+// as a banner (balances/_alerts) and, if the browser allows it, show a
+// Notification once per alert - lib/balance_alerts.js remembers which.
+// Acknowledging or snoozing hides an alert for everyone, not just here.
+//
+// UPDATING IN PLACE:
+// We ask for JSON and change only the figures, rather than swapping in
+// server HTML (which replaced the compact board widget with the big
+// table card). The partials mark what to update:
+//
+//   .balance-item data-balance-provider="moonshot"
+//     span data-balance-field="amount"   $12.34
+//     span data-balance-field="dot"      coloured dot (compact widget)
+//     td   data-balance-field="status"   Healthy / Low / Critical badge
+//     td   data-balance-field="checked"  "3 minutes ago"
+//
+// After each update we dispatch "balance:updated" with the JSON, which
+// the dashboard charts (balance_dashboard_controller.js) listen for.
 //
 // ============================================================================
 
 import { Controller } from "@hotwired/stimulus"
+import { Poller } from "lib/poller"
+import { requestJSON } from "lib/request"
+import { balanceLevel, unnotifiedAlerts, rememberNotified } from "lib/balance_alerts"
+
+const LEVELS = {
+  healthy: { label: 'Healthy', badge: 'bg-success', dot: 'bg-success' },
+  warning: { label: 'Low', badge: 'bg-warning text-dark', dot: 'bg-warning' },
+  critical: { label: 'Critical', badge: 'bg-danger', dot: 'bg-danger' }
+}
 
 export default class extends Controller {
   static values = {
     url: { type: String, default: "/api/balances" },
-    refreshInterval: { type: Number, default: 300000 } // 5 minutes
+    refreshUrl: { type: String, default: "/api/balances/refresh" },
+    refreshInterval: { type: Number, default: 300000 }, // 5 minutes
+    alerts: { type: Array, default: [] },
+    thresholds: { type: Object, default: {} },
+    alertsUrl: { type: String, default: "/balance_alerts" }
   }
 
-  static targets = ["lastUpdated"]
+  static targets = ["lastUpdated", "alerts", "alertList", "enableNotifications"]
 
   connect() {
     console.log('[Balance] Connected')
+
+    this.poller = new Poller({
+      url: this.urlValue,
+      interval: this.refreshIntervalValue,
+      headers: {
+        'Accept': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      onUpdate: response => this.applyBalances(response),
+      onError: error => console.error('[Balance] Refresh failed:', error)
+    })
     this.startAutoRefresh()
   }
 
   disconnect() {
     console.log('[Balance] Disconnected')
-    this.stopAutoRefresh()
+    this.poller.stop()
   }
 
-  // Start periodic auto-refresh
+  // Start periodic auto-refresh (0 turns it off)
   startAutoRefresh() {
-    this.stopAutoRefresh()
-    
+    this.poller.stop()
+
     if (this.refreshIntervalValue > 0) {
-      this.refreshTimer = setInterval(() => {
-        this.refresh()
-      }, this.refreshIntervalValue)
-      
+      this.poller.interval = this.refreshIntervalValue
+      this.poller.maxInterval = this.refreshIntervalValue * 8
+      this.poller.start()
       console.log(`[Balance] Auto-refresh every ${this.refreshIntervalValue}ms`)
     }
   }
 
-  // Stop auto-refresh
-  stopAutoRefresh() {
-    if (this.refreshTimer) {
-      clearInterval(this.refreshTimer)
-      this.refreshTimer = null
-    }
-  }
-
-  // Manual refresh action
+  // Manual refresh action: query the providers now, then show the result
   async refresh() {
     console.log('[Balance] Refreshing balances...')
-    
-    try {
-      const response = await fetch(this.urlValue, {
-        headers: {
-          'Accept': 'text/html, application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        }
-      })
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`)
-      }
-
-      const contentType = response.headers.get('content-type')
-      
-      if (contentType && contentType.includes('text/html')) {
-        // HTML response - replace the entire balance section
-        const html = await response.text()
-        this.element.outerHTML = html
-        console.log('[Balance] Updated via HTML response')
-      } else {
-        // JSON response - update just the text content
-        const data = await response.json()
-        this.updateDisplay(data)
-        console.log('[Balance] Updated via JSON response')
-      }
+    try {
+      await requestJSON(this.refreshUrlValue, { method: 'POST' })
     } catch (error) {
       console.error('[Balance] Refresh failed:', error)
     }
+
+    // Even if the live query failed, show whatever was last recorded
+    this.poller.refresh()
+  }
+
+  // Called by the Poller with each 2xx answer (304s never get here)
+  async applyBalances(response) {
+    const data = await response.json()
+    this.updateDisplay(data)
+    console.log('[Balance] Updated in place')
   }
 
-  // Update display from JSON data
+  // Update the figures from GET /api/balances JSON
   updateDisplay(data) {
+    const balances = data.balances || {}
+
+    if (data.thresholds) this.thresholdsValue = data.thresholds
+    if (data.alerts) this.alertsValue = data.alerts
+
+    this.element.querySelectorAll('[data-balance-field]').forEach(field => {
+      const provider = field.closest('[data-balance-provider]')?.dataset.balanceProvider
+      const balance = balances[provider]
+      if (balance) updateField(field, balance, this.thresholdsValue[provider])
+    })
+
     // Update the last updated timestamp
     if (this.hasLastUpdatedTarget) {
       this.lastUpdatedTarget.textContent = 'Updated just now'
     }
-    
-    // In a full implementation, we'd update individual balance cells
-    // For now, the HTML response approach is simpler and more robust
+
+    this.dispatch('updated', { detail: data })
   }
 
   // Change refresh interval (can be called from a select dropdown)
@@ -114,4 +159,128 @@ export default class extends Controller {
       console.log(`[Balance] Interval changed to ${newInterval}ms`)
     }
   }
+
+  // ==========================================================================
+  // ALERT BANNER
+  // ==========================================================================
+
+  // Stimulus calls this on connect and whenever alertsValue is set
+  alertsValueChanged() {
+    if (!this.hasAlertsTarget) return
+
+    this.alertListTarget.replaceChildren(...this.alertsValue.map(alert => this.alertRow(alert)))
+    this.alertsTarget.hidden = this.alertsValue.length === 0
+    this.enableNotificationsTarget.hidden = !('Notification' in window) || Notification.permission !== 'default'
+    this.notify()
+  }
+
+  alertRow(alert) {
+    const row = document.createElement('div')
+    row.className = `balance-alert balance-alert-${alert.level}`
+
+    const icon = document.createElement('i')
+    icon.className = `bi ${alert.level === 'critical' ? 'bi-exclamation-octagon-fill' : 'bi-exclamation-triangle-fill'} me-2`
+    const message = document.createElement('span')
+    message.className = 'balance-alert-message'
+    message.textContent = alert.message
+
+    const actions = document.createElement('span')
+    actions.className = 'balance-alert-actions'
+    actions.append(
+      this.alertButton('Acknowledge', 'acknowledge', alert.id),
+      this.alertButton('Snooze 1h', 'snooze', alert.id, '1h'),
+      this.alertButton('Snooze 1d', 'snooze', alert.id, '1d')
+    )
+
+    row.append(icon, message, actions)
+    return row
+  }
+
+  alertButton(label, action, id, duration) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'btn btn-sm btn-light'
+    button.textContent = label
+    button.dataset.action = `click->balance#${action}`
+    button.dataset.balanceIdParam = id
+    if (duration) button.dataset.balanceDurationParam = duration
+    return button
+  }
+
+  acknowledge({ params: { id } }) {
+    this.updateAlert(`${this.alertsUrlValue}/${id}/acknowledge`)
+  }
+
+  snooze({ params: { id, duration } }) {
+    this.updateAlert(`${this.alertsUrlValue}/${id}/snooze?duration=${encodeURIComponent(duration)}`)
+  }
+
+  // PATCH, then show the alerts the server says are left
+  async updateAlert(url) {
+    try {
+      this.alertsValue = (await requestJSON(url, { method: 'PATCH' })).alerts
+    } catch (error) {
+      console.error('[Balance] Alert update failed:', error)
+    }
+  }
+
+  async enableNotifications() {
+    if (!('Notification' in window)) return
+
+    await Notification.requestPermission()
+    this.alertsValueChanged()
+  }
+
+  // A browser notification for each alert no tab has notified about yet
+  notify() {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return
+
+    const fresh = unnotifiedAlerts(this.alertsValue, localStorage)
+    fresh.forEach(alert => {
+      new Notification(`${alert.name} balance is ${alert.level === 'critical' ? 'critical' : 'low'}`, {
+        body: alert.message,
+        icon: '/icon.png',
+        tag: `balance-${alert.provider}`
+      })
+    })
+    rememberNotified(fresh, localStorage)
+  }
+}
+
+function updateField(field, balance, thresholds) {
+  // Console-only providers and failed queries keep what the server rendered
+  if (!balance.success || balance.balance === null || balance.balance === undefined) return
+  const amount = Number(balance.balance)
+  const level = LEVELS[balanceLevel(amount, thresholds)]
+
+  switch (field.dataset.balanceField) {
+    case 'amount':
+      field.textContent = `${balance.currency === 'CNY' ? '¥' : '$'}${amount.toFixed(2)}`
+      break
+    case 'dot':
+      field.classList.remove('bg-success', 'bg-warning', 'bg-danger')
+      field.classList.add(level.dot)
+      break
+    case 'status': {
+      const badge = document.createElement('span')
+      badge.className = `badge ${level.badge}`
+      badge.textContent = level.label
+      field.replaceChildren(badge)
+      break
+    }
+    case 'checked':
+      field.textContent = balance.queried_at ? `${timeAgo(balance.queried_at)} ago` : '—'
+      break
+  }
+}
+
+// "just now" / "4 minutes" / "2 hours" - close to Rails' time_ago_in_words
+function timeAgo(timestamp) {
+  const minutes = Math.round((Date.now() - Date.parse(timestamp)) / 60000)
+  if (minutes < 1) return 'less than a minute'
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`
+  const hours = Math.round(minutes / 60)
+  if (hours < 24) return `about ${hours} hour${hours === 1 ? '' : 's'}`
+  const days = Math.round(hours / 24)
+  return `${days} day${days === 1 ? '' : 's'}`
 }
@@ -0,0 +1,217 @@
+// ============================================================================
+// Stimulus Controller: Balance Dashboard
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The charts on /balances. For each provider with recorded balances it
+// shows:
+//   - the balance over the chosen range, with top-ups marked
+//   - daily spend as bars
+//   - the burn rate per day and when the balance should run out, by the
+//     linear or the EWMA rate (see BalanceForecast for the difference)
+//
+// Everything comes from one request, GET /api/balances/history?days=N.
+// Changing the range fetches again (and puts ?days= in the address bar so
+// a reload keeps it); switching the rate method just redraws.
+//
+// The provider table above polls /api/balances (balance_controller.js).
+// When it sees new numbers it dispatches "balance:updated", and we reload
+// the history so the charts catch up without a page reload:
+//
+//   data-action="balance:updated@window->balance-dashboard#load"
+//
+// Charts are SVG elements made with createElementNS; provider data is set
+// as text and attributes only. The coordinates come from
+// lib/balance_chart.js.
+//
+// COMPARISON TO REACT:
+// - React: state for days and method, a useEffect fetching on days,
+//   and a <ProviderChart> component per provider
+// - Stimulus: the same state in values; render() rebuilds the panels
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { balanceLayout, spendBars } from "lib/balance_chart"
+import { requestJSON } from "lib/request"
+
+const SVG = "http://www.w3.org/2000/svg"
+const CHART = { width: 300, height: 100 }
+const BARS = { width: 300, height: 40 }
+
+// Connects to data-controller="balance-dashboard"
+export default class extends Controller {
+  static targets = ["providers", "status"]
+
+  static values = {
+    url: String,                                   // /api/balances/history
+    days: { type: Number, default: 7 },
+    method: { type: String, default: "linear" },   // "linear" or "ewma"
+    names: Object                                  // { moonshot: "Moonshot (Kimi)", ... }
+  }
+
+  connect() {
+    this.load()
+  }
+
+  disconnect() {
+    this.request?.abort()
+  }
+
+  // change->balance-dashboard#changeDays on the range <select>
+  changeDays(event) {
+    this.daysValue = Number(event.target.value)
+
+    const url = new URL(window.location)
+    url.searchParams.set("days", this.daysValue)
+    window.history.replaceState(window.history.state, "", url)
+
+    this.load()
+  }
+
+  // change->balance-dashboard#changeMethod on the Linear / EWMA radios
+  changeMethod(event) {
+    this.methodValue = event.target.value
+    if (this.data) this.render(this.data)
+  }
+
+  async load() {
+    this.request?.abort()
+    this.request = new AbortController()
+
+    try {
+      this.data = await requestJSON(`${this.urlValue}?days=${this.daysValue}`, { signal: this.request.signal })
+      this.render(this.data)
+    } catch (error) {
+      if (error.name === "AbortError") return
+      console.error("[BalanceDashboard] Loading failed:", error)
+      this.showStatus("Couldn't load the balance history.")
+    }
+  }
+
+  render(data) {
+    const from = new Date(Date.now() - data.days * 86400000).toISOString()
+    const to = new Date().toISOString()
+
+    const providers = Object.keys(data.history).filter(provider => data.forecasts[provider]?.supports_api !== false)
+    this.providersTarget.replaceChildren(...providers.map(provider =>
+      this.providerPanel(provider, data.history[provider], data.forecasts[provider], { from, to })
+    ))
+
+    if (providers.length === 0) {
+      this.showStatus(`No balances recorded in the last ${data.days} day${data.days === 1 ? "" : "s"}.`)
+    } else {
+      this.statusTarget.hidden = true
+    }
+  }
+
+  showStatus(message) {
+    this.statusTarget.textContent = message
+    this.statusTarget.hidden = false
+  }
+
+  // One card: figures, the balance chart and the spend bars
+  providerPanel(provider, history, forecast, range) {
+    const column = element("div", "col")
+    const card = element("div", "card h-100")
+    const header = element("div", "card-header d-flex justify-content-between align-items-center")
+    header.append(
+      element("strong", "", this.namesValue[provider] || provider),
+      element("span", "fw-bold", forecast.current_balance === null ? "—" : money(forecast.current_balance))
+    )
+
+    const body = element("div", "card-body")
+    body.append(
+      this.figures(forecast),
+      balanceChart(history, forecast, range),
+      element("div", "small text-muted mt-2", "Daily spend"),
+      spendChart(forecast.daily_spend)
+    )
+
+    card.append(header, body)
+    column.appendChild(card)
+    return column
+  }
+
+  figures(forecast) {
+    const rate = forecast.burn_rate[this.methodValue]
+    const projection = forecast.projection[this.methodValue]
+
+    const row = element("div", "d-flex flex-wrap gap-3 small mb-2")
+    row.append(
+      figure("Burn rate", rate === null ? "Not enough data" : `${money(rate)}/day`),
+      figure("Runs out", projection ? `${formatDate(projection.empty_on)} (${Math.round(projection.days_left)} days)` : "Not at this rate"),
+      figure("Top-ups", forecast.top_ups.length ? forecast.top_ups.map(topUp => `+${money(topUp.amount)}`).join(", ") : "None")
+    )
+    return row
+  }
+}
+
+function balanceChart(history, forecast, range) {
+  const layout = balanceLayout(history, forecast, { ...CHART, ...range })
+  const svg = svgElement("svg", { viewBox: `0 0 ${CHART.width} ${CHART.height}`, class: "balance-chart", role: "img", "aria-label": "Balance over time" })
+
+  svg.appendChild(svgElement("path", { d: layout.line, class: "balance-chart-line" }))
+
+  layout.topUps.forEach(topUp => {
+    svg.appendChild(svgElement("line", { x1: topUp.x, x2: topUp.x, y1: 0, y2: CHART.height, class: "balance-chart-topup" }))
+    const label = svgElement("text", { x: topUp.x + 2, y: 10, class: "balance-chart-topup-label" })
+    label.textContent = topUp.label
+    svg.appendChild(label)
+  })
+
+  layout.points.forEach(point => {
+    const circle = svgElement("circle", { cx: point.x, cy: point.y, r: 1.5, class: "balance-chart-point" })
+    circle.appendChild(svgTitle(`${new Date(point.time).toLocaleString()}: ${money(point.balance)}`))
+    svg.appendChild(circle)
+  })
+
+  const axis = svgElement("text", { x: 2, y: CHART.height - 2, class: "balance-chart-axis" })
+  axis.textContent = `max ${money(layout.max)}`
+  svg.appendChild(axis)
+  return svg
+}
+
+function spendChart(dailySpend) {
+  const svg = svgElement("svg", { viewBox: `0 0 ${BARS.width} ${BARS.height}`, class: "balance-spend-chart", role: "img", "aria-label": "Spend per day" })
+  spendBars(dailySpend, BARS).forEach(bar => {
+    const rect = svgElement("rect", { x: bar.x, y: bar.y, width: bar.width, height: bar.height, class: "balance-spend-bar" })
+    rect.appendChild(svgTitle(`${formatDate(bar.date)}: ${money(bar.spent)}`))
+    svg.appendChild(rect)
+  })
+  return svg
+}
+
+function figure(label, value) {
+  const wrapper = element("div")
+  wrapper.append(element("div", "text-muted", label), element("div", "fw-medium", value))
+  return wrapper
+}
+
+function element(name, className = "", text = null) {
+  const node = document.createElement(name)
+  if (className) node.className = className
+  if (text !== null) node.textContent = text
+  return node
+}
+
+function svgElement(name, attributes) {
+  const node = document.createElementNS(SVG, name)
+  Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value))
+  return node
+}
+
+function svgTitle(text) {
+  const title = document.createElementNS(SVG, "title")
+  title.textContent = text
+  return title
+}
+
+const money = amount => `$${Number(amount).toFixed(2)}`
+
+// "2026-03-08" -> "Mar 8", read as a calendar date (not midnight UTC)
+function formatDate(isoDate) {
+  const [year, month, day] = isoDate.split("-").map(Number)
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: "short", day: "numeric" })
+}
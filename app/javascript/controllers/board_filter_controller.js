@@ -0,0 +1,255 @@
+// ============================================================================
+// Stimulus Controller: Board Filter (search + filter chips)
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Filters the kanban board in the browser — no request, no page load.
+// Every card is already on the page; we just hide the ones that don't
+// match (class "filtered-out").
+//
+// FILTERS (all combine with AND):
+//   search        title or description contains the text
+//   priority      any of the chosen priority chips
+//   dormant       not worked on in 7 days, or never (same as Task.dormant)
+//   today         last worked on today (browser's time zone)
+//   assignee      show one swim lane only
+//
+// The cards carry what we need as data attributes (tasks/_task_card):
+//   data-search="title description", data-priority, data-assignee,
+//   data-last-worked-on (ISO 8601, empty if never)
+//
+// URL STATE:
+// Filters are mirrored into the query string so a filtered board can be
+// bookmarked or shared:
+//   /tasks?q=deploy&priority=high,urgent&dormant=1&lane=sparky
+// We use history.replaceState (not pushState) so typing a search doesn't
+// add a Back-button entry per keystroke. `lane` is used instead of
+// `assignee` because tasks#index already filters ?assignee= on the server,
+// which would leave nothing for the toggle to bring back.
+//
+// CARDS ADDED LATER:
+// Broadcasts, drags and keyboard moves insert new card elements. A
+// MutationObserver watches the board and re-applies the filter whenever
+// a card is added or removed, then recounts.
+//
+// COMPARISON TO REACT:
+// - React: filter state in a hook, tasks.filter(...).map(render)
+// - Stimulus: the server rendered every card once; we toggle a class
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+
+// Matches Task.dormant (app/models/task.rb)
+const DORMANT_DAYS = 7
+// How long typing has to pause before the URL is updated
+const URL_DELAY = 300
+
+// Connects to data-controller="board-filter"
+export default class extends Controller {
+  static targets = ["query", "priority", "dormant", "today", "lane", "summary", "clear"]
+
+  connect() {
+    this.readUrl()
+    this.apply()
+
+    this.observer = new MutationObserver(records => {
+      if (records.some(record => this.touchesCards(record))) this.scheduleApply()
+    })
+    // The whole board, not each column, in case a stream swaps a column out
+    this.observer.observe(this.element, { childList: true, subtree: true })
+  }
+
+  disconnect() {
+    this.observer?.disconnect()
+    cancelAnimationFrame(this.frame)
+    clearTimeout(this.urlTimer)
+  }
+
+  // ==========================================================================
+  // ACTIONS
+  // ==========================================================================
+
+  // input->board-filter#update (search box)
+  update() {
+    this.apply()
+    clearTimeout(this.urlTimer)
+    this.urlTimer = setTimeout(() => this.writeUrl(), URL_DELAY)
+  }
+
+  // Chips and toggles are buttons with aria-pressed
+  toggle(event) {
+    const button = event.currentTarget
+    this.press(button, button.getAttribute("aria-pressed") !== "true")
+    this.changed()
+  }
+
+  // Assignee buttons behave like radio buttons
+  chooseLane(event) {
+    this.laneTargets.forEach(button => this.press(button, button === event.currentTarget))
+    this.changed()
+  }
+
+  clear() {
+    this.queryTarget.value = ""
+    this.priorityTargets.forEach(button => this.press(button, false))
+    this.press(this.dormantTarget, false)
+    this.press(this.todayTarget, false)
+    this.laneTargets.forEach(button => this.press(button, button.dataset.value === ""))
+    this.changed()
+  }
+
+  changed() {
+    this.apply()
+    this.writeUrl()
+  }
+
+  // ==========================================================================
+  // FILTERING
+  // ==========================================================================
+
+  get filters() {
+    return {
+      query: this.queryTarget.value.trim(),
+      priorities: this.priorityTargets.filter(button => this.pressed(button)).map(button => button.dataset.value),
+      dormant: this.pressed(this.dormantTarget),
+      today: this.pressed(this.todayTarget),
+      lane: this.laneTargets.find(button => this.pressed(button))?.dataset.value || ""
+    }
+  }
+
+  get active() {
+    const { query, priorities, dormant, today, lane } = this.filters
+    return Boolean(query || priorities.length || dormant || today || lane)
+  }
+
+  matches(card, { query, priorities, dormant, today, lane }) {
+    if (query && !(card.dataset.search || "").toLowerCase().includes(query.toLowerCase())) return false
+    if (priorities.length && !priorities.includes(card.dataset.priority)) return false
+    if (lane && card.dataset.assignee !== lane) return false
+
+    const lastWorked = card.dataset.lastWorkedOn ? new Date(card.dataset.lastWorkedOn) : null
+    if (dormant && lastWorked && Date.now() - lastWorked < DORMANT_DAYS * 86400000) return false
+    if (today && !(lastWorked && lastWorked.toDateString() === new Date().toDateString())) return false
+
+    return true
+  }
+
+  apply() {
+    const filters = this.filters
+    let shown = 0
+    let total = 0
+    let deselected = false
+
+    this.element.querySelectorAll(".task-card").forEach(card => {
+      const visible = this.matches(card, filters)
+      card.classList.toggle("filtered-out", !visible)
+      total += 1
+      if (visible) shown += 1
+
+      // Bulk actions shouldn't touch cards you can't see
+      if (!visible && card.classList.contains("selected")) {
+        card.classList.remove("selected")
+        card.setAttribute("aria-selected", "false")
+        deselected = true
+      }
+    })
+
+    this.element.querySelectorAll(".swim-lane").forEach(lane => {
+      lane.hidden = Boolean(filters.lane) && lane.dataset.assignee !== filters.lane
+    })
+
+    this.updateCounts()
+    this.updateSummary(shown, total)
+    if (deselected) this.element.dispatchEvent(new CustomEvent("board-selection:changed"))
+  }
+
+  // "3 of" next to each column's total while a filter is on.
+  // The total badge itself belongs to sortable_controller.js and the
+  // Turbo Stream count updates, so we write into a separate span.
+  updateCounts() {
+    const active = this.active
+    this.element.querySelectorAll(".kanban-column").forEach(column => {
+      const match = column.querySelector(".column-match")
+      if (!match) return
+
+      const cards = column.querySelectorAll(".task-card")
+      const shown = column.querySelectorAll(".task-card:not(.filtered-out)").length
+      match.hidden = !active
+      match.textContent = active ? `${shown} of` : ""
+      match.title = active ? `${shown} of ${cards.length} tasks match the filter` : ""
+    })
+  }
+
+  updateSummary(shown, total) {
+    const active = this.active
+    if (this.hasSummaryTarget) {
+      this.summaryTarget.textContent = active ? `Showing ${shown} of ${total} tasks` : ""
+    }
+    if (this.hasClearTarget) this.clearTarget.hidden = !active
+  }
+
+  // ==========================================================================
+  // CARDS ADDED/REMOVED AFTER LOAD
+  // ==========================================================================
+
+  touchesCards(record) {
+    const isCard = node => node.nodeType === Node.ELEMENT_NODE &&
+      (node.classList.contains("task-card") || node.querySelector?.(".task-card"))
+    return [...record.addedNodes, ...record.removedNodes].some(isCard)
+  }
+
+  // Many mutations arrive together (remove + insert + count update);
+  // filter once per frame
+  scheduleApply() {
+    cancelAnimationFrame(this.frame)
+    this.frame = requestAnimationFrame(() => this.apply())
+  }
+
+  // ==========================================================================
+  // URL <-> CONTROLS
+  // ==========================================================================
+
+  readUrl() {
+    const params = new URLSearchParams(window.location.search)
+    const priorities = (params.get("priority") || "").split(",")
+
+    this.queryTarget.value = params.get("q") || ""
+    this.priorityTargets.forEach(button => this.press(button, priorities.includes(button.dataset.value)))
+    this.press(this.dormantTarget, params.get("dormant") === "1")
+    this.press(this.todayTarget, params.get("today") === "1")
+
+    const lane = params.get("lane") || ""
+    const known = this.laneTargets.some(button => button.dataset.value === lane)
+    this.laneTargets.forEach(button => this.press(button, button.dataset.value === (known ? lane : "")))
+  }
+
+  writeUrl() {
+    const { query, priorities, dormant, today, lane } = this.filters
+    const url = new URL(window.location.href)
+    const set = (key, value) => value ? url.searchParams.set(key, value) : url.searchParams.delete(key)
+
+    set("q", query)
+    set("priority", priorities.join(","))
+    set("dormant", dormant && "1")
+    set("today", today && "1")
+    set("lane", lane)
+
+    // Keep Turbo's history state so Back/Forward still work
+    window.history.replaceState(window.history.state, "", url)
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  pressed(button) {
+    return button.getAttribute("aria-pressed") === "true"
+  }
+
+  press(button, on) {
+    button.setAttribute("aria-pressed", on ? "true" : "false")
+    button.classList.toggle("active", on)
+  }
+}
@@ -0,0 +1,326 @@
+// ============================================================================
+// Stimulus Controller: Board Keyboard
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Full keyboard operation for the kanban board, for accessibility and for
+// people who'd rather not reach for the mouse.
+//
+// SHORTCUTS (when a card has focus):
+//   ↑ / ↓            previous / next card (continues into the other lane)
+//   ← / →            same row in the previous / next column
+//   Home / End       first / last card in the column
+//   Shift + ← / →    move the card to the previous / next status
+//   Shift + ↑ / ↓    move the card to the other assignee's swim lane
+//   Enter            open the task
+//   e                edit the task
+//   x                archive the task
+//   (F2 and P are handled by inline_edit_controller.js on the card itself)
+//
+// HOW MOVES WORK:
+// We don't re-implement moving. Shift+arrows submit the same button_to
+// forms the chevron buttons on each card use, so Turbo sends the request
+// and applies the turbo-stream response (remove + prepend) exactly as it
+// does for a click.
+//
+// KEEPING FOCUS:
+// That remove/prepend throws away the focused card and inserts a new copy,
+// and the browser drops focus to <body>. We watch turbo:before-stream-render:
+// when a stream removes the focused card we remember its id, and once a
+// stream puts it back we focus the new copy. If it never comes back
+// (archived, or moved off this board) we focus a neighbor instead.
+//
+// ANNOUNCEMENTS:
+// Screen readers can't "see" a card jump columns, so every move is also
+// written to an aria-live region (#board-announcer).
+//
+// COMPARISON TO NODE.JS/VANILLA JS:
+// - Vanilla: document.addEventListener('keydown', ...) with a big switch and
+//   manual cleanup when the page changes
+// - Stimulus: data-action="keydown->board-keyboard#handleKey" on the board;
+//   the listener goes away with the element
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { request } from "lib/request"
+
+// How long to wait for a removed card to come back before focusing a neighbor
+const REFOCUS_TIMEOUT = 1500
+
+// Connects to data-controller="board-keyboard"
+export default class extends Controller {
+  static targets = ["announcer"]
+
+  static values = {
+    apiUrl: { type: String, default: "/api/tasks" }
+  }
+
+  connect() {
+    // { id, fallbackId, message } while a focused card is being re-rendered
+    this.refocus = null
+
+    this.beforeStreamRender = this.beforeStreamRender.bind(this)
+    document.addEventListener("turbo:before-stream-render", this.beforeStreamRender)
+  }
+
+  disconnect() {
+    document.removeEventListener("turbo:before-stream-render", this.beforeStreamRender)
+    clearTimeout(this.refocusTimer)
+  }
+
+  // ==========================================================================
+  // KEY HANDLING
+  // ==========================================================================
+
+  handleKey(event) {
+    const card = event.target
+    // Only when the card itself has focus — inner links and buttons keep
+    // their normal Enter/arrow behavior
+    if (!card.classList?.contains("task-card")) return
+    if (event.ctrlKey || event.metaKey || event.altKey) return
+
+    const action = this.actionFor(event)
+    if (!action) return
+
+    event.preventDefault()
+    action(card)
+  }
+
+  actionFor(event) {
+    if (event.shiftKey) {
+      switch (event.key) {
+        case "ArrowLeft": return card => this.moveStatus(card, "left")
+        case "ArrowRight": return card => this.moveStatus(card, "right")
+        case "ArrowUp":
+        case "ArrowDown": return card => this.moveLane(card)
+        default: return null
+      }
+    }
+
+    switch (event.key) {
+      case "ArrowUp": return card => this.focusVertical(card, -1)
+      case "ArrowDown": return card => this.focusVertical(card, 1)
+      case "ArrowLeft": return card => this.focusHorizontal(card, -1)
+      case "ArrowRight": return card => this.focusHorizontal(card, 1)
+      case "Home": return card => this.focusCard(this.cardsIn(this.columnOf(card))[0])
+      case "End": return card => this.focusCard(this.cardsIn(this.columnOf(card)).at(-1))
+      case "Enter": return card => this.visit(`/tasks/${card.dataset.id}`)
+      case "e":
+      case "E": return card => this.visit(`/tasks/${card.dataset.id}/edit`)
+      case "x":
+      case "X": return card => this.archive(card)
+      default: return null
+    }
+  }
+
+  // ==========================================================================
+  // FOCUS MOVEMENT
+  // ==========================================================================
+
+  // Next/previous card in the column. Past the end, continue into the
+  // same column of the next/previous swim lane.
+  focusVertical(card, step) {
+    const column = this.columnOf(card)
+    const cards = this.cardsIn(column)
+    const index = cards.indexOf(card) + step
+
+    if (index >= 0 && index < cards.length) {
+      this.focusCard(cards[index])
+      return
+    }
+
+    const lanes = this.columnsByLane()
+    const laneIndex = lanes.findIndex(columns => columns.includes(column))
+    const otherLane = lanes[laneIndex + step]
+    if (!otherLane) return
+
+    const sameStatus = otherLane.find(other => other.dataset.status === column.dataset.status)
+    const otherCards = this.cardsIn(sameStatus)
+    this.focusCard(step > 0 ? otherCards[0] : otherCards.at(-1))
+  }
+
+  // Same row in the nearest column to the left/right that has cards
+  focusHorizontal(card, step) {
+    const column = this.columnOf(card)
+    const row = this.cardsIn(column).indexOf(card)
+    const lane = this.columnsByLane().find(columns => columns.includes(column))
+
+    for (let i = lane.indexOf(column) + step; i >= 0 && i < lane.length; i += step) {
+      const cards = this.cardsIn(lane[i])
+      if (cards.length > 0) {
+        this.focusCard(cards[Math.min(row, cards.length - 1)])
+        return
+      }
+    }
+  }
+
+  focusCard(card) {
+    if (!card) return
+    card.focus()
+    card.scrollIntoView({ block: "nearest", inline: "nearest" })
+  }
+
+  // ==========================================================================
+  // MOVES
+  // ==========================================================================
+
+  moveStatus(card, direction) {
+    const form = card.querySelector(`form[action$="/move_${direction}"]`)
+    if (!form) {
+      this.announce(direction === "left" ? "Already in the first column." : "Already in the last column.")
+      return
+    }
+
+    const button = form.querySelector("button")
+    const target = (button?.title || "").replace(/[←→]/g, "").trim()
+    this.submitMove(card, form, `Moved task #${card.dataset.id} to ${target}.`)
+  }
+
+  moveLane(card) {
+    const form = card.querySelector('form[action$="/move_lane"]')
+    if (!form) return
+
+    const target = (form.querySelector("button")?.title || "").replace(/^Move to /, "")
+    this.submitMove(card, form, `Moved task #${card.dataset.id} to ${target}'s lane.`)
+  }
+
+  // Submit the card's own button_to form; Turbo does the rest
+  submitMove(card, form, message) {
+    this.expectRefocus(card, message)
+    form.requestSubmit()
+  }
+
+  // Archive through the API (same call as the trash button, minus the
+  // confirm dialog — archived tasks can be restored)
+  async archive(card) {
+    const id = card.dataset.id
+    this.expectRefocus(card, `Archived task #${id}. Press Control+Z to undo.`)
+
+    try {
+      const response = await request(`${this.apiUrlValue}/${id}`, {
+        method: "DELETE",
+        accept: "text/vnd.turbo-stream.html"
+      })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      if (response.status === 202) {
+        // Offline: the service worker queued it (offline_sync_controller)
+        this.refocus = null
+        this.announce(`Task #${id} will be archived when you're back online.`)
+        return
+      }
+
+      Turbo.renderStreamMessage(await response.text())
+      document.dispatchEvent(new CustomEvent("undo:register", { detail: {
+        label: `Archived task #${id}`,
+        steps: [{ taskId: id, body: { restore: true } }]
+      }}))
+    } catch (error) {
+      console.error("Error archiving task:", error)
+      this.refocus = null
+      this.announce(`Could not archive task #${id}.`)
+    }
+  }
+
+  visit(url) {
+    Turbo.visit(url)
+  }
+
+  // ==========================================================================
+  // FOCUS RESTORE AFTER TURBO STREAMS
+  // ==========================================================================
+
+  expectRefocus(card, message) {
+    const cards = this.cardsIn(this.columnOf(card))
+    const index = cards.indexOf(card)
+    const fallback = cards[index + 1] || cards[index - 1]
+
+    this.refocus = { id: card.id, fallbackId: fallback?.id, message }
+  }
+
+  beforeStreamRender(event) {
+    const stream = event.target
+    const action = stream.getAttribute("action")
+    const target = stream.getAttribute("target")
+
+    // A stream is about to remove the card that has focus (a click on a
+    // chevron, or someone else moving it) — remember to bring focus back
+    if (action === "remove" && target && !this.refocus) {
+      const card = document.getElementById(target)
+      if (card?.classList.contains("task-card") && card.contains(document.activeElement)) {
+        this.expectRefocus(card, null)
+      }
+    }
+
+    if (!this.refocus) return
+
+    const render = event.detail.render
+    event.detail.render = async (streamElement) => {
+      await render(streamElement)
+      this.restoreFocus()
+    }
+  }
+
+  restoreFocus() {
+    if (!this.refocus) return
+
+    const card = document.getElementById(this.refocus.id)
+    if (card) {
+      const { message } = this.refocus
+      this.refocus = null
+      clearTimeout(this.refocusTimer)
+      this.focusCard(card)
+      if (message) this.announce(message)
+      return
+    }
+
+    // Removed but not back yet: give the rest of the response a moment,
+    // then settle for a neighbor
+    clearTimeout(this.refocusTimer)
+    this.refocusTimer = setTimeout(() => {
+      if (!this.refocus) return
+      const { fallbackId, message } = this.refocus
+      this.refocus = null
+      this.focusCard(fallbackId && document.getElementById(fallbackId))
+      if (message) this.announce(message)
+    }, REFOCUS_TIMEOUT)
+  }
+
+  // ==========================================================================
+  // ANNOUNCEMENTS
+  // ==========================================================================
+
+  announce(message) {
+    if (!this.hasAnnouncerTarget) return
+    // Clear first so repeating the same message is still announced
+    this.announcerTarget.textContent = ""
+    setTimeout(() => { this.announcerTarget.textContent = message }, 50)
+  }
+
+  // ==========================================================================
+  // DOM HELPERS
+  // ==========================================================================
+
+  columnOf(card) {
+    return card.closest(".kanban-column")
+  }
+
+  // Cards hidden by the board filter are skipped
+  cardsIn(column) {
+    if (!column) return []
+    return Array.from(column.querySelectorAll(".task-card:not(.filtered-out)"))
+  }
+
+  // [[sparky columns...], [mechdog columns...], ...] - one list per swim lane, in page order
+  columnsByLane() {
+    const lanes = new Map()
+    this.element.querySelectorAll(".kanban-column").forEach(column => {
+      const assignee = column.dataset.assignee
+      if (!lanes.has(assignee)) lanes.set(assignee, [])
+      lanes.get(assignee).push(column)
+    })
+    return Array.from(lanes.values())
+  }
+}
@@ -0,0 +1,274 @@
+// ============================================================================
+// Stimulus Controller: Board Selection (multi-select + bulk actions)
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Lets you select several cards and change them all at once.
+//
+// SELECTING:
+//   Ctrl/⌘ + click   add or remove one card
+//   Shift + click    select every card between the last clicked card and
+//                    this one (same column)
+//   Space            toggle the focused card (keyboard users)
+//   Escape           clear the selection
+//
+// Selected cards get the `selected` class and aria-selected="true".
+// The selection lives in the DOM, not in a JS array — if a Turbo Stream
+// replaces a card, its selection simply goes away with it.
+//
+// BULK ACTIONS:
+// The floating bar (tasks/index) sends ONE request to POST /api/tasks/batch
+// for the whole selection. The server answers with a result per task, so
+// if 2 of 5 fail we can say which ones and keep them selected for a retry.
+// Successful changes come back to every board (this one included) as
+// Action Cable broadcasts.
+//
+// Each bulk action can be undone from its toast or with Ctrl+Z: we note
+// every card's status/assignee/priority and spot in its column before
+// sending, and hand that to undo_controller.js.
+//
+// Dragging one selected card drags them all — see the multi-drag part of
+// sortable_controller.js.
+//
+// COMPARISON TO REACT:
+// - React: const [selected, setSelected] = useState(new Set()) and
+//   re-render every card with an isSelected prop
+// - Stimulus: toggle a class on the card element; CSS does the rest
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { request } from "lib/request"
+import { showToast } from "lib/toast"
+
+// Connects to data-controller="board-selection"
+export default class extends Controller {
+  static targets = ["bar", "count"]
+
+  static values = {
+    batchUrl: { type: String, default: "/api/tasks/batch" }
+  }
+
+  connect() {
+    // Last card clicked, the start of a Shift+click range
+    this.anchor = null
+
+    // Streams can remove or replace selected cards; recount afterwards
+    this.refreshSoon = () => setTimeout(() => this.refresh(), 0)
+    document.addEventListener("turbo:before-stream-render", this.refreshSoon)
+  }
+
+  disconnect() {
+    document.removeEventListener("turbo:before-stream-render", this.refreshSoon)
+  }
+
+  // ==========================================================================
+  // SELECTING
+  // ==========================================================================
+
+  // Runs in the capture phase (click->board-selection#click:capture) so we
+  // can stop the card's stretched link from opening the task
+  click(event) {
+    const card = event.target.closest(".task-card")
+    if (!card) return
+    if (!(event.ctrlKey || event.metaKey || event.shiftKey)) return
+    // Modifier-clicks on the card's own buttons keep their meaning
+    if (event.target.closest("button, form, select, input")) return
+
+    event.preventDefault()
+    event.stopPropagation()
+
+    if (event.shiftKey && this.anchor && this.anchor.isConnected) {
+      this.selectRange(this.anchor, card)
+    } else {
+      this.toggle(card)
+    }
+
+    this.anchor = card
+    this.refresh()
+  }
+
+  keydown(event) {
+    if (event.key === "Escape" && this.selectedCards().length > 0) {
+      this.clear()
+      return
+    }
+
+    if (event.key === " " && event.target.classList?.contains("task-card")) {
+      event.preventDefault()
+      this.toggle(event.target)
+      this.anchor = event.target
+      this.refresh()
+    }
+  }
+
+  toggle(card, selected = !card.classList.contains("selected")) {
+    card.classList.toggle("selected", selected)
+    card.setAttribute("aria-selected", selected ? "true" : "false")
+  }
+
+  // Everything between two cards in the same column (inclusive)
+  selectRange(from, to) {
+    const column = to.closest(".kanban-column")
+    if (from.closest(".kanban-column") !== column) {
+      this.toggle(to, true)
+      return
+    }
+
+    // Only what the board filter leaves visible
+    const cards = Array.from(column.querySelectorAll(".task-card:not(.filtered-out)"))
+    const [start, end] = [cards.indexOf(from), cards.indexOf(to)].sort((a, b) => a - b)
+    cards.slice(start, end + 1).forEach(card => this.toggle(card, true))
+  }
+
+  clear() {
+    this.selectedCards().forEach(card => {
+      this.toggle(card, false)
+      card.classList.remove("bulk-failed")
+      card.removeAttribute("title")
+    })
+    this.anchor = null
+    this.refresh()
+  }
+
+  selectedCards() {
+    return Array.from(this.element.querySelectorAll(".task-card.selected"))
+  }
+
+  // Show/hide the bar and update "3 selected"
+  refresh() {
+    const count = this.selectedCards().length
+    if (this.hasBarTarget) this.barTarget.hidden = count === 0
+    if (this.hasCountTarget) this.countTarget.textContent = `${count} selected`
+  }
+
+  // ==========================================================================
+  // BULK ACTIONS
+  // ==========================================================================
+
+  // One <select> per field: data-field="status|assignee|priority"
+  applyChange(event) {
+    const select = event.target
+    const value = select.value
+    select.value = ""
+    if (!value) return
+
+    this.runBatch({ changes: { [select.dataset.field]: value } }, `${select.dataset.field} set to ${value}`)
+  }
+
+  archive() {
+    this.runBatch({ archive: true }, "archived")
+  }
+
+  async runBatch(body, verb) {
+    const cards = this.selectedCards()
+    if (cards.length === 0) return
+
+    this.barTarget.setAttribute("aria-busy", "true")
+    const before = new Map(cards.map(card => [card.dataset.id, this.snapshot(card)]))
+
+    try {
+      const response = await request(this.batchUrlValue, {
+        method: "POST",
+        json: { ids: cards.map(card => card.dataset.id), ...body }
+      })
+
+      const result = await response.json()
+      if (!Array.isArray(result.results)) {
+        throw new Error(result.error || `HTTP ${response.status}`)
+      }
+
+      this.showResults(result)
+      this.registerUndo(result, body, before, verb)
+    } catch (error) {
+      console.error("❌ Bulk update failed:", error)
+      this.showNotification(`Bulk update failed: ${error.message}`, "danger")
+    } finally {
+      this.barTarget.removeAttribute("aria-busy")
+    }
+  }
+
+  // Deselect what worked, flag what didn't
+  showResults({ succeeded, failed, results }) {
+    const failures = []
+
+    results.forEach(({ id, ok, errors }) => {
+      const card = this.element.querySelector(`.task-card[data-id="${id}"]`)
+      if (ok) {
+        if (card) this.toggle(card, false)
+        return
+      }
+
+      failures.push(`#${id}: ${errors.join(", ")}`)
+      if (card) {
+        card.classList.add("bulk-failed")
+        card.title = errors.join(", ")
+      }
+    })
+
+    this.refresh()
+
+    // All good: the Undo toast (registerUndo) is the confirmation
+    if (failed > 0) {
+      this.showNotification(
+        `${succeeded} updated, ${failed} failed — ${failures.join("; ")}`,
+        succeeded === 0 ? "danger" : "warning"
+      )
+    }
+
+    // Successful changes arrive as Action Cable broadcasts. If this page
+    // isn't connected to the stream, reload the board to show them.
+    if (succeeded > 0 && !document.querySelector("turbo-cable-stream-source[connected]")) {
+      Turbo.visit(window.location.href, { action: "replace" })
+    }
+  }
+
+  // ==========================================================================
+  // UNDO
+  // ==========================================================================
+
+  snapshot(card) {
+    const column = card.closest(".kanban-column")
+    return {
+      status: card.dataset.status,
+      assignee: card.dataset.assignee,
+      priority: card.dataset.priority,
+      position: Array.from(column?.querySelectorAll(".task-card") || []).indexOf(card)
+    }
+  }
+
+  // One undo entry for the whole batch; only the tasks that changed
+  registerUndo({ results }, { changes, archive }, before, verb) {
+    const fields = Object.keys(changes || {})
+    const moved = fields.includes("status") || fields.includes("assignee")
+
+    const steps = results
+      .filter(({ ok }) => ok)
+      .map(({ id }) => ({ taskId: String(id), previous: before.get(String(id)) }))
+      .filter(({ previous }) => previous)
+      // Top of each column first, so the saved positions still line up
+      .sort((a, b) => a.previous.position - b.previous.position)
+      .map(({ taskId, previous }) => {
+        if (archive) return { taskId, body: { restore: true } }
+
+        const revert = Object.fromEntries(fields.map(field => [field, previous[field]]))
+        return { taskId, body: moved ? { revert, position: previous.position } : { revert } }
+      })
+
+    if (steps.length === 0) return
+    document.dispatchEvent(new CustomEvent("undo:register", { detail: {
+      label: `${steps.length} task${steps.length === 1 ? "" : "s"} ${verb}`,
+      steps
+    }}))
+  }
+
+  // ==========================================================================
+  // UI HELPERS
+  // ==========================================================================
+
+  // Bootstrap toast, same look as the drag-and-drop notifications
+  showNotification(message, type = "info") {
+    showToast(message, type, { delay: 6000 })
+  }
+}
@@ -0,0 +1,470 @@
+// ============================================================================
+// Stimulus Controller: Command Palette (Ctrl+K / ⌘K)
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// One search box for getting anywhere: tasks (active and archived), quick
+// notes, config files, plus actions like "New task for Sparky" or
+// "Toggle theme".
+//
+// KEYS (while open):
+//   ↑ / ↓      move through the results
+//   Enter      open the result / run the action
+//   Tab / →    on a task: show what you can do with it (move, archive...)
+//   ← / Esc    back out of a task's actions / close
+//
+// WHERE RESULTS COME FROM:
+// - Tasks, notes and config files: GET /api/search?q=... (ranked on the
+//   server by CommandSearch, app/services/command_search.rb)
+// - Actions: defined here, matched with the same kind of fuzzy score
+// - Empty box: the things you picked recently (localStorage) + actions
+//
+// Task actions go through the same API as the board (PATCH/DELETE
+// /api/tasks/:id) and register an undo with undo_controller.js, so a
+// move from the palette shows the usual Undo toast.
+//
+// The "Move to ..." and "New task for ..." actions follow the workflow's
+// columns and swim lanes, which the layout passes in as
+// [{ key, name }] (data-command-palette-statuses-value / -assignees-value).
+//
+// COMPARISON TO REACT:
+// - React: a <CommandPalette> component with results in state, mounted in
+//   the app root, re-rendering the list on every keystroke
+// - Stimulus: the modal markup is in the layout; we rebuild a <ul>
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { requestJSON } from "lib/request"
+import { showToast } from "lib/toast"
+
+const RECENT_KEY = "kanban-command-palette-recent"
+const RECENT_LIMIT = 8
+// Wait this long after typing stops before asking the server
+const SEARCH_DELAY = 150
+
+// Same idea as CommandSearch.score: substring beats letters-in-order,
+// earlier/at-the-start beats later. 0 = no match.
+function fuzzyScore(query, text) {
+  query = query.toLowerCase()
+  text = (text || "").toLowerCase()
+  if (!query || !text) return 0
+
+  const index = text.indexOf(query)
+  if (index >= 0) return 100 - Math.min(index, 30) + (index === 0 ? 20 : 0)
+
+  let points = 0
+  let last = -2
+  for (const char of query) {
+    const found = text.indexOf(char, last + 1)
+    if (found < 0) return 0
+    points += found === last + 1 ? 3 : 1
+    last = found
+  }
+  return Math.round(50 * points / (3 * query.length))
+}
+
+// Connects to data-controller="command-palette"
+export default class extends Controller {
+  static targets = ["modal", "input", "list", "hint"]
+
+  static values = {
+    searchUrl: { type: String, default: "/api/search" },
+    apiUrl: { type: String, default: "/api/tasks" },
+    assignees: Array,
+    statuses: Array,
+    admin: Boolean
+  }
+
+  connect() {
+    this.results = []
+    this.activeIndex = 0
+    // The task whose actions are listed (Tab on a task), or null
+    this.taskMenu = null
+
+    this.modal = bootstrap.Modal.getOrCreateInstance(this.modalTarget)
+    // The navbar button opens the modal through data-bs-toggle, so reset
+    // on Bootstrap's events rather than in open()
+    this.onShow = () => this.reset()
+    this.onShown = () => this.inputTarget.focus()
+    this.modalTarget.addEventListener("show.bs.modal", this.onShow)
+    this.modalTarget.addEventListener("shown.bs.modal", this.onShown)
+  }
+
+  disconnect() {
+    this.modalTarget.removeEventListener("show.bs.modal", this.onShow)
+    this.modalTarget.removeEventListener("shown.bs.modal", this.onShown)
+    clearTimeout(this.searchTimer)
+    this.searchAbort?.abort()
+    this.modal.dispose()
+  }
+
+  // ==========================================================================
+  // OPEN / CLOSE
+  // ==========================================================================
+
+  // keydown@document->command-palette#keydown
+  keydown(event) {
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "k") {
+      event.preventDefault()
+      this.open()
+    }
+  }
+
+  open() {
+    this.modal.show()
+  }
+
+  reset() {
+    this.inputTarget.value = ""
+    this.taskMenu = null
+    this.showDefaults()
+  }
+
+  close() {
+    this.modal.hide()
+  }
+
+  // ==========================================================================
+  // SEARCHING
+  // ==========================================================================
+
+  // input->command-palette#search
+  search() {
+    this.taskMenu = null
+    const query = this.inputTarget.value.trim()
+    clearTimeout(this.searchTimer)
+
+    if (!query) {
+      this.showDefaults()
+      return
+    }
+
+    // Actions match instantly; server results follow
+    this.render(this.matchingActions(query))
+    this.searchTimer = setTimeout(() => this.fetchResults(query), SEARCH_DELAY)
+  }
+
+  async fetchResults(query) {
+    // Only the latest keystroke's request matters
+    this.searchAbort?.abort()
+    this.searchAbort = new AbortController()
+
+    try {
+      const url = `${this.searchUrlValue}?q=${encodeURIComponent(query)}`
+      const { results } = await requestJSON(url, { signal: this.searchAbort.signal })
+      if (this.inputTarget.value.trim() !== query) return
+
+      const merged = [...results, ...this.matchingActions(query)].sort((a, b) => b.score - a.score)
+      this.render(merged)
+    } catch (error) {
+      if (error.name !== "AbortError") console.error("Command palette search failed:", error)
+    }
+  }
+
+  showDefaults() {
+    const recent = this.readRecent().map(item => ({ ...item, recent: true }))
+    this.render([...recent, ...this.actions()])
+  }
+
+  matchingActions(query) {
+    return this.actions()
+      .map(action => ({ ...action, score: Math.max(fuzzyScore(query, action.title), fuzzyScore(query, action.keywords)) }))
+      .filter(action => action.score > 0)
+  }
+
+  // ==========================================================================
+  // ACTIONS
+  // ==========================================================================
+
+  actions() {
+    const actions = [
+      { title: "New task", keywords: "create add", icon: "bi-plus-lg", url: "/tasks/new" },
+      ...this.assigneesValue.map(({ key, name }) => ({
+        title: `New task for ${name}`,
+        keywords: `create add ${key}`,
+        icon: "bi-plus-lg",
+        url: `/tasks/new?assignee=${encodeURIComponent(key)}`
+      })),
+      { title: "New quick note", keywords: "create add note", icon: "bi-journal-plus", url: "/quick_notes/new" },
+      { title: "Refresh balances", keywords: "ai provider credits", icon: "bi-arrow-clockwise", run: () => this.refreshBalances() },
+      { title: "Toggle theme", keywords: "dark light mode", icon: "bi-circle-half", run: () => this.toggleTheme() },
+      { title: "Go to board", keywords: "kanban tasks home", icon: "bi-kanban", url: "/tasks" },
+      { title: "Go to archived tasks", keywords: "archive restore", icon: "bi-archive", url: "/tasks/archived" },
+      { title: "Go to quick notes", keywords: "notes", icon: "bi-journal-text", url: "/quick_notes" },
+      { title: "Go to config files", keywords: "settings soul agents", icon: "bi-file-earmark-text", url: "/config" }
+    ]
+    if (this.adminValue) {
+      actions.push({ title: "Go to users", keywords: "admin people accounts", icon: "bi-people", url: "/users" })
+    }
+    return actions.map(action => ({ type: "action", subtitle: "Action", score: 0, ...action }))
+  }
+
+  // What you can do with one task (Tab/→ on a task result)
+  taskActions(task) {
+    const actions = [
+      { title: "Open", icon: "bi-box-arrow-up-right", url: task.url },
+      { title: "Edit", icon: "bi-pencil", url: `${task.url}/edit` }
+    ]
+
+    if (task.archived) {
+      actions.push({ title: "Restore to the board", icon: "bi-arrow-counterclockwise", run: () => this.restoreTask(task) })
+    } else {
+      this.addMoveActions(actions, task)
+    }
+
+    return actions.map(action => ({ type: "action", subtitle: `#${task.id} ${task.title}`, ...action }))
+  }
+
+  addMoveActions(actions, task) {
+    this.statusesValue
+      .filter(({ key }) => key !== task.status)
+      .forEach(({ key, name }) => actions.push({
+        title: `Move to ${name}`,
+        icon: "bi-arrow-right",
+        run: () => this.updateTask(task, { status: key })
+      }))
+    this.assigneesValue
+      .filter(({ key }) => key !== task.assignee)
+      .forEach(({ key, name }) => actions.push({
+        title: `Move to ${name}'s lane`,
+        icon: "bi-arrow-down-up",
+        run: () => this.updateTask(task, { assignee: key })
+      }))
+    actions.push({ title: "Archive", icon: "bi-archive", run: () => this.archiveTask(task) })
+  }
+
+  // ==========================================================================
+  // KEYBOARD NAVIGATION
+  // ==========================================================================
+
+  // keydown->command-palette#navigate (on the input)
+  navigate(event) {
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault()
+        this.highlight(this.activeIndex + 1)
+        break
+      case "ArrowUp":
+        event.preventDefault()
+        this.highlight(this.activeIndex - 1)
+        break
+      case "Enter":
+        event.preventDefault()
+        this.pick(this.results[this.activeIndex])
+        break
+      case "Tab":
+      case "ArrowRight": {
+        const result = this.results[this.activeIndex]
+        if (result?.type !== "task") return
+        // → only takes over when the caret is at the end of the text
+        if (event.key === "ArrowRight" && this.inputTarget.selectionStart < this.inputTarget.value.length) return
+        event.preventDefault()
+        this.openTaskMenu(result)
+        break
+      }
+      case "ArrowLeft":
+      case "Escape":
+        if (!this.taskMenu) return
+        event.preventDefault()
+        // Esc backs out of the task's actions instead of closing the modal
+        event.stopPropagation()
+        this.taskMenu = null
+        this.search()
+        break
+    }
+  }
+
+  openTaskMenu(task) {
+    this.taskMenu = task
+    this.render(this.taskActions(task))
+  }
+
+  // click->command-palette#choose (on a result)
+  choose(event) {
+    const index = Number(event.currentTarget.dataset.index)
+    const result = this.results[index]
+    if (event.target.closest("[data-task-menu]")) {
+      this.openTaskMenu(result)
+      this.inputTarget.focus()
+    } else {
+      this.pick(result)
+    }
+  }
+
+  pick(result) {
+    if (!result) return
+
+    if (result.type !== "action") this.remember(result)
+    this.close()
+
+    if (result.run) {
+      result.run()
+    } else if (result.url) {
+      Turbo.visit(result.url)
+    }
+  }
+
+  // ==========================================================================
+  // RENDERING
+  // ==========================================================================
+
+  render(results) {
+    this.results = results
+    this.listTarget.replaceChildren(...results.map((result, index) => this.renderResult(result, index)))
+
+    if (results.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = "list-group-item text-muted small"
+      empty.textContent = "No matches"
+      this.listTarget.append(empty)
+    }
+
+    if (this.hasHintTarget) {
+      this.hintTarget.textContent = this.taskMenu
+        ? "Enter to run · ← to go back · Esc to close"
+        : "↑↓ to move · Enter to open · Tab for task actions · Esc to close"
+    }
+    this.highlight(0)
+  }
+
+  renderResult(result, index) {
+    const item = document.createElement("li")
+    item.className = "list-group-item list-group-item-action d-flex align-items-center gap-2"
+    item.id = `command-palette-result-${index}`
+    item.setAttribute("role", "option")
+    item.dataset.index = index
+    item.dataset.action = "click->command-palette#choose"
+
+    const icon = document.createElement("i")
+    icon.className = `bi ${result.icon || this.iconFor(result)} text-muted`
+
+    const text = document.createElement("div")
+    text.className = "flex-grow-1 text-truncate"
+    const title = document.createElement("div")
+    title.className = "text-truncate"
+    title.textContent = result.title
+    const subtitle = document.createElement("small")
+    subtitle.className = "text-muted"
+    subtitle.textContent = result.recent ? `Recent · ${result.subtitle || ""}` : (result.subtitle || "")
+    text.append(title, subtitle)
+
+    item.append(icon, text)
+
+    if (result.type === "task") {
+      const menu = document.createElement("span")
+      menu.className = "badge text-bg-light border"
+      menu.dataset.taskMenu = ""
+      menu.title = "Task actions (Tab)"
+      menu.textContent = "⋯"
+      item.append(menu)
+    }
+    return item
+  }
+
+  iconFor(result) {
+    switch (result.type) {
+      case "task": return result.archived ? "bi-archive" : "bi-card-checklist"
+      case "note": return "bi-journal-text"
+      case "config": return "bi-file-earmark-text"
+      default: return "bi-lightning"
+    }
+  }
+
+  highlight(index) {
+    const items = this.listTarget.querySelectorAll("[role=option]")
+    if (items.length === 0) {
+      this.inputTarget.removeAttribute("aria-activedescendant")
+      return
+    }
+
+    this.activeIndex = (index + items.length) % items.length
+    items.forEach((item, i) => {
+      const active = i === this.activeIndex
+      item.classList.toggle("active", active)
+      item.setAttribute("aria-selected", active ? "true" : "false")
+      if (active) item.scrollIntoView({ block: "nearest" })
+    })
+    this.inputTarget.setAttribute("aria-activedescendant", items[this.activeIndex].id)
+  }
+
+  // ==========================================================================
+  // RECENT ITEMS (localStorage)
+  // ==========================================================================
+
+  readRecent() {
+    try {
+      return JSON.parse(localStorage.getItem(RECENT_KEY)) || []
+    } catch {
+      return []
+    }
+  }
+
+  remember(result) {
+    const { type, id, title, subtitle, url, status, assignee, archived } = result
+    const recent = this.readRecent().filter(item => !(item.type === type && item.id === id))
+    recent.unshift({ type, id, title, subtitle, url, status, assignee, archived })
+    localStorage.setItem(RECENT_KEY, JSON.stringify(recent.slice(0, RECENT_LIMIT)))
+  }
+
+  // ==========================================================================
+  // RUNNING ACTIONS
+  // ==========================================================================
+
+  async updateTask(task, changes) {
+    const previous = Object.fromEntries(Object.keys(changes).map(field => [field, task[field]]))
+    if (!await this.request(`${this.apiUrlValue}/${task.id}`, "PATCH", changes)) return
+
+    this.registerUndo(`Moved task #${task.id}`, task.id, { revert: previous })
+  }
+
+  async archiveTask(task) {
+    if (!await this.request(`${this.apiUrlValue}/${task.id}`, "DELETE")) return
+
+    this.registerUndo(`Archived task #${task.id}`, task.id, { restore: true })
+  }
+
+  async restoreTask(task) {
+    if (await this.request(`/tasks/${task.id}/restore`, "POST")) this.showNotification(`Restored task #${task.id}.`, "success")
+  }
+
+  async refreshBalances() {
+    // On the board, let the balance widget refresh itself
+    const button = document.querySelector("[data-action*='balance#refresh']")
+    if (button) {
+      button.click()
+      return
+    }
+
+    if (await this.request("/api/balances/refresh", "POST")) this.showNotification("Balances refreshed.", "success")
+  }
+
+  toggleTheme() {
+    // theme_controller.js listens for this on window
+    window.dispatchEvent(new CustomEvent("theme:toggle"))
+  }
+
+  // lib/request with a toast on failure; true when it worked
+  async request(url, method, body) {
+    try {
+      await requestJSON(url, { method, json: body })
+      return true
+    } catch (error) {
+      this.showNotification(`That didn't work: ${error.message}`, "danger")
+      return false
+    }
+  }
+
+  registerUndo(label, taskId, body) {
+    document.dispatchEvent(new CustomEvent("undo:register", { detail: {
+      label,
+      steps: [{ taskId: String(taskId), body }]
+    }}))
+  }
+
+  // Bootstrap toast, bottom right (lib/toast.js)
+  showNotification(message, type = "info") {
+    showToast(message, type)
+  }
+}
@@ -0,0 +1,330 @@
+// ============================================================================
+// Stimulus Controller: Config Editor
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Lets admins edit Sparky's config files (SOUL.md, MEMORY.md...) on the
+// /config page. Markup: config/_editor.html.slim.
+//
+//   Edit            textarea + live preview (lib/markdown.js, the same
+//                   renderer as the viewer, so what you see is what you get)
+//   Ctrl/⌘+S        review: a line diff of the change (lib/diff.js)
+//   Save            PATCH /config/:file { content, base_digest }
+//
+// NOT OVERWRITING SOMEONE ELSE'S EDIT:
+// The page carries the SHA-256 digest of the file it showed. The save
+// sends it back, and the server answers 409 Conflict if the file no longer
+// matches - Sparky may have updated MEMORY.md while you typed. The 409
+// includes the file as it is now, so we diff it against your text and
+// let you choose: save yours anyway, or drop yours and reload.
+//
+// BACKUPS:
+// The server keeps a copy of every version a save replaces. "Compare"
+// fetches one, shows how it differs from the current file, and "Restore"
+// puts it back (which is itself backed up, so it can be undone).
+//
+// After a save or restore we reload the page with Turbo, which brings the
+// new digest, the re-rendered file and the updated backup list.
+//
+// COMPARISON TO REACT:
+// - React: `mode` state ("view" | "edit" | "review") choosing what to render
+// - Stimulus: every panel is already in the page; we toggle `hidden`
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { renderMarkdown } from "lib/markdown"
+import { diffLines, foldUnchanged, diffStats } from "lib/diff"
+import { request } from "lib/request"
+
+// Wait this long after the last keystroke before re-rendering the preview
+const PREVIEW_DELAY = 150
+
+const UNSAVED_WARNING = "You have unsaved changes to this file. Leave anyway?"
+
+// Connects to data-controller="config-editor" (the viewer card)
+export default class extends Controller {
+  static targets = [
+    "viewer", "editButton", "editor", "input", "preview", "status",
+    "review", "reviewTitle", "stats", "diff", "confirmButton",
+    "conflict", "conflictDiff", "error"
+  ]
+
+  static values = {
+    url: String,     // /config/SOUL.md
+    digest: String   // digest of the file as shown
+  }
+
+  connect() {
+    this.warnBeforeUnload = this.warnBeforeUnload.bind(this)
+    this.warnBeforeVisit = this.warnBeforeVisit.bind(this)
+    window.addEventListener("beforeunload", this.warnBeforeUnload)
+    document.addEventListener("turbo:before-visit", this.warnBeforeVisit)
+  }
+
+  disconnect() {
+    clearTimeout(this.previewTimer)
+    window.removeEventListener("beforeunload", this.warnBeforeUnload)
+    document.removeEventListener("turbo:before-visit", this.warnBeforeVisit)
+  }
+
+  // The file as it was when the page loaded
+  get original() {
+    return this.inputTarget.defaultValue
+  }
+
+  get dirty() {
+    return !this.leaving && this.inputTarget.value !== this.original
+  }
+
+  // ==========================================================================
+  // EDITING
+  // ==========================================================================
+
+  // click->config-editor#edit
+  edit() {
+    this.showOnly(this.editorTarget)
+    this.renderPreview()
+    this.inputTarget.focus()
+  }
+
+  // click->config-editor#cancel
+  cancel() {
+    if (this.dirty && !confirm("Discard your changes?")) return
+    this.inputTarget.value = this.original
+    this.showOnly(this.viewerTarget)
+  }
+
+  // input->config-editor#preview
+  preview() {
+    clearTimeout(this.previewTimer)
+    this.previewTimer = setTimeout(() => this.renderPreview(), PREVIEW_DELAY)
+  }
+
+  renderPreview() {
+    // idPrefix keeps the preview's heading ids apart from the viewer's
+    this.previewTarget.innerHTML = renderMarkdown(this.inputTarget.value, { idPrefix: "preview-" })
+  }
+
+  // keydown->config-editor#keydown on the textarea
+  keydown(event) {
+    if (event.key === "s" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault()
+      this.review()
+    }
+  }
+
+  // ==========================================================================
+  // REVIEW AND SAVE
+  // ==========================================================================
+
+  // click->config-editor#review
+  review() {
+    const lines = diffLines(this.original, this.inputTarget.value)
+    const { added, removed } = diffStats(lines)
+    if (added + removed === 0) {
+      this.statusTarget.textContent = "No changes to save."
+      return
+    }
+
+    this.pending = { action: "save" }
+    this.showDiff(lines, "Review changes", "Save")
+  }
+
+  // click->config-editor#closeReview
+  closeReview() {
+    const editing = this.pending?.action === "save"
+    this.pending = null
+    this.showOnly(editing ? this.editorTarget : this.viewerTarget)
+    if (editing) this.inputTarget.focus()
+  }
+
+  // click->config-editor#confirm (the Save / Restore button in the review)
+  confirm() {
+    if (this.pending?.action === "save") this.save()
+    if (this.pending?.action === "restore") this.restore(this.pending.id)
+  }
+
+  async save() {
+    const response = await this.send("PATCH", this.urlValue, {
+      content: this.inputTarget.value,
+      base_digest: this.digestValue
+    })
+    if (response) this.reload()
+  }
+
+  // ==========================================================================
+  // CONFLICTS (409)
+  // ==========================================================================
+
+  showConflict(current) {
+    this.current = current
+    this.renderDiff(this.conflictDiffTarget, diffLines(current.content || "", this.inputTarget.value))
+    this.showOnly(this.conflictTarget)
+  }
+
+  // click->config-editor#overwrite: save ours over the version we were shown
+  overwrite() {
+    this.digestValue = this.current.metadata.digest || ""
+    this.save()
+  }
+
+  // click->config-editor#discard
+  discard() {
+    this.reload()
+  }
+
+  // ==========================================================================
+  // BACKUPS
+  // ==========================================================================
+
+  // click->config-editor#compareBackup (data-config-editor-id-param)
+  async compareBackup({ params: { id } }) {
+    if (this.dirty && !confirm(UNSAVED_WARNING)) return
+    this.inputTarget.value = this.original
+
+    const backup = await this.send("GET", `${this.urlValue}/backups/${encodeURIComponent(id)}`)
+    if (!backup) return
+
+    const lines = diffLines(this.original, backup.content)
+    this.pending = { action: "restore", id }
+    this.showDiff(lines, "Restoring this backup would change", "Restore")
+  }
+
+  async restore(id) {
+    const response = await this.send("POST", `${this.urlValue}/backups/${encodeURIComponent(id)}/restore`, {
+      base_digest: this.digestValue
+    })
+    if (response) this.reload()
+  }
+
+  // ==========================================================================
+  // DIFF DISPLAY
+  // ==========================================================================
+
+  showDiff(lines, title, confirmLabel) {
+    const { added, removed } = diffStats(lines)
+    this.reviewTitleTarget.textContent = title
+    this.statsTarget.innerHTML = ""
+    this.statsTarget.append(badge(`+${added}`, "text-success"), " ", badge(`−${removed}`, "text-danger"))
+    this.confirmButtonTarget.textContent = confirmLabel
+    this.renderDiff(this.diffTarget, lines)
+    this.showOnly(this.reviewTarget)
+    this.confirmButtonTarget.focus()
+  }
+
+  // One row per line: old number, new number, +/-, text
+  renderDiff(container, lines) {
+    container.innerHTML = ""
+    const table = document.createElement("div")
+    table.setAttribute("role", "table")
+    table.setAttribute("aria-label", "Changes")
+
+    foldUnchanged(lines).forEach(line => {
+      const row = document.createElement("div")
+      row.setAttribute("role", "row")
+
+      if (line.type === "skip") {
+        row.className = "diff-line diff-skip"
+        row.append(cell(`⋯ ${line.count} unchanged line${line.count === 1 ? "" : "s"}`))
+      } else {
+        row.className = `diff-line diff-${line.type}`
+        row.append(
+          cell(line.oldLine ?? "", "diff-number"),
+          cell(line.newLine ?? "", "diff-number"),
+          cell({ add: "+", del: "−", same: " " }[line.type], "diff-sign"),
+          cell(line.text, "diff-text")
+        )
+      }
+      table.appendChild(row)
+    })
+
+    container.appendChild(table)
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  // Show one panel (viewer, editor, review or conflict), hide the others.
+  // The Edit button only makes sense next to the viewer.
+  showOnly(panel) {
+    const panels = [this.viewerTarget, this.editorTarget, this.reviewTarget, this.conflictTarget]
+    panels.forEach(element => { element.hidden = element !== panel })
+    this.editButtonTarget.hidden = panel !== this.viewerTarget
+    this.clearError()
+  }
+
+  // lib/request with JSON both ways. Returns the parsed body, or null after
+  // showing what went wrong.
+  async send(method, url, body = null) {
+    this.clearError()
+    this.element.setAttribute("aria-busy", "true")
+
+    try {
+      const response = await request(url, { method, json: body ?? undefined })
+      const json = await response.json().catch(() => ({}))
+
+      if (response.status === 409 && this.pending?.action === "save") {
+        this.showConflict(json)
+        return null
+      }
+      if (response.status === 409) {
+        this.showError("The file changed after this page loaded. Reload to see the current version, then try again.")
+        return null
+      }
+      if (!response.ok) {
+        this.showError(json.error || `HTTP ${response.status}: ${response.statusText}`)
+        return null
+      }
+      return json
+    } catch (error) {
+      console.error("Config editor request failed:", error)
+      this.showError("Couldn't reach the server — check your connection and try again.")
+      return null
+    } finally {
+      this.element.removeAttribute("aria-busy")
+    }
+  }
+
+  reload() {
+    this.leaving = true
+    Turbo.visit(window.location.href, { action: "replace" })
+  }
+
+  showError(message) {
+    this.errorTarget.textContent = message
+    this.errorTarget.hidden = false
+  }
+
+  clearError() {
+    this.errorTarget.textContent = ""
+    this.errorTarget.hidden = true
+  }
+
+  warnBeforeUnload(event) {
+    if (!this.dirty) return
+    event.preventDefault()
+    event.returnValue = ""
+  }
+
+  warnBeforeVisit(event) {
+    if (this.dirty && !confirm(UNSAVED_WARNING)) event.preventDefault()
+  }
+}
+
+function cell(text, className = "") {
+  const element = document.createElement("span")
+  element.setAttribute("role", "cell")
+  element.className = className
+  element.textContent = text
+  return element
+}
+
+function badge(text, className) {
+  const element = document.createElement("span")
+  element.className = className
+  element.textContent = text
+  return element
+}
@@ -0,0 +1,160 @@
+// ============================================================================
+// Stimulus Controller: Config Search
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The search box above the config file list. Typing searches every config
+// file at once (GET /config/search, ConfigSearch on the server) and lists
+// the matching lines with the matches highlighted. Each result links to
+// its file at the heading it's under: /config/MEMORY.md#deploys
+//
+// KEYBOARD:
+//   ↓ / ↑    move between the input and the results
+//   Enter    open the first result (from the input)
+//   Escape   clear the search
+//
+// REQUESTS:
+// We wait SEARCH_DELAY after the last keystroke, and abort a request
+// still in flight when a new one starts, so a slow answer for "dep" can't
+// replace the results for "deploy".
+//
+// The server sends each snippet as parts ({ text, match }). Matched parts
+// become <mark> elements; everything is set with textContent, so nothing
+// in a config file can inject HTML here.
+//
+// COMPARISON TO REACT:
+// - React: a debounced useEffect on the query and a results.map(...)
+// - Stimulus: one input action, and the list is rebuilt on each answer
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { requestJSON } from "lib/request"
+
+const SEARCH_DELAY = 200
+const MIN_QUERY_LENGTH = 2
+
+// Connects to data-controller="config-search"
+export default class extends Controller {
+  static targets = ["input", "results", "status"]
+
+  static values = {
+    url: String   // /config/search
+  }
+
+  disconnect() {
+    clearTimeout(this.timer)
+    this.request?.abort()
+  }
+
+  // input->config-search#search
+  search() {
+    clearTimeout(this.timer)
+    const query = this.inputTarget.value.trim()
+
+    if (query.length < MIN_QUERY_LENGTH) {
+      this.request?.abort()
+      this.clear()
+      return
+    }
+
+    this.timer = setTimeout(() => this.fetchResults(query), SEARCH_DELAY)
+  }
+
+  async fetchResults(query) {
+    this.request?.abort()
+    this.request = new AbortController()
+
+    try {
+      const url = `${this.urlValue}?q=${encodeURIComponent(query)}`
+      const { results } = await requestJSON(url, { signal: this.request.signal })
+      this.render(results)
+    } catch (error) {
+      if (error.name === "AbortError") return
+      console.error("Config search failed:", error)
+      this.showStatus("Search failed — try again.")
+    }
+  }
+
+  render(results) {
+    this.resultsTarget.innerHTML = ""
+    results.forEach(result => this.resultsTarget.appendChild(resultLink(result)))
+    this.resultsTarget.hidden = results.length === 0
+
+    const count = results.length
+    this.showStatus(count === 0 ? "No matches." : `${count} match${count === 1 ? "" : "es"}`)
+  }
+
+  clear() {
+    this.resultsTarget.innerHTML = ""
+    this.resultsTarget.hidden = true
+    this.statusTarget.hidden = true
+  }
+
+  showStatus(message) {
+    this.statusTarget.textContent = message
+    this.statusTarget.hidden = false
+  }
+
+  // keydown->config-search#keydown (on the input and on each result link)
+  keydown(event) {
+    const links = [...this.resultsTarget.querySelectorAll("a")]
+    const index = links.indexOf(document.activeElement)
+
+    switch (event.key) {
+      case "ArrowDown":
+        if (!links.length) return
+        event.preventDefault()
+        links[Math.min(index + 1, links.length - 1)].focus()
+        break
+      case "ArrowUp":
+        if (index === -1) return
+        event.preventDefault()
+        if (index === 0) {
+          this.inputTarget.focus()
+        } else {
+          links[index - 1].focus()
+        }
+        break
+      case "Enter":
+        if (event.target !== this.inputTarget || !links.length) return
+        event.preventDefault()
+        links[0].click()
+        break
+      case "Escape":
+        event.preventDefault()
+        this.inputTarget.value = ""
+        this.clear()
+        this.inputTarget.focus()
+        break
+    }
+  }
+}
+
+// <a> for one result: file and heading, then the highlighted snippet
+function resultLink(result) {
+  const link = document.createElement("a")
+  link.href = result.url
+  link.className = "list-group-item list-group-item-action px-2 py-1"
+  link.dataset.action = "keydown->config-search#keydown"
+
+  const where = document.createElement("small")
+  where.className = "d-block text-muted text-truncate"
+  where.textContent = [result.label || result.file, result.heading].filter(Boolean).join(" › ")
+
+  const snippet = document.createElement("small")
+  snippet.className = "d-block config-search-snippet"
+  result.snippet.forEach(part => {
+    if (part.match) {
+      const mark = document.createElement("mark")
+      mark.textContent = part.text
+      snippet.appendChild(mark)
+    } else {
+      snippet.appendChild(document.createTextNode(part.text))
+    }
+  })
+
+  link.append(where, snippet)
+  return link
+}
@@ -0,0 +1,109 @@
+// ============================================================================
+// Stimulus Controller: Config Table of Contents
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The "On this page" box in the config viewer's sidebar. It lists the
+// headings of the open file (h1-h3) as links to their #anchors, and
+// highlights the section you're currently reading as you scroll
+// ("scroll-spy").
+//
+// WHERE THE HEADINGS COME FROM:
+// markdown_controller.js renders the file in the browser and gives every
+// heading an id. It dispatches "markdown:rendered" when done, which this
+// controller listens for:
+//
+//   .row data-controller="config-toc" data-action="markdown:rendered->config-toc#build"
+//
+// SCROLL-SPY:
+// On scroll (at most once per frame) the current section is the last
+// heading whose top has passed SPY_OFFSET from the top of the window.
+// Its link gets .active and aria-current="location".
+//
+// COMPARISON TO REACT:
+// - React: a useEffect that queries headings after render + an
+//   IntersectionObserver hook
+// - Stimulus: listen for the renderer's event, query the DOM directly
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+
+// Headings at most this deep go in the list
+const HEADINGS = "h1[id], h2[id], h3[id]"
+
+// A heading counts as "current" once it's this close to the top (px)
+const SPY_OFFSET = 96
+
+// Connects to data-controller="config-toc"
+export default class extends Controller {
+  static targets = ["content", "container", "list"]
+
+  connect() {
+    this.onScroll = this.onScroll.bind(this)
+    window.addEventListener("scroll", this.onScroll, { passive: true })
+    // The content may have rendered before we connected
+    this.build()
+  }
+
+  disconnect() {
+    window.removeEventListener("scroll", this.onScroll)
+    cancelAnimationFrame(this.frame)
+  }
+
+  // markdown:rendered->config-toc#build
+  build() {
+    if (!this.hasContentTarget) return
+
+    this.headings = [...this.contentTarget.querySelectorAll(HEADINGS)]
+    this.listTarget.innerHTML = ""
+
+    this.headings.forEach(heading => {
+      const item = document.createElement("li")
+      const link = document.createElement("a")
+      link.href = `#${heading.id}`
+      link.className = `config-toc-link config-toc-${heading.tagName.toLowerCase()}`
+      link.textContent = headingText(heading)
+      item.appendChild(link)
+      this.listTarget.appendChild(item)
+    })
+
+    // One heading isn't worth a table of contents
+    this.containerTarget.hidden = this.headings.length < 2
+    this.spy()
+  }
+
+  onScroll() {
+    cancelAnimationFrame(this.frame)
+    this.frame = requestAnimationFrame(() => this.spy())
+  }
+
+  // Mark the link of the section at the top of the window
+  spy() {
+    if (!this.headings?.length) return
+
+    let current = this.headings[0]
+    for (const heading of this.headings) {
+      if (heading.getBoundingClientRect().top > SPY_OFFSET) break
+      current = heading
+    }
+
+    this.listTarget.querySelectorAll("a").forEach(link => {
+      const active = link.getAttribute("href") === `#${current.id}`
+      link.classList.toggle("active", active)
+      if (active) {
+        link.setAttribute("aria-current", "location")
+      } else {
+        link.removeAttribute("aria-current")
+      }
+    })
+  }
+}
+
+// The heading's text without the "#" permalink lib/markdown.js adds
+function headingText(heading) {
+  const copy = heading.cloneNode(true)
+  copy.querySelectorAll(".heading-anchor").forEach(anchor => anchor.remove())
+  return copy.textContent.trim()
+}
@@ -0,0 +1,418 @@
+// ============================================================================
+// Stimulus Controller: Inline Edit (task cards)
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Edit a card's title, priority and description right on the board,
+// without the round trip through tasks/edit and the redirect back.
+//
+// HOW TO EDIT:
+//   double-click the title     rename it (F2 when the card has focus)
+//   click the priority pill    pick a priority from a dropdown
+//   P / Shift+P on the card    cycle the priority up / down
+//   the ¶ button               open the description editor under the card
+//
+// In the editors, Enter saves (Ctrl/⌘+Enter in the description), Escape
+// cancels, and clicking away saves the title. Nothing is sent when the
+// value didn't change.
+//
+// SAVING:
+// Every change is a PATCH /api/tasks/:id with just the edited field.
+// The API logs it to the task's activity history (log_update_activity),
+// the same as the full edit form. Validation errors (422) are shown under
+// the field and the editor stays open so the text isn't lost.
+//
+// The card's data-etag goes along as If-Match. When someone else changed
+// the same field since the board was drawn (409), the merge prompt asks
+// what to keep (lib/task_conflict.js); cancelling it leaves the editor
+// open with the text, and the card showing what was saved.
+//
+// On success we update the card ourselves, then the board broadcast
+// (BoardBroadcastable) re-renders it for every open board — including
+// this one, which by then already shows the same thing.
+//
+// DOUBLE-CLICK vs. THE STRETCHED LINK:
+// The title is a .stretched-link, so a single click opens the task. To
+// leave room for a double-click, single clicks on the title itself wait
+// DOUBLE_CLICK_DELAY before opening. Clicks elsewhere on the card open
+// it straight away, as before.
+//
+// COMPARISON TO REACT:
+// - React: `editing` state per field and a controlled <input>
+// - Stimulus: swap the text for an <input> while editing and back after;
+//   the card markup stays server-rendered (tasks/_task_card)
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { request } from "lib/request"
+import { askToResolve, etagFrom } from "lib/task_conflict"
+
+// Task::PRIORITIES, lowest first
+const PRIORITIES = ["low", "medium", "high", "urgent"]
+
+// TasksHelper#priority_color
+const PRIORITY_COLORS = { urgent: "danger", high: "warning", medium: "info", low: "success" }
+
+// How long a click on the title waits for a second click
+const DOUBLE_CLICK_DELAY = 250
+
+// "in_progress" -> "In Progress", like Rails' titleize
+const titleize = text => (text || "").replace(/_/g, " ").replace(/\b\w/g, letter => letter.toUpperCase())
+
+// Connects to data-controller="inline-edit" (on each .task-card)
+export default class extends Controller {
+  static targets = ["title", "titleLink", "priority", "prioritySelect", "description", "descriptionEditor", "descriptionInput", "error"]
+
+  static values = {
+    id: Number,
+    apiUrl: { type: String, default: "/api/tasks" },
+    description: String
+  }
+
+  disconnect() {
+    clearTimeout(this.visitTimer)
+  }
+
+  // ==========================================================================
+  // TITLE
+  // ==========================================================================
+
+  // click->inline-edit#titleClick on the title link
+  titleClick(event) {
+    if (this.editingTitle) {
+      event.preventDefault()
+      return
+    }
+    if (event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) return
+    // Keyboard "clicks" (detail 0) and clicks away from the title open at once
+    if (event.detail === 0 || !this.onTitle(event)) return
+
+    event.preventDefault()
+    clearTimeout(this.visitTimer)
+    if (event.detail > 1) return
+
+    const url = event.currentTarget.href
+    this.visitTimer = setTimeout(() => Turbo.visit(url), DOUBLE_CLICK_DELAY)
+  }
+
+  // dblclick->inline-edit#editTitle
+  editTitle(event) {
+    if (event && !this.onTitle(event)) return
+    event?.preventDefault()
+    clearTimeout(this.visitTimer)
+    if (this.editingTitle) return
+
+    const link = this.titleLinkTarget
+    const input = document.createElement("input")
+    input.type = "text"
+    input.className = "form-control form-control-sm inline-editor"
+    input.value = link.textContent.trim()
+    input.setAttribute("aria-label", `Title of task #${this.idValue}`)
+    input.required = true
+
+    input.addEventListener("keydown", keyEvent => {
+      keyEvent.stopPropagation()
+      if (keyEvent.key === "Enter") {
+        keyEvent.preventDefault()
+        this.saveTitle(input)
+      } else if (keyEvent.key === "Escape") {
+        keyEvent.preventDefault()
+        this.closeTitle()
+      }
+    })
+    input.addEventListener("blur", () => {
+      if (this.editingTitle) this.saveTitle(input)
+    })
+
+    this.editingTitle = true
+    link.hidden = true
+    this.titleTarget.appendChild(input)
+    input.focus()
+    input.select()
+  }
+
+  async saveTitle(input) {
+    // Enter then blur would otherwise send it twice
+    if (this.savingTitle) return
+    const title = input.value.trim()
+    if (title === this.titleLinkTarget.textContent.trim()) {
+      this.closeTitle()
+      return
+    }
+
+    this.savingTitle = true
+    const saved = await this.save({ title }, input)
+    this.savingTitle = false
+    if (saved) this.closeTitle()
+  }
+
+  closeTitle() {
+    if (!this.editingTitle) return
+    this.editingTitle = false
+    this.titleTarget.querySelector(".inline-editor")?.remove()
+    this.titleLinkTarget.hidden = false
+    this.clearError()
+    this.element.focus()
+  }
+
+  // Was the click on the title text, not the rest of the stretched link?
+  onTitle(event) {
+    const box = this.titleTarget.getBoundingClientRect()
+    return event.clientX >= box.left && event.clientX <= box.right &&
+      event.clientY >= box.top && event.clientY <= box.bottom
+  }
+
+  // ==========================================================================
+  // PRIORITY
+  // ==========================================================================
+
+  // click->inline-edit#choosePriority on the pill: swap it for a <select>
+  choosePriority(event) {
+    event.preventDefault()
+    const select = this.prioritySelectTarget
+    select.value = this.element.dataset.priority
+    this.priorityTarget.hidden = true
+    select.hidden = false
+    select.focus()
+    // Open the native list where the browser supports it
+    try { select.showPicker?.() } catch { /* needs a user gesture in some browsers */ }
+  }
+
+  // change->inline-edit#priorityChosen
+  async priorityChosen() {
+    const priority = this.prioritySelectTarget.value
+    this.closePrioritySelect()
+    if (priority !== this.element.dataset.priority) await this.save({ priority })
+  }
+
+  // keydown (Escape) and blur on the <select>
+  closePrioritySelect(event) {
+    if (event?.type === "keydown") {
+      if (event.key !== "Escape") return
+      event.preventDefault()
+      event.stopPropagation()
+    }
+    this.prioritySelectTarget.hidden = true
+    this.priorityTarget.hidden = false
+    if (event?.type === "keydown") this.priorityTarget.focus()
+  }
+
+  cyclePriority(step) {
+    const index = PRIORITIES.indexOf(this.element.dataset.priority)
+    const next = PRIORITIES[(index + step + PRIORITIES.length) % PRIORITIES.length]
+    return this.save({ priority: next })
+  }
+
+  // ==========================================================================
+  // DESCRIPTION
+  // ==========================================================================
+
+  // click->inline-edit#toggleDescription on the ¶ button
+  toggleDescription(event) {
+    event?.preventDefault()
+    if (this.descriptionEditorTarget.hidden) {
+      this.descriptionInputTarget.value = this.descriptionValue
+      this.descriptionEditorTarget.hidden = false
+      this.descriptionInputTarget.focus()
+    } else {
+      this.closeDescription()
+    }
+  }
+
+  // keydown->inline-edit#descriptionKey on the textarea
+  descriptionKey(event) {
+    event.stopPropagation()
+    if (event.key === "Escape") {
+      event.preventDefault()
+      this.closeDescription()
+    } else if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault()
+      this.saveDescription()
+    }
+  }
+
+  async saveDescription(event) {
+    event?.preventDefault()
+    const description = this.descriptionInputTarget.value
+    if (description === this.descriptionValue) {
+      this.closeDescription()
+      return
+    }
+
+    const saved = await this.save({ description }, this.descriptionInputTarget)
+    if (saved) this.closeDescription()
+  }
+
+  closeDescription() {
+    this.descriptionEditorTarget.hidden = true
+    this.clearError()
+    this.element.focus()
+  }
+
+  // ==========================================================================
+  // KEYBOARD SHORTCUTS ON THE FOCUSED CARD
+  // ==========================================================================
+
+  // keydown->inline-edit#shortcut on the card
+  shortcut(event) {
+    if (event.target !== this.element) return
+    if (event.ctrlKey || event.metaKey || event.altKey) return
+
+    if (event.key === "F2") {
+      event.preventDefault()
+      this.editTitle()
+    } else if (event.key === "p" || event.key === "P") {
+      event.preventDefault()
+      this.cyclePriority(event.shiftKey ? -1 : 1)
+    }
+  }
+
+  // ==========================================================================
+  // SAVING
+  // ==========================================================================
+
+  // PATCH the changed fields. Returns true when saved (or queued offline).
+  // `field` is the input to mark invalid if the server says no.
+  async save(changes, field = null) {
+    const before = this.currentValues(Object.keys(changes))
+    this.clearError()
+    this.element.setAttribute("aria-busy", "true")
+
+    try {
+      const etag = this.element.dataset.etag
+      const response = await request(`${this.apiUrlValue}/${this.idValue}`, {
+        method: "PATCH",
+        json: { task: changes },
+        headers: etag ? { "If-Match": etag } : {}
+      })
+
+      // Offline: the service worker queued the PATCH (offline_sync_controller)
+      if (response.status === 202) {
+        this.applyToCard(changes)
+        return true
+      }
+
+      if (response.status === 409) return await this.resolveConflict(changes, field, response)
+
+      if (!response.ok) {
+        this.showError(await this.errorMessageFrom(response), field)
+        return false
+      }
+
+      const task = await response.json()
+      this.element.dataset.etag = etagFrom(response, task)
+      this.applyToCard(task)
+      document.dispatchEvent(new CustomEvent("undo:register", { detail: {
+        label: `Edited task #${this.idValue}`,
+        steps: [{ taskId: this.idValue, body: { revert: before } }]
+      }}))
+      return true
+    } catch (error) {
+      console.error("Inline edit failed:", error)
+      this.showError("Couldn't save — check your connection and try again.", field)
+      return false
+    } finally {
+      this.element.removeAttribute("aria-busy")
+    }
+  }
+
+  // Someone else saved the same field first: show what they saved and ask
+  // which to keep. Whatever is left of ours goes again against their version.
+  async resolveConflict(changes, field, response) {
+    const { task, conflict, error } = await response.json()
+    this.element.dataset.etag = etagFrom(response, task)
+    this.applyToCard(task)
+
+    const resolved = await askToResolve({ task, conflict, changes })
+    if (!resolved) {
+      this.showError(error, field)
+      return false
+    }
+
+    return Object.keys(resolved).length === 0 || this.save(resolved, field)
+  }
+
+  currentValues(fields) {
+    const values = {
+      title: this.titleLinkTarget.textContent.trim(),
+      priority: this.element.dataset.priority,
+      description: this.descriptionValue
+    }
+    return Object.fromEntries(fields.map(field => [field, values[field]]))
+  }
+
+  // Make the card show what was saved, until the broadcast re-renders it
+  applyToCard(task) {
+    const card = this.element
+
+    if (task.title !== undefined) {
+      this.titleLinkTarget.textContent = task.title
+    }
+
+    if (task.description !== undefined) {
+      this.descriptionValue = task.description || ""
+      if (this.hasDescriptionTarget) {
+        const text = this.descriptionValue
+        this.descriptionTarget.textContent = text.length > 50 ? `${text.slice(0, 47)}...` : text
+        // markdown_controller.js re-renders the preview without the markup
+        this.descriptionTarget.dataset.markdownSourceValue = text
+        this.descriptionTarget.hidden = text === ""
+      }
+    }
+
+    if (task.priority !== undefined) {
+      card.classList.remove(`priority-${card.dataset.priority}`)
+      card.classList.add(`priority-${task.priority}`)
+      card.dataset.priority = task.priority
+
+      const pill = this.priorityTarget
+      Object.values(PRIORITY_COLORS).forEach(color => pill.classList.remove(`bg-${color}`))
+      pill.classList.add(`bg-${PRIORITY_COLORS[task.priority] || "secondary"}`)
+      pill.textContent = task.priority[0].toUpperCase()
+      pill.title = `Priority: ${task.priority} (click to change)`
+      pill.setAttribute("aria-label", `Priority: ${task.priority}. Change priority of task #${this.idValue}`)
+    }
+
+    // Keep the board filter and screen reader label in step
+    // (same wording as the aria-label in tasks/_task_card)
+    const title = this.titleLinkTarget.textContent.trim()
+    const { assignee, status, priority } = card.dataset
+    card.dataset.search = `${title} ${this.descriptionValue}`
+    card.setAttribute("aria-label",
+      `Task #${this.idValue}: ${title}. ${titleize(assignee)}, ${titleize(status)}, ${priority} priority`)
+  }
+
+  // ==========================================================================
+  // ERRORS
+  // ==========================================================================
+
+  showError(message, field) {
+    this.errorTarget.textContent = message
+    this.errorTarget.hidden = false
+    if (field) {
+      field.classList.add("is-invalid")
+      field.setAttribute("aria-describedby", this.errorTarget.id)
+      field.focus()
+    }
+  }
+
+  clearError() {
+    this.errorTarget.textContent = ""
+    this.errorTarget.hidden = true
+    this.element.querySelectorAll(".is-invalid").forEach(field => field.classList.remove("is-invalid"))
+  }
+
+  // Same shape as sortable_controller.js: { errors: [...] } on a 422
+  async errorMessageFrom(response) {
+    try {
+      const body = await response.json()
+      if (Array.isArray(body.errors) && body.errors.length > 0) return body.errors.join(", ")
+      if (body.error) return body.error
+    } catch {
+      // Not JSON
+    }
+    return `HTTP ${response.status}: ${response.statusText}`
+  }
+}
@@ -0,0 +1,248 @@
+// ============================================================================
+// Stimulus Controller: Markdown
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Renders markdown source into the element with lib/markdown.js.
+// Used by the config viewer (config/index) for SOUL.md, AGENTS.md...,
+// and for task descriptions and quick notes, which Sparky writes in
+// markdown too:
+//
+//   .markdown-content data-controller="markdown" data-markdown-source-value=@file_content
+//     = render_markdown(@file_content)   / server-side fallback
+//
+// Descriptions and notes get their attributes from
+// MarkdownHelper#markdown_data, which also sets the options below.
+//
+// Whatever the server put inside the element is the no-JavaScript
+// version (Redcarpet for config files, simple_format for descriptions).
+// On connect we replace it with our own renderer, which adds task lists,
+// heading anchors, #123 task links and URL checks (see the SAFETY notes
+// in lib/markdown.js).
+//
+// OPTIONS (data-markdown-*-value):
+//   anchors      heading ids + # links (config files; off for descriptions)
+//   breaks       newlines become <br>, like simple_format did
+//   task-url     "/tasks/:id" turns #123 into a link; hovering it shows
+//                the task's status and assignee (GET /api/tasks/:id)
+//   preview      > 0: plain text cut to that many characters (task cards,
+//                note lists) instead of HTML
+//   update-url, update-model, update-attribute
+//                tickable checklists: "- [ ] item" boxes can be clicked,
+//                and the new source is PATCHed as
+//                { [model]: { [attribute]: source } }
+//   update-etag  sent as If-Match with those PATCHes (task descriptions).
+//                A 409 - someone else edited the text since - opens the
+//                merge prompt (lib/task_conflict.js)
+//
+// ANCHORS:
+// The browser jumps to #some-heading before this runs, when the ids don't
+// exist yet, so we scroll to it ourselves after rendering.
+//
+// Each render dispatches "markdown:rendered", so other controllers can
+// work with the finished HTML (config_toc_controller.js builds the table
+// of contents from its headings).
+//
+// COMPARISON TO REACT:
+// - React: <ReactMarkdown>{source}</ReactMarkdown>
+// - Stimulus: innerHTML = renderMarkdown(source) on connect
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { renderMarkdown, markdownToText, toggleTask } from "lib/markdown"
+import { request, requestJSON } from "lib/request"
+import { askToResolve, etagFrom } from "lib/task_conflict"
+
+// "in_progress" -> "In Progress"
+const titleize = text => (text || "").replace(/_/g, " ").replace(/\b\w/g, letter => letter.toUpperCase())
+
+// GET /api/tasks/:id answers, shared by every markdown element on the page
+// (a description that mentions #12 three times fetches it once)
+const taskRequests = new Map()
+
+function fetchTask(apiUrl, id) {
+  const url = `${apiUrl}/${id}`
+  if (!taskRequests.has(url)) {
+    taskRequests.set(url, requestJSON(url).catch(() => null))
+  }
+  return taskRequests.get(url)
+}
+
+// Connects to data-controller="markdown"
+export default class extends Controller {
+  static values = {
+    source: String,
+    anchors: { type: Boolean, default: true },
+    breaks: Boolean,
+    taskUrl: String,
+    taskApiUrl: { type: String, default: "/api/tasks" },
+    preview: Number,
+    updateUrl: String,
+    updateModel: String,
+    updateAttribute: String,
+    updateEtag: String
+  }
+
+  connect() {
+    this.popovers = []
+    this.render()
+  }
+
+  disconnect() {
+    this.disposePopovers()
+  }
+
+  // Re-render when the source changes (e.g. a preview, or a ticked box)
+  sourceValueChanged() {
+    if (this.rendered) this.render()
+  }
+
+  render() {
+    this.disposePopovers()
+
+    if (this.previewValue > 0) {
+      this.element.textContent = truncate(markdownToText(this.sourceValue), this.previewValue)
+    } else {
+      this.element.innerHTML = renderMarkdown(this.sourceValue, {
+        headingAnchors: this.anchorsValue,
+        breaks: this.breaksValue,
+        taskUrl: this.taskUrlValue || null,
+        interactiveTasks: this.updateUrlValue !== ""
+      })
+    }
+
+    this.rendered = true
+    this.dispatch("rendered")
+    if (this.anchorsValue) this.scrollToHash()
+  }
+
+  scrollToHash() {
+    const id = decodeURIComponent(window.location.hash.slice(1))
+    if (!id) return
+    document.getElementById(id)?.scrollIntoView()
+  }
+
+  // ==========================================================================
+  // CHECKLISTS
+  // ==========================================================================
+
+  // change->markdown#tick on the element (the checkboxes are rendered HTML)
+  async tick(event) {
+    const box = event.target
+    if (!box.matches("input.task-list-item-checkbox[data-task-index]")) return
+
+    const source = toggleTask(this.sourceValue, Number(box.dataset.taskIndex), box.checked)
+    if (source === null) {
+      box.checked = !box.checked
+      this.showError("Couldn't tell which line that box is on — edit the text instead.")
+      return
+    }
+
+    this.clearError()
+    box.disabled = true
+    try {
+      const saved = await this.save(source)
+      if (saved === null) {
+        box.checked = !box.checked
+        box.disabled = false
+        return
+      }
+      this.sourceValue = saved
+    } catch (error) {
+      console.error("Saving the checklist failed:", error)
+      box.checked = !box.checked
+      box.disabled = false
+      this.showError("Couldn't save the checklist — check your connection and try again.")
+    }
+  }
+
+  // PATCH the new source. Resolves to the text that was saved, or null
+  // when a conflict was cancelled (the page then shows the saved text).
+  async save(source) {
+    const response = await request(this.updateUrlValue, {
+      method: "PATCH",
+      json: { [this.updateModelValue]: { [this.updateAttributeValue]: source } },
+      headers: this.updateEtagValue ? { "If-Match": this.updateEtagValue } : {}
+    })
+
+    if (response.status === 409) {
+      const body = await response.json()
+      const record = body[this.updateModelValue]
+      const theirs = record[this.updateAttributeValue] || ""
+      this.updateEtagValue = etagFrom(response, record)
+
+      const changes = { [this.updateAttributeValue]: source }
+      const resolved = await askToResolve({ task: record, conflict: body.conflict, changes })
+      if (!resolved) {
+        this.sourceValue = theirs
+        this.showError(body.error)
+        return null
+      }
+      return this.updateAttributeValue in resolved ? this.save(source) : theirs
+    }
+
+    // 202: queued by the service worker while offline - still our new text
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    if (this.updateEtagValue && response.status !== 202) {
+      this.updateEtagValue = etagFrom(response, await response.json())
+    }
+    return source
+  }
+
+  showError(message) {
+    if (!this.errorElement) {
+      this.errorElement = document.createElement("div")
+      this.errorElement.className = "small text-danger mt-1"
+      this.errorElement.setAttribute("role", "alert")
+      this.element.after(this.errorElement)
+    }
+    this.errorElement.textContent = message
+  }
+
+  clearError() {
+    this.errorElement?.remove()
+    this.errorElement = null
+  }
+
+  // ==========================================================================
+  // #123 HOVER PREVIEWS
+  // ==========================================================================
+
+  // mouseover->markdown#previewTask focusin->markdown#previewTask
+  async previewTask(event) {
+    const link = event.target.closest?.("a.task-ref")
+    if (!link || link.dataset.previewLoaded) return
+    link.dataset.previewLoaded = "true"
+
+    const id = link.dataset.taskId
+    const task = await fetchTask(this.taskApiUrlValue, id)
+    const title = task ? `#${id} ${task.title}` : `#${id}`
+    const content = task
+      ? `${titleize(task.status)} · ${titleize(task.assignee)} · ${task.priority} priority`
+      : "Task not found"
+
+    // Without Bootstrap's JavaScript, fall back to the native tooltip
+    if (typeof bootstrap === "undefined") {
+      link.title = `${title} — ${content}`
+      return
+    }
+
+    // html: false (the default) - title and content are set as text
+    const popover = new bootstrap.Popover(link, { trigger: "hover focus", placement: "top", title, content })
+    this.popovers.push(popover)
+    if (link.matches(":hover") || link === document.activeElement) popover.show()
+  }
+
+  disposePopovers() {
+    this.popovers?.forEach(popover => popover.dispose())
+    this.popovers = []
+  }
+}
+
+// Cut to length characters, like Rails' truncate (the "..." counts)
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text
+}
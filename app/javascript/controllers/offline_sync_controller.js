@@ -0,0 +1,237 @@
+// ============================================================================
+// Stimulus Controller: Offline Sync
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// This controller is the page-side half of offline support. The other half
+// is the service worker (app/views/pwa/service-worker.js), which caches the
+// board and queues task changes made without a connection.
+//
+// WHAT IT DOES:
+// - Registers the service worker
+// - Shows an "Offline" / "N pending" indicator in the navbar
+// - Adds a "pending sync" badge to cards with queued changes
+// - Asks the worker to replay the queue when the browser goes back online
+// - Reports replay conflicts (changes the server refused) as toasts
+// - Asks the user to sign in again when the session ran out while
+//   changes were queued (the worker keeps them until then)
+//
+// PAGE ↔ WORKER MESSAGES:
+// The page and the worker can't call each other's functions. They talk with
+// postMessage, like two browser tabs:
+//   page   → worker: { type: "replay", csrfToken } / { type: "pending" }
+//   worker → page:   { type: "queued" | "synced" | "conflict" | "drained" |
+//                             "pending" | "reauthenticate" }
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { csrfToken } from "lib/request"
+import { showToast, buildToast, addToast } from "lib/toast"
+
+// Connects to data-controller="offline-sync"
+export default class extends Controller {
+  static targets = ["status", "count"]
+
+  static values = {
+    url: { type: String, default: "/service-worker.js" },
+    signInUrl: { type: String, default: "/users/sign_in" }
+  }
+
+  connect() {
+    if (!("serviceWorker" in navigator)) return
+
+    // task id → number of queued changes for that task
+    this.pending = new Map()
+
+    this.handleMessage = this.handleMessage.bind(this)
+    this.handleOnline = this.handleOnline.bind(this)
+    this.handleOffline = this.handleOffline.bind(this)
+    this.markCards = this.markCards.bind(this)
+
+    navigator.serviceWorker.addEventListener("message", this.handleMessage)
+    window.addEventListener("online", this.handleOnline)
+    window.addEventListener("offline", this.handleOffline)
+    // Re-apply badges after Turbo renders new HTML (navigation or streams)
+    document.addEventListener("turbo:load", this.markCards)
+    document.addEventListener("turbo:before-stream-render", this.deferMarkCards)
+
+    this.register()
+    this.updateStatus()
+  }
+
+  disconnect() {
+    if (!("serviceWorker" in navigator)) return
+
+    navigator.serviceWorker.removeEventListener("message", this.handleMessage)
+    window.removeEventListener("online", this.handleOnline)
+    window.removeEventListener("offline", this.handleOffline)
+    document.removeEventListener("turbo:load", this.markCards)
+    document.removeEventListener("turbo:before-stream-render", this.deferMarkCards)
+  }
+
+  async register() {
+    try {
+      await navigator.serviceWorker.register(this.urlValue, { scope: "/" })
+      const registration = await navigator.serviceWorker.ready
+
+      // Ask what's still queued from an earlier visit
+      registration.active?.postMessage({ type: "pending" })
+
+      if (navigator.onLine) this.replay()
+    } catch (error) {
+      console.error("[OfflineSync] Service worker registration failed:", error)
+    }
+  }
+
+  // ==========================================================================
+  // EVENTS
+  // ==========================================================================
+
+  handleOnline() {
+    this.updateStatus()
+    this.replay()
+  }
+
+  handleOffline() {
+    this.updateStatus()
+  }
+
+  async replay() {
+    const registration = await navigator.serviceWorker.ready
+    registration.active?.postMessage({ type: "replay", csrfToken: csrfToken() })
+  }
+
+  handleMessage(event) {
+    const message = event.data || {}
+
+    switch (message.type) {
+      case "pending":
+        this.pending.clear()
+        message.mutations.forEach(mutation => this.addPending(mutation.taskId))
+        break
+      case "queued":
+        this.addPending(message.taskId)
+        break
+      case "synced":
+        this.removePending(message.taskId)
+        break
+      case "conflict":
+        this.removePending(message.taskId)
+        this.reportConflict(message)
+        break
+      case "drained":
+        this.pending.clear()
+        break
+      case "reauthenticate":
+        this.askToSignIn(message)
+        break
+      default:
+        return
+    }
+
+    this.markCards()
+    this.updateStatus()
+  }
+
+  // ==========================================================================
+  // PENDING STATE
+  // ==========================================================================
+
+  addPending(taskId) {
+    const key = taskId || "new"
+    this.pending.set(key, (this.pending.get(key) || 0) + 1)
+  }
+
+  removePending(taskId) {
+    const key = taskId || "new"
+    const remaining = (this.pending.get(key) || 1) - 1
+    if (remaining > 0) {
+      this.pending.set(key, remaining)
+    } else {
+      this.pending.delete(key)
+    }
+  }
+
+  pendingCount() {
+    let total = 0
+    this.pending.forEach(count => { total += count })
+    return total
+  }
+
+  // Turbo applies a stream AFTER turbo:before-stream-render, so wait a tick
+  deferMarkCards = () => {
+    setTimeout(() => this.markCards(), 0)
+  }
+
+  // Add/remove the "pending sync" badge on each card
+  markCards() {
+    if (!this.pending) return
+
+    document.querySelectorAll(".task-card").forEach(card => {
+      const isPending = this.pending.has(card.dataset.id)
+      card.classList.toggle("pending-sync", isPending)
+
+      let badge = card.querySelector(".pending-sync-badge")
+      if (isPending && !badge) {
+        badge = document.createElement("span")
+        badge.className = "pending-sync-badge badge bg-warning text-dark"
+        badge.title = "Changed offline — waiting to sync"
+        badge.innerHTML = '<i class="bi bi-cloud-arrow-up me-1"></i>pending sync'
+        card.querySelector(".card-body")?.prepend(badge)
+      } else if (!isPending && badge) {
+        badge.remove()
+      }
+    })
+  }
+
+  // Navbar indicator: hidden when online with nothing queued
+  updateStatus() {
+    if (!this.hasStatusTarget) return
+
+    const count = this.pendingCount()
+    const offline = !navigator.onLine
+
+    this.statusTarget.hidden = !offline && count === 0
+    this.statusTarget.classList.toggle("text-bg-danger", offline)
+    this.statusTarget.classList.toggle("text-bg-warning", !offline)
+
+    if (this.hasCountTarget) {
+      this.countTarget.textContent = offline
+        ? (count > 0 ? `Offline · ${count} pending` : "Offline")
+        : `${count} pending sync`
+    }
+  }
+
+  // ==========================================================================
+  // CONFLICTS
+  // ==========================================================================
+
+  reportConflict({ taskId, method, status, message }) {
+    const subject = taskId ? `task #${taskId}` : "a new task"
+    const text = `Offline ${method} for ${subject} was rejected (${status}): ${message}`
+    console.warn("[OfflineSync]", text)
+    // Stays until dismissed: the user needs to notice it
+    showToast(text, "danger", { autohide: false })
+  }
+
+  // The session expired (or its CSRF token went stale) with changes still
+  // queued. Signing in loads a page with a fresh token, and its replay
+  // sends them. Going to the sign-in page directly matters: a board page
+  // redirected to it would make the worker drop the queue as signed out.
+  askToSignIn({ pending }) {
+    if (this.signInToast?.isConnected) return
+
+    const changes = pending === 1 ? "1 offline change is" : `${pending} offline changes are`
+    const toast = buildToast(`${changes} waiting: your session has expired. `, "warning")
+
+    const link = document.createElement("a")
+    link.href = this.signInUrlValue
+    link.className = "link-dark fw-semibold"
+    link.textContent = "Sign in to sync"
+    toast.querySelector(".toast-body").append(link)
+
+    this.signInToast = addToast(toast, { autohide: false })
+  }
+}
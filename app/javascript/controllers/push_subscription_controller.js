@@ -0,0 +1,123 @@
+// ============================================================================
+// Stimulus Controller: Push Subscription
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Turns Web Push notifications on and off for this browser.
+// The "Enable notifications" item in the user menu is wired to toggle().
+//
+// SUBSCRIBING TAKES THREE STEPS:
+// 1. Notification.requestPermission() — the browser asks the user
+// 2. pushManager.subscribe() — the browser registers with its push service
+//    using our VAPID public key and returns an endpoint + keys
+// 3. POST that subscription to /push_subscription so the server can send
+//    to it later (PushNotificationJob)
+//
+// Browsers only allow step 1 from a user gesture (a click), which is why
+// this is a button and not something that runs on page load.
+//
+// COMPARISON TO NODE.JS:
+// - Identical browser code; only the endpoint that stores the
+//   subscription would be an Express route instead of a Rails controller
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { request } from "lib/request"
+
+// Connects to data-controller="push-subscription"
+export default class extends Controller {
+  static targets = ["label", "icon"]
+
+  static values = {
+    vapidKey: String,
+    url: { type: String, default: "/push_subscription" }
+  }
+
+  async connect() {
+    // No service worker / Push API (e.g. iOS Safari outside a home-screen app)
+    if (!("serviceWorker" in navigator) || !("PushManager" in window) || !this.vapidKeyValue) {
+      return
+    }
+
+    this.element.hidden = false
+    this.registration = await navigator.serviceWorker.ready
+    this.render(await this.registration.pushManager.getSubscription())
+  }
+
+  async toggle(event) {
+    event.preventDefault()
+    if (!this.registration) return
+
+    const existing = await this.registration.pushManager.getSubscription()
+    if (existing) {
+      await this.unsubscribe(existing)
+    } else {
+      await this.subscribe()
+    }
+  }
+
+  async subscribe() {
+    const permission = await Notification.requestPermission()
+    if (permission !== "granted") {
+      this.render(null)
+      return
+    }
+
+    try {
+      const subscription = await this.registration.pushManager.subscribe({
+        // Chrome requires every push to show a notification
+        userVisibleOnly: true,
+        applicationServerKey: this.urlBase64ToUint8Array(this.vapidKeyValue)
+      })
+
+      const response = await this.send("POST", subscription.toJSON())
+      if (!response.ok) {
+        // The server didn't keep it, so don't leave a dangling subscription
+        await subscription.unsubscribe()
+        throw new Error(`HTTP ${response.status}`)
+      }
+
+      this.render(subscription)
+    } catch (error) {
+      console.error("[Push] Subscribe failed:", error)
+      this.render(null)
+    }
+  }
+
+  async unsubscribe(subscription) {
+    try {
+      await this.send("DELETE", { endpoint: subscription.endpoint })
+    } finally {
+      await subscription.unsubscribe()
+      this.render(null)
+    }
+  }
+
+  send(method, body) {
+    return request(this.urlValue, { method, json: body })
+  }
+
+  // Show the current state in the menu item
+  render(subscription) {
+    const blocked = Notification.permission === "denied"
+
+    if (this.hasLabelTarget) {
+      this.labelTarget.textContent = blocked
+        ? "Notifications blocked"
+        : (subscription ? "Disable notifications" : "Enable notifications")
+    }
+    if (this.hasIconTarget) {
+      this.iconTarget.className = `bi ${subscription ? "bi-bell-slash" : "bi-bell"} me-2`
+    }
+  }
+
+  // VAPID keys are URL-safe base64; pushManager.subscribe wants raw bytes
+  urlBase64ToUint8Array(base64String) {
+    const padding = "=".repeat((4 - (base64String.length % 4)) % 4)
+    const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/")
+    const raw = atob(base64)
+    return Uint8Array.from(raw, char => char.charCodeAt(0))
+  }
+}
@@ -16,10 +16,18 @@
 // HOW THIS CONTROLLER WORKS:
 // 1. HTML has a container with data-controller="sortable"
 // 2. Inside it, multiple columns have data-sortable-target="column"
-// 3. Each column has data-status and data-assignee attributes
+// 3. Each column has data-status and data-assignee attributes. The
+//    columns are whatever the workflow defines (Workflow on the server:
+//    one per status in each assignee's lane), so nothing here lists them
 // 4. When Stimulus connects this controller, it initializes Sortable.js
 //    on every column target, allowing cards to be dragged between them
 // 5. When a card is dropped, we send a PATCH request to update the task
+// 6. Rails broadcasts the change to every other open board over Action
+//    Cable; we skip the echo of our own moves (see beforeStreamRender)
+// 7. Dragging a card that's part of a multi-select (board_selection_controller)
+//    brings the other selected cards along, saved with one batch request
+// 8. Columns with a WIP limit (data-wip-limit) refuse cards once full;
+//    Alt while dropping goes over the limit on purpose (lib/wip_limits.js)
 //
 // HOTWIRE STACK (how the pieces fit together):
 // - Turbo Drive:  Speeds up navigation (no full page reloads)
@@ -48,6 +56,10 @@
 // ============================================================================
 
 import { Controller } from "@hotwired/stimulus"
+import { request } from "lib/request"
+import { askToResolve, keepsAnyOfMine, etagFrom } from "lib/task_conflict"
+import { parseLimit, hasRoom, isOverLimit, fullMessage } from "lib/wip_limits"
+import { showToast } from "lib/toast"
 
 // Import Sortable.js via importmap
 // LEARNING NOTE: This import works because we pinned "sortablejs" in
@@ -75,7 +87,9 @@ export default class extends Controller {
   // from data attributes: data-sortable-api-url-value="/api/tasks"
   // Access via: this.apiUrlValue (camelCase, "Value" suffix added automatically)
   static values = {
-    apiUrl: { type: String, default: "/api/tasks" }
+    apiUrl: { type: String, default: "/api/tasks" },
+    // How long to wait for the PATCH before giving up and rolling back
+    timeout: { type: Number, default: 10000 }
   }
 
   // ==========================================================================
@@ -93,9 +107,35 @@ export default class extends Controller {
   // Stimulus handles all of these automatically!
   //
 
+  // LEARNING NOTE: initialize() runs once, BEFORE any targetConnected
+  // callbacks and before connect(), so the state our callbacks rely on
+  // has to be created here.
+  initialize() {
+    // One Sortable instance per column element
+    this.sortableInstances = new Map()
+
+    // Where each in-flight drag started, keyed by task id.
+    // Used to put the card back if the server rejects the move.
+    this.dragOrigins = new Map()
+
+    // Request ids of our own PATCH calls, so we can skip their broadcasts
+    this.ownRequestIds = new Set()
+
+    // Remote updates that arrived mid-drag, applied when the drag ends
+    this.dragging = false
+    this.deferredRenders = []
+
+    // WIP limits: columns already warned about this drag, and the full
+    // column the card was Alt-dragged into (see handleMove)
+    this.wipWarned = new Set()
+    this.wipOverrideColumn = null
+
+    this.beforeStreamRender = this.beforeStreamRender.bind(this)
+  }
+
   connect() {
     console.log("🎯 Sortable controller connected!")
-    this.initializeSortable()
+    document.addEventListener("turbo:before-stream-render", this.beforeStreamRender)
   }
 
   disconnect() {
@@ -103,86 +143,145 @@ export default class extends Controller {
     // If Turbo navigates away and back, connect() runs again.
     // Without cleanup, you'd get duplicate Sortable instances.
     console.log("🔌 Sortable controller disconnected")
+    document.removeEventListener("turbo:before-stream-render", this.beforeStreamRender)
     this.destroySortableInstances()
   }
 
   // ==========================================================================
   // SORTABLE INITIALIZATION
   // ==========================================================================
+  //
+  // LEARNING NOTE: Stimulus calls [name]TargetConnected for every target
+  // element — the ones on the page at connect() AND any added later — and
+  // [name]TargetDisconnected when one is removed. Creating Sortable here
+  // (instead of looping over this.columnTargets once in connect) keeps
+  // drag-and-drop working even if a Turbo Stream swaps a column out.
+  //
 
-  initializeSortable() {
-    // LEARNING NOTE: this.columnTargets is an array of all elements with
-    // data-sortable-target="column". Stimulus finds them automatically.
-    // We loop through and create a Sortable instance for each column.
-
-    // Store instances so we can destroy them in disconnect()
-    this.sortableInstances = []
-
-    this.columnTargets.forEach(column => {
-      const instance = new Sortable(column, {
-        // GROUP: All columns share the same group name, so cards can
-        // be dragged FROM any column TO any other column.
-        // Without this, cards could only be reordered within one column.
-        group: "kanban-tasks",
-
-        // ANIMATION: Smooth 150ms transition when cards move
-        animation: 150,
-
-        // GHOST CLASS: CSS class added to the "ghost" element (the
-        // semi-transparent copy that follows your cursor while dragging).
-        // We style this in CSS to show it's being dragged.
-        ghostClass: "dragging",
-
-        // DRAG CLASS: CSS class added to the element being dragged
-        // (the original in its source position)
-        dragClass: "drag-active",
-
-        // CHOSEN CLASS: CSS class added when element is clicked/touched
-        // but before dragging starts
-        chosenClass: "drag-chosen",
-
-        // HANDLE: Only allow dragging from the card header area
-        // If omitted, the entire card is draggable (which is fine for us)
-        // handle: ".card-header",
-
-        // FORCE FALLBACK: Use JS-based drag instead of HTML5 drag API
-        // HTML5 drag is buggy across browsers; this is more reliable
-        forceFallback: true,
-
-        // FALLBACK CLASS: Class added to the clone during fallback drag
-        fallbackClass: "sortable-fallback",
-
-        // ================================================================
-        // EVENT CALLBACKS
-        // ================================================================
-        //
-        // Sortable.js fires events during the drag lifecycle:
-        //   onStart → drag begins
-        //   onEnd   → drag ends (card dropped)
-        //   onAdd   → card added to this column (from another)
-        //   onRemove → card removed from this column (to another)
-        //
-        // We use arrow functions (=>) so `this` refers to our Stimulus
-        // controller, not the Sortable instance.
-        //
-
-        onEnd: (evt) => this.handleDragEnd(evt)
-      })
-
-      this.sortableInstances.push(instance)
+  columnTargetConnected(column) {
+    if (this.sortableInstances.has(column)) return
+
+    const instance = new Sortable(column, {
+      // GROUP: All columns share the same group name, so cards can
+      // be dragged FROM any column TO any other column.
+      // Without this, cards could only be reordered within one column.
+      group: "kanban-tasks",
+
+      // ANIMATION: Smooth 150ms transition when cards move
+      animation: 150,
+
+      // GHOST CLASS: CSS class added to the "ghost" element (the
+      // semi-transparent copy that follows your cursor while dragging).
+      // We style this in CSS to show it's being dragged.
+      ghostClass: "dragging",
+
+      // DRAG CLASS: CSS class added to the element being dragged
+      // (the original in its source position)
+      dragClass: "drag-active",
+
+      // CHOSEN CLASS: CSS class added when element is clicked/touched
+      // but before dragging starts
+      chosenClass: "drag-chosen",
+
+      // DRAGGABLE: Only task cards can be dragged. The column header
+      // is a child of the column too, and without this filter it would
+      // be draggable AND be counted in the drop index we send to Rails.
+      draggable: ".task-card",
+
+      // HANDLE: Only allow dragging from the card header area
+      // If omitted, the entire card is draggable (which is fine for us)
+      // handle: ".card-header",
+
+      // FILTER: Pressing inside an inline editor (inline_edit_controller.js)
+      // selects text instead of picking the card up. preventOnFilter: false
+      // keeps the mousedown's default so the cursor still lands in the field.
+      filter: ".inline-editor",
+      preventOnFilter: false,
+
+      // FORCE FALLBACK: Use JS-based drag instead of HTML5 drag API
+      // HTML5 drag is buggy across browsers; this is more reliable
+      forceFallback: true,
+
+      // FALLBACK CLASS: Class added to the clone during fallback drag
+      fallbackClass: "sortable-fallback",
+
+      // ================================================================
+      // EVENT CALLBACKS
+      // ================================================================
+      //
+      // Sortable.js fires events during the drag lifecycle:
+      //   onStart → drag begins
+      //   onMove  → the card is about to move (return false to refuse)
+      //   onEnd   → drag ends (card dropped)
+      //   onAdd   → card added to this column (from another)
+      //   onRemove → card removed from this column (to another)
+      //
+      // We use arrow functions (=>) so `this` refers to our Stimulus
+      // controller, not the Sortable instance.
+      //
+
+      onStart: (evt) => this.handleDragStart(evt),
+      onMove: (evt, originalEvent) => this.handleMove(evt, originalEvent),
+      onEnd: (evt) => this.handleDragEnd(evt)
     })
 
-    console.log(`✅ Initialized ${this.sortableInstances.length} sortable columns`)
+    this.sortableInstances.set(column, instance)
+  }
+
+  columnTargetDisconnected(column) {
+    const instance = this.sortableInstances.get(column)
+    if (instance) {
+      instance.destroy()
+      this.sortableInstances.delete(column)
+    }
   }
 
   // Clean up Sortable instances to prevent memory leaks
   destroySortableInstances() {
     if (this.sortableInstances) {
       this.sortableInstances.forEach(instance => instance.destroy())
-      this.sortableInstances = []
+      this.sortableInstances.clear()
+    }
+  }
+
+  // ==========================================================================
+  // REMOTE UPDATES (Turbo Stream broadcasts)
+  // ==========================================================================
+  //
+  // LEARNING NOTE: Turbo fires turbo:before-stream-render before applying
+  // each <turbo-stream> element. event.detail.render is the function that
+  // does the DOM change, and we're allowed to replace it. We use that to:
+  // 1. Skip echoes — broadcasts caused by our own PATCH (same request-id)
+  //    describe a move the user already sees on screen
+  // 2. Hold remote updates while a card is being dragged, so a card isn't
+  //    removed or inserted under the user's cursor mid-drag
+  //
+
+  beforeStreamRender(event) {
+    const stream = event.target
+    const requestId = stream.getAttribute("request-id")
+
+    if (requestId && this.ownRequestIds.has(requestId)) {
+      event.detail.render = () => {}
+      return
+    }
+
+    if (this.dragging) {
+      const render = event.detail.render
+      event.detail.render = (streamElement) => {
+        this.deferredRenders.push(() => render(streamElement))
+      }
     }
   }
 
+  // Apply remote updates that were held back during a drag
+  flushDeferredRenders() {
+    const renders = this.deferredRenders
+    this.deferredRenders = []
+    renders.forEach(render => render())
+    if (renders.length > 0) this.updateColumnCounts()
+  }
+
   // ==========================================================================
   // DRAG EVENT HANDLER
   // ==========================================================================
@@ -195,7 +294,7 @@ export default class extends Controller {
   //
   // DATA FLOW:
   //   User drags card → Sortable fires onEnd → we read DOM data →
-  //   fetch() sends PATCH to /api/tasks/:id → Rails updates DB →
+  //   request() sends PATCH to /api/tasks/:id → Rails updates DB →
   //   JSON response confirms → we show a toast notification
   //
   // COMPARISON TO RAILS FORMS:
@@ -204,37 +303,166 @@ export default class extends Controller {
   // - Same result (task updated), different UX!
   //
 
+  // Remember where the card came from BEFORE Sortable moves it.
+  // LEARNING NOTE: By the time onEnd fires, the card is already in its new
+  // column and its data-status still says the old one. onStart is our only
+  // chance to record the original spot for a rollback.
+  handleDragStart(evt) {
+    const taskCard = evt.item
+    this.dragging = true
+
+    this.rememberOrigin(taskCard, evt.from, evt.oldDraggableIndex)
+    this.wipWarned = new Set()
+    this.wipOverrideColumn = null
+
+    // MULTI-DRAG: the other selected cards stay put (dimmed) during the
+    // drag and jump over on drop. The dragged card shows "+N".
+    this.multiDragCards = []
+    if (taskCard.classList.contains("selected")) {
+      this.multiDragCards = this.selectedCards().filter(card => card !== taskCard)
+      this.multiDragCards.forEach(card => {
+        const column = card.closest(".kanban-column")
+        this.rememberOrigin(card, column, [...column.querySelectorAll(".task-card")].indexOf(card))
+        card.classList.add("multi-drag-waiting")
+      })
+      if (this.multiDragCards.length > 0) {
+        taskCard.dataset.multiDragCount = this.multiDragCards.length
+      }
+    }
+  }
+
+  // WIP LIMITS: refuse to let the card into a column that has no room
+  // for it (and everything selected with it). Holding Alt lets it in; the
+  // drop then asks the server to override the limit (TaskWipLimits).
+  handleMove(evt, originalEvent) {
+    const column = evt.to
+    if (column === evt.from) return true
+
+    const limit = parseLimit(column.dataset.wipLimit)
+    if (limit === null) return true
+
+    const moving = [evt.dragged, ...(this.multiDragCards || [])]
+    const incoming = moving.filter(card => card.closest(".kanban-column") !== column).length
+    const count = [...column.querySelectorAll(".task-card")].filter(card => !moving.includes(card)).length
+    if (hasRoom({ count, limit, incoming })) return true
+
+    if (originalEvent?.altKey) {
+      this.wipOverrideColumn = column
+      return true
+    }
+
+    column.classList.add("wip-full")
+    // Say why once per column per drag, not on every pointer move
+    if (!this.wipWarned.has(column)) {
+      this.wipWarned.add(column)
+      const { assignee, status, columnName } = column.dataset
+      this.showNotification(fullMessage({ assignee, status, count, limit, name: columnName }), "warning")
+    }
+    return false
+  }
+
+  rememberOrigin(taskCard, from, oldIndex) {
+    this.dragOrigins.set(taskCard.dataset.id, {
+      from,
+      oldIndex,
+      status: taskCard.dataset.status,
+      assignee: taskCard.dataset.assignee
+    })
+  }
+
+  // Selected cards in page order
+  selectedCards() {
+    return [...this.element.querySelectorAll(".task-card.selected")]
+  }
+
   handleDragEnd(evt) {
+    this.dragging = false
+
+    const companions = this.multiDragCards || []
+    this.multiDragCards = []
+    delete evt.item.dataset.multiDragCount
+    companions.forEach(card => card.classList.remove("multi-drag-waiting"))
+    this.columnTargets.forEach(column => column.classList.remove("wip-full"))
+
+    // Alt-dropped into a full column: ask the server to go over the limit
+    this.wipOverride = this.wipOverrideColumn !== null && this.wipOverrideColumn === evt.to
+    this.wipOverrideColumn = null
+
+    if (companions.length > 0) {
+      this.moveDroppedCards(evt, companions)
+    } else {
+      this.moveDroppedCard(evt)
+    }
+    this.flushDeferredRenders()
+  }
+
+  moveDroppedCard(evt) {
     // evt.item = the DOM element that was dragged (the task card)
     // evt.to   = the column it was dropped into
     // evt.from = the column it came from
+    // evt.newDraggableIndex = the card's new index among the .task-card
+    //   elements in evt.to (0 = top), ignoring the column header
 
     const taskCard  = evt.item
     const taskId    = taskCard.dataset.id
     const newStatus = evt.to.dataset.status
     const newAssignee = evt.to.dataset.assignee
+    const newPosition = evt.newDraggableIndex
 
     // LEARNING NOTE: dataset is the JavaScript API for reading data-* attributes
     // taskCard.dataset.id reads data-id="123" → "123"
     // evt.to.dataset.status reads data-status="in_progress" → "in_progress"
 
     // Skip API call if nothing changed (dropped back in same spot)
-    if (evt.from === evt.to && evt.oldIndex === evt.newIndex) {
+    if (evt.from === evt.to && evt.oldDraggableIndex === evt.newDraggableIndex) {
       console.log("📌 Card dropped in same position, no update needed")
+      this.dragOrigins.delete(taskId)
       return
     }
 
-    console.log(`🚚 Moving task ${taskId} → status: ${newStatus}, assignee: ${newAssignee}`)
+    console.log(`🚚 Moving task ${taskId} → status: ${newStatus}, assignee: ${newAssignee}, position: ${newPosition}`)
 
     // Update the card's data attributes to reflect the new state
     // This keeps the DOM in sync even before the API responds
     taskCard.dataset.status = newStatus
+    taskCard.dataset.assignee = newAssignee
 
     // Update the column counts in the UI
     this.updateColumnCounts()
 
     // Send the update to the Rails API
-    this.updateTask(taskId, { status: newStatus, assignee: newAssignee })
+    // LEARNING NOTE: position is what makes the order stick after a reload.
+    // Rails stores it and renumbers the other cards in the column
+    // (see Task#reposition! in app/models/task.rb).
+    const data = { status: newStatus, assignee: newAssignee, position: newPosition }
+    if (this.wipOverride) data.override_wip_limit = true
+    this.updateTask(taskId, data, taskCard)
+  }
+
+  // Multi-drag drop: line the other selected cards up right below the
+  // dropped one, then save them all with one batch request
+  moveDroppedCards(evt, companions) {
+    const taskCard = evt.item
+    const newStatus = evt.to.dataset.status
+    const newAssignee = evt.to.dataset.assignee
+
+    let previous = taskCard
+    companions.forEach(card => {
+      previous.after(card)
+      previous = card
+    })
+
+    const cards = [taskCard, ...companions]
+    cards.forEach(card => {
+      card.dataset.status = newStatus
+      card.dataset.assignee = newAssignee
+    })
+
+    const position = [...evt.to.querySelectorAll(".task-card")].indexOf(taskCard)
+    console.log(`🚚 Moving ${cards.length} tasks → status: ${newStatus}, assignee: ${newAssignee}, position: ${position}`)
+
+    this.updateColumnCounts()
+    this.updateTasks(cards, { status: newStatus, assignee: newAssignee }, position, this.wipOverride)
   }
 
   // ==========================================================================
@@ -264,43 +492,246 @@ export default class extends Controller {
   // - This makes async code read like synchronous code
   // - Without await: fetch().then().then().catch() (callback hell)
   //
+  // OPTIMISTIC UI + ROLLBACK:
+  // - The card has already moved on screen when this runs (optimistic)
+  // - If the request fails, returns 422, or takes longer than timeoutValue,
+  //   we animate the card back to where the drag started and fix the counts
+  // - AbortController lets us cancel a fetch that is taking too long
+  //
+  // CONFLICTS (409):
+  // - The card's data-etag goes along as If-Match. If someone else moved
+  //   or reassigned the task since the board was drawn, the server says
+  //   409 and resolveConflict() asks what to keep (lib/task_conflict.js)
+  //
+
+  async updateTask(taskId, data, taskCard, { ifMatch = taskCard?.dataset.etag, echo = false } = {}) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), this.timeoutValue)
+    const headers = ifMatch ? { "If-Match": ifMatch } : {}
+    // Rails copies this onto the broadcasts this change triggers, so
+    // beforeStreamRender can recognize them as our own echo. `echo` leaves
+    // it off, so the broadcasts redraw the card where the server put it.
+    if (!echo) headers["X-Turbo-Request-Id"] = this.trackOwnRequest()
 
-  async updateTask(taskId, data) {
     try {
-      const response = await fetch(`${this.apiUrlValue}/${taskId}`, {
+      // lib/request sends `json` as the body (Content-Type, Accept and the
+      // CSRF token included); Rails parses it back into params
+      const response = await request(`${this.apiUrlValue}/${taskId}`, {
         method: "PATCH",
-        headers: {
-          // Tell Rails we're sending JSON in the request body
-          "Content-Type": "application/json",
-          // Tell Rails we want JSON back in the response
-          "Accept": "application/json"
-        },
-        // Convert our JS object to a JSON string for the request body
-        // Rails will parse this back into params on the server side
-        body: JSON.stringify(data)
+        json: data,
+        headers,
+        signal: controller.signal
       })
 
+      if (response.status === 409) {
+        clearTimeout(timer)
+        return await this.resolveConflict(taskId, data, taskCard, response)
+      }
+
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+        throw new Error(await this.errorMessageFrom(response))
+      }
+
+      // 202 comes from the service worker: we're offline and the move was
+      // queued. Keep the card where it was dropped; it syncs when we're back.
+      if (response.status === 202) {
+        this.dragOrigins.delete(taskId)
+        this.showNotification("You're offline. The move was saved and will sync later.", "info")
+        return
       }
 
       const task = await response.json()
       console.log("✅ Task updated:", task)
+      // Our own echo is skipped, so keep the card's version current here
+      if (taskCard) taskCard.dataset.etag = etagFrom(response, task)
 
-      // Show success feedback
-      this.showNotification("Task moved successfully!", "success")
+      // Success feedback is the Undo toast (undo_controller.js)
+      this.registerUndo(`Moved task #${taskId}`, [taskId])
 
     } catch (error) {
       console.error("❌ Error updating task:", error)
-      this.showNotification("Failed to move task. Try refreshing.", "danger")
 
-      // LEARNING NOTE: On error, we could reload to restore correct state:
-      // import { Turbo } from "@hotwired/turbo-rails"
-      // Turbo.visit(window.location.href)
-      // But that's jarring UX. Better to show an error and let user retry.
+      // Put the card back where it was and restore the counts
+      this.rollback(taskId, taskCard)
+
+      const message = error.name === "AbortError"
+        ? "Moving the task timed out. It was put back."
+        : `Couldn't move task: ${error.message}`
+      this.showNotification(message, "danger")
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  // Someone else changed the task since the card was drawn. Ask which
+  // values to keep; send the answer again against the version now saved,
+  // or put the card back if the person keeps theirs (or cancels).
+  async resolveConflict(taskId, data, taskCard, response) {
+    const { task, conflict } = await response.json()
+    const resolved = await askToResolve({ task, conflict, changes: data })
+
+    if (!resolved || !keepsAnyOfMine(resolved, conflict)) {
+      this.rollback(taskId, taskCard)
+      if (taskCard) taskCard.dataset.etag = etagFrom(response, task)
+      this.showNotification(`Task #${taskId} was changed by someone else. Kept their version.`, "info")
+      return
+    }
+
+    // Some of theirs kept: let the broadcasts redraw the card where it lands
+    const echo = Object.keys(resolved).length < Object.keys(data).length
+    return this.updateTask(taskId, resolved, taskCard, { ifMatch: etagFrom(response, task), echo })
+  }
+
+  // Save a multi-drag through POST /api/tasks/batch.
+  // The batch answers per task, so we only roll back the cards that failed.
+  async updateTasks(cards, changes, position, overrideWipLimit = false) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), this.timeoutValue)
+    const ids = cards.map(card => card.dataset.id)
+
+    try {
+      const response = await request(`${this.apiUrlValue}/batch`, {
+        method: "POST",
+        json: { ids, changes, position, override_wip_limit: overrideWipLimit },
+        headers: { "X-Turbo-Request-Id": this.trackOwnRequest() },
+        signal: controller.signal
+      })
+
+      if (response.status === 202) {
+        // Queued offline by the service worker
+        ids.forEach(id => this.dragOrigins.delete(id))
+        this.showNotification("You're offline. The move was saved and will sync later.", "info")
+        return
+      }
+
+      const result = await response.json()
+      if (!Array.isArray(result.results)) {
+        throw new Error(result.error || `HTTP ${response.status}`)
+      }
+
+      const failures = result.results.filter(entry => !entry.ok)
+      const moved = result.results.filter(entry => entry.ok).map(entry => String(entry.id))
+      this.rollbackAll(failures.map(entry => String(entry.id)))
+      if (moved.length > 0) this.registerUndo(`Moved ${moved.length} tasks`, moved)
+
+      if (failures.length === 0) {
+        cards.forEach(card => card.classList.remove("selected"))
+      } else {
+        const details = failures.map(entry => `#${entry.id}: ${entry.errors.join(", ")}`).join("; ")
+        this.showNotification(`${result.succeeded} moved, ${failures.length} put back — ${details}`, "warning")
+      }
+    } catch (error) {
+      console.error("❌ Error moving tasks:", error)
+      this.rollbackAll(ids)
+
+      const message = error.name === "AbortError"
+        ? "Moving the tasks timed out. They were put back."
+        : `Couldn't move tasks: ${error.message}`
+      this.showNotification(message, "danger")
+    } finally {
+      clearTimeout(timer)
+      // Let the bulk action bar recount the selection
+      this.element.dispatchEvent(new CustomEvent("board-selection:changed"))
     }
   }
 
+  // Make a request id and remember it long enough for the broadcasts
+  // it triggers to arrive over Action Cable
+  trackOwnRequest() {
+    const requestId = crypto.randomUUID()
+    this.ownRequestIds.add(requestId)
+    setTimeout(() => this.ownRequestIds.delete(requestId), 30000)
+    return requestId
+  }
+
+  // Build a readable message from a failed response
+  // LEARNING NOTE: Api::TasksController#update renders validation failures
+  // as { errors: ["Status is not included in the list"] } with a 422.
+  // Other failures (404, 500) may not have a JSON body at all.
+  async errorMessageFrom(response) {
+    try {
+      const body = await response.json()
+      if (Array.isArray(body.errors) && body.errors.length > 0) {
+        return body.errors.join(", ")
+      }
+      if (body.error) {
+        return body.error
+      }
+    } catch {
+      // Not JSON — fall through to the status line
+    }
+    return `HTTP ${response.status}: ${response.statusText}`
+  }
+
+  // ==========================================================================
+  // ROLLBACK
+  // ==========================================================================
+
+  // Move a card back to the column and index recorded in handleDragStart
+  rollback(taskId, taskCard) {
+    const origin = this.dragOrigins.get(taskId)
+    this.dragOrigins.delete(taskId)
+    if (!origin || !taskCard) return
+
+    // FLIP animation: remember where the card is now (First), move it
+    // (Last), then animate from the old spot to the new one (Invert, Play)
+    const before = taskCard.getBoundingClientRect()
+
+    const siblings = [...origin.from.querySelectorAll(".task-card")]
+      .filter(card => card !== taskCard)
+    const reference = siblings[origin.oldIndex] || null
+
+    if (reference) {
+      origin.from.insertBefore(taskCard, reference)
+    } else {
+      origin.from.appendChild(taskCard)
+    }
+
+    taskCard.dataset.status = origin.status
+    taskCard.dataset.assignee = origin.assignee
+
+    const after = taskCard.getBoundingClientRect()
+    taskCard.animate([
+      { transform: `translate(${before.left - after.left}px, ${before.top - after.top}px)` },
+      { transform: "translate(0, 0)" }
+    ], { duration: 250, easing: "ease-out" })
+
+    this.updateColumnCounts()
+  }
+
+  // Roll back several cards. Lowest original index first, so each one's
+  // saved index still points at the right spot when it's reinserted.
+  rollbackAll(taskIds) {
+    taskIds
+      .map(id => ({ id, origin: this.dragOrigins.get(id) }))
+      .filter(({ origin }) => origin)
+      .sort((a, b) => a.origin.oldIndex - b.origin.oldIndex)
+      .forEach(({ id }) => {
+        this.rollback(id, this.element.querySelector(`.task-card[data-id="${id}"]`))
+      })
+  }
+
+  // ==========================================================================
+  // UNDO
+  // ==========================================================================
+
+  // Hand a saved move to undo_controller.js, which shows the Undo toast and
+  // keeps it for Ctrl+Z. Each card goes back to the column and index
+  // recorded in handleDragStart — lowest index first, like rollbackAll.
+  registerUndo(label, taskIds) {
+    const steps = taskIds
+      .map(taskId => ({ taskId, origin: this.dragOrigins.get(taskId) }))
+      .filter(({ origin }) => origin)
+      .sort((a, b) => a.origin.oldIndex - b.origin.oldIndex)
+      .map(({ taskId, origin }) => ({
+        taskId,
+        body: { revert: { status: origin.status, assignee: origin.assignee }, position: origin.oldIndex }
+      }))
+
+    taskIds.forEach(taskId => this.dragOrigins.delete(taskId))
+    document.dispatchEvent(new CustomEvent("undo:register", { detail: { label, steps } }))
+  }
+
   // ==========================================================================
   // UI HELPERS
   // ==========================================================================
@@ -308,8 +739,8 @@ export default class extends Controller {
   // Update the task count badges in each column header
   // LEARNING NOTE: This is "optimistic UI" — we update the display
   // immediately without waiting for the server response.
-  // If the server update fails, the counts might be wrong until
-  // the next page load, but the UX feels snappier.
+  // If the server update fails, rollback() moves the card back and
+  // calls this again, so the counts are restored too.
   updateColumnCounts() {
     this.columnTargets.forEach(column => {
       // Count the task cards currently in this column
@@ -320,57 +751,14 @@ export default class extends Controller {
       const header = column.querySelector(".column-count")
       if (header) {
         header.textContent = cardCount
+        // Red header past the WIP limit, like tasks/_column_count renders it
+        header.classList.toggle("over-limit", isOverLimit(cardCount, parseLimit(column.dataset.wipLimit)))
       }
     })
   }
 
-  // Show a Bootstrap toast notification
-  //
-  // LEARNING NOTE: This creates DOM elements with JavaScript.
-  // In Rails views, we'd write HTML in .slim templates.
-  // But for dynamic notifications that appear after user actions,
-  // creating elements in JS is the right approach.
-  //
-  // document.createElement() → creates a new HTML element
-  // element.className       → sets CSS classes
-  // element.innerHTML       → sets the HTML content inside
-  // element.appendChild()   → adds a child element
-  //
+  // Bootstrap toast, bottom right (lib/toast.js)
   showNotification(message, type = "info") {
-    // Create the toast element
-    const toast = document.createElement("div")
-    toast.className = `toast align-items-center text-bg-${type} border-0`
-    toast.setAttribute("role", "alert")
-    toast.setAttribute("aria-live", "assertive")
-    toast.setAttribute("aria-atomic", "true")
-    toast.innerHTML = `
-      <div class="d-flex">
-        <div class="toast-body">${message}</div>
-        <button type="button" class="btn-close btn-close-white me-2 m-auto"
-                data-bs-dismiss="toast" aria-label="Close"></button>
-      </div>
-    `
-
-    // Find or create the toast container
-    // LEARNING NOTE: We use a fixed-position container so toasts
-    // appear in the bottom-right corner regardless of scroll position
-    let container = document.querySelector(".toast-container")
-    if (!container) {
-      container = document.createElement("div")
-      container.className = "toast-container position-fixed bottom-0 end-0 p-3"
-      container.style.zIndex = "1080"  // Above Bootstrap modals
-      document.body.appendChild(container)
-    }
-    container.appendChild(toast)
-
-    // Initialize and show the Bootstrap Toast component
-    // LEARNING NOTE: Bootstrap's JS components are initialized by
-    // creating new instances: new bootstrap.Toast(element)
-    // This is similar to how Stimulus controllers are connected to elements
-    const bsToast = new bootstrap.Toast(toast, { delay: 3000 })
-    bsToast.show()
-
-    // Clean up the DOM after the toast is hidden
-    toast.addEventListener("hidden.bs.toast", () => toast.remove())
+    showToast(message, type, { delay: 3000 })
   }
 }
@@ -0,0 +1,161 @@
+// ============================================================================
+// Stimulus Controller: Sparky History
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The context-usage chart on the Sparky status card. It fetches
+// GET /api/sparky/history (one point per session in usage-log.json) and
+// draws it as plain SVG:
+//
+//   - a line per stretch of reports, cut where Sparky went quiet
+//   - shaded boxes for those stale gaps (> 30 minutes without a report)
+//   - dashed markers where the model changed
+//   - faint lines at 50% and 80%, where the progress bar changes colour
+//
+// Hovering (or tabbing to) a point shows that session underneath: when,
+// how full the context was, the model, and the sprint or in-progress task
+// Sparky was on at the time.
+//
+// The coordinates come from lib/context_chart.js; this controller only
+// turns them into elements. Everything from the server is set as text or
+// attributes, never as HTML.
+//
+// The status card is replaced by a Turbo Stream when the status changes,
+// which reconnects this controller and fetches the history again, so the
+// chart keeps up with the card without polling on its own.
+//
+// COMPARISON TO REACT:
+// - React: useEffect(() => fetch(...).then(setHistory)), then map the
+//   points to <circle> elements in JSX
+// - Stimulus: the same, with document.createElementNS for SVG
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { chartLayout } from "lib/context_chart"
+import { requestJSON } from "lib/request"
+
+const SVG = "http://www.w3.org/2000/svg"
+const WIDTH = 300
+const HEIGHT = 80
+
+// Connects to data-controller="sparky-history"
+export default class extends Controller {
+  static targets = ["chart", "detail"]
+
+  static values = {
+    url: { type: String, default: "/api/sparky/history" },
+    hours: { type: Number, default: 24 }
+  }
+
+  connect() {
+    this.request = new AbortController()
+    this.load()
+  }
+
+  disconnect() {
+    this.request.abort()
+  }
+
+  async load() {
+    try {
+      this.render(await requestJSON(`${this.urlValue}?hours=${this.hoursValue}`, { signal: this.request.signal }))
+    } catch (error) {
+      if (error.name === "AbortError") return
+      console.error("[SparkyHistory] Loading failed:", error)
+      this.detailTarget.textContent = "Couldn't load the history."
+    }
+  }
+
+  render(history) {
+    this.sessions = history.sessions
+    this.chartTarget.replaceChildren()
+
+    if (history.sessions.length === 0) {
+      this.detailTarget.textContent = `No sessions in the last ${this.hoursValue} hours.`
+      return
+    }
+
+    const layout = chartLayout(history, { width: WIDTH, height: HEIGHT })
+    const svg = svgElement("svg", {
+      viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+      class: "sparky-history-chart",
+      role: "img",
+      "aria-label": `Context usage over the last ${this.hoursValue} hours`
+    })
+
+    layout.gaps.forEach(gap => {
+      const rect = svgElement("rect", { x: gap.x, y: 0, width: gap.width, height: HEIGHT, class: "sparky-history-gap" })
+      rect.appendChild(svgTitle(`No reports ${formatTime(gap.from)} – ${formatTime(gap.to)}`))
+      svg.appendChild(rect)
+    })
+
+    layout.thresholds.forEach(({ y }) => {
+      svg.appendChild(svgElement("line", { x1: 0, x2: WIDTH, y1: y, y2: y, class: "sparky-history-threshold" }))
+    })
+
+    layout.switches.forEach(change => {
+      const line = svgElement("line", { x1: change.x, x2: change.x, y1: 0, y2: HEIGHT, class: "sparky-history-switch" })
+      line.appendChild(svgTitle(`${shortModel(change.from)} → ${shortModel(change.to)}`))
+      svg.appendChild(line)
+    })
+
+    layout.lines.forEach(d => svg.appendChild(svgElement("path", { d, class: "sparky-history-line" })))
+
+    layout.points.forEach((point, index) => {
+      const circle = svgElement("circle", {
+        cx: point.x,
+        cy: point.y,
+        r: 2.5,
+        tabindex: 0,
+        class: point.modelChanged ? "sparky-history-point model-changed" : "sparky-history-point",
+        "data-index": index,
+        "data-action": "mouseenter->sparky-history#show focus->sparky-history#show"
+      })
+      circle.appendChild(svgTitle(describe(point.session)))
+      svg.appendChild(circle)
+    })
+
+    this.chartTarget.appendChild(svg)
+    this.detailTarget.textContent = describe(history.sessions.at(-1))
+  }
+
+  // mouseenter / focus on a point
+  show(event) {
+    const session = this.sessions[Number(event.currentTarget.dataset.index)]
+    if (!session) return
+
+    this.chartTarget.querySelectorAll(".sparky-history-point.active").forEach(point => point.classList.remove("active"))
+    event.currentTarget.classList.add("active")
+    this.detailTarget.textContent = describe(session)
+  }
+}
+
+function svgElement(name, attributes) {
+  const element = document.createElementNS(SVG, name)
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value))
+  return element
+}
+
+// <title> inside an SVG element is its native tooltip
+function svgTitle(text) {
+  const title = document.createElementNS(SVG, "title")
+  title.textContent = text
+  return title
+}
+
+// "Feb 6, 2:05 PM · 42% · kimi-k2.5 · Sprint: #12 Deploy to production"
+function describe(session) {
+  const task = session.task
+    ? `${session.task.status === "sprint" ? "Sprint" : "In progress"}: #${session.task.id} ${session.task.title}`
+    : "No sprint or in-progress task"
+  return [formatTime(session.timestamp), `${Math.round(session.context_pct)}%`, shortModel(session.model), task].join(" · ")
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" })
+}
+
+// "moonshot/kimi-k2.5" -> "kimi-k2.5", like the card's Model field
+const shortModel = model => (model || "unknown").split("/").pop()
@@ -6,10 +6,21 @@
 //
 // This controller handles live updates for Sparky's status display.
 // It demonstrates:
-// - Periodic polling for updates
+// - Periodic polling for updates (lib/poller.js)
 // - Turbo Stream handling
 // - Data attributes for configuration
 //
+// POLLING:
+// The Poller skips hidden tabs, backs off after errors and sends the last
+// ETag, so while nothing changes the server answers 304 Not Modified and
+// the card is left alone. The card is server-rendered with current data,
+// so the first poll waits one interval.
+//
+// Each update replaces the whole card, and with it this controller and
+// its Poller. So before the new card goes in it gets the answer's ETag
+// (data-sparky-status-etag-value), and its Poller starts from there
+// instead of downloading the full answer again.
+//
 // STIMULUS LIFECYCLE:
 // ------------------
 // 1. constructor()      → Called when controller is instantiated
@@ -52,6 +63,7 @@
 // ============================================================================
 
 import { Controller } from "@hotwired/stimulus"
+import { Poller } from "lib/poller"
 
 export default class extends Controller {
   // Define value types that can be passed from HTML
@@ -63,94 +75,71 @@ export default class extends Controller {
     },
     contextPercent: Number, // Current context percentage
     model: String,         // Current model name
-    active: Boolean        // Whether sparky is active
+    active: Boolean,       // Whether sparky is active
+    etag: String           // ETag of the answer this card came from
   }
 
   // Called when controller connects to the DOM
   connect() {
     console.log('[SparkyStatus] Connected')
-    
-    // Start polling for updates
-    this.startPolling()
-    
-    // Do an immediate fetch on connect
-    this.fetchStatus()
+
+    this.poller = new Poller({
+      url: this.urlValue,
+      interval: this.intervalValue,
+      etag: this.etagValue || null,
+      // Request Turbo Stream format
+      // This tells Rails: "Send me HTML fragments, not JSON"
+      headers: {
+        'Accept': 'text/vnd.turbo-stream.html, application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      onUpdate: response => this.applyStatus(response),
+      onError: error => console.error('[SparkyStatus] Fetch failed:', error)
+    })
+    this.poller.start()
   }
 
   // Called when controller disconnects from DOM
+  // (including when a Turbo Stream replaces this element)
   disconnect() {
     console.log('[SparkyStatus] Disconnected')
-    this.stopPolling()
+    this.poller.stop()
   }
 
-  // Start periodic polling
-  startPolling() {
-    // Clear any existing interval first
-    this.stopPolling()
-    
-    // Set up new interval
-    this.pollInterval = setInterval(() => {
-      this.fetchStatus()
-    }, this.intervalValue)
-    
-    console.log(`[SparkyStatus] Polling every ${this.intervalValue}ms`)
-  }
+  // Called by the Poller with each 2xx answer (304s never get here)
+  async applyStatus(response) {
+    // Check if we got a Turbo Stream response
+    const contentType = response.headers.get('content-type')
 
-  // Stop polling
-  stopPolling() {
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval)
-      this.pollInterval = null
-    }
-  }
+    if (contentType && contentType.includes('turbo-stream')) {
+      // Turbo Stream response - let Turbo handle the DOM update
+      // The response body contains <turbo-stream> elements
+      // Turbo automatically processes them!
+      const html = await response.text()
 
-  // Fetch status from server
-  // Uses Turbo Streams for automatic DOM updates
-  async fetchStatus() {
-    try {
-      // Request Turbo Stream format
-      // This tells Rails: "Send me HTML fragments, not JSON"
-      const response = await fetch(this.urlValue, {
-        headers: {
-          'Accept': 'text/vnd.turbo-stream.html, application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        }
-      })
+      // Use Turbo's stream processing
+      // This parses the turbo-stream elements and applies them
+      const parser = new DOMParser()
+      const doc = parser.parseFromString(html, 'text/html')
+      const streams = doc.querySelectorAll('turbo-stream')
+      const etag = response.headers.get('ETag')
+
+      streams.forEach(stream => {
+        // Hand the ETag to the card replacing this one (see POLLING above)
+        const card = stream.querySelector('template')?.content.querySelector('#sparky-status')
+        if (card && etag) card.setAttribute('data-sparky-status-etag-value', etag)
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`)
-      }
+        // Dispatch a custom event that Turbo listens for
+        document.body.appendChild(stream)
+      })
 
-      // Check if we got a Turbo Stream response
-      const contentType = response.headers.get('content-type')
-      
-      if (contentType && contentType.includes('turbo-stream')) {
-        // Turbo Stream response - let Turbo handle the DOM update
-        // The response body contains <turbo-stream> elements
-        // Turbo automatically processes them!
-        const html = await response.text()
-        
-        // Use Turbo's stream processing
-        // This parses the turbo-stream elements and applies them
-        const parser = new DOMParser()
-        const doc = parser.parseFromString(html, 'text/html')
-        const streams = doc.querySelectorAll('turbo-stream')
-        
-        streams.forEach(stream => {
-          // Dispatch a custom event that Turbo listens for
-          document.body.appendChild(stream)
-        })
-        
-        console.log('[SparkyStatus] Updated via Turbo Stream')
-      } else {
-        // JSON response - would need manual update
-        // This branch handles non-Turbo clients
-        const data = await response.json()
-        console.log('[SparkyStatus] Received JSON:', data)
-        // In a real app, you'd manually update DOM elements here
-      }
-    } catch (error) {
-      console.error('[SparkyStatus] Fetch failed:', error)
+      console.log('[SparkyStatus] Updated via Turbo Stream')
+    } else {
+      // JSON response - would need manual update
+      // This branch handles non-Turbo clients
+      const data = await response.json()
+      console.log('[SparkyStatus] Received JSON:', data)
+      // In a real app, you'd manually update DOM elements here
     }
   }
 
@@ -158,7 +147,7 @@ export default class extends Controller {
   // Usage: data-action="click->sparky-status#refresh"
   refresh() {
     console.log('[SparkyStatus] Manual refresh triggered')
-    this.fetchStatus()
+    this.poller.refresh()
   }
 
   // Change polling interval dynamically
@@ -167,7 +156,9 @@ export default class extends Controller {
     const newInterval = parseInt(event.target.value, 10)
     if (newInterval && newInterval >= 5000) {
       this.intervalValue = newInterval
-      this.startPolling()
+      this.poller.interval = newInterval
+      this.poller.maxInterval = newInterval * 8
+      this.poller.schedule()
       console.log(`[SparkyStatus] Interval changed to ${newInterval}ms`)
     }
   }
@@ -0,0 +1,159 @@
+// ============================================================================
+// Stimulus Controller: Task Conflict (merge prompt)
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The modal that answers lib/task_conflict.js's askToResolve(). Rendered
+// once in the layout (layouts/_task_conflict), listening on window:
+//
+//   task:conflict@window->task-conflict#show
+//
+// The event's detail is the 409 (task now, conflict) plus the changes the
+// person tried to make and a resolve() callback. We draw one row per
+// conflicting field - value at their version, saved value, their value -
+// with a radio each, and who changed what in between. The buttons call
+// resolve() with lib/task_conflict's resolveChanges():
+//
+//   Keep mine / Take theirs / Merge selected   -> the changes to send again
+//   Cancel, Esc, the close button              -> null (put things back)
+//
+// Conflicts that arrive while the modal is open wait their turn.
+//
+// The edit form has a server-rendered version of this (tasks/_conflict).
+//
+// COMPARISON TO REACT:
+// - React: a <ConflictDialog> in a portal, opened through context
+// - Stimulus: one modal in the layout, opened by a window event
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { conflictRows, resolveChanges, describeActivity } from "lib/task_conflict"
+
+export default class extends Controller {
+  static targets = ["modal", "title", "activities", "rows"]
+
+  connect() {
+    this.queue = []
+    this.current = null
+    this.modal = bootstrap.Modal.getOrCreateInstance(this.modalTarget)
+    this.hidden = () => this.finish(null)
+    this.modalTarget.addEventListener("hidden.bs.modal", this.hidden)
+  }
+
+  disconnect() {
+    this.modalTarget.removeEventListener("hidden.bs.modal", this.hidden)
+    // Nobody left to ask: the callers put their cards back
+    ;[this.current, ...this.queue].forEach(detail => detail?.resolve(null))
+    this.queue = []
+    this.current = null
+  }
+
+  // task:conflict - claim the event so askToResolve waits for us
+  show(event) {
+    event.preventDefault()
+    this.queue.push(event.detail)
+    if (!this.current) this.next()
+  }
+
+  keepMine() {
+    this.choose("mine")
+  }
+
+  takeTheirs() {
+    this.choose("theirs")
+  }
+
+  merge() {
+    this.choose("merge")
+  }
+
+  // ==========================================================================
+  // PRIVATE
+  // ==========================================================================
+
+  next() {
+    this.current = this.queue.shift() || null
+    if (!this.current) return
+
+    this.render(this.current)
+    this.modal.show()
+  }
+
+  choose(resolution) {
+    const { changes, conflict } = this.current
+    const choices = Object.fromEntries(
+      [...this.rowsTarget.querySelectorAll("input[type=radio]:checked")].map(input => [input.dataset.field, input.value])
+    )
+    this.finish(resolveChanges(changes, conflict, resolution, choices))
+    this.modal.hide()
+  }
+
+  // Answer the current conflict once (hiding the modal calls this again)
+  finish(changes) {
+    if (!this.current) return
+
+    this.current.resolve(changes)
+    this.current = null
+    // Let the closing animation finish before the next one opens
+    if (this.queue.length) setTimeout(() => this.next(), 300)
+  }
+
+  render({ task, conflict }) {
+    this.titleTarget.textContent = `#${task.id} ${task.title} was changed while you were working on it`
+
+    this.activitiesTarget.replaceChildren(...(conflict.activities || []).map(activity => {
+      const item = document.createElement("li")
+      item.textContent = describeActivity(activity)
+      return item
+    }))
+
+    this.rowsTarget.replaceChildren(...conflictRows(conflict).map(row => this.row(row)))
+  }
+
+  row({ field, label, base, theirs, mine }) {
+    const tr = document.createElement("tr")
+
+    const name = document.createElement("th")
+    name.scope = "row"
+    name.textContent = label
+
+    const original = document.createElement("td")
+    original.className = "text-muted"
+    original.textContent = this.display(base)
+
+    tr.append(name, original, this.choice(field, "theirs", theirs, false), this.choice(field, "mine", mine, true))
+    return tr
+  }
+
+  choice(field, side, value, checked) {
+    const cell = document.createElement("td")
+    const wrapper = document.createElement("div")
+    wrapper.className = "form-check"
+
+    const input = document.createElement("input")
+    input.type = "radio"
+    input.className = "form-check-input"
+    input.name = `task-conflict-${field}`
+    input.id = `task-conflict-${field}-${side}`
+    input.value = side
+    input.checked = checked
+    input.dataset.field = field
+
+    const label = document.createElement("label")
+    label.className = "form-check-label text-break"
+    label.htmlFor = input.id
+    label.textContent = this.display(value)
+
+    wrapper.append(input, label)
+    cell.append(wrapper)
+    return cell
+  }
+
+  display(value) {
+    if (value === null || value === undefined || value === "") return "—"
+    const text = String(value)
+    return text.length > 200 ? `${text.slice(0, 200)}…` : text
+  }
+}
@@ -23,6 +23,7 @@
 // ============================================================================
 
 import { Controller } from "@hotwired/stimulus"
+import { request } from "lib/request"
 
 // Connects to data-controller="task"
 export default class extends Controller {
@@ -40,13 +41,17 @@ export default class extends Controller {
     if (!confirm('Delete this task?')) return
     
     try {
-      const response = await fetch(this.deleteUrlValue || `/api/tasks/${this.idValue}`, {
+      const response = await request(this.deleteUrlValue || `/api/tasks/${this.idValue}`, {
         method: 'DELETE',
-        headers: {
-          'Accept': 'text/vnd.turbo-stream.html, application/json'
-        }
+        accept: 'text/vnd.turbo-stream.html, application/json'
       })
       
+      if (response.status === 202) {
+        // Offline: the service worker queued the delete. Leave the card up;
+        // offline_sync_controller marks it "pending sync" until it goes through.
+        return
+      }
+
       if (response.ok) {
         // Check if we got a Turbo Stream response
         const contentType = response.headers.get('content-type') || ''
@@ -57,7 +62,12 @@ export default class extends Controller {
         if (!isTurboStream) {
           this.element.remove()
         }
-        // Success! Don't show any error
+        
+        // Undo toast + Ctrl+Z (undo_controller.js) restores it from the archive
+        document.dispatchEvent(new CustomEvent('undo:register', { detail: {
+          label: `Archived task #${this.idValue}`,
+          steps: [{ taskId: this.idValue, body: { restore: true } }]
+        }}))
       } else {
         // Only show error if response was not OK
         console.error('Delete failed with status:', response.status)
@@ -76,13 +86,9 @@ export default class extends Controller {
     const newStatus = this.element.dataset.status === 'done' ? 'in_progress' : 'done'
     
     try {
-      const response = await fetch(`/api/tasks/${this.idValue}`, {
+      const response = await request(`/api/tasks/${this.idValue}`, {
         method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({ status: newStatus })
+        json: { status: newStatus }
       })
       
       if (response.ok) {
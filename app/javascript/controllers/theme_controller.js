@@ -4,11 +4,25 @@
 //
 // LEARNING NOTES:
 //
-// This controller handles dark/light theme switching.
-// It demonstrates:
-// - Stimulus actions (data-action="click->theme#toggle")
-// - LocalStorage for persistence
-// - DOM manipulation in Stimulus
+// This controller handles the theme picker in the navbar: System, Light,
+// Dark or High contrast. It demonstrates:
+// - Stimulus actions with params (data-action="click->theme#choose")
+// - Listening to the browser: matchMedia and the storage event
+// - Saving a preference on the server (PATCH /theme)
+//
+// WHERE THE THEME COMES FROM:
+// ---------------------------
+// The server renders <html data-bs-theme> from the saved preference
+// (the user's `theme` column, or a cookie when signed out), so pages
+// arrive in the right colours. "system" depends on the browser, so a
+// small inline script in the layout's <head> resolves it before the
+// first paint. By the time connect() runs there's nothing left to fix;
+// this controller only handles changes:
+//
+// - Picking a theme: apply it, save it (server + localStorage)
+// - "system" + the OS switching light/dark: matchMedia's change event
+// - Another tab picking a theme: the storage event (fires in every
+//   other tab of this site when localStorage changes)
 //
 // HOW STIMULUS CONNECTS TO HTML:
 // ------------------------------
@@ -24,9 +38,9 @@
 //    This tells Stimulus: "Activate the theme controller on this element"
 //
 // 3. ACTION CONNECTION → data-action
-//    In the HTML: data-action="click->theme#toggle"
+//    In the HTML: data-action="click->theme#choose"
 //    Format: event->controller#method
-//    This says: "On click, call the toggle() method on the theme controller"
+//    This says: "On click, call the choose() method on the theme controller"
 //
 // 4. TARGET CONNECTION → data-[controller]-target
 //    In the HTML: data-theme-target="icon"
@@ -37,7 +51,7 @@
 // --------------------
 // 1. Page loads, Stimulus scans for data-controller attributes
 // 2. When found, Stimulus instantiates the controller class
-// 3. connect() is called - perfect for setup (like loading saved theme)
+// 3. connect() is called - perfect for setup (like adding listeners)
 // 4. Actions fire when events occur
 // 5. disconnect() is called when element leaves DOM (cleanup)
 //
@@ -77,60 +91,111 @@
 // ============================================================================
 
 import { Controller } from "@hotwired/stimulus"
+import { resolveTheme, toggledTheme, STORAGE_KEY } from "lib/theme"
+import { requestJSON } from "lib/request"
+
+const ICONS = {
+  system: 'bi-circle-half',
+  light: 'bi-sun-fill',
+  dark: 'bi-moon-fill',
+  'high-contrast': 'bi-eye-fill'
+}
 
 // Connects to data-controller="theme"
 export default class extends Controller {
   // Targets let us reference specific elements
   // HTML: data-theme-target="icon"
   // JS:   this.iconTarget gives us the element
-  // JS:   this.hasIconTarget checks if it exists
-  static targets = ["icon"]
-  
+  // JS:   this.optionTargets gives us every menu item
+  static targets = ["icon", "option"]
+
+  // data-theme-preference-value: what the server rendered the page with
+  static values = {
+    preference: { type: String, default: "system" },
+    url: { type: String, default: "/theme" }
+  }
+
   // Called when controller connects to the DOM
   // This happens:
   // - On initial page load (if element has data-controller)
   // - When element is dynamically added to DOM (Turbo, AJAX, etc.)
+  // Before connect(): Stimulus calls preferenceValueChanged() first,
+  // and apply() needs the media query
+  initialize() {
+    this.media = window.matchMedia('(prefers-color-scheme: dark)')
+  }
+
   connect() {
-    // Load saved theme preference from browser storage
-    const savedTheme = localStorage.getItem('theme') || 'dark'
-    this.applyTheme(savedTheme)
-    
-    console.log('[Theme] Controller connected, theme:', savedTheme)
+    this.mediaChanged = () => this.apply()
+    this.storageChanged = event => {
+      if (event.key === STORAGE_KEY && event.newValue) this.preferenceValue = event.newValue
+    }
+
+    this.media.addEventListener('change', this.mediaChanged)
+    window.addEventListener('storage', this.storageChanged)
+
+    // The server's answer wins, so other tabs follow this one
+    localStorage.setItem(STORAGE_KEY, this.preferenceValue)
+
+    console.log('[Theme] Controller connected, theme:', this.preferenceValue)
   }
-  
+
   // Called when controller disconnects from DOM
   // Good for cleanup (removing event listeners, intervals, etc.)
   disconnect() {
+    this.media.removeEventListener('change', this.mediaChanged)
+    window.removeEventListener('storage', this.storageChanged)
     console.log('[Theme] Controller disconnected')
   }
-  
-  // Toggle between dark and light
-  // Called via: data-action="click->theme#toggle"
-  // The #toggle means "call the toggle method"
+
+  // Pick a theme from the menu
+  // Called via: data-action="click->theme#choose" data-theme-preference-param="dark"
+  choose({ params: { preference } }) {
+    this.save(preference)
+  }
+
+  // Flip between light and dark (the command palette's "Toggle theme")
+  // Called via: data-action="theme:toggle@window->theme#toggle"
   toggle() {
-    const html = document.documentElement
-    const currentTheme = html.getAttribute('data-bs-theme')
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark'
-    
-    this.applyTheme(newTheme)
-    localStorage.setItem('theme', newTheme)
-    
-    console.log('[Theme] Switched to:', newTheme)
+    this.save(toggledTheme(document.documentElement.dataset.bsTheme))
   }
-  
-  // Apply theme to document
+
+  // Stimulus calls this on connect and whenever preferenceValue changes
+  preferenceValueChanged() {
+    this.apply()
+  }
+
+  // Apply the preference to the document
   // Helper method - not exposed as an action
-  applyTheme(theme) {
+  apply() {
+    const preference = this.preferenceValue
+
     // Bootstrap 5 uses data-bs-theme for theming
-    document.documentElement.setAttribute('data-bs-theme', theme)
-    
+    document.documentElement.dataset.bsTheme = resolveTheme(preference, this.media.matches)
+    document.documentElement.dataset.themePreference = preference
+
     // Update icon if target exists
     // this.hasIconTarget is automatically generated by Stimulus
     if (this.hasIconTarget) {
-      // Change icon class based on theme
-      this.iconTarget.className = theme === 'dark' 
-        ? 'bi bi-moon-fill'   // Moon icon for dark mode
-        : 'bi bi-sun-fill'    // Sun icon for light mode
+      this.iconTarget.className = `bi ${ICONS[preference] || ICONS.system}`
+    }
+
+    this.optionTargets.forEach(option => {
+      option.setAttribute('aria-pressed', String(option.dataset.themePreferenceParam === preference))
+    })
+  }
+
+  // Apply now, tell the other tabs (storage event), then the server
+  async save(preference) {
+    this.preferenceValue = preference
+    localStorage.setItem(STORAGE_KEY, preference)
+    console.log('[Theme] Switched to:', preference)
+
+    try {
+      await requestJSON(this.urlValue, { method: 'PATCH', json: { theme: preference } })
+    } catch (error) {
+      // Still applied here; it just won't follow to other browsers
+      console.error('[Theme] Saving failed:', error)
     }
   }
 }
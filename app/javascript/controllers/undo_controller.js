@@ -0,0 +1,205 @@
+// ============================================================================
+// Stimulus Controller: Undo (actionable toasts + Ctrl+Z)
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Every board change (drag, chevron move, archive, bulk action, form edit)
+// gets a toast with an Undo button for a few seconds. The same undos also
+// go on a stack for the browser tab, so Ctrl+Z / ⌘+Z walks back through
+// recent changes even after the toast is gone.
+//
+// HOW OTHER CONTROLLERS REGISTER AN UNDO:
+// They don't import this file — they fire an event on document:
+//
+//   document.dispatchEvent(new CustomEvent("undo:register", { detail: {
+//     label: "Moved task #12",
+//     steps: [{ taskId: "12", body: { revert: { status: "backlog" }, position: 3 } }]
+//   }}))
+//
+// Each step becomes one POST /api/tasks/:taskId/undo with `body` as the
+// JSON payload (see Api::TasksController#undo for the three body shapes).
+// Steps run in order, so a multi-card undo can put cards back top-down.
+//
+// Two sources are picked up here instead of firing the event:
+// - The chevron / swap-lane buttons on each card are plain Turbo forms, so
+//   we watch turbo:submit-start/end and note where the card was
+// - Changes made on a previous page (the edit form redirects back to the
+//   board) arrive through flash[:undo] as data-undo-pending-value
+//
+// WHERE THE STACK LIVES:
+// sessionStorage — it survives Turbo visits and reloads but belongs to
+// this tab only, and is gone when the tab closes.
+//
+// COMPARISON TO REACT:
+// - React: an undo reducer holding past states of the whole board
+// - Here: the server owns the state, so an undo is just another request;
+//   the card moves back through the usual Action Cable broadcast
+//
+// ============================================================================
+
+import { Controller } from "@hotwired/stimulus"
+import { requestJSON } from "lib/request"
+import { showToast, buildToast, addToast } from "lib/toast"
+
+const STORAGE_KEY = "kanban-undo-stack"
+const STACK_LIMIT = 20
+// How long the Undo button stays on screen
+const TOAST_DELAY = 8000
+
+// Connects to data-controller="undo"
+export default class extends Controller {
+  static values = {
+    apiUrl: { type: String, default: "/api/tasks" },
+    pending: Object
+  }
+
+  connect() {
+    // An undo handed over from the previous page (flash[:undo])
+    if (this.pendingValue.steps) {
+      this.add(this.pendingValue)
+      // Drop it so a Turbo cache restore doesn't show it again
+      this.element.removeAttribute("data-undo-pending-value")
+    }
+  }
+
+  // ==========================================================================
+  // REGISTERING
+  // ==========================================================================
+
+  // undo:register@document->undo#register
+  register(event) {
+    if (event.detail?.steps?.length) this.add(event.detail)
+  }
+
+  add({ label, steps }) {
+    const entry = { id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, label, steps }
+    const stack = this.readStack()
+    stack.push(entry)
+    this.writeStack(stack.slice(-STACK_LIMIT))
+    this.showUndoToast(entry)
+  }
+
+  // Card move buttons: POST /tasks/:id/move_left|move_right|move_lane
+  // turbo:submit-start@document->undo#submitStart
+  submitStart(event) {
+    const form = event.target
+    const match = form.action?.match(/\/tasks\/(\d+)\/move_(left|right|lane)$/)
+    const card = match && form.closest(".task-card")
+    if (!card) return
+
+    const cards = Array.from(card.closest(".kanban-column")?.querySelectorAll(".task-card") || [])
+    this.pendingMoves ||= new WeakMap()
+    this.pendingMoves.set(form, {
+      label: `Moved task #${match[1]}`,
+      steps: [{
+        taskId: match[1],
+        body: { revert: { status: card.dataset.status, assignee: card.dataset.assignee }, position: cards.indexOf(card) }
+      }]
+    })
+  }
+
+  // turbo:submit-end@document->undo#submitEnd
+  submitEnd(event) {
+    const entry = this.pendingMoves?.get(event.target)
+    if (!entry) return
+
+    this.pendingMoves.delete(event.target)
+    if (event.detail.success) this.add(entry)
+  }
+
+  // ==========================================================================
+  // UNDOING
+  // ==========================================================================
+
+  // keydown@document->undo#keydown
+  keydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.shiftKey || event.altKey) return
+    if (event.key.toLowerCase() !== "z") return
+    // Text fields keep their own undo
+    if (event.target.closest?.("input, textarea, select, [contenteditable]")) return
+
+    event.preventDefault()
+    const entry = this.readStack().at(-1)
+    if (entry) {
+      this.undo(entry)
+    } else {
+      this.showNotification("Nothing to undo.", "secondary")
+    }
+  }
+
+  async undo(entry) {
+    // Take it off the stack first so a double press can't run it twice
+    if (!this.takeFromStack(entry.id)) return
+
+    const errors = []
+    for (const { taskId, body } of entry.steps) {
+      try {
+        await requestJSON(`${this.apiUrlValue}/${taskId}/undo`, { method: "POST", json: body })
+      } catch (error) {
+        // RequestError's message is the server's errors, when it sent any
+        errors.push(`#${taskId}: ${error.message}`)
+      }
+    }
+
+    if (errors.length === 0) {
+      this.showNotification(`Undone: ${entry.label}`, "success")
+    } else {
+      this.showNotification(`Couldn't undo "${entry.label}" — ${errors.join("; ")}`, "danger")
+    }
+
+    // The reversal comes back as an Action Cable broadcast. Pages that
+    // aren't subscribed (task details, or a dropped connection) reload instead.
+    if (errors.length < entry.steps.length && !document.querySelector("turbo-cable-stream-source[connected]")) {
+      Turbo.visit(window.location.href, { action: "replace" })
+    }
+  }
+
+  // ==========================================================================
+  // STACK (sessionStorage)
+  // ==========================================================================
+
+  readStack() {
+    try {
+      return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || []
+    } catch {
+      return []
+    }
+  }
+
+  writeStack(stack) {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(stack))
+  }
+
+  // Remove an entry; returns false if it was already undone
+  takeFromStack(id) {
+    const stack = this.readStack()
+    const remaining = stack.filter(entry => entry.id !== id)
+    this.writeStack(remaining)
+    return remaining.length !== stack.length
+  }
+
+  // ==========================================================================
+  // TOASTS
+  // ==========================================================================
+
+  showUndoToast(entry) {
+    const toast = buildToast(entry.label, "dark", { role: "status" })
+
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "btn btn-sm btn-outline-light me-2 my-auto"
+    button.textContent = "Undo"
+    button.addEventListener("click", () => {
+      bootstrap.Toast.getInstance(toast)?.hide()
+      this.undo(entry)
+    })
+    toast.querySelector(".btn-close").before(button)
+
+    addToast(toast, { delay: TOAST_DELAY })
+  }
+
+  showNotification(message, type = "info") {
+    showToast(message, type, { role: "status" })
+  }
+}
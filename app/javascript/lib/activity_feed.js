@@ -0,0 +1,61 @@
+// ============================================================================
+// Activity Feed
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// List handling for the board's "What's happening" panel
+// (activity_feed_controller.js), which shows GET /api/activities:
+//
+//   import { mergeActivities, groupByDay } from "lib/activity_feed"
+//
+//   feed = mergeActivities(feed, page.activities)  // newest first, no repeats
+//   groupByDay(feed)
+//   // [{ label: "Today", activities: [...] }, { label: "Yesterday", ... },
+//   //  { label: "Monday, 9 February", ... }]
+//
+// Entries arrive from two directions - older pages from infinite scroll,
+// newer ones from polling - and a poll can overlap what we have. Merging
+// by id and re-sorting means the controller never has to care which.
+//
+// Days are the viewer's local days, not UTC, so "Today" starts at their
+// midnight.
+//
+// ============================================================================
+
+export function mergeActivities(current, incoming) {
+  const byId = new Map(current.map(activity => [activity.id, activity]))
+  incoming.forEach(activity => byId.set(activity.id, activity))
+  return [...byId.values()].sort((a, b) => b.id - a.id)
+}
+
+export function groupByDay(activities, now = new Date()) {
+  const groups = []
+
+  activities.forEach(activity => {
+    const label = dayLabel(new Date(activity.created_at), now)
+    if (groups.at(-1)?.label !== label) groups.push({ label, activities: [] })
+    groups.at(-1).activities.push(activity)
+  })
+
+  return groups
+}
+
+export function dayLabel(date, now = new Date()) {
+  const days = Math.round((startOfDay(now) - startOfDay(date)) / 86400000)
+  if (days === 0) return "Today"
+  if (days === 1) return "Yesterday"
+
+  const options = { weekday: "long", day: "numeric", month: "long" }
+  if (date.getFullYear() !== now.getFullYear()) options.year = "numeric"
+  return date.toLocaleDateString(undefined, options)
+}
+
+// "in_progress" -> "In Progress", as Rails' titleize would
+export function titleize(value) {
+  return String(value ?? "").split("_").map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(" ")
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate())
+}
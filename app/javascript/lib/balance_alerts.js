@@ -0,0 +1,66 @@
+// ============================================================================
+// Balance Alerts
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The small decisions behind the low-balance banner in
+// balance_controller.js, kept out of the controller so
+// test/javascript/balance_alerts.test.mjs can check them:
+//
+//   import { balanceLevel, unnotifiedAlerts, rememberNotified } from "lib/balance_alerts"
+//
+//   balanceLevel(4.2, { warning: 20, critical: 5 })   // "critical"
+//   unnotifiedAlerts(alerts, localStorage)            // alerts to notify about
+//   rememberNotified(alerts, localStorage)            // ...and don't again
+//
+// balanceLevel mirrors BalanceThreshold#level_for on the server: at or
+// below a threshold counts as crossing it.
+//
+// WHY REMEMBER NOTIFIED IDS?
+// Every open tab gets the same alerts from every poll. Without a record
+// of which ones we've shown, each tab would pop a browser notification
+// on every page load. The ids go in localStorage, which all tabs share,
+// so one alert means one notification (its tag also makes the browser
+// replace, not stack, notifications for the same provider).
+//
+// ============================================================================
+
+// Used until the server sends a provider's own thresholds
+export const DEFAULT_THRESHOLDS = { warning: 20, critical: 5 }
+
+const STORAGE_KEY = "balance-alerts-notified"
+
+// Ids of alerts long gone don't need remembering forever
+const REMEMBERED = 50
+
+// "critical", "warning" or "healthy"
+export function balanceLevel(amount, thresholds = DEFAULT_THRESHOLDS) {
+  const { warning, critical } = { ...DEFAULT_THRESHOLDS, ...thresholds }
+  if (amount <= critical) return "critical"
+  if (amount <= warning) return "warning"
+  return "healthy"
+}
+
+export function unnotifiedAlerts(alerts, storage) {
+  const notified = new Set(notifiedIds(storage))
+  return alerts.filter(alert => !notified.has(alert.id))
+}
+
+export function rememberNotified(alerts, storage) {
+  const ids = [...notifiedIds(storage), ...alerts.map(alert => alert.id)]
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify([...new Set(ids)].slice(-REMEMBERED)))
+  } catch {
+    // Storage full or disabled (private mode): we may notify twice, that's all
+  }
+}
+
+function notifiedIds(storage) {
+  try {
+    const ids = JSON.parse(storage.getItem(STORAGE_KEY) || "[]")
+    return Array.isArray(ids) ? ids : []
+  } catch {
+    return []
+  }
+}
@@ -0,0 +1,95 @@
+// ============================================================================
+// Balance Chart Layout
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Coordinates for the balance dashboard's two SVG charts, computed from
+// GET /api/balances/history (balance_dashboard_controller.js draws them):
+//
+//   import { balanceLayout, spendBars } from "lib/balance_chart"
+//
+//   balanceLayout(history.moonshot, forecast, { from, to })
+//   // { line: "M4 20 L...", points: [...], topUps: [{ x, y, label }],
+//   //   max: 160 }                           balance line, top-ups marked
+//
+//   spendBars(forecast.daily_spend)
+//   // [{ x, y, width, height, date, spent }]  one bar per day
+//
+// The balance chart's y axis starts at 0, so a line heading for the
+// bottom edge is a balance heading for empty. Top-ups (BalanceForecast
+// finds them) get a marker at the point where the balance jumped.
+//
+// Balances arrive as strings ("145.0") because Rails sends decimal
+// columns that way, so everything goes through Number() first.
+//
+// Like lib/context_chart.js, this is kept free of the DOM so
+// test/javascript/balance_chart.test.mjs can check the numbers.
+//
+// ============================================================================
+
+const DEFAULTS = { width: 300, height: 100, padding: 4 }
+
+export function balanceLayout(history, forecast, options = {}) {
+  const { width, height, padding, from, to } = { ...DEFAULTS, ...options }
+  const samples = history.map(sample => ({ time: Date.parse(sample.timestamp), balance: Number(sample.balance) }))
+
+  const start = Date.parse(from ?? history[0]?.timestamp)
+  const end = Date.parse(to ?? history.at(-1)?.timestamp)
+  const span = Math.max(end - start, 1)
+  const max = niceMax(Math.max(0, ...samples.map(sample => sample.balance)))
+
+  const xFor = time => round(padding + (time - start) / span * (width - 2 * padding))
+  const yFor = balance => round(height - padding - balance / max * (height - 2 * padding))
+
+  const points = samples.map(sample => ({ x: xFor(sample.time), y: yFor(sample.balance), ...sample }))
+  const topUps = (forecast?.top_ups || []).map(topUp => {
+    // The forecast's timestamps are whole seconds, the history's have milliseconds
+    const time = Date.parse(topUp.timestamp)
+    const point = points.find(candidate => Math.abs(candidate.time - time) < 1000)
+    return { x: xFor(time), y: point ? point.y : padding, amount: topUp.amount, label: `+$${Number(topUp.amount).toFixed(2)}` }
+  })
+
+  return {
+    width,
+    height,
+    max,
+    points,
+    topUps,
+    line: points.length ? `M${points.map(point => `${point.x} ${point.y}`).join(" L")}` : ""
+  }
+}
+
+// Daily spend as bars, tallest day at full height
+export function spendBars(dailySpend, options = {}) {
+  const { width, height, padding } = { ...DEFAULTS, ...options }
+  if (!dailySpend.length) return []
+
+  const max = Math.max(...dailySpend.map(day => Number(day.spent)))
+  const slot = (width - 2 * padding) / dailySpend.length
+  const barWidth = round(Math.max(slot * 0.7, 1))
+
+  return dailySpend.map((day, index) => {
+    const spent = Number(day.spent)
+    const barHeight = max > 0 ? round(spent / max * (height - 2 * padding)) : 0
+    return {
+      x: round(padding + index * slot + (slot - barWidth) / 2),
+      y: round(height - padding - barHeight),
+      width: barWidth,
+      height: barHeight,
+      date: day.date,
+      spent
+    }
+  })
+}
+
+// Round the top of the axis up to 1, 2 or 5 times a power of ten, so a
+// $137 balance gets a $200 axis rather than a $137 one
+export function niceMax(value) {
+  if (value <= 0) return 1
+  const magnitude = 10 ** Math.floor(Math.log10(value))
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value)
+  return step * magnitude
+}
+
+const round = value => Math.round(value * 10) / 10
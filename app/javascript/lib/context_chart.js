@@ -0,0 +1,92 @@
+// ============================================================================
+// Context Chart Layout
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Turns GET /api/sparky/history into coordinates for a small SVG chart of
+// Sparky's context usage (sparky_history_controller.js draws it):
+//
+//   import { chartLayout } from "lib/context_chart"
+//   const layout = chartLayout(history, { width: 300, height: 80 })
+//   layout.lines      // ["M4 70 L50 52 L96 40", ...]  <path d=...> each
+//   layout.points     // [{ x, y, session, modelChanged }]
+//   layout.gaps       // [{ x, width }]  stale stretches, drawn shaded
+//   layout.switches   // [{ x, from, to }]  where the model changed
+//   layout.thresholds // [{ y, percent }]  the 50% / 80% marks
+//
+// x is time (history.from on the left, history.to on the right), y is the
+// context percentage (0 at the bottom, 100 at the top).
+//
+// The line is cut at every gap: Sparky didn't report in during a gap, so
+// joining the points on either side would draw usage we never saw.
+//
+// Keeping the maths here, apart from the DOM, means it can be tested with
+// node --test (test/javascript/context_chart.test.mjs).
+//
+// COMPARISON TO REACT:
+// - React: <Sparklines data={...}> or recharts, another dependency
+// - Here: plain SVG paths; the chart is small enough to not need one
+//
+// ============================================================================
+
+// Same colour breakpoints as the progress bar on the status card
+export const THRESHOLDS = [50, 80]
+
+const DEFAULTS = { width: 300, height: 80, padding: 4 }
+
+export function chartLayout(history, options = {}) {
+  const { width, height, padding } = { ...DEFAULTS, ...options }
+  const start = Date.parse(history.from)
+  const end = Date.parse(history.to)
+  const span = Math.max(end - start, 1)
+
+  const xFor = time => round(padding + (Date.parse(time) - start) / span * (width - 2 * padding))
+  const yFor = percent => round(height - padding - percent / 100 * (height - 2 * padding))
+
+  const gaps = (history.gaps || []).map(gap => {
+    const x = xFor(gap.from)
+    return { x, width: round(Math.max(xFor(gap.to) - x, 0)), from: gap.from, to: gap.to }
+  })
+  const gapStarts = new Set((history.gaps || []).map(gap => gap.from))
+
+  const points = []
+  const switches = []
+  const lines = []
+  let line = []
+
+  history.sessions.forEach((session, index) => {
+    const previous = history.sessions[index - 1]
+    const modelChanged = Boolean(previous && previous.model !== session.model)
+    const point = { x: xFor(session.timestamp), y: yFor(session.context_pct), session, modelChanged }
+
+    points.push(point)
+    if (modelChanged) switches.push({ x: point.x, from: previous.model, to: session.model })
+
+    line.push(point)
+    if (gapStarts.has(session.timestamp)) {
+      lines.push(line)
+      line = []
+    }
+  })
+  lines.push(line)
+
+  return {
+    width,
+    height,
+    points,
+    switches,
+    gaps,
+    lines: lines.filter(part => part.length > 0).map(pathFor),
+    thresholds: THRESHOLDS.map(percent => ({ percent, y: yFor(percent) }))
+  }
+}
+
+// A lone point still gets a (zero-length) path, so round line caps show it
+function pathFor(points) {
+  const [first, ...rest] = points
+  const steps = rest.length ? rest : [first]
+  return `M${first.x} ${first.y} ${steps.map(point => `L${point.x} ${point.y}`).join(" ")}`
+}
+
+const round = value => Math.round(value * 10) / 10
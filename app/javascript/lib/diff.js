@@ -0,0 +1,177 @@
+// ============================================================================
+// Line Diff
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Compares two versions of a text file line by line, like `git diff`.
+// Used by the config editor (config_editor_controller.js) to show what a
+// save or a backup restore is about to change.
+//
+//   import { diffLines, foldUnchanged } from "lib/diff"
+//   diffLines("a\nb\nc", "a\nc\nd")
+//   // [{ type: "same", text: "a", oldLine: 1, newLine: 1 },
+//   //  { type: "del",  text: "b", oldLine: 2, newLine: null },
+//   //  { type: "same", text: "c", oldLine: 3, newLine: 2 },
+//   //  { type: "add",  text: "d", oldLine: null, newLine: 3 }]
+//
+// THE ALGORITHM:
+// Myers' diff (1986), the one git uses by default. It finds the shortest
+// list of line deletions and insertions that turns the old text into the
+// new one, exploring "how far can we get with D edits" for D = 0, 1, 2...
+// Its cost grows with the size of the change, not the size of the file,
+// which suits editing one section of a long MEMORY.md.
+//
+// Lines shared at the start and end are skipped before the search, and a
+// change bigger than MAX_EDITS lines is shown as "everything replaced"
+// rather than spending seconds finding the perfect answer.
+//
+// COMPARISON TO NODE.JS:
+// - Node: npm install diff, then Diff.diffLines(a, b)
+// - Here: ~100 lines, tested in test/javascript/diff.test.mjs
+//
+// ============================================================================
+
+const MAX_EDITS = 2000
+
+// Old text + new text -> [{ type: "same" | "add" | "del", text, oldLine, newLine }]
+export function diffLines(oldText, newText) {
+  const before = splitLines(oldText)
+  const after = splitLines(newText)
+
+  // Common prefix and suffix don't need the search
+  let start = 0
+  while (start < before.length && start < after.length && before[start] === after[start]) start++
+  let endBefore = before.length
+  let endAfter = after.length
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--
+    endAfter--
+  }
+
+  const middle = myers(before.slice(start, endBefore), after.slice(start, endAfter))
+  const edits = [
+    ...before.slice(0, start).map(text => ({ type: "same", text })),
+    ...middle,
+    ...before.slice(endBefore).map(text => ({ type: "same", text }))
+  ]
+
+  // Number the lines on each side
+  let oldLine = 0
+  let newLine = 0
+  return edits.map(edit => ({
+    ...edit,
+    oldLine: edit.type === "add" ? null : ++oldLine,
+    newLine: edit.type === "del" ? null : ++newLine
+  }))
+}
+
+// Replace long unchanged stretches with { type: "skip", count }, keeping
+// `context` lines around each change (like the 3 lines git shows)
+export function foldUnchanged(lines, context = 3) {
+  const changed = lines.map(line => line.type !== "same")
+  const keep = lines.map((_, index) => {
+    for (let offset = -context; offset <= context; offset++) {
+      if (changed[index + offset]) return true
+    }
+    return false
+  })
+
+  const folded = []
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      folded.push(line)
+    } else if (folded.length && folded[folded.length - 1].type === "skip") {
+      folded[folded.length - 1].count++
+    } else {
+      folded.push({ type: "skip", count: 1 })
+    }
+  })
+  return folded
+}
+
+// { added, removed } line counts, for "+3 −1" summaries
+export function diffStats(lines) {
+  return {
+    added: lines.filter(line => line.type === "add").length,
+    removed: lines.filter(line => line.type === "del").length
+  }
+}
+
+function splitLines(text) {
+  if (!text) return []
+  const lines = String(text).replace(/\r\n?/g, "\n").split("\n")
+  // A final newline ends the last line; it doesn't start a new one
+  if (lines[lines.length - 1] === "") lines.pop()
+  return lines
+}
+
+// Shortest edit script from a to b (arrays of lines)
+function myers(a, b) {
+  const n = a.length
+  const m = b.length
+  if (n === 0 || m === 0 || n + m > MAX_EDITS * 50) return replaceAll(a, b)
+
+  const max = Math.min(n + m, MAX_EDITS)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  // trace[d] holds v[-d-1 .. d+1] as it was before step d
+  const trace = []
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2))
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+
+      if (x >= n && y >= m) return backtrack(a, b, trace)
+    }
+  }
+
+  return replaceAll(a, b)
+}
+
+// Walk the trace from the end back to the start, collecting the edits
+function backtrack(a, b, trace) {
+  const edits = []
+  let x = a.length
+  let y = b.length
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d]
+    const at = k => v[k + d + 1]
+    const k = x - y
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1
+    const previousX = at(previousK)
+    const previousY = previousX - previousK
+
+    while (x > previousX && y > previousY) {
+      edits.push({ type: "same", text: a[--x] })
+      y--
+    }
+    if (d === 0) break
+
+    if (x === previousX) {
+      edits.push({ type: "add", text: b[--y] })
+    } else {
+      edits.push({ type: "del", text: a[--x] })
+    }
+  }
+
+  return edits.reverse()
+}
+
+function replaceAll(a, b) {
+  return [
+    ...a.map(text => ({ type: "del", text })),
+    ...b.map(text => ({ type: "add", text }))
+  ]
+}
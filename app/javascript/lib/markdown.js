@@ -0,0 +1,1129 @@
+// ============================================================================
+// Markdown Renderer (CommonMark + GitHub Flavored Markdown)
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Turns markdown into HTML in the browser. Used through
+// markdown_controller.js by the config viewer (SOUL.md, AGENTS.md...),
+// task descriptions and quick notes.
+//
+//   import { renderMarkdown } from "lib/markdown"
+//   element.innerHTML = renderMarkdown("# Hello *world*")
+//
+// WHAT IT SUPPORTS:
+// - Everything in CommonMark: headings (# and underlined), paragraphs,
+//   emphasis, links and images (inline and [reference][ref]), block
+//   quotes, nested lists, fenced and indented code, hard line breaks
+// - From GitHub Flavored Markdown: tables, task lists (- [x] done),
+//   ~~strikethrough~~ and bare links (https://... and www....)
+// - Heading anchors: every heading gets an id ("## Getting Started" ->
+//   id="getting-started", numbered on repeats like GitHub) and a # link
+// - Fenced code keeps its language as a class: ```ruby -> class="language-ruby"
+// - With the taskUrl option, "#123" links to task 123 (class="task-ref")
+// - With interactiveTasks, task list checkboxes can be ticked; toggleTask()
+//   makes the matching change in the source so it can be saved
+//
+// HOW IT WORKS (two passes, like the CommonMark reference parser):
+// 1. BLOCKS: read the text line by line into a tree of blocks (heading,
+//    list -> items -> paragraphs...). Code blocks are finished here, so
+//    nothing inside a fence is ever treated as markdown.
+// 2. INLINES: the text of each paragraph/heading/cell is scanned into
+//    tokens, then `*`/`_`/`~` runs are paired up into <em>/<strong>/<del>
+//    using CommonMark's delimiter rules, and [brackets] become links.
+//
+// SAFETY:
+// The files we render are written by people and by Sparky, so treat them
+// as untrusted:
+// - Raw HTML is never passed through. `<script>` shows up as text.
+// - Link and image URLs are checked after decoding entities and removing
+//   whitespace/control characters (so `java&#115;cript:` and
+//   `java\tscript:` are caught). Only http(s), mailto, tel and relative
+//   URLs are allowed; anything else renders as plain text.
+// - Everything we write into HTML (text, attributes) is escaped.
+// - Hostile input can't hang or crash the page: quotes and lists nested
+//   deeper than MAX_NESTING stay as text, and every scan for a closing
+//   ] ) " or > is bounded, so rendering stays linear in the input.
+//
+// COMPARISON TO NODE.JS:
+// - Node: npm install markdown-it + markdown-it-task-lists + a sanitizer
+// - Here: no npm (importmap app), so a small focused parser we can test
+//   with node --test (test/javascript/markdown.test.mjs)
+//
+// ============================================================================
+
+const DEFAULTS = {
+  // Open absolute http(s) links in a new tab (the old viewer did this for every link)
+  externalLinksInNewTab: true,
+  // Add id="..." and a # link to headings
+  headingAnchors: true,
+  // Prepended to heading ids, to keep two documents on one page apart
+  idPrefix: "",
+  // Treat every newline in a paragraph as <br> (GitHub comments do this; files don't)
+  breaks: false,
+  // "/tasks/:id" makes #123 a link to that task; null leaves it as text
+  taskUrl: null,
+  // Enabled checkboxes numbered with data-task-index (see toggleTask)
+  interactiveTasks: false
+}
+
+const SAFE_SCHEMES = ["http", "https", "mailto", "tel"]
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+// Markdown source -> HTML string
+export function renderMarkdown(source, options = {}) {
+  if (!source) return ""
+
+  const context = {
+    options: { ...DEFAULTS, ...options },
+    refs: new Map(),
+    slugs: new Map(),
+    taskIndex: 0,
+    depth: 0
+  }
+  const { blocks } = parseBlocks(splitLines(source), context)
+  return renderBlocks(blocks, context, false)
+}
+
+// Markdown source -> the plain text a reader sees, on one line.
+// For short previews (task cards, note lists): set it with textContent.
+export function markdownToText(source) {
+  const html = renderMarkdown(source, { headingAnchors: false })
+  return plainText(html.replace(/<br>|<\/(?:p|h\d|li|blockquote|pre|td|th)>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+// Tick (checked = true) or untick the task list item numbered `index`
+// (data-task-index, counted in document order) and return the new source.
+// Returns null if that item can't be found for certain - the caller
+// should then leave the source alone rather than change the wrong line.
+export function toggleTask(source, index, checked) {
+  const before = taskStates(source)
+  if (index < 0 || index >= before.length) return null
+
+  // Lines that look like "- [ ] ..." outside fenced code, in document order
+  const lines = String(source).split("\n")
+  const candidates = []
+  let fence = null
+  lines.forEach((line, number) => {
+    const marker = line.match(/^[ \t>]*(`{3,}|~{3,})/)
+    if (marker) {
+      if (!fence) fence = marker[1]
+      else if (marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null
+    } else if (!fence && TASK_ITEM.test(line)) {
+      candidates.push(number)
+    }
+  })
+  if (candidates.length !== before.length) return null
+
+  const number = candidates[index]
+  lines[number] = lines[number].replace(TASK_ITEM, (_, start, _state, end) => `${start}${checked ? "x" : " "}${end}`)
+  const changed = lines.join("\n")
+
+  // Check with the real parser that exactly that item changed
+  const after = taskStates(changed)
+  const expected = [...before]
+  expected[index] = checked
+  return after.length === expected.length && after.every((state, i) => state === expected[i]) ? changed : null
+}
+
+// "Getting Started!" -> "getting-started" (GitHub's heading anchor rules)
+export function slugify(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, "")
+    .replace(/ /g, "-")
+}
+
+// Escape text for use in HTML content or a quoted attribute
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+// The URL if it's safe to put in href/src, otherwise null
+export function sanitizeUrl(url) {
+  const compact = decodeEntities(String(url))
+    .replace(/[\u0000- \u007f-\u009f]/g, "")
+    .toLowerCase()
+
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/)
+  if (scheme && !SAFE_SCHEMES.includes(scheme[1])) return null
+  return url
+}
+
+// ============================================================================
+// PASS 1: BLOCKS
+// ============================================================================
+
+const FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*(.*)$/
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/
+const BLOCKQUOTE = /^ {0,3}> ?/
+const LIST_MARKER = /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)/
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/
+// Blockquotes and lists inside each other deeper than this are left as
+// paragraph text (markdown-it's limit), so > > > ... can't overflow the stack
+const MAX_NESTING = 100
+const REFERENCE_DEFINITION = /^ {0,3}\[((?:[^\\[\]]|\\.){1,999})\]:[ \t]*(?:<([^<>\n]*)>|(\S+))(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*$/
+
+// Normalize line endings and expand tabs in indentation (tab stops of 4)
+function splitLines(source) {
+  return String(source)
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map(line => line.replace(/^[ \t]+/, indent => {
+      let width = 0
+      for (const char of indent) width = char === "\t" ? width + 4 - (width % 4) : width + 1
+      return " ".repeat(width)
+    }))
+}
+
+const isBlank = line => /^[ \t]*$/.test(line)
+// A list item starting with a task box: "  - [ ] text" / "> 1. [x] text"
+const TASK_ITEM = /^([ \t>]*(?:[-+*]|\d{1,9}[.)])[ \t]+\[)([ xX])(\][ \t]+\S)/
+const indentOf = line => line.match(/^ */)[0].length
+const stripIndent = (line, count) => line.replace(new RegExp(`^ {0,${count}}`), "")
+
+// Parse lines into blocks. blankBetween: a blank line separated two of them
+// (that's what makes a list "loose", with <p> around each item)
+function parseBlocks(lines, context) {
+  const blocks = []
+  let blankBetween = false
+  let pendingBlank = false
+  let i = 0
+
+  const add = block => {
+    if (pendingBlank && blocks.length > 0) blankBetween = true
+    pendingBlank = false
+    blocks.push(block)
+  }
+
+  while (i < lines.length) {
+    const line = lines[i]
+
+    if (isBlank(line)) {
+      pendingBlank = true
+      i++
+      continue
+    }
+
+    const fence = line.match(FENCE)
+    if (fence && !(fence[2][0] === "`" && fence[3].includes("`"))) {
+      i = parseFencedCode(lines, i, fence, add)
+      continue
+    }
+
+    if (indentOf(line) >= 4) {
+      i = parseIndentedCode(lines, i, add)
+      continue
+    }
+
+    const heading = line.match(ATX_HEADING)
+    if (heading) {
+      add({ type: "heading", level: heading[1].length, text: (heading[2] || "").replace(/\\#/g, "#").trim() })
+      i++
+      continue
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      add({ type: "hr" })
+      i++
+      continue
+    }
+
+    if (context.depth < MAX_NESTING && BLOCKQUOTE.test(line)) {
+      i = parseBlockquote(lines, i, context, add)
+      continue
+    }
+
+    if (context.depth < MAX_NESTING && listMarker(line)) {
+      i = parseList(lines, i, context, add)
+      continue
+    }
+
+    if (isTableStart(lines, i)) {
+      i = parseTable(lines, i, add)
+      continue
+    }
+
+    i = parseParagraph(lines, i, context, add)
+  }
+
+  return { blocks, blankBetween }
+}
+
+// parseBlocks one level down (a quote's or a list item's content)
+function parseNested(lines, context) {
+  context.depth++
+  const result = parseBlocks(lines, context)
+  context.depth--
+  return result
+}
+
+// Can this line end a paragraph (or a lazy continuation) by starting a new block?
+function interruptsParagraph(lines, i) {
+  const line = lines[i]
+  if (isBlank(line)) return true
+  const fence = line.match(FENCE)
+  if (fence && !(fence[2][0] === "`" && fence[3].includes("`"))) return true
+  if (ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || BLOCKQUOTE.test(line)) return true
+
+  // Only non-empty bullets, and numbered lists starting at 1, may interrupt
+  const marker = listMarker(line)
+  if (marker && !marker.empty && (!marker.ordered || marker.start === 1)) return true
+
+  return isTableStart(lines, i)
+}
+
+function parseFencedCode(lines, start, fence, add) {
+  const [, indent, marker, info] = fence
+  const closing = new RegExp(`^ {0,3}${marker[0] === "`" ? "`" : "~"}{${marker.length},}[ \\t]*$`)
+  const content = []
+  let i = start + 1
+
+  while (i < lines.length && !closing.test(lines[i])) {
+    content.push(stripIndent(lines[i], indent.length))
+    i++
+  }
+
+  add({
+    type: "code",
+    language: unescapePunctuation(decodeEntities(info.trim().split(/\s+/)[0] || "")),
+    text: content.length ? `${content.join("\n")}\n` : ""
+  })
+  // Skip the closing fence (an unclosed fence runs to the end of the document)
+  return i + 1
+}
+
+function parseIndentedCode(lines, start, add) {
+  const content = []
+  let i = start
+
+  while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+    content.push(stripIndent(lines[i], 4))
+    i++
+  }
+  while (content.length && isBlank(content[content.length - 1])) content.pop()
+
+  add({ type: "code", language: "", text: `${content.join("\n")}\n` })
+  return i
+}
+
+function parseBlockquote(lines, start, context, add) {
+  const content = []
+  let i = start
+
+  while (i < lines.length) {
+    const line = lines[i]
+    if (BLOCKQUOTE.test(line)) {
+      content.push(line.replace(BLOCKQUOTE, ""))
+    } else if (content.length && !isBlank(content[content.length - 1]) && !interruptsParagraph(lines, i)) {
+      // "Lazy" line: a paragraph inside the quote continues without the >
+      content.push(line)
+    } else {
+      break
+    }
+    i++
+  }
+
+  add({ type: "blockquote", children: parseNested(content, context).blocks })
+  return i
+}
+
+// ----------------------------------------------------------------------------
+// Lists
+// ----------------------------------------------------------------------------
+
+// "  - item" / "3. item" -> where the marker is and where its content starts
+function listMarker(line) {
+  if (THEMATIC_BREAK.test(line)) return null
+  const match = line.match(LIST_MARKER)
+  if (!match) return null
+
+  const [whole, indent, marker] = match
+  const rest = line.slice(whole.length)
+  const spaces = rest.match(/^[ \t]*/)[0].length
+  const empty = isBlank(rest)
+  const ordered = /\d/.test(marker[0])
+
+  // More than 4 spaces after the marker means the content is indented code
+  const padding = empty || spaces > 4 ? 1 : spaces
+  return {
+    ordered,
+    start: ordered ? parseInt(marker, 10) : null,
+    // Items only continue a list with the same bullet or delimiter
+    kind: ordered ? marker.slice(-1) : marker,
+    indent: indent.length,
+    contentIndent: whole.length + padding,
+    content: empty ? "" : rest.slice(padding),
+    empty
+  }
+}
+
+function parseList(lines, start, context, add) {
+  const first = listMarker(lines[start])
+  const items = []
+  let loose = false
+  let i = start
+
+  while (i < lines.length) {
+    const marker = listMarker(lines[i])
+    if (!marker || marker.kind !== first.kind || marker.ordered !== first.ordered) break
+
+    const content = [marker.content]
+    let j = i + 1
+
+    while (j < lines.length) {
+      const line = lines[j]
+      const previousBlank = isBlank(content[content.length - 1])
+
+      if (isBlank(line)) {
+        // An item can start with at most one blank line
+        if (content.length === 1 && marker.empty) break
+        content.push("")
+      } else if (indentOf(line) >= marker.contentIndent) {
+        content.push(line.slice(marker.contentIndent))
+      } else if (!previousBlank && !interruptsParagraph(lines, j) && !listMarker(line)) {
+        content.push(line.trimStart())
+      } else {
+        break
+      }
+      j++
+    }
+
+    // Trailing blank lines belong between this item and whatever follows
+    let end = j
+    while (end > i + 1 && isBlank(lines[end - 1])) {
+      end--
+      content.pop()
+    }
+
+    const { blocks, blankBetween } = parseNested(content, context)
+    if (blankBetween) loose = true
+    items.push({ children: blocks, task: taskState(blocks) })
+
+    i = end
+    // Blank lines followed by another item of this list make it loose
+    const next = listMarker(lines[j] || "")
+    if (j < lines.length && next && next.kind === first.kind && next.ordered === first.ordered) {
+      if (j > end) loose = true
+      i = j
+    } else {
+      break
+    }
+  }
+
+  add({ type: "list", ordered: first.ordered, start: first.start, loose, items })
+  return i
+}
+
+// "[ ] text" / "[x] text" at the start of an item -> false / true (and strip it)
+function taskState(blocks) {
+  const first = blocks[0]
+  if (!first || first.type !== "paragraph") return null
+
+  const match = first.text.match(/^\[([ xX])\][ \t]+(?=\S)/)
+  if (!match) return null
+
+  first.text = first.text.slice(match[0].length)
+  return match[1] !== " "
+}
+
+// Every task list item's state (true = ticked), in document order
+function taskStates(source) {
+  const context = { options: DEFAULTS, refs: new Map(), slugs: new Map(), taskIndex: 0, depth: 0 }
+  const states = []
+  const walk = blocks => blocks.forEach(block => {
+    if (block.type === "blockquote") walk(block.children)
+    if (block.type !== "list") return
+    block.items.forEach(item => {
+      if (item.task !== null) states.push(item.task)
+      walk(item.children)
+    })
+  })
+  walk(parseBlocks(splitLines(source), context).blocks)
+  return states
+}
+
+// ----------------------------------------------------------------------------
+// Tables (GFM)
+// ----------------------------------------------------------------------------
+
+function isTableStart(lines, i) {
+  const header = lines[i]
+  const delimiter = lines[i + 1]
+  if (delimiter === undefined || !header.includes("|") || !delimiter.includes("|")) return false
+  if (!TABLE_DELIMITER.test(delimiter) || indentOf(header) >= 4) return false
+  return splitRow(header).length === splitRow(delimiter).length
+}
+
+// "| a | b \| c |" -> ["a", "b | c"]
+function splitRow(line) {
+  let row = line.trim()
+  if (row.startsWith("|")) row = row.slice(1)
+  if (row.endsWith("|") && !row.endsWith("\\|")) row = row.slice(0, -1)
+
+  const cells = []
+  let cell = ""
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === "\\" && row[i + 1] === "|") {
+      cell += "|"
+      i++
+    } else if (row[i] === "|") {
+      cells.push(cell.trim())
+      cell = ""
+    } else {
+      cell += row[i]
+    }
+  }
+  cells.push(cell.trim())
+  return cells
+}
+
+function parseTable(lines, start, add) {
+  const head = splitRow(lines[start])
+  const align = splitRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(":") && cell.endsWith(":")) return "center"
+    if (cell.endsWith(":")) return "right"
+    if (cell.startsWith(":")) return "left"
+    return null
+  })
+
+  const rows = []
+  let i = start + 2
+  while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines, i)) {
+    const cells = splitRow(lines[i])
+    rows.push(head.map((_, column) => cells[column] ?? ""))
+    i++
+  }
+
+  add({ type: "table", head, align, rows })
+  return i
+}
+
+// ----------------------------------------------------------------------------
+// Paragraphs (and setext headings, and link reference definitions)
+// ----------------------------------------------------------------------------
+
+function parseParagraph(lines, start, context, add) {
+  const content = [lines[start]]
+  let i = start + 1
+
+  while (i < lines.length) {
+    const underline = lines[i].match(SETEXT_UNDERLINE)
+    if (underline) {
+      const text = takeReferenceDefinitions(content, context)
+      if (text.length) {
+        add({ type: "heading", level: underline[1][0] === "=" ? 1 : 2, text: text.map(line => line.trim()).join("\n") })
+        return i + 1
+      }
+    }
+    if (interruptsParagraph(lines, i)) break
+    content.push(lines[i])
+    i++
+  }
+
+  const text = takeReferenceDefinitions(content, context)
+  if (text.length) add({ type: "paragraph", text: text.map(line => line.trimStart()).join("\n").trimEnd() })
+  return i
+}
+
+// Pull "[label]: /url 'title'" lines off the front of a paragraph into
+// context.refs. Returns the lines that are left.
+function takeReferenceDefinitions(content, context) {
+  let taken = 0
+  while (taken < content.length) {
+    const match = content[taken].match(REFERENCE_DEFINITION)
+    if (!match) break
+
+    const label = normalizeLabel(match[1])
+    // The first definition of a label wins
+    if (label && !context.refs.has(label)) {
+      context.refs.set(label, {
+        destination: unescapePunctuation(decodeEntities(match[2] ?? match[3])),
+        title: match[4] ? unescapePunctuation(decodeEntities(match[4].slice(1, -1))) : null
+      })
+    }
+    taken++
+  }
+  return content.slice(taken)
+}
+
+function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, " ").toLowerCase()
+}
+
+// ============================================================================
+// PASS 2: INLINES
+// ============================================================================
+
+const ASCII_PUNCTUATION = /[!-/:-@[-`{-~]/
+const PUNCTUATION = /[\p{P}\p{S}]/u
+const WHITESPACE = /\s/
+const ENTITY = /^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/
+const AUTOLINK_URI = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/
+const AUTOLINK_EMAIL = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/
+const BARE_URL = /^(?:https?:\/\/|www\.)[\w-]+(?:\.[\w-]+)+[^\s<[\]]*/
+// CommonMark's limits: link labels are under 1000 characters, and we
+// follow cmark in allowing 32 levels of ( ) inside a link destination
+const MAX_LABEL = 999
+const MAX_DESTINATION_PARENS = 32
+
+// Token types:
+//   { type: "text", text }               plain text, escaped when rendered
+//   { type: "html", html }               already rendered (code, links, <em>...)
+//   { type: "delim", char, count, ... }  a run of * _ or ~ that may become emphasis
+//   { type: "autolink", html, text }     a bare URL (plain text inside a link)
+function renderInline(source, context) {
+  const tokens = []
+  // Open [ and ![ waiting for their ]
+  const brackets = []
+  // Closing chars ( " ' ) > ) known to be missing from an index on
+  const unclosed = {}
+  let text = ""
+  let i = 0
+
+  const flush = () => {
+    if (text) tokens.push({ type: "text", text })
+    text = ""
+  }
+  const push = token => {
+    flush()
+    tokens.push(token)
+  }
+
+  while (i < source.length) {
+    const char = source[i]
+
+    if (char === "\\") {
+      if (source[i + 1] === "\n") {
+        push({ type: "html", html: "<br>\n" })
+        i = skipSpaces(source, i + 2)
+      } else if (ASCII_PUNCTUATION.test(source[i + 1] || "")) {
+        text += source[i + 1]
+        i += 2
+      } else {
+        text += char
+        i++
+      }
+    } else if (char === "`") {
+      const run = source.slice(i).match(/^`+/)[0]
+      const code = findCodeSpanEnd(source, i + run.length, run.length)
+      if (code === -1) {
+        text += run
+        i += run.length
+      } else {
+        push({ type: "html", html: `<code>${escapeHtml(codeSpanContent(source.slice(i + run.length, code)))}</code>` })
+        i = code + run.length
+      }
+    } else if (char === "*" || char === "_" || char === "~") {
+      const run = source.slice(i).match(char === "*" ? /^\*+/ : char === "_" ? /^_+/ : /^~+/)[0]
+      if (char === "~" && run.length > 2) {
+        text += run
+      } else {
+        push(delimiter(source, i, run))
+      }
+      i += run.length
+    } else if (char === "!" && source[i + 1] === "[") {
+      push({ type: "text", text: "![" })
+      brackets.push({ index: tokens.length - 1, image: true, active: true, position: i + 2 })
+      i += 2
+    } else if (char === "[") {
+      push({ type: "text", text: "[" })
+      brackets.push({ index: tokens.length - 1, image: false, active: true, position: i + 1 })
+      i++
+    } else if (char === "]") {
+      flush()
+      i = closeBracket(source, i, tokens, brackets, context, unclosed)
+    } else if (char === "<") {
+      const link = source.slice(i).match(AUTOLINK_URI) || source.slice(i).match(AUTOLINK_EMAIL)
+      if (link) {
+        const isEmail = !link[0].includes(":")
+        const href = isEmail ? `mailto:${link[1]}` : link[1]
+        push({ type: "html", html: linkHtml(href, null, escapeHtml(link[1]), context) })
+        i += link[0].length
+      } else {
+        text += char
+        i++
+      }
+    } else if (char === "&") {
+      // Entities go out as-is; the browser decodes them as text
+      const entity = source.slice(i).match(ENTITY)
+      if (entity) {
+        push({ type: "html", html: entity[0] })
+        i += entity[0].length
+      } else {
+        text += char
+        i++
+      }
+    } else if (char === "\n") {
+      // Two or more spaces before a newline make a hard break
+      const hard = / {2,}$/.test(text) || context.options.breaks
+      text = text.replace(/ +$/, "")
+      push({ type: "html", html: hard ? "<br>\n" : "\n" })
+      i = skipSpaces(source, i + 1)
+    } else if (char === "#" && context.options.taskUrl && atWordStart(source, i) && /^#\d+(?!\w)/.test(source.slice(i))) {
+      // #123 -> link to task 123. Pushed like a bare URL, so inside a
+      // [link](...) it stays plain text instead of nesting <a> tags.
+      const id = source.slice(i).match(/^#(\d+)/)[1]
+      const href = escapeHtml(context.options.taskUrl.replace(":id", id))
+      push({ type: "autolink", text: `#${id}`, html: `<a href="${href}" class="task-ref" data-task-id="${id}">#${id}</a>` })
+      i += id.length + 1
+    } else if ((char === "h" || char === "w") && atWordStart(source, i)) {
+      const url = bareUrl(source.slice(i))
+      if (url) {
+        const href = url.startsWith("www.") ? `http://${url}` : url
+        push({ type: "autolink", text: url, html: linkHtml(href, null, escapeHtml(url), context) })
+        i += url.length
+      } else {
+        text += char
+        i++
+      }
+    } else {
+      text += char
+      i++
+    }
+  }
+
+  flush()
+  processEmphasis(tokens, false)
+  return renderTokens(tokens, false)
+}
+
+function skipSpaces(source, i) {
+  while (source[i] === " ") i++
+  return i
+}
+
+// Bare URLs only start a word, or right after an opening ( * _ ~
+function atWordStart(source, i) {
+  return i === 0 || /[\s*_~(]/.test(source[i - 1])
+}
+
+// GFM's extended autolink: drop trailing punctuation and unbalanced )
+function bareUrl(text) {
+  const match = text.match(BARE_URL)
+  if (!match) return null
+
+  let url = match[0]
+  for (;;) {
+    const entity = url.match(/&[A-Za-z0-9]+;$/)
+    if (entity) {
+      url = url.slice(0, -entity[0].length)
+    } else if (/[?!.,:*_~'"]$/.test(url)) {
+      url = url.slice(0, -1)
+    } else if (url.endsWith(")") && count(url, "(") < count(url, ")")) {
+      url = url.slice(0, -1)
+    } else {
+      break
+    }
+  }
+  return url
+}
+
+const count = (text, char) => text.split(char).length - 1
+
+// ----------------------------------------------------------------------------
+// Code spans
+// ----------------------------------------------------------------------------
+
+// Index of a backtick run exactly `length` long, or -1
+function findCodeSpanEnd(source, from, length) {
+  const pattern = /`+/g
+  pattern.lastIndex = from
+  let match
+  while ((match = pattern.exec(source))) {
+    if (match[0].length === length) return match.index
+  }
+  return -1
+}
+
+function codeSpanContent(code) {
+  const flat = code.replace(/\n/g, " ")
+  // One space on each side is padding (so `` `a` `` can show backticks)
+  if (/^ .*[^ ].* $/.test(flat)) return flat.slice(1, -1)
+  return flat
+}
+
+// ----------------------------------------------------------------------------
+// Emphasis (CommonMark's delimiter run rules)
+// ----------------------------------------------------------------------------
+
+function delimiter(source, i, run) {
+  const before = i === 0 ? "\n" : source[i - 1]
+  const after = source[i + run.length] ?? "\n"
+  const char = run[0]
+
+  // "Left-flanking" runs can open emphasis, "right-flanking" ones can close it
+  const leftFlanking = !WHITESPACE.test(after) &&
+    (!PUNCTUATION.test(after) || WHITESPACE.test(before) || PUNCTUATION.test(before))
+  const rightFlanking = !WHITESPACE.test(before) &&
+    (!PUNCTUATION.test(before) || WHITESPACE.test(after) || PUNCTUATION.test(after))
+
+  // snake_case_words shouldn't turn italic, so _ is stricter inside words
+  const canOpen = char === "_" ? leftFlanking && (!rightFlanking || PUNCTUATION.test(before)) : leftFlanking
+  const canClose = char === "_" ? rightFlanking && (!leftFlanking || PUNCTUATION.test(after)) : rightFlanking
+
+  return { type: "delim", char, count: run.length, original: run.length, canOpen, canClose }
+}
+
+// Pair closers with the nearest matching opener, innermost first
+function processEmphasis(tokens, insideLink) {
+  let closerIndex = 0
+
+  while (closerIndex < tokens.length) {
+    const closer = tokens[closerIndex]
+    if (closer.type !== "delim" || !closer.canClose) {
+      closerIndex++
+      continue
+    }
+
+    const openerIndex = findOpener(tokens, closerIndex)
+    if (openerIndex === -1) {
+      closerIndex++
+      continue
+    }
+
+    const opener = tokens[openerIndex]
+    let tag, used
+    if (closer.char === "~") {
+      tag = "del"
+      used = closer.count
+    } else {
+      used = closer.count >= 2 && opener.count >= 2 ? 2 : 1
+      tag = used === 2 ? "strong" : "em"
+    }
+
+    const inner = renderTokens(tokens.slice(openerIndex + 1, closerIndex), insideLink)
+    opener.count -= used
+    closer.count -= used
+
+    const replacement = [{ type: "html", html: `<${tag}>${inner}</${tag}>` }]
+    if (opener.count > 0) replacement.unshift(opener)
+    if (closer.count > 0) replacement.push(closer)
+    tokens.splice(openerIndex, closerIndex - openerIndex + 1, ...replacement)
+
+    // Look at what's left of the closer again, or move past the new element
+    closerIndex = openerIndex + replacement.length - (closer.count > 0 ? 1 : 0)
+  }
+}
+
+function findOpener(tokens, closerIndex) {
+  const closer = tokens[closerIndex]
+
+  for (let index = closerIndex - 1; index >= 0; index--) {
+    const opener = tokens[index]
+    if (opener.type !== "delim" || opener.char !== closer.char || !opener.canOpen) continue
+
+    if (closer.char === "~") {
+      if (opener.count === closer.count) return index
+      continue
+    }
+
+    // The "rule of 3": *foo**bar* is <em>foo**bar</em>, not a mess
+    const bothWays = opener.canClose || closer.canOpen
+    const multipleOfThree = (opener.original + closer.original) % 3 === 0 &&
+      !(opener.original % 3 === 0 && closer.original % 3 === 0)
+    if (bothWays && multipleOfThree) continue
+
+    return index
+  }
+  return -1
+}
+
+// Tokens -> HTML. Delimiters that never paired up are shown as text.
+function renderTokens(tokens, insideLink) {
+  return tokens.map(token => {
+    switch (token.type) {
+      case "text": return escapeHtml(token.text)
+      case "delim": return escapeHtml(token.char.repeat(token.count))
+      // A link can't contain another link, so bare URLs inside are just text
+      case "autolink": return insideLink ? escapeHtml(token.text) : token.html
+      default: return token.html
+    }
+  }).join("")
+}
+
+// ----------------------------------------------------------------------------
+// Links and images
+// ----------------------------------------------------------------------------
+
+// Handle a "]". Returns the index to continue scanning from.
+function closeBracket(source, i, tokens, brackets, context, unclosed) {
+  const opener = brackets.pop()
+  if (!opener || !opener.active) {
+    tokens.push({ type: "text", text: "]" })
+    return i + 1
+  }
+
+  const label = i - opener.position <= MAX_LABEL ? source.slice(opener.position, i) : null
+  const link = inlineLink(source, i + 1, unclosed) || (label !== null && referenceLink(source, i + 1, label, context))
+  if (!link) {
+    tokens.push({ type: "text", text: "]" })
+    return i + 1
+  }
+
+  const content = tokens.splice(opener.index)
+  content.shift()
+  processEmphasis(content, true)
+  const inner = renderTokens(content, true)
+
+  tokens.push({
+    type: "html",
+    html: opener.image
+      ? imageHtml(link.destination, link.title, plainText(inner))
+      : linkHtml(link.destination, link.title, inner, context)
+  })
+
+  // No links inside links: earlier [ can't become links any more. A ] that
+  // finds no opener is text just like one that finds an inactive opener,
+  // so dropping them all is the same (and saves walking them every link).
+  if (!opener.image) brackets.length = 0
+  return link.end
+}
+
+// (destination "optional title") right after the ]. `unclosed` remembers
+// closing chars a failed search found none of, so "[a](<" repeated
+// thousands of times isn't searched to the end from every ]
+function inlineLink(source, start, unclosed) {
+  if (source[start] !== "(") return null
+  let i = skipWhitespace(source, start + 1)
+  let destination
+
+  if (source[i] === "<") {
+    if (i >= unclosed[">"]) return null
+    const end = source.slice(i).search(/[>\n]/)
+    if (end === -1) unclosed[">"] = i
+    if (end === -1 || source[i + end] !== ">") return null
+    destination = source.slice(i + 1, i + end)
+    if (destination.includes("<")) return null
+    i += end + 1
+  } else {
+    const from = i
+    let depth = 0
+    while (i < source.length) {
+      const char = source[i]
+      if (char === "\\" && ASCII_PUNCTUATION.test(source[i + 1] || "")) {
+        i += 2
+        continue
+      }
+      if (char === "(" && ++depth > MAX_DESTINATION_PARENS) return null
+      if (char === ")") {
+        if (depth === 0) break
+        depth--
+      }
+      if (/[\s\u0000-\u001f]/.test(char)) break
+      i++
+    }
+    if (depth !== 0) return null
+    destination = source.slice(from, i)
+  }
+
+  let title = null
+  const beforeTitle = i
+  i = skipWhitespace(source, i)
+  if (i > beforeTitle && /["'(]/.test(source[i] || "")) {
+    const close = source[i] === "(" ? ")" : source[i]
+    if (i >= unclosed[close]) return null
+    let end = i + 1
+    while (end < source.length && source[end] !== close) {
+      if (source[end] === "\\") end++
+      end++
+    }
+    if (end >= source.length) {
+      unclosed[close] = i
+      return null
+    }
+    title = source.slice(i + 1, end)
+    i = skipWhitespace(source, end + 1)
+  }
+
+  if (source[i] !== ")") return null
+  return {
+    destination: unescapePunctuation(decodeEntities(destination)),
+    title: title === null ? null : unescapePunctuation(decodeEntities(title)),
+    end: i + 1
+  }
+}
+
+// [text][label], [text][] or just [text]
+function referenceLink(source, start, text, context) {
+  let label = text
+  let end = start
+
+  const explicit = source.slice(start).match(/^\[((?:[^\\[\]]|\\.){0,999})\]/)
+  if (explicit) {
+    if (explicit[1].trim()) label = explicit[1]
+    end = start + explicit[0].length
+  }
+
+  const ref = context.refs.get(normalizeLabel(label))
+  return ref ? { ...ref, end } : null
+}
+
+function skipWhitespace(source, i) {
+  while (i < source.length && /[ \t\n]/.test(source[i])) i++
+  return i
+}
+
+function linkHtml(destination, title, innerHtml, context) {
+  const href = sanitizeUrl(destination)
+  // Unsafe (javascript:, data:...): keep the words, drop the link
+  if (href === null) return innerHtml
+
+  let attributes = ` href="${escapeHtml(encodeUrl(href))}"`
+  if (title) attributes += ` title="${escapeHtml(title)}"`
+  if (context.options.externalLinksInNewTab && /^https?:\/\//i.test(href)) {
+    attributes += ' target="_blank" rel="noopener noreferrer"'
+  }
+  return `<a${attributes}>${innerHtml}</a>`
+}
+
+function imageHtml(destination, title, alt) {
+  const src = sanitizeUrl(destination)
+  if (src === null || /^(mailto|tel):/i.test(src)) return escapeHtml(alt)
+
+  const titleAttribute = title ? ` title="${escapeHtml(title)}"` : ""
+  return `<img src="${escapeHtml(encodeUrl(src))}" alt="${escapeHtml(alt)}"${titleAttribute}>`
+}
+
+// Percent-encode what doesn't belong in a URL, leaving existing %XX alone
+function encodeUrl(url) {
+  return url.replace(/%(?![0-9A-Fa-f]{2})|[^A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]/gu, char => {
+    try {
+      return encodeURIComponent(char)
+    } catch {
+      return ""
+    }
+  })
+}
+
+// ============================================================================
+// RENDERING BLOCKS
+// ============================================================================
+
+function renderBlocks(blocks, context, tight) {
+  return blocks.map(block => renderBlock(block, context, tight)).join("")
+}
+
+function renderBlock(block, context, tight) {
+  switch (block.type) {
+    case "heading": return renderHeading(block, context)
+    case "paragraph": {
+      const html = renderInline(block.text, context)
+      return tight ? html : `<p>${html}</p>\n`
+    }
+    case "code": {
+      const language = block.language.replace(/[^\w+#.-]/g, "")
+      const classAttribute = language ? ` class="language-${escapeHtml(language)}"` : ""
+      return `<pre><code${classAttribute}>${escapeHtml(block.text)}</code></pre>\n`
+    }
+    case "hr": return "<hr>\n"
+    case "blockquote": return `<blockquote>\n${renderBlocks(block.children, context, false)}</blockquote>\n`
+    case "list": return renderList(block, context)
+    case "table": return renderTable(block, context)
+    default: return ""
+  }
+}
+
+function renderHeading(block, context) {
+  const inner = renderInline(block.text, context)
+  const tag = `h${block.level}`
+  if (!context.options.headingAnchors) return `<${tag}>${inner}</${tag}>\n`
+
+  const id = context.options.idPrefix + uniqueSlug(plainText(inner), context)
+  const anchor = `<a class="heading-anchor" href="#${escapeHtml(id)}" aria-label="Permalink: ${escapeHtml(plainText(inner))}">#</a>`
+  return `<${tag} id="${escapeHtml(id)}">${inner}${anchor}</${tag}>\n`
+}
+
+// GitHub numbers repeated headings: setup, setup-1, setup-2
+function uniqueSlug(text, context) {
+  const base = slugify(text) || "section"
+  let slug = base
+  let n = context.slugs.get(base) || 0
+  while (context.slugs.has(slug)) {
+    n++
+    slug = `${base}-${n}`
+  }
+  context.slugs.set(base, n)
+  context.slugs.set(slug, 0)
+  return slug
+}
+
+function renderList(block, context) {
+  const tag = block.ordered ? "ol" : "ul"
+  const startAttribute = block.ordered && block.start !== 1 ? ` start="${block.start}"` : ""
+  const taskList = block.items.some(item => item.task !== null)
+  const classAttribute = taskList ? ' class="contains-task-list"' : ""
+
+  const items = block.items.map(item => {
+    // Number the item before its children, so nested items come after it
+    const taskIndex = item.task !== null ? context.taskIndex++ : null
+    let body = renderBlocks(item.children, context, !block.loose)
+    if (item.task !== null) {
+      const checked = item.task ? " checked" : ""
+      const state = context.options.interactiveTasks ? ` data-task-index="${taskIndex}"` : " disabled"
+      body = `<input type="checkbox" class="task-list-item-checkbox"${state}${checked}> ${body}`
+      return `<li class="task-list-item">${body}</li>\n`
+    }
+    // Loose items and items holding more than text start on their own line
+    const breakBefore = block.loose || (item.children[0] && item.children[0].type !== "paragraph")
+    return `<li>${breakBefore && body ? "\n" : ""}${body}</li>\n`
+  }).join("")
+
+  return `<${tag}${startAttribute}${classAttribute}>\n${items}</${tag}>\n`
+}
+
+function renderTable(block, context) {
+  const cell = (tag, text, column) => {
+    const align = block.align[column]
+    const style = align ? ` style="text-align: ${align}"` : ""
+    return `<${tag}${style}>${renderInline(text, context)}</${tag}>`
+  }
+
+  const head = `<thead>\n<tr>${block.head.map((text, column) => cell("th", text, column)).join("")}</tr>\n</thead>\n`
+  const rows = block.rows.map(row => `<tr>${row.map((text, column) => cell("td", text, column)).join("")}</tr>\n`).join("")
+  const body = rows ? `<tbody>\n${rows}</tbody>\n` : ""
+  return `<table>\n${head}${body}</table>\n`
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ",
+  colon: ":", Tab: "\t", NewLine: "\n", lpar: "(", rpar: ")", sol: "/",
+  copy: "©", reg: "®", trade: "™", hellip: "…",
+  mdash: "—", ndash: "–", laquo: "«", raquo: "»",
+  larr: "←", rarr: "→", uarr: "↑", darr: "↓"
+}
+
+// &#106; &#x6A; &amp; -> characters. Unknown names are left alone.
+function decodeEntities(text) {
+  return text.replace(/&(?:#(\d{1,7})|#[xX]([0-9a-fA-F]{1,6})|([A-Za-z][A-Za-z0-9]{1,31}));/g, (entity, decimal, hex, name) => {
+    if (name) return Object.hasOwn(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : entity
+    const code = decimal ? parseInt(decimal, 10) : parseInt(hex, 16)
+    return code === 0 || code > 0x10ffff ? "�" : String.fromCodePoint(code)
+  })
+}
+
+function unescapePunctuation(text) {
+  return text.replace(/\\([!-/:-@[-`{-~])/g, "$1")
+}
+
+// Rendered inline HTML -> the text a reader sees (for alt text and slugs)
+function plainText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ""))
+}
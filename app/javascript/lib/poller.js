@@ -0,0 +1,166 @@
+// ============================================================================
+// Poller
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Fetches a URL over and over, politely. Used by the Sparky status card
+// (sparky_status_controller.js) and the balance display
+// (balance_controller.js):
+//
+//   import { Poller } from "lib/poller"
+//
+//   this.poller = new Poller({
+//     url: "/api/sparky/status",
+//     interval: 30000,
+//     headers: { "Accept": "text/vnd.turbo-stream.html" },
+//     onUpdate: response => this.apply(response)   // only on 2xx, not 304
+//   })
+//   this.poller.start()
+//   ...
+//   this.poller.stop()
+//
+// WHAT "POLITELY" MEANS:
+// - Hidden tabs don't poll. When the tab comes back we fetch right away,
+//   so what you see is never older than the moment you looked.
+// - After an error the wait doubles (30s, 1m, 2m...) up to maxInterval,
+//   and goes back to normal after the next success.
+// - Retry-After (sent with 429 and 503) is the minimum wait, whatever
+//   the schedule says.
+// - Conditional GET: the ETag of the last answer goes back as
+//   If-None-Match. If nothing changed the server answers 304 with no
+//   body, and onUpdate isn't called.
+//
+// Each Poller keeps its own ETag (poller.etag). A Poller that replaces
+// another - the status card replaces itself with every update (Turbo
+// Stream "replace"), so it gets a new controller and a new Poller - is
+// started with the old answer's ETag (the etag: option), which the card
+// carries over in a data attribute. Otherwise its first poll would
+// always download the full answer.
+//
+// COMPARISON TO REACT:
+// - React: a usePolling hook with useEffect cleanup, or SWR/React Query's
+//   refreshInterval + revalidateOnFocus
+// - Here: one small class the Stimulus controllers create on connect and
+//   stop on disconnect
+//
+// Tested in test/javascript/poller.test.mjs.
+//
+// ============================================================================
+
+// Wait after `failures` errors in a row: interval, then doubling, capped
+export function backoffDelay(interval, failures, maxInterval = interval * 8) {
+  return Math.min(interval * 2 ** failures, Math.max(interval, maxInterval))
+}
+
+// Retry-After header -> milliseconds (it's either seconds or an HTTP date)
+export function retryAfterDelay(value, now = Date.now()) {
+  if (!value) return 0
+  if (/^\s*\d+\s*$/.test(value)) return Number(value) * 1000
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? 0 : Math.max(0, date - now)
+}
+
+export class Poller {
+  // fetch, document and the timer functions can be swapped out in tests
+  constructor({
+    url,
+    interval,
+    maxInterval = interval * 8,
+    headers = {},
+    // ETag of the answer the page already shows, if known
+    etag = null,
+    onUpdate = () => {},
+    onError = () => {},
+    fetch = globalThis.fetch.bind(globalThis),
+    document = globalThis.document,
+    setTimeout = globalThis.setTimeout.bind(globalThis),
+    clearTimeout = globalThis.clearTimeout.bind(globalThis)
+  }) {
+    Object.assign(this, { url, interval, maxInterval, headers, etag, onUpdate, onError })
+    this.fetch = fetch
+    this.document = document
+    this.setTimeout = setTimeout
+    this.clearTimeout = clearTimeout
+
+    this.failures = 0
+    this.retryAfter = 0
+    this.timer = null
+    this.running = false
+    this.visibilityChanged = () => this.document.hidden ? this.cancel() : this.refresh()
+  }
+
+  // The page was just rendered with current data, so the first poll waits
+  // a full interval. Call refresh() as well to fetch straight away.
+  start() {
+    if (this.running) return
+    this.running = true
+    this.document.addEventListener("visibilitychange", this.visibilityChanged)
+    this.schedule()
+  }
+
+  stop() {
+    this.running = false
+    this.document.removeEventListener("visibilitychange", this.visibilityChanged)
+    this.cancel()
+    this.request?.abort()
+  }
+
+  // Poll now, then carry on from here
+  refresh() {
+    this.cancel()
+    return this.poll()
+  }
+
+  // Set the next poll for the normal wait (or the backed-off one).
+  // Nothing is scheduled while the tab is hidden.
+  schedule(delay = this.nextDelay()) {
+    this.cancel()
+    if (!this.running || this.document.hidden) return
+    this.timer = this.setTimeout(() => this.poll(), delay)
+  }
+
+  cancel() {
+    if (this.timer === null) return
+    this.clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  nextDelay() {
+    return Math.max(backoffDelay(this.interval, this.failures, this.maxInterval), this.retryAfter)
+  }
+
+  async poll() {
+    // Don't pile up requests behind a slow server
+    if (this.request) return
+
+    this.request = new AbortController()
+
+    try {
+      const response = await this.fetch(this.url, {
+        headers: this.etag ? { ...this.headers, "If-None-Match": this.etag } : this.headers,
+        cache: "no-store",
+        signal: this.request.signal
+      })
+      this.retryAfter = retryAfterDelay(response.headers.get("Retry-After"))
+
+      if (response.status === 304) {
+        this.failures = 0
+      } else if (response.ok) {
+        this.failures = 0
+        if (response.headers.get("ETag")) this.etag = response.headers.get("ETag")
+        await this.onUpdate(response)
+      } else {
+        throw new Error(`HTTP ${response.status}`)
+      }
+    } catch (error) {
+      if (error.name === "AbortError") return
+      this.failures += 1
+      this.onError(error)
+    } finally {
+      this.request = null
+      this.schedule()
+    }
+  }
+}
@@ -0,0 +1,114 @@
+// ============================================================================
+// Task Conflict
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// What the board does with a 409 from PATCH /api/tasks/:id. Cards carry
+// the ETag of the version they show (data-etag="task-12-v3"), and drags,
+// inline edits and checklist ticks send it as If-Match. When someone else
+// changed one of the same fields since, the server refuses and answers:
+//
+//   409 { task: { ...as it is now }, conflict: {
+//           base_version: 3, version: 5,
+//           fields: { status: { base: "backlog", theirs: "done", mine: "hold" } },
+//           activities: [{ actor: "sparky", via: "Sparky", changes: {...} }]
+//         } }
+//
+// and the caller asks the person what to do:
+//
+//   import { askToResolve, resolveChanges, etagFrom } from "lib/task_conflict"
+//
+//   const changes = await askToResolve({ task, conflict, changes: mine })
+//   // null          -> dismissed: put the card back, change nothing
+//   // { ...fields } -> send these again with If-Match: etagFrom(response, task)
+//
+// askToResolve fires "task:conflict" on window; task_conflict_controller.js
+// (a modal in the layout) answers it. If nothing on the page listens, the
+// promise resolves to null - the same as dismissing.
+//
+// No imports, so the pure parts are tested with node:test in
+// test/javascript/task_conflict.test.mjs.
+//
+// COMPARISON TO REACT:
+// - React: a useConfirm() hook returning a promise that a <ConflictDialog>
+//   resolves - the same shape, with a DOM event instead of context
+//
+// ============================================================================
+
+export const FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  status: "Status",
+  assignee: "Assignee",
+  priority: "Priority"
+}
+
+export const RESOLUTIONS = ["mine", "theirs", "merge"]
+
+// The ETag to retry with: the 409's header, else built from the task JSON
+export function etagFrom(response, task) {
+  return response?.headers?.get?.("ETag") || (task ? `"task-${task.id}-v${task.lock_version}"` : null)
+}
+
+// One row per conflicting field, in the order the server listed them
+export function conflictRows(conflict) {
+  return Object.entries(conflict?.fields || {}).map(([field, { base, theirs, mine }]) => ({
+    field,
+    label: FIELD_LABELS[field] || field,
+    base,
+    theirs,
+    mine
+  }))
+}
+
+// The changes to send again:
+//   "mine"   every field as the person had it
+//   "theirs" conflicting fields dropped (the saved value stays)
+//   "merge"  each conflicting field as `choices[field]` says (default mine)
+// Fields that weren't in conflict are always kept.
+export function resolveChanges(changes, conflict, resolution, choices = {}) {
+  if (!RESOLUTIONS.includes(resolution)) throw new Error(`Unknown resolution: ${resolution}`)
+
+  const conflicting = Object.keys(conflict?.fields || {})
+  const dropped = new Set(
+    resolution === "mine" ? [] :
+    resolution === "theirs" ? conflicting :
+    conflicting.filter(field => (choices[field] || "mine") === "theirs")
+  )
+  return Object.fromEntries(Object.entries(changes).filter(([field]) => !dropped.has(field)))
+}
+
+// Does `resolved` still change any of the conflicting fields?
+export function keepsAnyOfMine(resolved, conflict) {
+  return Object.keys(conflict?.fields || {}).some(field => field in resolved)
+}
+
+// "Sparky (via Sparky heartbeat): Status Backlog → Done, Priority Low → High"
+export function describeActivity(activity) {
+  const who = activity.via ? `${titleize(activity.actor)} (via ${activity.via})` : titleize(activity.actor)
+  const changes = Object.entries(activity.changes || {}).map(([field, { from, to }]) => {
+    if (field === "description") return "Description edited"
+    if (field === "title") return `Title "${from}" → "${to}"`
+    return `${FIELD_LABELS[field] || field} ${display(from)} → ${display(to)}`
+  })
+  return changes.length ? `${who}: ${changes.join(", ")}` : `${who}: ${activity.description || "changed the task"}`
+}
+
+// Ask the merge prompt (see above). Resolves to the changes to send, or null.
+export function askToResolve({ task, conflict, changes }, target = globalThis) {
+  return new Promise(resolve => {
+    const event = new CustomEvent("task:conflict", { cancelable: true, detail: { task, conflict, changes, resolve } })
+    // preventDefault() from the listener means "I'll answer"
+    if (target.dispatchEvent(event)) resolve(null)
+  })
+}
+
+// "in_progress" -> "In Progress", empty -> "—"
+function display(value) {
+  return value === null || value === undefined || value === "" ? "—" : titleize(String(value))
+}
+
+function titleize(text) {
+  return (text || "").replace(/_/g, " ").replace(/\b\w/g, letter => letter.toUpperCase())
+}
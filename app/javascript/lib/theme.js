@@ -0,0 +1,37 @@
+// ============================================================================
+// Theme
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Turns a theme preference into the data-bs-theme value Bootstrap reads:
+//
+//   import { resolveTheme, toggledTheme } from "lib/theme"
+//
+//   resolveTheme("system", true)        // "dark" (the OS prefers dark)
+//   resolveTheme("high-contrast", true) // "high-contrast"
+//   toggledTheme("dark")                // "light"
+//
+// "high-contrast" isn't a Bootstrap theme: application.css defines it,
+// white on black with priority colours that pass WCAG AAA.
+//
+// The layout's <head> has a tiny inline copy of resolveTheme for the
+// first paint (before modules load); keep the two in step.
+//
+// ============================================================================
+
+// Same list as User::THEMES
+export const THEMES = ["system", "light", "dark", "high-contrast"]
+
+export const STORAGE_KEY = "theme"
+
+export function resolveTheme(preference, prefersDark) {
+  if (preference === "system" || !THEMES.includes(preference)) return prefersDark ? "dark" : "light"
+  return preference
+}
+
+// The quick light/dark switch (command palette). High contrast counts
+// as dark, so toggling it gives light.
+export function toggledTheme(resolved) {
+  return resolved === "light" ? "dark" : "light"
+}
@@ -0,0 +1,85 @@
+// ============================================================================
+// Toast
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The Bootstrap toast the controllers show their messages in, bottom
+// right of the page. Before this module the sortable, undo, offline sync,
+// bulk selection and command palette controllers each built their own.
+//
+//   import { showToast, buildToast, addToast } from "lib/toast"
+//
+//   showToast("Balances refreshed.", "success")            // gone after 4s
+//   showToast(error.message, "danger", { delay: 6000 })
+//   showToast(text, "warning", { autohide: false })       // until closed
+//
+//   // To add a button first: build it, change it, then add it
+//   const toast = buildToast(entry.label, "dark", { role: "status" })
+//   toast.querySelector(".btn-close").before(undoButton)
+//   addToast(toast, { delay: 8000 })
+//
+// The message is set with textContent, never innerHTML: messages carry
+// task titles and server errors, which must not be parsed as HTML.
+//
+// role "alert" (the default) is announced by screen readers right away;
+// "status" waits until they're done speaking.
+//
+// COMPARISON TO REACT:
+// - React apps use a <ToastProvider> and a useToast() hook - this is the
+//   same single place, without the provider
+//
+// Tested in test/javascript/toast.test.mjs.
+//
+// ============================================================================
+
+export const DEFAULT_DELAY = 4000
+
+// A toast element, not yet on the page. type is a Bootstrap colour:
+// "info", "success", "warning", "danger", "dark", ...
+export function buildToast(message, type = "info", { role = "alert", document = globalThis.document } = {}) {
+  const toast = document.createElement("div")
+  toast.className = `toast align-items-center text-bg-${type} border-0`
+  toast.setAttribute("role", role)
+  toast.setAttribute("aria-live", role === "status" ? "polite" : "assertive")
+  toast.setAttribute("aria-atomic", "true")
+
+  const row = document.createElement("div")
+  row.className = "d-flex"
+
+  const body = document.createElement("div")
+  body.className = "toast-body"
+  body.textContent = message
+
+  const close = document.createElement("button")
+  close.type = "button"
+  close.className = "btn-close btn-close-white me-2 m-auto"
+  close.setAttribute("data-bs-dismiss", "toast")
+  close.setAttribute("aria-label", "Close")
+
+  row.append(body, close)
+  toast.append(row)
+  return toast
+}
+
+// Put a built toast in the page's toast container (made on first use),
+// show it, and remove it once it's hidden. Returns the toast.
+export function addToast(toast, { delay = DEFAULT_DELAY, autohide = true, document = globalThis.document, Toast = globalThis.bootstrap?.Toast } = {}) {
+  let container = document.querySelector(".toast-container")
+  if (!container) {
+    container = document.createElement("div")
+    container.className = "toast-container position-fixed bottom-0 end-0 p-3"
+    container.style.zIndex = "1080" // Above Bootstrap modals
+    document.body.appendChild(container)
+  }
+  container.appendChild(toast)
+
+  new Toast(toast, { delay, autohide }).show()
+  toast.addEventListener("hidden.bs.toast", () => toast.remove())
+  return toast
+}
+
+// buildToast + addToast, for a plain message
+export function showToast(message, type = "info", options = {}) {
+  return addToast(buildToast(message, type, options), options)
+}
@@ -0,0 +1,55 @@
+// ============================================================================
+// WIP Limits
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The board's side of work-in-progress limits (WipLimit, TaskWipLimits).
+// Columns with a limit carry it as data-wip-limit="3"; the header badge
+// reads "count/limit" and turns red once the column is over it.
+//
+// sortable_controller.js asks hasRoom() from Sortable's onMove while a
+// card is dragged over another column, and refuses the drop if there is
+// no room - unless Alt is held, which sends override_wip_limit with the
+// move. The server checks again either way, so a stale board (someone
+// else filled the column a moment ago) still gets a 422 and a rollback.
+//
+//   hasRoom({ count: 3, limit: 3 })               // false
+//   hasRoom({ count: 1, limit: 3, incoming: 2 })  // true (multi-drag)
+//
+// No imports, so it's tested with node:test in
+// test/javascript/wip_limits.test.mjs.
+//
+// COMPARISON TO REACT:
+// - React: a canDrop(item, column) callback for react-dnd's useDrop
+// - Stimulus: the same question, answered from data attributes
+//
+// ============================================================================
+
+// data-wip-limit value -> a positive whole number, or null for no limit
+export function parseLimit(value) {
+  const limit = Number.parseInt(value, 10)
+  return Number.isInteger(limit) && limit > 0 ? limit : null
+}
+
+// Can `incoming` more cards join a column holding `count`?
+export function hasRoom({ count, limit, incoming = 1 }) {
+  return limit === null || limit === undefined || count + incoming <= limit
+}
+
+export function isOverLimit(count, limit) {
+  return limit !== null && limit !== undefined && count > limit
+}
+
+// Worded like the server's error (TaskWipLimits#wip_limit_message):
+// "Sparky · In Progress is at its WIP limit (3/3). Hold Alt while dropping to go over it."
+// `name` is the column's data-column-name, in the workflow's labels; the
+// keys are titleized when a column doesn't have one.
+export function fullMessage({ assignee, status, count, limit, name }) {
+  const column = name || `${titleize(assignee)} · ${titleize(status)}`
+  return `${column} is at its WIP limit (${count}/${limit}). Hold Alt while dropping to go over it.`
+}
+
+function titleize(text) {
+  return (text || "").replace(/_/g, " ").replace(/\b\w/g, letter => letter.toUpperCase())
+}
@@ -0,0 +1,62 @@
+# ============================================================================
+# Job: PushNotificationJob
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Sends one Web Push notification to every matching PushSubscription.
+# It runs in the background (Solid Queue in production) because each
+# delivery is an HTTP request to a push service, and a task update
+# shouldn't wait on Google or Mozilla.
+#
+# WHO ENQUEUES IT:
+# - TaskPushNotifications (task model concern): urgent tasks created or
+#   assigned to someone, Sparky finishing a task, and a change that
+#   leaves Sparky with nothing to work on (idle)
+# - SparkyStaleCheckJob: Sparky's usage log going stale
+# - BalanceAlert: a provider's balance falling to a low-balance threshold
+#
+# PAYLOAD:
+# The service worker's `push` handler expects { title:, options: }, where
+# options are passed straight to showNotification(). options.data.path is
+# the page opened when the notification is clicked.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: a Bull/BullMQ worker calling webpush.sendNotification()
+# - Rails: ActiveJob + perform_later, no separate worker code to wire up
+#
+# ============================================================================
+
+class PushNotificationJob < ApplicationJob
+  queue_as :default
+
+  # usernames: only notify these users (nil means every subscriber)
+  def perform(title:, body:, path: "/", tag: nil, usernames: nil)
+    return unless enabled?
+
+    payload = {
+      title: title,
+      options: {
+        body: body,
+        icon: "/icon.png",
+        tag: tag,
+        data: { path: path }
+      }.compact
+    }
+
+    subscriptions = usernames ? PushSubscription.for_usernames(usernames) : PushSubscription.all
+    # deliver logs and swallows its own failures: re-raising here would
+    # skip the rest, and the retry would notify the ones already reached
+    subscriptions.find_each { |subscription| subscription.deliver(payload) }
+  end
+
+  private
+
+  # Without VAPID keys the push services would reject every message
+  def enabled?
+    settings = Rails.configuration.x.web_push
+    return true if settings.delivery_method == :test
+
+    settings.vapid[:public_key].present? && settings.vapid[:private_key].present?
+  end
+end
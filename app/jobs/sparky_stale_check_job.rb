@@ -0,0 +1,43 @@
+# ============================================================================
+# Job: SparkyStaleCheckJob
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Pushes "Sparky status is stale" once, when Sparky's usage log goes
+# SparkyHistory::STALE_AFTER (30 minutes) without a new session - the
+# moment the status card starts saying "stale".
+#
+# Nothing is written when that happens; it's just time passing. So no
+# request or model callback can notice it, and config/recurring.yml runs
+# this job every five minutes instead.
+#
+# ONCE PER SESSION:
+# Each run asks "is the log stale, and has nobody pushed about its last
+# session yet?" SparkyStaleNotice records the sessions already pushed
+# about, so a run that comes late (a deploy, a queue backlog) still sends
+# the push, and two runs at once don't both send it.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: node-cron calling a function every five minutes
+# - Rails: a recurring Solid Queue task, declared in config/recurring.yml
+#
+# ============================================================================
+
+class SparkyStaleCheckJob < ApplicationJob
+  queue_as :default
+
+  def perform
+    last_session = SparkyHistory.sessions.last
+    return if last_session.nil?
+    return if last_session[:timestamp] + SparkyHistory::STALE_AFTER > Time.current
+    return unless SparkyStaleNotice.claim(last_session[:timestamp])
+
+    PushNotificationJob.perform_later(
+      title: "Sparky status is stale",
+      body: "No usage log update in over 30 minutes.",
+      path: Rails.application.routes.url_helpers.root_path,
+      tag: "sparky-status"
+    )
+  end
+end
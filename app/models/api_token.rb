@@ -0,0 +1,146 @@
+# ============================================================================
+# Model: ApiToken
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# A bearer token for the JSON API. Scripts (and Sparky) send it as
+#
+#   Authorization: Bearer kbt_3fQ9...
+#
+# and ApiAuthentication (app/controllers/concerns) treats the request as
+# coming from the token's user, limited to the token's scopes.
+#
+# HASHED AT REST:
+# Only a SHA-256 digest is saved. The token itself exists in memory right
+# after create (ApiToken#token) so the page can show it once; after that
+# nobody can read it back, only revoke it and make a new one.
+#
+# Why plain SHA-256 and not bcrypt like passwords? Tokens are 32 random
+# characters, not something a person chose, so there's nothing to guess
+# with a dictionary - and a fast digest means we can look tokens up by
+# it with an index on every request.
+#
+# SCOPES:
+#   read            every GET under /api
+#   tasks:write     create, change, move, archive and undo tasks
+#                   (/api/tasks, and /tasks/*.json)
+#   notes:write     create, change and delete quick notes (/quick_notes.json)
+#   balances:write  query the providers (POST /api/balances/refresh)
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: crypto.randomBytes for the token, crypto.createHash('sha256')
+#   for the stored digest, and a passport-http-bearer strategy
+# - Rails: has_secure_token would store the token in plain text, so we
+#   do the digest ourselves
+#
+# ============================================================================
+
+class ApiToken < ApplicationRecord
+  # ==========================================================================
+  # CONSTANTS
+  # ==========================================================================
+
+  SCOPES = {
+    'read' => 'Read tasks, activity, balances and Sparky status',
+    'tasks:write' => 'Create, change, move and archive tasks',
+    'notes:write' => 'Create, change and delete quick notes',
+    'balances:write' => 'Refresh balances from the providers'
+  }.freeze
+
+  # Makes tokens recognisable in logs and secret scanners
+  PREFIX = 'kbt_'.freeze
+
+  # ==========================================================================
+  # ASSOCIATIONS
+  # ==========================================================================
+
+  belongs_to :user
+  has_many :task_activities, dependent: :nullify
+
+  # ==========================================================================
+  # VALIDATIONS
+  # ==========================================================================
+
+  validates :name, presence: true, length: { maximum: 100 }
+  validates :token_digest, presence: true, uniqueness: true
+  validate :scopes_are_known
+
+  # ==========================================================================
+  # CALLBACKS
+  # ==========================================================================
+
+  before_validation :generate_token, on: :create
+
+  # ==========================================================================
+  # SCOPES
+  # ==========================================================================
+
+  scope :active, -> { where(revoked_at: nil) }
+
+  # The plain token, only available on the instance that created it
+  attr_reader :token
+
+  # ==========================================================================
+  # CLASS METHODS
+  # ==========================================================================
+
+  def self.digest(token)
+    OpenSSL::Digest::SHA256.hexdigest(token.to_s)
+  end
+
+  # The active token matching a bearer token, or nil
+  def self.authenticate(token)
+    return if token.blank?
+
+    api_token = active.includes(:user).find_by(token_digest: digest(token))
+    api_token&.touch_last_used
+    api_token
+  end
+
+  # ==========================================================================
+  # INSTANCE METHODS
+  # ==========================================================================
+
+  def allows?(scope)
+    scopes.include?(scope.to_s)
+  end
+
+  def revoke!
+    update!(revoked_at: Time.current)
+  end
+
+  def revoked?
+    revoked_at.present?
+  end
+
+  # "kbt_3fQ9…", for lists
+  def display_token
+    "#{token_prefix}…"
+  end
+
+  # Once a minute is plenty for "last used", and saves a write per request
+  def touch_last_used
+    return if last_used_at&.after?(1.minute.ago)
+
+    update_column(:last_used_at, Time.current)
+  end
+
+  private
+
+  def generate_token
+    @token = "#{PREFIX}#{SecureRandom.base58(32)}"
+    self.token_digest = self.class.digest(@token)
+    self.token_prefix = @token.first(PREFIX.length + 4)
+  end
+
+  def scopes_are_known
+    self.scopes = Array(scopes).compact_blank.uniq
+
+    if scopes.empty?
+      errors.add(:scopes, 'must include at least one scope')
+    elsif (unknown = scopes - SCOPES.keys).any?
+      errors.add(:scopes, "include unknown #{'scope'.pluralize(unknown.size)}: #{unknown.join(', ')}")
+    end
+  end
+end
@@ -0,0 +1,151 @@
+# ============================================================================
+# Model: BalanceAlert
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Raised when a provider's recorded balance falls to its warning or
+# critical threshold (BalanceThreshold). BalanceService.record_balances!
+# calls evaluate! after every recording, whether it came from the rake
+# task, the scheduled job or the refresh button.
+#
+# LIFECYCLE:
+#
+#   balance <= threshold    -> alert created (open), Web Push sent
+#   acknowledge!            -> hidden from the banner, still open
+#   snooze!(1.hour)         -> hidden until then, shown again after
+#   falls to critical       -> the warning is resolved, a critical alert
+#                              takes its place (and notifies again)
+#   climbs clearly above    -> resolved (see HYSTERESIS in
+#                              BalanceThreshold); the next fall raises a
+#                              new alert
+#
+# Only one alert per provider is open at a time, so a balance that stays
+# low doesn't raise a new alert on every recording.
+#
+# The banner (balance_controller.js) shows the `active` ones: open, not
+# acknowledged and not snoozed. It also shows a browser notification for
+# each alert it hasn't notified about yet.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: an alerts collection and a checkThresholds() called after
+#   saving balances, plus a flag to avoid alerting twice
+# - Rails: the same, with the "one open alert" rule as a scope
+#
+# ============================================================================
+
+class BalanceAlert < ApplicationRecord
+  # ==========================================================================
+  # CONSTANTS
+  # ==========================================================================
+
+  LEVELS = BalanceThreshold::LEVELS
+
+  # Snooze lengths offered by the banner
+  SNOOZE_DURATIONS = { '1h' => 1.hour, '1d' => 1.day, '1w' => 1.week }.freeze
+
+  # ==========================================================================
+  # VALIDATIONS
+  # ==========================================================================
+
+  validates :provider, presence: true, inclusion: { in: ApiBalanceHistory::PROVIDERS }
+  validates :level, inclusion: { in: LEVELS }
+  validates :balance, :threshold, :triggered_at, presence: true
+
+  # ==========================================================================
+  # CALLBACKS
+  # ==========================================================================
+
+  after_create_commit :send_push_notification
+
+  # ==========================================================================
+  # SCOPES
+  # ==========================================================================
+
+  scope :for_provider, ->(provider) { where(provider: provider) }
+  scope :unresolved, -> { where(resolved_at: nil) }
+
+  # What the banner shows
+  scope :active, -> {
+    unresolved.where(acknowledged_at: nil)
+      .where('snoozed_until IS NULL OR snoozed_until <= ?', Time.current)
+      .order(:triggered_at)
+  }
+
+  # ==========================================================================
+  # CLASS METHODS
+  # ==========================================================================
+
+  # Compare a freshly recorded balance with the provider's thresholds.
+  # Returns the new alert, or nil when nothing new happened.
+  def self.evaluate!(provider, balance, threshold = BalanceThreshold.for(provider))
+    provider = provider.to_s
+    current = unresolved.for_provider(provider).order(:triggered_at).last
+
+    if current && threshold.recovered?(current.level, balance)
+      current.resolve!
+      current = nil
+    end
+
+    level = threshold.level_for(balance)
+    return if level.nil?
+    # Already alerted at this level (or a worse one)
+    return if current && LEVELS.index(level) <= LEVELS.index(current.level)
+
+    transaction do
+      current&.resolve!
+      create!(provider: provider, level: level, balance: balance, threshold: threshold.limit_for(level), triggered_at: Time.current)
+    end
+  end
+
+  # ==========================================================================
+  # INSTANCE METHODS
+  # ==========================================================================
+
+  def acknowledge!
+    update!(acknowledged_at: Time.current)
+  end
+
+  def snooze!(duration)
+    update!(snoozed_until: duration.from_now)
+  end
+
+  def resolve!
+    update!(resolved_at: Time.current)
+  end
+
+  def provider_name
+    BalanceService::PROVIDER_CONFIG.dig(provider.to_sym, :name) || provider.titleize
+  end
+
+  # "Moonshot (Kimi) balance is $4.20, at or below the critical threshold of $5.00"
+  def message
+    "#{provider_name} balance is $#{format('%.2f', balance)}, at or below the #{level} threshold of $#{format('%.2f', threshold)}"
+  end
+
+  def as_json(*)
+    {
+      id: id,
+      provider: provider,
+      name: provider_name,
+      level: level,
+      balance: balance.to_f,
+      threshold: threshold.to_f,
+      message: message,
+      triggered_at: triggered_at.iso8601
+    }
+  end
+
+  private
+
+  # Reaches people with no tab open; the tag matches the browser
+  # notification balance_controller.js shows, so they replace each other
+  def send_push_notification
+    PushNotificationJob.perform_later(
+      title: level == 'critical' ? "#{provider_name} balance is critical" : "#{provider_name} balance is low",
+      body: message,
+      path: '/balances',
+      tag: "balance-#{provider}"
+    )
+  end
+end
@@ -0,0 +1,100 @@
+# ============================================================================
+# Model: BalanceThreshold
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The warning and critical balance levels for one provider, edited on the
+# balance dashboard (/balances). BalanceAlert.evaluate! compares each
+# recorded balance with them, and the balance display colours amounts by
+# them (Healthy / Low / Critical).
+#
+# Providers nobody has configured get an unsaved record with the column
+# defaults ($20 and $5), so callers never have to check for nil:
+#
+#   BalanceThreshold.for('moonshot').level_for(4.2)   # => "critical"
+#
+# HYSTERESIS:
+# A balance hovering around a threshold ($19.90, $20.10, $19.95...) would
+# raise and clear an alert on every recording. So an alert only clears
+# once the balance is RECOVERY_MARGIN (10%, at least $1) above the
+# threshold it crossed - a real top-up, not noise.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: a settings document per provider, with defaults merged in code
+# - Rails: find_or_initialize_by + column defaults do the merging
+#
+# ============================================================================
+
+class BalanceThreshold < ApplicationRecord
+  # ==========================================================================
+  # CONSTANTS
+  # ==========================================================================
+
+  # Least severe first
+  LEVELS = %w[warning critical].freeze
+
+  # Share of the threshold the balance must climb above it to clear an alert
+  RECOVERY_MARGIN = 0.1
+  MINIMUM_RECOVERY = 1.0
+
+  # ==========================================================================
+  # VALIDATIONS
+  # ==========================================================================
+
+  validates :provider, presence: true, uniqueness: true, inclusion: { in: ApiBalanceHistory::PROVIDERS }
+  validates :warning, :critical, numericality: { greater_than_or_equal_to: 0 }
+  validate :critical_not_above_warning
+
+  # ==========================================================================
+  # CLASS METHODS
+  # ==========================================================================
+
+  # The saved thresholds for provider, or the defaults (unsaved)
+  def self.for(provider)
+    find_or_initialize_by(provider: provider.to_s)
+  end
+
+  # { 'moonshot' => BalanceThreshold, ... } for every provider, one query
+  def self.by_provider
+    saved = where(provider: ApiBalanceHistory::PROVIDERS).index_by(&:provider)
+    ApiBalanceHistory::PROVIDERS.index_with { |provider| saved[provider] || new(provider: provider) }
+  end
+
+  # ==========================================================================
+  # INSTANCE METHODS
+  # ==========================================================================
+
+  # "critical", "warning" or nil for a balance
+  def level_for(balance)
+    return if balance.nil?
+
+    if balance <= critical
+      'critical'
+    elsif balance <= warning
+      'warning'
+    end
+  end
+
+  def limit_for(level)
+    level.to_s == 'critical' ? critical : warning
+  end
+
+  # Has the balance climbed clearly back above the given level?
+  def recovered?(level, balance)
+    limit = limit_for(level)
+    balance > limit + [limit * RECOVERY_MARGIN, MINIMUM_RECOVERY].max
+  end
+
+  def as_json(*)
+    { warning: warning.to_f, critical: critical.to_f }
+  end
+
+  private
+
+  def critical_not_above_warning
+    return if warning.nil? || critical.nil? || critical <= warning
+
+    errors.add(:critical, 'must not be above the warning threshold')
+  end
+end
@@ -0,0 +1,138 @@
+# ============================================================================
+# Concern: BoardBroadcastable
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# This concern pushes task changes to every open kanban board in real time.
+# When mechdog drags a card, Sparky's API call archives a task, or a second
+# browser tab moves something, all other boards update without a reload.
+#
+# HOW IT WORKS:
+# 1. tasks/index renders `turbo_stream_from Task::BOARD_STREAM`, which opens
+#    an Action Cable subscription for that stream
+# 2. After a task change is committed, we broadcast Turbo Stream actions
+#    (remove, after, replace, update) to the stream
+# 3. Turbo applies them to the DOM on every subscribed page — the same
+#    actions our controllers already return for button clicks
+#
+# WHY after_*_commit?
+# - Broadcasting inside the transaction could announce a change that later
+#   rolls back. after_commit only fires once the change is really saved.
+#
+# ECHOES:
+# Every broadcast carries a `request-id` attribute (Turbo.current_request_id,
+# taken from the X-Turbo-Request-Id header). sortable_controller.js sends
+# that header with its own PATCH calls and skips streams carrying its ids,
+# so a drag isn't undone and redone by its own broadcast.
+#
+# COMPARISON TO EXPRESS:
+# - Express: socket.io `io.emit('task:moved', task)` + client code to patch the DOM
+# - Rails: broadcast HTML fragments; Turbo already knows how to apply them
+#
+# ============================================================================
+
+module BoardBroadcastable
+  extend ActiveSupport::Concern
+
+  # Stream name every kanban board subscribes to
+  BOARD_STREAM = "kanban_board".freeze
+
+  included do
+    after_create_commit :broadcast_board_insert
+    after_update_commit :broadcast_board_update
+    after_destroy_commit :broadcast_board_remove
+  end
+
+  # ==========================================================================
+  # BROADCAST METHODS
+  # ==========================================================================
+
+  # A new card: insert it at its position and bump the column count
+  def broadcast_board_insert
+    broadcast_board_placement
+    broadcast_board_count(assignee, status)
+  end
+
+  # An edited card: move it if its column or position changed,
+  # otherwise just re-render it in place
+  def broadcast_board_update
+    if saved_change_to_status? || saved_change_to_assignee? || board_position_changed?
+      broadcast_board_move
+    else
+      Turbo::StreamsChannel.broadcast_replace_to(
+        BOARD_STREAM, target: self, partial: "tasks/task_card", locals: { task: self },
+        attributes: board_stream_attributes
+      )
+    end
+  end
+
+  # A card that moved: take it out and put it back at its new spot,
+  # then refresh the counts of the column it left and the one it joined
+  def broadcast_board_move
+    Turbo::StreamsChannel.broadcast_remove_to(BOARD_STREAM, target: self, attributes: board_stream_attributes)
+    broadcast_board_placement
+
+    previous_assignee = saved_change_to_assignee? ? assignee_before_last_save : assignee
+    previous_status = saved_change_to_status? ? status_before_last_save : status
+    broadcast_board_count(previous_assignee, previous_status)
+    broadcast_board_count(assignee, status) unless [previous_assignee, previous_status] == [assignee, status]
+  end
+
+  # A card that left the board (archived or destroyed)
+  def broadcast_board_remove
+    Turbo::StreamsChannel.broadcast_remove_to(BOARD_STREAM, target: self, attributes: board_stream_attributes)
+    broadcast_board_count(assignee, status)
+    broadcast_archived_count
+  end
+
+  # A card that came back from the archive
+  def broadcast_board_restore
+    broadcast_board_insert
+    broadcast_archived_count
+  end
+
+  private
+
+  # Insert the card directly below the card above it, or below the column
+  # header when it's the top card
+  def broadcast_board_placement
+    column_ids = Task.in_column(assignee, status).ordered.pluck(:id)
+    index = column_ids.index(id)
+    return if index.nil?
+
+    target = index.zero? ? "column_header_#{assignee}_#{status}" : "task_#{column_ids[index - 1]}"
+
+    Turbo::StreamsChannel.broadcast_after_to(
+      BOARD_STREAM, target: target, partial: "tasks/task_card", locals: { task: self },
+      attributes: board_stream_attributes
+    )
+  end
+
+  # Update the count_#{assignee}_#{status} badge in a column header
+  # ("3" or "3/5" with a WIP limit)
+  def broadcast_board_count(column_assignee, column_status)
+    Turbo::StreamsChannel.broadcast_update_to(
+      BOARD_STREAM, target: "count_#{column_assignee}_#{column_status}",
+      partial: "tasks/column_count",
+      locals: {
+        count: Task.in_column(column_assignee, column_status).count,
+        limit: WipLimit.for(column_assignee, column_status)
+      },
+      attributes: board_stream_attributes
+    )
+  end
+
+  # Update the "Archived" button badge
+  def broadcast_archived_count
+    Turbo::StreamsChannel.broadcast_replace_to(
+      BOARD_STREAM, target: "archived_count", partial: "tasks/archived_count",
+      attributes: board_stream_attributes
+    )
+  end
+
+  # Extra attributes on every <turbo-stream> element we broadcast
+  def board_stream_attributes
+    { "request-id": Turbo.current_request_id }
+  end
+end
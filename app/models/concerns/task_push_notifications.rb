@@ -0,0 +1,108 @@
+# ============================================================================
+# Concern: TaskPushNotifications
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Decides which task changes are worth a Web Push notification and
+# enqueues PushNotificationJob for them:
+#
+# - An urgent task is created, or an existing task becomes urgent or is
+#   reassigned while urgent → notify the assignee (the user whose username
+#   matches, e.g. "mechdog")
+# - Sparky moves one of its tasks to done → notify everyone, so MechDog
+#   hears about finished work without watching the board. "Sparky" means
+#   the change came in with Sparky's own API token (Current.api_token);
+#   someone dragging Sparky's card to Done on the board already knows.
+# - A change takes away Sparky's last sprint or in-progress task (moved
+#   on, handed over, archived or deleted) → "Sparky is idle", to everyone.
+#   Sparky going stale is time passing, not a task change, so that one is
+#   SparkyStaleCheckJob's.
+#
+# Like BoardBroadcastable, this uses after_*_commit so we never notify
+# about a change that rolled back.
+#
+# COMPARISON TO EXPRESS:
+# - Express: call notify() by hand in every route that changes a task
+# - Rails: one callback covers the board, the API and the console
+#
+# ============================================================================
+
+module TaskPushNotifications
+  extend ActiveSupport::Concern
+
+  included do
+    after_create_commit :notify_if_urgent
+    after_update_commit :notify_push_subscribers
+    after_destroy_commit :notify_if_sparky_idle
+  end
+
+  private
+
+  def notify_push_subscribers
+    notify_if_urgent if saved_change_to_priority? || saved_change_to_assignee?
+    notify_sparky_done if saved_change_to_status? && done? && assignee == "sparky" && changed_by_sparky?
+    notify_if_sparky_idle
+  end
+
+  def notify_if_urgent
+    return unless urgent?
+
+    PushNotificationJob.perform_later(
+      title: "Urgent task ##{id}",
+      body: title,
+      path: push_task_path,
+      tag: "task-#{id}",
+      usernames: [assignee]
+    )
+  end
+
+  def notify_sparky_done
+    PushNotificationJob.perform_later(
+      title: "Sparky finished task ##{id}",
+      body: title,
+      path: push_task_path,
+      tag: "task-#{id}"
+    )
+  end
+
+  # Task#archive! skips callbacks (update_column), so it calls this itself
+  # with what sparky_current_task? said before it archived
+  def notify_if_sparky_idle(was_current = was_sparky_current_task?)
+    return unless was_current && !sparky_current_task?
+    return if Task.for_assignee("sparky").where(status: SparkyHistory::CURRENT_STATUSES).exists?
+
+    PushNotificationJob.perform_later(
+      title: "Sparky is idle",
+      body: "No sprint or in-progress tasks. Time to hand over more work?",
+      path: Rails.application.routes.url_helpers.root_path,
+      tag: "sparky-status"
+    )
+  end
+
+  # Was this one of Sparky's current tasks (what the status card shows)
+  # before the change? A destroyed task's attributes are still the ones
+  # it had; an update's *_before_last_save are the ones it replaced.
+  def was_sparky_current_task?
+    return sparky_current?(assignee, status, archived) if destroyed?
+
+    sparky_current?(assignee_before_last_save, status_before_last_save, archived_before_last_save)
+  end
+
+  def sparky_current_task?
+    !destroyed? && sparky_current?(assignee, status, archived)
+  end
+
+  def sparky_current?(assignee, status, archived)
+    assignee == "sparky" && SparkyHistory::CURRENT_STATUSES.include?(status) && !archived
+  end
+
+  # Sparky works through /api with a token of its own (see db/seeds.rb)
+  def changed_by_sparky?
+    Current.api_token&.user&.username == "sparky"
+  end
+
+  def push_task_path
+    Rails.application.routes.url_helpers.task_path(self)
+  end
+end
@@ -0,0 +1,80 @@
+# ============================================================================
+# Concern: TaskUndo
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Reverses board changes for the Undo toast and Ctrl+Z
+# (undo_controller.js → POST /api/tasks/:id/undo).
+#
+# Three kinds of undo:
+# - undo_archive!        bring an archived task back to the board
+# - revert_to!(changes)  put fields (and optionally the card's position)
+#                        back to values the browser remembered — used for
+#                        drag-and-drop moves, which don't log activities
+# - undo_activity!(a)    reapply the "from" values of a TaskActivity
+#                        changeset — used for edits made through the form
+#
+# Every undo is itself logged as a 'reverted' TaskActivity, so the history
+# on tasks/show reads "changed ... / undone ..." instead of silently
+# losing the first change.
+#
+# Failures raise ActiveRecord::RecordInvalid with a message on errors[:base],
+# the same exception update! raises, so the controller only rescues one thing.
+#
+# COMPARISON TO EXPRESS:
+# - Express: an undo route with the reversal SQL written out per case
+# - Rails: the model knows how to reverse itself; the route just picks a method
+#
+# ============================================================================
+
+module TaskUndo
+  extend ActiveSupport::Concern
+
+  # Fields an undo is allowed to put back
+  UNDOABLE_FIELDS = %w[title description status assignee priority].freeze
+
+  def undo_archive!(user = nil)
+    fail_undo!("Task is not archived") unless archived?
+
+    transaction do
+      restore!
+      TaskActivity.log_reversal(self, {}, user, "Archive")
+    end
+  end
+
+  def revert_to!(changes, user = nil, position: nil)
+    changes = changes.to_h.stringify_keys.slice(*UNDOABLE_FIELDS)
+    fail_undo!("Nothing to undo") if changes.empty? && position.nil?
+
+    moved = !position.nil? || changes.key?("status") || changes.key?("assignee")
+
+    transaction do
+      self.requested_position = position unless position.nil?
+      update!(changes)
+      TaskActivity.log_reversal(self, saved_changes.slice(*UNDOABLE_FIELDS), user, moved ? "Move" : "Change")
+    end
+  end
+
+  # Only fields still holding the activity's "to" value are reverted, so
+  # undoing an old edit can't clobber a change someone made since
+  def undo_activity!(activity, user = nil)
+    fail_undo!("Activity belongs to another task") unless activity.task_id == id
+    return undo_archive!(user) if activity.activity_type == "archived"
+
+    previous = activity.reversal_changes(self)
+    fail_undo!("Nothing left to undo: the task has changed since") if previous.empty?
+
+    transaction do
+      update!(previous)
+      TaskActivity.log_reversal(self, saved_changes.slice(*UNDOABLE_FIELDS), user, "Edit")
+    end
+  end
+
+  private
+
+  def fail_undo!(message)
+    errors.add(:base, message)
+    raise ActiveRecord::RecordInvalid, self
+  end
+end
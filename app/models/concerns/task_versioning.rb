@@ -0,0 +1,127 @@
+# ============================================================================
+# Concern: TaskVersioning
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Stops lost writes when Sparky (PATCH /api/tasks/:id) and a person (a
+# drag, an inline edit, the edit form) change the same task at once.
+#
+# tasks.lock_version turns on Rails' optimistic locking: every save bumps
+# it. Clients say which version they last saw - If-Match: "task-12-v3" on
+# the API, a hidden lock_version field in the form - and before saving we
+# ask conflict_for(that version, the fields being changed):
+#
+#   version still current                 -> nil, save
+#   others changed only OTHER fields      -> nil, save (nothing to lose:
+#                                            their status + my title)
+#   others changed a field I'm changing   -> a conflict; the controller
+#      to something other than my value      answers 409 and nothing is saved
+#
+# "What others changed" comes from the activity log: each TaskActivity
+# records the task_version its change produced, so the changesets since
+# my version are exactly the writes I didn't see. Position changes and
+# touch_last_worked! use update_column, which doesn't bump the version,
+# so reordering a column never makes a conflict.
+#
+# That only holds if every version since mine has an activity. A save
+# that logged nothing leaves a hole we can't see into, so then every
+# field I'm changing counts as a conflict (with no known base value)
+# rather than silently overwriting whatever that save did.
+#
+# The conflict carries the client's base version, the current version,
+# each field's value at the base, now, and in the rejected edit, plus the
+# activities in between (who, when, via which API token). The merge prompt
+# (task_conflict_controller.js, tasks/_conflict) draws it.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: compare req.get('If-Match') with the row's version, 412/409 on
+#   a mismatch - usually without the field-level merge
+# - Rails: lock_version does the compare-and-swap; this adds the "which
+#   fields" part from the history we already keep
+#
+# ============================================================================
+
+module TaskVersioning
+  extend ActiveSupport::Concern
+
+  # Fields a conflict can be about (the ones activities log)
+  VERSIONED_FIELDS = %w[title description status assignee priority].freeze
+
+  class_methods do
+    # The version in an ETag we handed out ("task-12-v3" -> 3), or nil for
+    # anything else - including "*", which means "any version"
+    def version_from_etag(etag)
+      etag.to_s.split(',').map(&:strip).each do |tag|
+        version = tag.delete_prefix('W/')[/\A"task-\d+-v(\d+)"\z/, 1]
+        return version.to_i if version
+      end
+      nil
+    end
+  end
+
+  # Strong ETag for this version of the task
+  def version_etag
+    %("task-#{id}-v#{lock_version}")
+  end
+
+  # { 'status' => { 'from' => value at `version`, 'to' => value now }, ... }
+  # for every versioned field saved since `version`
+  def changes_since(version)
+    activities_since(version).each_with_object({}) do |activity, changes|
+      (activity.changeset || {}).slice(*VERSIONED_FIELDS).each do |field, values|
+        changes[field] ||= { 'from' => values['from'] }
+        changes[field]['to'] = public_send(field)
+      end
+    end
+  end
+
+  # The conflict between an edit made against `version` and what was saved
+  # since, or nil when the edit can be saved as it is (see above)
+  def conflict_for(version, attributes)
+    return if version.nil? || version.to_i == lock_version
+
+    theirs = changes_since(version.to_i)
+    mine = attributes.to_h.stringify_keys.slice(*VERSIONED_FIELDS)
+    logged = history_covers?(version.to_i)
+    fields = mine.keys.select do |field|
+      (theirs.key?(field) || !logged) && mine[field].to_s != public_send(field).to_s
+    end
+    return if fields.empty?
+
+    {
+      base_version: version.to_i,
+      version: lock_version,
+      fields: fields.index_with do |field|
+        { base: theirs.dig(field, 'from'), theirs: public_send(field), mine: mine[field] }
+      end,
+      activities: activities_since(version.to_i).map { |activity| conflict_activity_json(activity) }
+    }
+  end
+
+  private
+
+  # Whether each save after `version` logged an activity, i.e. whether
+  # changes_since(version) is the whole story
+  def history_covers?(version)
+    return false if version > lock_version
+
+    logged = activities.where(task_version: (version + 1)..lock_version).distinct.count(:task_version)
+    logged == lock_version - version
+  end
+
+  def activities_since(version)
+    activities.includes(:user, :api_token).where('task_version > ?', version).order(:task_version, :id)
+  end
+
+  def conflict_activity_json(activity)
+    {
+      id: activity.id,
+      actor: activity.actor,
+      via: activity.api_token&.name,
+      description: activity.description,
+      created_at: activity.created_at.iso8601,
+      changes: (activity.changeset || {}).slice(*VERSIONED_FIELDS)
+    }
+  end
+end
@@ -0,0 +1,96 @@
+# ============================================================================
+# Concern: TaskWipLimits
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Keeps columns within their work-in-progress limits (WipLimit). The check
+# is a validation, so every path that moves or creates a task goes through
+# it: drags and PATCH /api/tasks/:id, the edit form, the move arrows and
+# keyboard moves (move_left/move_right/move_lane), batch moves and undo.
+#
+# It only runs when a save puts the task INTO a column - creating it, or
+# changing its status or assignee. Editing the title of a task in an
+# over-full column, or reordering it, is fine.
+#
+# OVERRIDE:
+# Setting override_wip_limit (a param on every one of those paths; Alt
+# while dropping on the board) lets the move through anyway. The
+# controllers' log_*_activity calls then add a "wip_override" activity
+# saying which limit was broken and by whom:
+#
+#   task.update(status: 'in_progress', override_wip_limit: true)
+#   task.log_update_activity(current_user)   # also logs the override
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: a check in each route handler (easy to miss one) or a DB trigger
+# - Rails: a model validation - one place, every save
+#
+# ============================================================================
+
+module TaskWipLimits
+  extend ActiveSupport::Concern
+
+  included do
+    # true / "1" from a form or JSON: go over the limit on purpose
+    attr_reader :override_wip_limit
+
+    validate :within_wip_limit, if: :entering_column?
+  end
+
+  def override_wip_limit=(value)
+    @override_wip_limit = ActiveModel::Type::Boolean.new.cast(value)
+  end
+
+  # Tasks in the column this task is going into, not counting itself
+  def column_load
+    Task.in_column(assignee, status).where.not(id: id).count
+  end
+
+  # { limit:, count: } when the task's column has no room left for it,
+  # otherwise nil. Also used by TasksController#restore, which brings a
+  # task back with update_column and so skips validations.
+  def wip_limit_reached
+    limit = WipLimit.for(assignee, status)
+    return if limit.nil?
+
+    count = column_load
+    { limit: limit, count: count } if count >= limit
+  end
+
+  # "Sparky · In Progress is at its WIP limit (3/3)"
+  def wip_limit_message(reached = wip_limit_reached)
+    "#{WipLimit.column_name(assignee, status)} is at its WIP limit (#{reached[:count]}/#{reached[:limit]})" if reached
+  end
+
+  # Going over on purpose (override_wip_limit): remember it for
+  # log_wip_override. Returns false when the limit stands.
+  def exceed_wip_limit(reached)
+    return false unless override_wip_limit
+
+    @wip_limit_exceeded = { limit: reached[:limit], count: reached[:count] + 1 }
+    true
+  end
+
+  # Log the override the last save made, if any (see above)
+  def log_wip_override(user = nil)
+    return unless @wip_limit_exceeded
+
+    TaskActivity.log_wip_override(self, user, **@wip_limit_exceeded)
+    @wip_limit_exceeded = nil
+  end
+
+  private
+
+  def entering_column?
+    !archived? && (new_record? || will_save_change_to_status? || will_save_change_to_assignee?)
+  end
+
+  def within_wip_limit
+    @wip_limit_exceeded = nil
+    reached = wip_limit_reached
+    return if reached.nil? || exceed_wip_limit(reached)
+
+    errors.add(:base, wip_limit_message(reached))
+  end
+end
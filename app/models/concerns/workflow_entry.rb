@@ -0,0 +1,88 @@
+# ============================================================================
+# Concern: WorkflowEntry
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# What a board column (WorkflowStatus) and a swim lane (WorkflowAssignee)
+# have in common: a key stored on tasks, a Bootstrap color, an optional
+# Bootstrap Icons name and a position on the board.
+#
+# THE KEY IS FOREVER:
+# Tasks and WIP limits store the key ("in_progress", "sparky"), so it
+# can't change once saved (attr_readonly) - rename the label instead.
+# For the same reason an entry still holding tasks can't be removed:
+#
+#   WorkflowStatus.find_by(key: 'hold').retire!
+#   # => RecordInvalid "Hold still has 2 tasks - move or delete them first"
+#
+# Archived tasks count too, since restoring one would bring back a key
+# the board no longer knows.
+#
+# Each model says which Task column holds its key:
+#
+#   class WorkflowStatus < ApplicationRecord
+#     include WorkflowEntry
+#     self.task_attribute = :status
+#   end
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: a shared base class or a mixin object spread into both models
+# - Rails: a concern - `included do` runs inside each model's class body
+#
+# ============================================================================
+
+module WorkflowEntry
+  extend ActiveSupport::Concern
+
+  # The Bootstrap theme colors an entry can use (bg-*, text-*)
+  COLORS = %w[primary secondary success danger warning info dark].freeze
+
+  included do
+    class_attribute :task_attribute
+
+    attr_readonly :key
+
+    validates :key, presence: true, uniqueness: true, length: { maximum: 30 },
+                    format: { with: /\A[a-z][a-z0-9_]*\z/, message: 'must be lowercase letters, digits and underscores' }
+    validates :color, inclusion: { in: COLORS }
+    validates :icon, format: { with: /\Abi-[a-z0-9-]+\z/, message: 'must be a Bootstrap Icons name like bi-inbox' }, allow_blank: true
+    validates :position, numericality: { only_integer: true }
+
+    before_destroy :ensure_unused
+    # Workflow keeps the rows for the rest of the request; make it re-read
+    after_commit { Workflow.forget }
+    after_rollback { Workflow.forget }
+
+    scope :ordered, -> { order(:position, :id) }
+  end
+
+  # Tasks (archived included) holding this entry's key
+  def task_count
+    Task.unscoped.where(task_attribute => key).count
+  end
+
+  # Take the entry off the board: refuses while tasks still use it, and
+  # drops the WIP limits of its columns. Works on the built-in defaults
+  # too (Workflow), which were never saved.
+  def retire!
+    raise ActiveRecord::RecordInvalid, self unless unused?
+
+    WipLimit.where(task_attribute => key).delete_all
+    destroy! if persisted?
+  end
+
+  private
+
+  def unused?
+    count = task_count
+    return true if count.zero?
+
+    errors.add(:base, "#{display_name} still has #{count} #{'task'.pluralize(count)} - move or delete them first")
+    false
+  end
+
+  def ensure_unused
+    throw :abort unless unused?
+  end
+end
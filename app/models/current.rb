@@ -0,0 +1,29 @@
+# ============================================================================
+# Model: Current
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Per-request globals, reset by Rails after every request. ApiAuthentication
+# sets Current.api_token when a request comes in with a bearer token, and
+# TaskActivity reads it when it's created - so every activity logged during
+# that request records the token, without passing it through every
+# log_update_activity call.
+#
+# Workflow keeps the board's columns and lanes here too, so a board of a
+# hundred cards reads the two workflow tables once, not once per card.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Express: res.locals, or AsyncLocalStorage for code far from the handler
+# - Rails: ActiveSupport::CurrentAttributes, which is thread- and
+#   request-local in the same way
+#
+# ============================================================================
+
+class Current < ActiveSupport::CurrentAttributes
+  attribute :api_token
+
+  # Workflow's rows, by model name ("WorkflowStatus" => [...]); see
+  # Workflow.saved_or_default
+  attribute :workflow
+end
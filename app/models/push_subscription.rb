@@ -0,0 +1,101 @@
+# ============================================================================
+# Model: PushSubscription
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# One browser that agreed to receive Web Push notifications for a user.
+# push_subscription_controller.js creates it after the user clicks
+# "Enable notifications"; PushNotificationJob sends messages to it.
+#
+# HOW WEB PUSH WORKS:
+# 1. The browser subscribes with our VAPID public key and gets back an
+#    endpoint URL at its vendor's push service (Google, Mozilla, Apple)
+# 2. To notify, we POST an encrypted message to that endpoint, signed
+#    with our VAPID private key so the push service knows it's us
+# 3. The push service wakes the browser, which hands the message to our
+#    service worker's `push` handler even if no tab is open
+#
+# VAPID KEYS:
+# - One key pair for the whole app, set in credentials (vapid.public_key,
+#   vapid.private_key) or VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY
+# - Generate with: rails runner 'puts WebPush.generate_key.to_h.to_yaml'
+# - See config/initializers/web_push.rb
+#
+# TEST DELIVERY:
+# Like ActionMailer's :test delivery method, tests set
+# config.x.web_push.delivery_method = :test. Messages are then recorded in
+# PushSubscription.deliveries instead of going to a real push service.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: webpush.sendNotification(subscription, JSON.stringify(payload))
+# - Rails: WebPush.payload_send(message:, endpoint:, p256dh:, auth:, vapid:)
+#
+# ============================================================================
+
+class PushSubscription < ApplicationRecord
+  # ==========================================================================
+  # ASSOCIATIONS
+  # ==========================================================================
+
+  belongs_to :user
+
+  # ==========================================================================
+  # VALIDATIONS
+  # ==========================================================================
+
+  validates :endpoint, presence: true, uniqueness: true,
+                       format: { with: %r{\Ahttps?://}i, message: "must be a URL" }
+  validates :p256dh_key, presence: true
+  validates :auth_key, presence: true
+
+  # ==========================================================================
+  # SCOPES
+  # ==========================================================================
+
+  # Subscriptions for users whose username matches a task assignee
+  scope :for_usernames, ->(usernames) { joins(:user).where(users: { username: usernames }) }
+
+  # ==========================================================================
+  # TEST DELIVERIES
+  # ==========================================================================
+
+  # Messages "sent" while delivery_method is :test
+  def self.deliveries
+    @deliveries ||= []
+  end
+
+  # ==========================================================================
+  # INSTANCE METHODS
+  # ==========================================================================
+
+  # Send one notification to this browser.
+  # Returns false (and deletes the row) when the push service says the
+  # subscription is gone — the user revoked permission or cleared site data.
+  # Any other failure (another error status, a timeout, a refused
+  # connection, a broken key) is logged and returns false too: it never
+  # raises, so one bad browser can't stop PushNotificationJob's loop.
+  def deliver(payload)
+    if Rails.configuration.x.web_push.delivery_method == :test
+      self.class.deliveries << { endpoint: endpoint, payload: payload }
+      return true
+    end
+
+    WebPush.payload_send(
+      message: payload.to_json,
+      endpoint: endpoint,
+      p256dh: p256dh_key,
+      auth: auth_key,
+      vapid: Rails.configuration.x.web_push.vapid,
+      ttl: 1.day.to_i,
+      urgency: "high"
+    )
+    true
+  rescue WebPush::ExpiredSubscription, WebPush::InvalidSubscription
+    destroy
+    false
+  rescue => e
+    Rails.logger.error("[PushSubscription] Can't deliver to subscription #{id}: #{e.class}: #{e.message}")
+    false
+  end
+end
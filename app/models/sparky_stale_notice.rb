@@ -0,0 +1,30 @@
+# ============================================================================
+# Model: SparkyStaleNotice
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Remembers which of Sparky's usage-log sessions SparkyStaleCheckJob has
+# already sent the "status is stale" push for, so a late run still sends
+# it and a repeated or overlapping run doesn't send it again.
+#
+#   SparkyStaleNotice.claim(session_at)   # => true the first time, false after
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: INSERT ... ON CONFLICT DO NOTHING and check the row count
+# - Rails: create! against a unique index, rescuing RecordNotUnique
+#
+# ============================================================================
+
+class SparkyStaleNotice < ApplicationRecord
+  validates :session_at, presence: true
+
+  # Record that `session_at` has been notified. Only the caller that
+  # inserts the row gets true, however many runs race for it.
+  def self.claim(session_at)
+    create!(session_at: session_at)
+    true
+  rescue ActiveRecord::RecordNotUnique
+    false
+  end
+end
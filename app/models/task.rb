@@ -26,6 +26,26 @@
 class Task < ApplicationRecord
   # Include view helpers for time formatting
   include ActionView::Helpers::DateHelper
+  
+  # Push board changes to every open kanban board (Action Cable + Turbo Streams)
+  # See app/models/concerns/board_broadcastable.rb
+  include BoardBroadcastable
+
+  # Web Push notifications for urgent tasks and Sparky finishing work
+  # See app/models/concerns/task_push_notifications.rb
+  include TaskPushNotifications
+
+  # Undo for board changes (archive, move, edit)
+  # See app/models/concerns/task_undo.rb
+  include TaskUndo
+
+  # lock_version, If-Match and 409 conflicts instead of lost writes
+  # See app/models/concerns/task_versioning.rb
+  include TaskVersioning
+
+  # Per-column work-in-progress limits, checked on every move
+  # See app/models/concerns/task_wip_limits.rb
+  include TaskWipLimits
 
   # ==========================================================================
   # CALLBACKS
@@ -34,6 +54,17 @@ class Task < ApplicationRecord
   # Update last_worked_on when task is modified (if it was a meaningful change)
   after_update :touch_last_worked_if_status_changed
   
+  # New cards (and cards that land in a different column) go to the top,
+  # matching the turbo-stream `prepend` used by move_left/move_right.
+  # A drop index from drag-and-drop (requested_position) wins over "top".
+  before_save { @board_position_changed = false }
+  after_save :place_in_column, if: -> { requested_position.present? || column_changed? }
+  
+  # Drop index sent by the board when a card is dragged (0 = top of column).
+  # Not a database column: it's applied through #reposition! after save so
+  # the rest of the column is renumbered in the same transaction.
+  attr_accessor :requested_position
+  
   # Track activities for audit trail
   # after_create :log_creation_activity
   # after_update :log_update_activity
@@ -57,16 +88,16 @@ class Task < ApplicationRecord
   # CONSTANTS
   # ==========================================================================
   
-  # Valid workflow statuses for a task
-  # These match the columns on our Kanban board
-  # Order matters for next_status/previous_status methods!
-  STATUSES = %w[hold backlog in_progress sprint daily done].freeze
-  
   # Valid priority levels
   PRIORITIES = %w[low medium high urgent].freeze
   
-  # Valid assignees (can be extended or made dynamic later)
-  ASSIGNEES = %w[mechdog sparky].freeze
+  # Statuses and assignees used to be constants here too. They're the
+  # board's columns and swim lanes, which admins now edit on /workflow -
+  # see Workflow (Workflow.status_keys, Workflow.assignee_keys).
+  
+  # New tasks start in Backlog, or the first column if the workflow has
+  # no Backlog. (The lambda runs for new records only.)
+  attribute :status, :string, default: -> { Workflow.default_status }
 
   # ==========================================================================
   # VALIDATIONS
@@ -79,11 +110,12 @@ class Task < ApplicationRecord
   # Title is required
   validates :title, presence: true
   
-  # Assignee must be one of the valid options
-  validates :assignee, presence: true, inclusion: { in: ASSIGNEES }
+  # Assignee must be one of the workflow's swim lanes
+  # (a lambda, so a lane added on /workflow is valid straight away)
+  validates :assignee, presence: true, inclusion: { in: ->(_task) { Workflow.assignee_keys } }
   
-  # Status must be one of the valid workflow states
-  validates :status, presence: true, inclusion: { in: STATUSES }
+  # Status must be one of the workflow's columns
+  validates :status, presence: true, inclusion: { in: ->(_task) { Workflow.status_keys } }
   
   # Priority must be one of the valid levels
   validates :priority, presence: true, inclusion: { in: PRIORITIES }
@@ -157,6 +189,14 @@ class Task < ApplicationRecord
   # Order by most recently updated
   scope :recent, -> { order(updated_at: :desc) }
   
+  # Get the cards in one kanban column (swim lane + status)
+  # Usage: Task.in_column('sparky', 'sprint')
+  scope :in_column, ->(assignee, status) { for_assignee(assignee).with_status(status) }
+  
+  # Order by hand-sorted board position (top card first)
+  # updated_at breaks ties so the most recently touched card wins
+  scope :ordered, -> { order(:position, updated_at: :desc) }
+  
   # Order by priority (urgent first, then high, medium, low)
   scope :by_priority, -> {
     order(Arel.sql("FIELD(priority, 'urgent', 'high', 'medium', 'low')"))
@@ -205,32 +245,59 @@ class Task < ApplicationRecord
   
   # Move task to next status in workflow (right arrow)
   def advance_status!
-    current_index = STATUSES.index(status)
-    return if current_index.nil? || current_index >= STATUSES.length - 1
-    
-    update!(status: STATUSES[current_index + 1])
+    target = next_status
+    update!(status: target) if target
   end
   
   # Move task to previous status in workflow (left arrow)
   def regress_status!
-    current_index = STATUSES.index(status)
-    return if current_index.nil? || current_index <= 0
-    
-    update!(status: STATUSES[current_index - 1])
+    target = previous_status
+    update!(status: target) if target
   end
   
-  # Get the next status without changing it
+  # Get the next status without changing it (the column to the right)
   def next_status
-    current_index = STATUSES.index(status)
-    return nil if current_index.nil? || current_index >= STATUSES.length - 1
-    STATUSES[current_index + 1]
+    Workflow.next_status(status)
   end
   
-  # Get the previous status without changing it
+  # Get the previous status without changing it (the column to the left)
   def previous_status
-    current_index = STATUSES.index(status)
-    return nil if current_index.nil? || current_index <= 0
-    STATUSES[current_index - 1]
+    Workflow.previous_status(status)
+  end
+  
+  # "In Progress" - the column's label on the board
+  def status_label
+    Workflow.status_label(status)
+  end
+  
+  # "Sparky" - the swim lane's name on the board
+  def assignee_name
+    Workflow.assignee_name(assignee)
+  end
+  
+  # ==========================================================================
+  # BOARD POSITION METHODS
+  # ==========================================================================
+  #
+  # LEARNING NOTE: Each card has a 0-based `position` within its column.
+  # When a card is dropped at an index we renumber the whole column in one
+  # transaction, so positions stay contiguous (0, 1, 2, ...) and the order
+  # survives a page reload.
+  
+  # Move this task to `index` within its current column, shifting neighbors
+  # Usage: task.reposition!(2) → task becomes the third card in the column
+  def reposition!(index)
+    transaction do
+      siblings = Task.in_column(assignee, status).where.not(id: id).ordered.to_a
+      index = index.to_i.clamp(0, siblings.length)
+      siblings.insert(index, self)
+      
+      siblings.each_with_index do |task, new_position|
+        # update_column skips callbacks and updated_at, so reordering
+        # doesn't count as "working on" the neighbors
+        task.update_column(:position, new_position) unless task.position == new_position
+      end
+    end
   end
   
   # ==========================================================================
@@ -241,13 +308,21 @@ class Task < ApplicationRecord
   # Instead of destroying the record, we mark it as archived
   # This allows recovery and maintains history
   def archive!
+    was_sparky_current = sparky_current_task?
     update_column(:archived, true)
+    # Inside a transaction (bulk archive), wait until it commits
+    ActiveRecord.after_all_transactions_commit do
+      broadcast_board_remove
+      notify_if_sparky_idle(was_sparky_current)
+    end
   end
   
   # Restore this task from archive (unarchive)
   # Makes the task visible on the main kanban board again
   def restore!
     update_column(:archived, false)
+    reposition!(0)
+    ActiveRecord.after_all_transactions_commit { broadcast_board_restore }
   end
   
   # Check if this task is archived
@@ -281,7 +356,9 @@ class Task < ApplicationRecord
   
   # Log task creation
   def log_creation_activity(user = nil)
-    TaskActivity.log_creation(self, user)
+    activity = TaskActivity.log_creation(self, user)
+    log_wip_override(user)
+    activity
   end
   
   # Log task update with field changes
@@ -289,7 +366,9 @@ class Task < ApplicationRecord
     # saved_changes is a Rails method that returns hash of changed fields
     # Format: { "field" => [old_value, new_value] }
     changes = saved_changes.slice('title', 'description', 'status', 'assignee', 'priority')
-    TaskActivity.log_update(self, changes, user) if changes.any?
+    activity = TaskActivity.log_update(self, changes, user) if changes.any?
+    log_wip_override(user)
+    activity
   end
   
   # Log task deletion (called before_destroy)
@@ -304,6 +383,24 @@ class Task < ApplicationRecord
   
   private
   
+  # Did this save put the task into a (new) column?
+  def column_changed?
+    previously_new_record? || saved_change_to_status? || saved_change_to_assignee?
+  end
+  
+  # Callback: Put the task at the requested index, or the top of its column
+  def place_in_column
+    reposition!(requested_position.presence || 0)
+    @board_position_changed = true
+    self.requested_position = nil
+  end
+  
+  # Did the last save change where the card sits on the board?
+  # Read by BoardBroadcastable#broadcast_board_update (after commit)
+  def board_position_changed?
+    @board_position_changed == true
+  end
+  
   # Callback: Update last_worked_on when status or assignee changes
   def touch_last_worked_if_status_changed
     if saved_change_to_status? || saved_change_to_assignee?
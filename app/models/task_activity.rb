@@ -27,13 +27,17 @@ class TaskActivity < ApplicationRecord
   belongs_to :task
   belongs_to :user, optional: true  # Optional because some actions may be system/API
   
+  # Set when the change came through the API with a token (see Current)
+  belongs_to :api_token, optional: true
+  
   # ==========================================================================
   # CONSTANTS
   # ==========================================================================
   
   # Valid activity types
   TYPES = %w[created updated status_changed assignee_changed priority_changed 
-             title_changed description_changed deleted moved archived restored].freeze
+             title_changed description_changed deleted moved archived restored reverted
+             wip_override].freeze
   
   # ==========================================================================
   # VALIDATIONS
@@ -42,6 +46,16 @@ class TaskActivity < ApplicationRecord
   validates :activity_type, presence: true, inclusion: { in: TYPES }
   validates :task, presence: true
   
+  # ==========================================================================
+  # CALLBACKS
+  # ==========================================================================
+  
+  before_create { self.api_token ||= Current.api_token }
+
+  # The task version this change produced, so a 409 can list what happened
+  # after the version the client had (TaskVersioning#changes_since)
+  before_create { self.task_version ||= task&.lock_version }
+  
   # ==========================================================================
   # SCOPES
   # ==========================================================================
@@ -58,6 +72,12 @@ class TaskActivity < ApplicationRecord
   # Get activities from the last N days
   scope :recent_days, ->(days = 7) { where('created_at > ?', days.days.ago) }
   
+  # Activities by one person ("mechdog", "sparky"), or "system" for the
+  # ones logged without a signed-in user
+  scope :by_actor, ->(actor) {
+    actor == 'system' ? where(user_id: nil) : joins(:user).where(users: { username: actor })
+  }
+  
   # ==========================================================================
   # INSTANCE METHODS
   # ==========================================================================
@@ -82,6 +102,36 @@ class TaskActivity < ApplicationRecord
     changeset&.dig(field.to_s, 'to')
   end
   
+  # The "from" side of the changeset, limited to fields the task still has
+  # at their "to" value (i.e. nobody changed them again since).
+  # Used by Task#undo_activity!
+  def reversal_changes(task)
+    (changeset || {}).slice(*TaskUndo::UNDOABLE_FIELDS).each_with_object({}) do |(field, values), previous|
+      previous[field] = values['from'] if task.public_send(field).to_s == values['to'].to_s
+    end
+  end
+  
+  # Who did it, for the activity feed: a username or "system"
+  def actor
+    user&.username || 'system'
+  end
+  
+  # One entry in the board's activity feed (GET /api/activities).
+  # task is passed in because archived tasks are hidden by Task's
+  # default scope, so `self.task` would be nil for them.
+  def feed_json(task = self.task)
+    {
+      id: id,
+      type: activity_type,
+      description: description,
+      actor: actor,
+      via: api_token&.name,
+      created_at: created_at.iso8601,
+      changes: (changeset || {}).slice('status', 'assignee', 'priority'),
+      task: task && { id: task.id, title: task.title, archived: task.archived? }
+    }
+  end
+  
   # Human-readable time ago
   def time_ago
     return 'just now' if created_at > 1.minute.ago
@@ -99,6 +149,10 @@ class TaskActivity < ApplicationRecord
       'bi-archive text-warning'
     when 'restored'
       'bi-arrow-counterclockwise text-success'
+    when 'reverted'
+      'bi-arrow-return-left text-secondary'
+    when 'wip_override'
+      'bi-speedometer2 text-danger'
     when 'status_changed'
       'bi-arrow-repeat text-primary'
     when 'assignee_changed'
@@ -147,6 +201,33 @@ class TaskActivity < ApplicationRecord
     )
   end
   
+  # Log an undo (see TaskUndo). `label` names what was undone: "Move", "Edit"...
+  # changes are the fields the undo itself changed, in saved_changes format
+  def self.log_reversal(task, changes, user, label)
+    description = "#{label} undone by #{user&.username || 'system'}"
+    description += ": #{build_description(changes)}" if changes.any?
+    
+    create!(
+      task: task,
+      user: user,
+      activity_type: 'reverted',
+      description: description,
+      changeset: changes_to_json(changes)
+    )
+  end
+  
+  # Log a move past a column's WIP limit (see TaskWipLimits). count is the
+  # column's size with the task in it.
+  def self.log_wip_override(task, user, limit:, count:)
+    create!(
+      task: task,
+      user: user,
+      activity_type: 'wip_override',
+      description: "WIP limit overridden by #{user&.username || 'system'}: " \
+                   "#{WipLimit.column_name(task.assignee, task.status)} now has #{count}/#{limit}"
+    )
+  end
+  
   # Log a deletion
   def self.log_deletion(task, user = nil)
     create!(
@@ -31,6 +31,10 @@ class User < ApplicationRecord
   
   ROLES = %w[user admin super_admin].freeze
 
+  # Colour themes (see theme_controller.js). "system" follows the
+  # operating system's light/dark setting; the rest are fixed.
+  THEMES = %w[system light dark high-contrast].freeze
+
   # -------------------------------------------------------------------------
   # Virtual Attributes
   # -------------------------------------------------------------------------
@@ -54,6 +58,12 @@ class User < ApplicationRecord
   # dependent: :nullify means if user is deleted, tasks stay but user_id becomes nil
   has_many :tasks, dependent: :nullify
 
+  # Browsers this user enabled Web Push notifications on
+  has_many :push_subscriptions, dependent: :destroy
+
+  # Bearer tokens for the JSON API, acting as this user
+  has_many :api_tokens, dependent: :destroy
+
   # -------------------------------------------------------------------------
   # Validations
   # -------------------------------------------------------------------------
@@ -65,6 +75,7 @@ class User < ApplicationRecord
                        format: { with: /\A[a-zA-Z0-9_]+\z/,
                                  message: "only allows letters, numbers, and underscores" }
   validates :role, presence: true, inclusion: { in: ROLES }
+  validates :theme, inclusion: { in: THEMES }
 
   # -------------------------------------------------------------------------
   # Devise: Allow login by email OR username
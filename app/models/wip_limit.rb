@@ -0,0 +1,70 @@
+# ============================================================================
+# Model: WipLimit
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# A work-in-progress limit for one board column - an assignee's swim lane
+# and a status: "Sparky's In Progress holds at most 1 task". Admins set
+# them on /wip_limits; columns without a row have no limit.
+#
+# Task validates against them on every save that puts a task into a
+# column (TaskWipLimits), and the board shows each column as "count/limit"
+# and refuses drops into a full one (sortable_controller.js).
+#
+#   WipLimit.for('sparky', 'in_progress')   # => 1, or nil for no limit
+#   WipLimit.table                          # => { ['sparky', 'in_progress'] => 1, ... }
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: a settings lookup with `?? Infinity` for missing columns
+# - Rails: a row per column, nil meaning "no limit"
+#
+# ============================================================================
+
+class WipLimit < ApplicationRecord
+  # ==========================================================================
+  # VALIDATIONS
+  # ==========================================================================
+
+  # Only the workflow's columns (Workflow) can have a limit
+  validates :assignee, presence: true, inclusion: { in: ->(_limit) { Workflow.assignee_keys } }
+  validates :status, presence: true, inclusion: { in: ->(_limit) { Workflow.status_keys } }, uniqueness: { scope: :assignee }
+  validates :max_tasks, numericality: { only_integer: true, greater_than: 0 }
+
+  # ==========================================================================
+  # CLASS METHODS
+  # ==========================================================================
+
+  # The limit for one column, or nil
+  def self.for(assignee, status)
+    where(assignee: assignee.to_s, status: status.to_s).pick(:max_tasks)
+  end
+
+  # Every limit, one query: { [assignee, status] => max_tasks }
+  def self.table
+    pluck(:assignee, :status, :max_tasks).to_h { |assignee, status, max_tasks| [[assignee, status], max_tasks] }
+  end
+
+  # Save the limits from the /wip_limits form: { assignee => { status => "3" } }.
+  # A blank limit removes the column's row. All or nothing.
+  def self.apply!(limits)
+    transaction do
+      limits.each do |assignee, statuses|
+        statuses.each do |status, value|
+          limit = find_or_initialize_by(assignee: assignee.to_s, status: status.to_s)
+
+          if value.blank?
+            limit.destroy! if limit.persisted?
+          else
+            limit.update!(max_tasks: value)
+          end
+        end
+      end
+    end
+  end
+
+  # "Sparky · In Progress", in the workflow's names
+  def self.column_name(assignee, status)
+    "#{Workflow.assignee_name(assignee)} · #{Workflow.status_label(status)}"
+  end
+end
@@ -0,0 +1,198 @@
+# ============================================================================
+# Module: Workflow
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The board's shape - its columns (WorkflowStatus) and swim lanes
+# (WorkflowAssignee), in order. This used to be two constants,
+# Task::STATUSES and Task::ASSIGNEES; now admins edit it on /workflow and
+# everything that needs the list asks here:
+#
+#   Workflow.status_keys         # => ["hold", "backlog", ..., "done"]
+#   Workflow.assignee_keys       # => ["sparky", "mechdog"]
+#   Workflow.next_status('backlog')     # => "in_progress"
+#   Workflow.status_label('in_progress') # => "In Progress"
+#
+# Task validates against it, the board draws one lane per assignee and one
+# column per status (so sortable_controller.js's drop targets follow it),
+# and /api/stats counts by it.
+#
+# EMPTY TABLES:
+# Until the tables have rows - a database loaded from db/schema.rb, the
+# test database - the built-in workflow below applies, as unsaved
+# records. The migration that added the tables fills them with the same
+# rows, plus any status or assignee existing tasks already used.
+#
+# ONE READ PER REQUEST:
+# Every card asks several of these (its color, its next column, its
+# lane's name...), so the rows are read once and kept in Current until
+# the request or job ends. Saving or removing a row (WorkflowEntry)
+# forgets them, so the same request sees its own change.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: a config module exporting arrays, loaded once at startup
+# - Rails: a module of class methods over two small tables, so a change
+#   on /workflow shows on the next request without a deploy
+#
+# ============================================================================
+
+module Workflow
+  DEFAULT_STATUSES = [
+    { key: 'hold', label: 'Hold', color: 'secondary', icon: 'bi-pause-circle' },
+    { key: 'backlog', label: 'Backlog', color: 'secondary', icon: 'bi-inbox' },
+    { key: 'in_progress', label: 'In Progress', color: 'primary', icon: 'bi-arrow-repeat' },
+    { key: 'sprint', label: 'Sprint', color: 'danger', icon: 'bi-lightning-charge' },
+    { key: 'daily', label: 'Daily', color: 'info', icon: 'bi-calendar-day' },
+    { key: 'done', label: 'Done', color: 'success', icon: 'bi-check-circle' }
+  ].freeze
+
+  # Sparky's lane first, where MechDog wanted it
+  DEFAULT_ASSIGNEES = [
+    { key: 'sparky', name: 'Sparky', kind: 'agent', color: 'warning', icon: 'bi-lightning-charge-fill' },
+    { key: 'mechdog', name: 'Mechdog', kind: 'human', color: 'primary', icon: 'bi-robot' }
+  ].freeze
+
+  # Where new tasks land unless told otherwise (the tasks.status default)
+  DEFAULT_STATUS = 'backlog'
+
+  # ==========================================================================
+  # READING
+  # ==========================================================================
+
+  # The board's columns, left to right
+  def self.statuses
+    saved_or_default(WorkflowStatus, DEFAULT_STATUSES)
+  end
+
+  # The board's swim lanes, top to bottom
+  def self.assignees
+    saved_or_default(WorkflowAssignee, DEFAULT_ASSIGNEES)
+  end
+
+  def self.status_keys
+    statuses.map(&:key)
+  end
+
+  def self.assignee_keys
+    assignees.map(&:key)
+  end
+
+  def self.status(key)
+    statuses.find { |status| status.key == key.to_s }
+  end
+
+  def self.assignee(key)
+    assignees.find { |assignee| assignee.key == key.to_s }
+  end
+
+  # "In Progress"; a key the workflow no longer has is titleized
+  def self.status_label(key)
+    status(key)&.label || key.to_s.titleize
+  end
+
+  # "Sparky"
+  def self.assignee_name(key)
+    assignee(key)&.name || key.to_s.titleize
+  end
+
+  # The column to the right, or nil at the last one
+  def self.next_status(key)
+    neighbour(status_keys, key, 1)
+  end
+
+  # The column to the left, or nil at the first one
+  def self.previous_status(key)
+    neighbour(status_keys, key, -1)
+  end
+
+  # The lane a card's swap button sends it to: the next one down, wrapping
+  # around to the top. nil when there's only one lane.
+  def self.next_assignee(key)
+    keys = assignee_keys
+    index = keys.index(key.to_s)
+    return if index.nil? || keys.size < 2
+
+    keys[(index + 1) % keys.size]
+  end
+
+  # Backlog while there is one, else the first column
+  def self.default_status
+    keys = status_keys
+    keys.include?(DEFAULT_STATUS) ? DEFAULT_STATUS : keys.first
+  end
+
+  # ==========================================================================
+  # SAVING
+  # ==========================================================================
+
+  # Save the /workflow form. Each list is the rows of one table:
+  #
+  #   Workflow.apply!(
+  #     statuses:  [{ key: 'review', label: 'Review', color: 'info', position: 4 }, ...],
+  #     assignees: [{ key: 'mechdog', name: 'MechDog', kind: 'human', remove: '0' }, ...]
+  #   )
+  #
+  # A row whose key isn't in the table yet adds it; remove: "1" retires
+  # one (WorkflowEntry#retire!); rows left out stay as they are. All or
+  # nothing: raises ActiveRecord::RecordInvalid naming the row at fault.
+  def self.apply!(statuses: [], assignees: [])
+    WorkflowStatus.transaction do
+      apply_rows!(WorkflowStatus, self.statuses, statuses)
+      apply_rows!(WorkflowAssignee, self.assignees, assignees)
+    end
+  end
+
+  # Drop the rows kept for this request (WorkflowEntry calls it on commit)
+  def self.forget
+    Current.workflow = nil
+  end
+
+  # ==========================================================================
+  # PRIVATE
+  # ==========================================================================
+
+  def self.saved_or_default(model, defaults)
+    loaded = (Current.workflow ||= {})
+    loaded[model.name] ||= model.ordered.to_a.presence ||
+      defaults.each_with_index.map { |attributes, position| model.new(**attributes, position: position) }
+  end
+  private_class_method :saved_or_default
+
+  def self.neighbour(keys, key, step)
+    index = keys.index(key.to_s)
+    return if index.nil?
+
+    index += step
+    keys[index] if index.between?(0, keys.size - 1)
+  end
+  private_class_method :neighbour
+
+  def self.apply_rows!(model, current, rows)
+    # Built-in defaults become rows first, so removing one sticks
+    current.each { |entry| entry.save! if entry.new_record? }
+    entries = current.index_by(&:key)
+    retired = nil
+
+    rows.each do |row|
+      row = row.to_h.symbolize_keys
+      key = row[:key].to_s.strip
+      next if key.blank?
+
+      # New rows go at the end unless the row says where
+      entry = entries[key] || model.new(key: key, position: (model.maximum(:position) || -1) + 1)
+
+      if ActiveModel::Type::Boolean.new.cast(row[:remove])
+        (retired = entry).retire! unless entry.new_record?
+      else
+        entry.update!(row.except(:key, :remove))
+      end
+    end
+
+    return if retired.nil? || model.exists?
+
+    retired.errors.add(:base, "#{retired.display_name} is the last one - the board needs at least one")
+    raise ActiveRecord::RecordInvalid, retired
+  end
+  private_class_method :apply_rows!
+end
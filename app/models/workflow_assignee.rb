@@ -0,0 +1,40 @@
+# ============================================================================
+# Model: WorkflowAssignee
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# One swim lane of the board - someone tasks can be assigned to - in the
+# order the lanes are drawn. Either a person or an agent (Sparky):
+#
+#   key    "sparky"  - what tasks store, fixed once saved
+#   name   "Sparky"  - what the board shows
+#   kind   "agent"   - "human" or "agent"
+#   color, icon      - the lane's border and header icon, activity avatars
+#
+# The key is also how the activity feed matches an activity's actor (a
+# username) to a lane, so a person's lane key is best their username.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: a users-like table with a `type` column
+# - Rails: the same, with inclusion validating the kind
+#
+# ============================================================================
+
+class WorkflowAssignee < ApplicationRecord
+  include WorkflowEntry
+  self.task_attribute = :assignee
+
+  KINDS = %w[human agent].freeze
+
+  validates :name, presence: true, length: { maximum: 40 }
+  validates :kind, inclusion: { in: KINDS }
+
+  def agent?
+    kind == 'agent'
+  end
+
+  def display_name
+    name
+  end
+end
@@ -0,0 +1,34 @@
+# ============================================================================
+# Model: WorkflowStatus
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# One column of the board - a status a task can be in - in the order the
+# columns are drawn. Moving a card right takes it to the next status
+# (Task#next_status), left to the previous one.
+#
+#   key       "in_progress" - what tasks store, fixed once saved
+#   label     "In Progress" - what the board shows
+#   color     "primary"     - the column count badge (bg-primary)
+#   icon      "bi-arrow-repeat" - drawn before the label, in the color
+#
+# Admins edit them on /workflow (WorkflowsController); Workflow is how the
+# rest of the app reads them.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: an enum in code, or a lookup table joined by key
+# - Rails: a lookup table, with validations guarding the key
+#
+# ============================================================================
+
+class WorkflowStatus < ApplicationRecord
+  include WorkflowEntry
+  self.task_attribute = :status
+
+  validates :label, presence: true, length: { maximum: 40 }
+
+  def display_name
+    label
+  end
+end
@@ -0,0 +1,30 @@
+# ============================================================================
+# Policy: ApiTokenPolicy
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Who may hand out and revoke API tokens (ApiTokensController, on a
+# user's edit page under /users): admins, for the users whose page they
+# may edit (UserPolicy#update?). A token acts as its user without a
+# password, so an admin gets tokens for their own account and a
+# super_admin - who can already change anyone's password - for anyone's.
+#
+# ApiTokensController authorizes a new token built for the user, or the
+# token being revoked; the rule looks at whose token it is.
+#
+# ============================================================================
+
+class ApiTokenPolicy < ApplicationPolicy
+  # See a user's tokens and make a new one?
+  def create?
+    return false unless user&.admin?
+
+    UserPolicy.new(user, record.user).update?
+  end
+
+  # Revoke one?
+  def destroy?
+    create?
+  end
+end
@@ -0,0 +1,34 @@
+# ============================================================================
+# Policy: ConfigFilePolicy
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Who may change Sparky's config files from the /config page. Reading them
+# stays public (ConfigController#index/show don't authorize at all).
+#
+# This is a "headless" policy: there's no model behind it, so the
+# controller authorizes a symbol instead of a record:
+#
+#   authorize :config_file, :update?
+#
+# and Pundit finds this class from the name (:config_file -> ConfigFilePolicy).
+#
+# ============================================================================
+
+class ConfigFilePolicy < ApplicationPolicy
+  # Save an edited file? Admins only - these files steer the assistant.
+  def update?
+    user&.admin? || false
+  end
+
+  # List and compare backups?
+  def backups?
+    update?
+  end
+
+  # Put a backup back?
+  def restore?
+    update?
+  end
+end
@@ -66,6 +66,12 @@ class TaskPolicy < ApplicationPolicy
     user.present?
   end
   
+  # Can the user move task to another assignee's swim lane?
+  def move_lane?
+    # Any logged-in user can move tasks
+    user.present?
+  end
+  
   # Can the user view archived tasks list?
   def archived?
     # Any logged-in user can view archived tasks
@@ -0,0 +1,26 @@
+# ============================================================================
+# Policy: WipLimitPolicy
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Everyone on the board can see the WIP limits (/wip_limits); changing
+# them is for admins, since a limit decides what everyone else - Sparky
+# included - may move where.
+#
+# WipLimitsController authorizes the WipLimit class, not a record: the
+# page edits every column's limit at once.
+#
+# ============================================================================
+
+class WipLimitPolicy < ApplicationPolicy
+  # See the limits?
+  def show?
+    user.present?
+  end
+
+  # Change them?
+  def update?
+    user&.admin? || false
+  end
+end
@@ -0,0 +1,26 @@
+# ============================================================================
+# Policy: WorkflowPolicy
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Who may see and change the board's workflow (/workflow): its columns
+# and swim lanes. Everyone signed in can look; only admins change it,
+# since adding or removing a column changes the board for everyone.
+#
+# Workflow is a module, not a model, so WorkflowsController authorizes
+# the symbol :workflow - Pundit turns that into this class.
+#
+# ============================================================================
+
+class WorkflowPolicy < ApplicationPolicy
+  # See the columns and lanes?
+  def show?
+    user.present?
+  end
+
+  # Change them?
+  def update?
+    user&.admin? || false
+  end
+end
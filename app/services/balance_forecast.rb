@@ -0,0 +1,163 @@
+# ============================================================================
+# Service: BalanceForecast
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Works out how fast a provider's balance is going down and when it will
+# run out, from the snapshots in ApiBalanceHistory. The balance dashboard
+# (/balances) draws these numbers next to its charts.
+#
+#   BalanceForecast.new('moonshot', days: 7).as_json
+#   # {
+#   #   current_balance: 42.1,
+#   #   top_ups: [{ timestamp:, amount: 20.0 }],
+#   #   daily_spend: [{ date: "2026-02-06", spent: 1.35 }, ...],
+#   #   burn_rate: { linear: 1.4, ewma: 1.7 },            # per day
+#   #   projection: { linear: { days_left: 30.1, empty_on: "2026-03-08" },
+#   #                 ewma: { ... } }
+#   # }
+#
+# SPENDING AND TOP-UPS:
+# Between two snapshots, a lower balance is money spent. A higher one is
+# a top-up (nobody's balance goes up by itself), so we record the jump as
+# a top-up and count nothing as spent for that stretch.
+#
+# TWO BURN RATES:
+# - linear: a least-squares line through the running total spent. Steady,
+#   and a single expensive day barely moves it.
+# - ewma: an exponentially weighted moving average of the daily spend,
+#   each day counting EWMA_WEIGHT and the older days the rest. It follows
+#   a change of habits within a few days. Today isn't finished, so it's
+#   left out unless it's the only day we have.
+# days_left is the current balance divided by the rate, and is nil when
+# nothing is being spent.
+#
+# COMPARISON TO NODE.JS:
+# - Node: the same loops in a utils/forecast.js, or a stats package
+# - Rails: a plain Ruby class; the numbers are small enough to do in Ruby
+#   rather than in SQL
+#
+# ============================================================================
+
+class BalanceForecast
+  # Weight of the newest day in the EWMA burn rate
+  EWMA_WEIGHT = 0.3
+
+  # Increases smaller than this are rounding noise, not top-ups
+  TOP_UP_THRESHOLD = 0.01
+
+  attr_reader :provider, :days
+
+  def initialize(provider, days: 7, now: Time.current)
+    @provider = provider
+    @days = days
+    @now = now
+  end
+
+  def snapshots
+    @snapshots ||= ApiBalanceHistory.for_provider(provider)
+      .successful
+      .where(queried_at: (@now - days.days)..@now)
+      .order(:queried_at)
+      .pluck(:queried_at, :balance, :metadata)
+      .map { |queried_at, balance, metadata| { at: queried_at, balance: balance.to_f, metadata: metadata.to_h } }
+  end
+
+  def current_balance
+    snapshots.last&.dig(:balance)
+  end
+
+  # false for providers whose balance can only be seen in their console
+  def supports_api?
+    snapshots.last&.dig(:metadata, "supports_api") != false
+  end
+
+  def top_ups
+    changes.select { |change| change[:top_up] }.map do |change|
+      { timestamp: change[:at].iso8601, amount: change[:amount].round(2) }
+    end
+  end
+
+  # One entry per calendar day in the window, days without spending as 0
+  def daily_spend
+    spent_by_date = changes.reject { |change| change[:top_up] }
+      .group_by { |change| change[:at].to_date }
+      .transform_values { |day| day.sum { |change| change[:amount] } }
+
+    ((@now - days.days).to_date..@now.to_date).map do |date|
+      { date: date.iso8601, spent: spent_by_date.fetch(date, 0).round(4) }
+    end
+  end
+
+  def burn_rate
+    { linear: linear_rate&.round(4), ewma: ewma_rate&.round(4) }
+  end
+
+  def projection
+    burn_rate.transform_values { |rate| project(rate) }
+  end
+
+  def as_json(*)
+    {
+      provider: provider,
+      days: days,
+      supports_api: supports_api?,
+      current_balance: current_balance,
+      top_ups: top_ups,
+      daily_spend: daily_spend,
+      burn_rate: burn_rate,
+      projection: projection
+    }
+  end
+
+  private
+
+  # Balance changes between neighbouring snapshots:
+  # [{ at:, amount:, top_up: }], amount always positive
+  def changes
+    @changes ||= snapshots.each_cons(2).filter_map do |before, after|
+      difference = after[:balance] - before[:balance]
+      if difference > TOP_UP_THRESHOLD
+        { at: after[:at], amount: difference, top_up: true }
+      elsif difference.negative?
+        { at: after[:at], amount: -difference, top_up: false }
+      end
+    end
+  end
+
+  # Slope (per day) of the least-squares line through the running total spent
+  def linear_rate
+    return if snapshots.size < 2
+
+    spent = 0.0
+    start = snapshots.first[:at]
+    points = [[0.0, 0.0]] + changes.map do |change|
+      spent += change[:amount] unless change[:top_up]
+      [(change[:at] - start) / 1.day, spent]
+    end
+    points << [(snapshots.last[:at] - start) / 1.day, spent]
+
+    mean_x = points.sum(&:first) / points.size
+    mean_y = points.sum(&:last) / points.size
+    spread = points.sum { |x, _| (x - mean_x)**2 }
+    return if spread.zero?
+
+    points.sum { |x, y| (x - mean_x) * (y - mean_y) } / spread
+  end
+
+  def ewma_rate
+    return if snapshots.size < 2
+
+    spends = daily_spend.map { |day| day[:spent] }
+    spends = spends[0...-1] if spends.size > 1
+    spends.drop(1).reduce(spends.first) { |average, spent| EWMA_WEIGHT * spent + (1 - EWMA_WEIGHT) * average }
+  end
+
+  def project(rate)
+    return unless rate&.positive? && current_balance
+
+    days_left = current_balance / rate
+    { days_left: days_left.round(1), empty_on: (@now + days_left.days).to_date.iso8601 }
+  end
+end
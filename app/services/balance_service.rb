@@ -137,24 +137,63 @@ class BalanceService
     end
   end
   
-  # Store current balances in database
+  # How long recorded balances are served before we ask the providers again
+  CACHE_MAX_AGE = 10.minutes
+
+  # Balances for display, from ApiBalanceHistory when it's fresh enough.
+  # The board polls every few minutes from every open tab; without this,
+  # each poll would call the provider APIs. When the newest record is older
+  # than max_age we query live once and record the result, so the polls
+  # after it are served from the database again. Failed queries are
+  # recorded too (success: false), so a provider that's down keeps its
+  # error on the card and doesn't get queried on every poll.
+  #
+  # Same shape as query_all, plus :queried_at for each provider.
+  def self.cached_balances(max_age: CACHE_MAX_AGE)
+    latest = ApiBalanceHistory.latest_balances
+    newest = latest.values.filter_map { |data| data[:queried_at] }.max
+
+    if newest.nil? || newest < max_age.ago
+      queried_at = Time.current
+      return record_balances!.transform_values { |data| data.merge(queried_at: queried_at) }
+    end
+
+    latest.transform_values do |data|
+      details = data[:metadata].to_h.symbolize_keys.except(:raw)
+      details.merge(
+        success: data[:success],
+        balance: data[:success] && details[:supports_api] != false ? data[:balance]&.to_f : nil,
+        currency: data[:currency],
+        error: data[:error_message],
+        queried_at: data[:queried_at]
+      )
+    end
+  end
+
+  # Store current balances in database, failed queries included (charts
+  # and forecasts only read the successful rows), then check each real
+  # balance against the provider's alert thresholds (BalanceAlert.evaluate!)
   def self.record_balances!
     results = query_all
     timestamp = Time.current
+    thresholds = BalanceThreshold.by_provider
     
     results.each do |provider, data|
-      # Skip if the query failed or doesn't support API
-      next unless data[:success]
-      
       ApiBalanceHistory.create!(
         provider: provider,
         balance: data[:balance] || 0,
         currency: data[:currency] || 'USD',
         metadata: data.except(:balance, :currency, :success, :error),
-        success: data[:balance].present? || data[:supports_api] == false,
+        success: data[:success] && (data[:balance].present? || data[:supports_api] == false),
         error_message: data[:error],
         queried_at: timestamp
       )
+      
+      # Failed queries have no balance, and console-only providers are
+      # recorded as 0, which isn't a real balance
+      next if !data[:success] || data[:balance].nil? || data[:supports_api] == false
+      
+      BalanceAlert.evaluate!(provider, data[:balance], thresholds[provider])
     end
     
     results
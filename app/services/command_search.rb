@@ -0,0 +1,172 @@
+# ============================================================================
+# Service: CommandSearch
+# ============================================================================
+#
+# Ranked, fuzzy search across everything the command palette can jump to:
+# tasks (active and archived), quick notes and the config files.
+# Used by GET /api/search (Api::SearchController).
+#
+# LEARNING NOTES:
+#
+# "Fuzzy" here means the letters of the query appear in order, not
+# necessarily next to each other: "dpl" matches "DePLoy". Only titles are
+# matched that way; a note's content has to contain the query as typed,
+# or every long note would match every short query.
+#
+# The database finds the candidates and Ruby ranks them. LIKE can't score,
+# but it can say "these letters, in this order": "dpl" becomes
+# '%d%p%l%', which works the same on SQLite and MySQL. So we only load
+# rows that match, and at most CANDIDATE_LIMIT of them (the most recently
+# updated) - the rest would rank the same anyway.
+#
+# SCORING (higher is better):
+#   exact task id ("#42" or "42")   200
+#   query appears as-is              70-100 (earlier in the text is better,
+#                                    +20 when the text starts with it)
+#   letters appear in order          up to 50 (runs of adjacent letters
+#                                    count more than scattered ones)
+#   no match                         0 (dropped)
+# Active tasks get a small bonus over archived ones, and a title match
+# beats a match in a note's content.
+#
+# COMPARISON TO NODE.JS:
+# - Node: you'd reach for fuse.js and feed it every row
+# - Rails: a few lines of Ruby in a service object, same idea
+#
+# ============================================================================
+
+class CommandSearch
+  # ==========================================================================
+  # CONSTANTS
+  # ==========================================================================
+
+  DEFAULT_LIMIT = 20
+  # Most matching rows we load and rank per search (most recently updated
+  # first). Notes carry their whole content, so fewer of them.
+  CANDIDATE_LIMIT = 200
+  NOTE_CANDIDATE_LIMIT = 50
+
+  ACTIVE_TASK_BONUS = 10
+  ARCHIVED_TASK_PENALTY = 10
+  CONTENT_MATCH_FACTOR = 0.5
+
+  def initialize(query, limit: DEFAULT_LIMIT)
+    @query = query.to_s.strip
+    @limit = limit
+  end
+
+  # Array of result hashes, best first
+  def results
+    return [] if @query.empty?
+
+    (task_results + note_results + config_results)
+      .select { |result| result[:score].positive? }
+      .sort_by { |result| -result[:score] }
+      .first(@limit)
+  end
+
+  # 0 when the letters of query don't all appear in text, in order.
+  # fuzzy: false scores only the query as typed (0 otherwise).
+  def self.score(query, text, fuzzy: true)
+    query = query.to_s.downcase
+    text = text.to_s.downcase
+    return 0 if query.empty? || text.empty?
+
+    if (index = text.index(query))
+      return 100 - [index, 30].min + (index.zero? ? 20 : 0)
+    end
+    return 0 unless fuzzy
+
+    points = 0
+    last = -2
+    query.each_char do |char|
+      found = text.index(char, last + 1)
+      return 0 unless found
+
+      points += found == last + 1 ? 3 : 1
+      last = found
+    end
+    (50.0 * points / (3 * query.length)).round
+  end
+
+  # The LIKE pattern for the rows score can give points to: "dpl" ->
+  # "%d%p%l%" (or "%dpl%" with fuzzy: false). % _ and \ in the query are
+  # escaped, so they match themselves.
+  def self.like_pattern(query, fuzzy: true)
+    chars = query.to_s.downcase.chars.map { |char| ActiveRecord::Base.sanitize_sql_like(char) }
+    "%#{chars.join(fuzzy ? '%' : '')}%"
+  end
+
+  private
+
+  def task_results
+    id_query = @query.delete_prefix('#')
+
+    tasks = Task.arel_table
+    condition = tasks[:title].matches(self.class.like_pattern(@query), '\\')
+    condition = condition.or(tasks[:id].eq(id_query.to_i)) if id_query.match?(/\A\d+\z/)
+
+    Task.with_archived.where(condition).order(updated_at: :desc).limit(CANDIDATE_LIMIT).map do |task|
+      score = id_query == task.id.to_s ? 200 : self.class.score(@query, task.title)
+      score += task.archived? ? -ARCHIVED_TASK_PENALTY : ACTIVE_TASK_BONUS if score.positive?
+
+      {
+        type: 'task',
+        id: task.id,
+        title: task.title,
+        subtitle: task_subtitle(task),
+        url: url_helpers.task_path(task),
+        score: score,
+        status: task.status,
+        assignee: task.assignee,
+        archived: task.archived?
+      }
+    end
+  end
+
+  def note_results
+    notes = QuickNote.arel_table
+    condition = notes[:title].matches(self.class.like_pattern(@query), '\\')
+      .or(notes[:content].matches(self.class.like_pattern(@query, fuzzy: false), '\\'))
+
+    QuickNote.recent.where(condition).limit(NOTE_CANDIDATE_LIMIT).map do |note|
+      score = [
+        self.class.score(@query, note.title),
+        (self.class.score(@query, note.content, fuzzy: false) * CONTENT_MATCH_FACTOR).round
+      ].max
+
+      {
+        type: 'note',
+        id: note.id,
+        title: note.title,
+        subtitle: note.preview(60),
+        url: url_helpers.quick_note_path(note),
+        score: score
+      }
+    end
+  end
+
+  def config_results
+    ConfigController::ALLOWED_FILES.map do |file|
+      {
+        type: 'config',
+        id: file,
+        title: file,
+        subtitle: 'Config file',
+        url: url_helpers.config_file_path(file),
+        score: self.class.score(@query, file)
+      }
+    end
+  end
+
+  # "#12 · Sparky · In Progress", named the way the workflow names them
+  def task_subtitle(task)
+    parts = ["##{task.id}", task.assignee_name, task.status_label]
+    parts << 'Archived' if task.archived?
+    parts.join(' · ')
+  end
+
+  def url_helpers
+    Rails.application.routes.url_helpers
+  end
+end
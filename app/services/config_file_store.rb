@@ -0,0 +1,225 @@
+# ============================================================================
+# Service: ConfigFileStore
+# ============================================================================
+#
+# Reads and writes Sparky's config files (SOUL.md, MEMORY.md, ...) for the
+# /config page, keeping a backup of every version it replaces.
+#
+# LEARNING NOTES:
+#
+# SAFE SAVES:
+# Sparky itself edits these files (MEMORY.md especially) while someone may
+# have the editor open. So a save says which version it started from - the
+# SHA-256 digest the page was rendered with - and is refused with
+# StaleError if the file has changed since. Nobody overwrites an edit they
+# never saw.
+#
+# The check and the write happen under an exclusive file lock (flock), and
+# the new content goes to a temporary file that is then renamed over the
+# old one. A rename is atomic, so a reader sees the old file or the new
+# one, never half of each.
+#
+# BACKUPS:
+#   storage/config_backups/MEMORY.md/20261018T142501123Z.md
+# One directory per file, one backup per save, named by UTC time (to the
+# millisecond) so they sort by name. Only the newest MAX_BACKUPS are kept.
+# Restoring a backup is just another save, so it is backed up too and can
+# be undone the same way.
+#
+# COMPARISON TO NODE.JS:
+# - Node: fs.writeFile to a temp path + fs.rename, and a lockfile package
+# - Ruby: File.write + File.rename, and File#flock from the standard library
+#
+# ============================================================================
+
+require 'digest'
+require 'fileutils'
+require 'securerandom'
+require 'time'
+
+class ConfigFileStore
+  # ==========================================================================
+  # ERRORS
+  # ==========================================================================
+
+  class Error < StandardError; end
+
+  # The file isn't one of ConfigController::ALLOWED_FILES
+  class NotAllowed < Error; end
+
+  # No backup with that id
+  class BackupNotFound < Error; end
+
+  # The file changed after the editor loaded it. Carries what is there now
+  # so the editor can offer to compare.
+  class StaleError < Error
+    attr_reader :content, :metadata
+
+    def initialize(content, metadata)
+      @content = content
+      @metadata = metadata
+      super("The file has changed since you started editing")
+    end
+  end
+
+  # ==========================================================================
+  # CONSTANTS
+  # ==========================================================================
+
+  MAX_BACKUPS = 20
+  MAX_SIZE = 1.megabyte
+  BACKUP_ID_FORMAT = /\A\d{8}T\d{9}Z\z/
+
+  def initialize(root: Rails.configuration.x.config_files.root,
+                 backup_root: Rails.configuration.x.config_files.backup_root,
+                 allowed: ConfigController::ALLOWED_FILES)
+    @root = Pathname(root)
+    @backup_root = Pathname(backup_root)
+    @allowed = allowed
+  end
+
+  def allowed?(name)
+    @allowed.include?(name) && File.basename(name) == name
+  end
+
+  # ==========================================================================
+  # READING
+  # ==========================================================================
+
+  # File content, or nil when the file doesn't exist (yet)
+  def read(name)
+    path = path_for(name)
+    File.exist?(path) ? File.read(path) : nil
+  end
+
+  # { size:, modified:, digest: } - digest is nil for a missing file
+  def metadata(name)
+    path = path_for(name)
+    return { size: 0, modified: nil, digest: nil } unless File.exist?(path)
+
+    {
+      size: File.size(path),
+      modified: File.mtime(path),
+      digest: self.class.digest(File.read(path))
+    }
+  end
+
+  def self.digest(content)
+    Digest::SHA256.hexdigest(content)
+  end
+
+  # ==========================================================================
+  # WRITING
+  # ==========================================================================
+
+  # Replace the file with content, if it is still at base_digest.
+  # Returns the new metadata. Raises StaleError otherwise.
+  def write(name, content, base_digest:)
+    path = path_for(name)
+    content = content.to_s.gsub("\r\n", "\n")
+    raise Error, "File is too large (over #{MAX_SIZE / 1.kilobyte} KB)" if content.bytesize > MAX_SIZE
+
+    with_lock(name) do
+      current = File.exist?(path) ? File.read(path) : nil
+      current_digest = current && self.class.digest(current)
+      raise StaleError.new(current, metadata(name)) unless base_digest.presence == current_digest
+
+      # Saving what's already there isn't a new version
+      unless content == current
+        backup(name, current) if current
+        atomic_write(path, content)
+      end
+    end
+
+    metadata(name)
+  end
+
+  # ==========================================================================
+  # BACKUPS
+  # ==========================================================================
+
+  # [{ id:, created_at:, size: }], newest first
+  def backups(name)
+    dir = backup_dir(name)
+    return [] unless Dir.exist?(dir)
+
+    Dir.children(dir)
+      .filter_map { |entry| File.basename(entry, ".md") if entry.end_with?(".md") }
+      .select { |id| id.match?(BACKUP_ID_FORMAT) }
+      .sort.reverse
+      .map do |id|
+        { id: id, created_at: Time.strptime(id, "%Y%m%dT%H%M%S%L%z"), size: File.size(dir.join("#{id}.md")) }
+      end
+  end
+
+  def read_backup(name, id)
+    File.read(backup_path(name, id))
+  end
+
+  # Put a backup back. The version it replaces is backed up first.
+  def restore(name, id, base_digest:)
+    write(name, read_backup(name, id), base_digest: base_digest)
+  end
+
+  private
+
+  def path_for(name)
+    raise NotAllowed, "#{name} is not an editable config file" unless allowed?(name)
+    @root.join(name)
+  end
+
+  def backup_dir(name)
+    raise NotAllowed, "#{name} is not an editable config file" unless allowed?(name)
+    @backup_root.join(name)
+  end
+
+  def backup_path(name, id)
+    raise BackupNotFound, "No backup #{id}" unless id.to_s.match?(BACKUP_ID_FORMAT)
+
+    path = backup_dir(name).join("#{id}.md")
+    raise BackupNotFound, "No backup #{id}" unless File.exist?(path)
+    path
+  end
+
+  def backup(name, content)
+    dir = backup_dir(name)
+    FileUtils.mkdir_p(dir)
+
+    time = Time.now.utc
+    # Two saves in the same millisecond get neighbouring names
+    time += 0.001 while File.exist?(dir.join("#{backup_id(time)}.md"))
+    File.write(dir.join("#{backup_id(time)}.md"), content)
+
+    prune(name)
+  end
+
+  def backup_id(time)
+    time.utc.strftime("%Y%m%dT%H%M%S%LZ")
+  end
+
+  def prune(name)
+    backups(name).drop(MAX_BACKUPS).each do |old|
+      File.delete(backup_dir(name).join("#{old[:id]}.md"))
+    end
+  end
+
+  # Write next to the target, then rename over it
+  def atomic_write(path, content)
+    temp = path.dirname.join(".#{path.basename}.#{SecureRandom.hex(4)}.tmp")
+    File.write(temp, content)
+    File.chmod(File.stat(path).mode, temp) if File.exist?(path)
+    File.rename(temp, path)
+  ensure
+    File.delete(temp) if temp && File.exist?(temp)
+  end
+
+  # One save per file at a time, across Puma workers. Sparky's own scripts
+  # don't take this lock; the digest check is what catches their changes.
+  def with_lock(name)
+    FileUtils.mkdir_p(@backup_root)
+    File.open(@backup_root.join(".#{name}.lock"), File::RDWR | File::CREAT, 0o644) do |lock|
+      lock.flock(File::LOCK_EX)
+      yield
+    end
+  end
+end
@@ -0,0 +1,164 @@
+# ============================================================================
+# Service: ConfigSearch
+# ============================================================================
+#
+# Full-text search across Sparky's config files (ConfigController::ALLOWED_FILES).
+# Used by GET /config/search, the search box in the config viewer's sidebar.
+#
+# LEARNING NOTES:
+#
+# Each result is one matching line, with the heading it sits under so the
+# viewer can link straight to that section:
+#
+#   { file: "MEMORY.md", line: 42, heading: "Deploys", anchor: "deploys",
+#     snippet: [{ text: "...run the ", match: false },
+#               { text: "deploy", match: true },
+#               { text: " script", match: false }] }
+#
+# A line matches when it contains every word of the query, in any order
+# and any case. The snippet comes pre-split into matched and unmatched
+# parts, so the browser can wrap the matches in <mark> using textContent -
+# no HTML from the server, and no offset arithmetic that breaks on emoji.
+#
+# ANCHORS:
+# The viewer renders markdown in the browser (app/javascript/lib/markdown.js),
+# which gives every heading an id. `slugify` and `heading_text` here follow
+# the same rules so our #anchors land on those ids: punctuation dropped,
+# spaces to dashes, repeats numbered ("notes", "notes-1"...).
+#
+# COMPARISON TO NODE.JS:
+# - Node: read each file with fs, loop over lines, String#includes
+# - Rails: the same, in a small service object
+#
+# ============================================================================
+
+class ConfigSearch
+  # ==========================================================================
+  # CONSTANTS
+  # ==========================================================================
+
+  MIN_QUERY_LENGTH = 2
+  MAX_RESULTS = 50
+  MAX_RESULTS_PER_FILE = 10
+  # Longer lines are cut down to this many characters around the first match
+  SNIPPET_LENGTH = 160
+
+  ATX_HEADING = /\A {0,3}\#{1,6}(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*\z/
+  SETEXT_UNDERLINE = /\A {0,3}(?:=+|-+)[ \t]*\z/
+  FENCE = /\A {0,3}(`{3,}|~{3,})/
+
+  def initialize(query, store: ConfigFileStore.new, files: ConfigController::ALLOWED_FILES)
+    @terms = query.to_s.downcase.split.uniq
+    @store = store
+    @files = files
+  end
+
+  # Array of result hashes, in file order then line order
+  def results
+    return [] if @terms.join(" ").length < MIN_QUERY_LENGTH
+
+    @files.flat_map { |file| file_results(file) }.first(MAX_RESULTS)
+  end
+
+  # "Getting Started!" -> "getting-started" (lib/markdown.js slugify)
+  def self.slugify(text)
+    text.strip.downcase.gsub(/[^\p{L}\p{M}\p{N}\p{Pc} -]/, "").tr(" ", "-")
+  end
+
+  # The text a heading shows once rendered: "Use `bin/dev` **now**" -> "Use bin/dev now"
+  def self.heading_text(markdown)
+    markdown
+      .gsub(/!?\[([^\]]*)\](?:\([^)]*\)|\[[^\]]*\])/, '\1')   # links and images keep their text
+      .gsub(/`+/, "")                                          # code spans keep their content
+      .gsub(/\*\*|__|~~/, "")
+      .gsub(/(?<![\p{L}\p{N}])[*_]|[*_](?![\p{L}\p{N}])/, "")  # *em* and _em_, not snake_case
+      .strip
+  end
+
+  private
+
+  def file_results(file)
+    content = @store.read(file)
+    return [] unless content
+
+    results = []
+    each_line_with_heading(content) do |line, number, heading|
+      next unless matches?(line)
+
+      results << {
+        file: file,
+        line: number,
+        heading: heading&.fetch(:text),
+        anchor: heading&.fetch(:anchor),
+        snippet: snippet(line)
+      }
+      break if results.size >= MAX_RESULTS_PER_FILE
+    end
+    results
+  end
+
+  # Yields every line with its number and the heading above it
+  # ({ text:, anchor: } or nil before the first heading).
+  def each_line_with_heading(content)
+    lines = content.split("\n")
+    slugs = Hash.new(0)
+    heading = nil
+    fence = nil
+
+    lines.each_with_index do |line, index|
+      if (opening = line[FENCE, 1])
+        # A fence closes with the same character, at least as many times
+        fence = fence.nil? ? opening : (opening[0] == fence[0] && opening.length >= fence.length ? nil : fence)
+      elsif fence.nil?
+        text = heading_line_text(line, lines[index + 1])
+        heading = { text: text, anchor: unique_slug(text, slugs) } if text
+      end
+
+      yield line, index + 1, heading
+    end
+  end
+
+  # The heading's text if this line is one, else nil
+  def heading_line_text(line, next_line)
+    if (match = line.match(ATX_HEADING))
+      self.class.heading_text(match[1].to_s)
+    elsif next_line&.match?(SETEXT_UNDERLINE) && line.strip.present? && !line.match?(/\A {0,3}([-*+>]|\d+[.)])\s/)
+      self.class.heading_text(line)
+    end
+  end
+
+  # Same numbering as uniqueSlug in lib/markdown.js
+  def unique_slug(text, slugs)
+    base = self.class.slugify(text).presence || "section"
+    slug = base
+    n = slugs[base]
+    while slugs.key?(slug)
+      n += 1
+      slug = "#{base}-#{n}"
+    end
+    slugs[base] = n
+    slugs[slug] = 0
+    slug
+  end
+
+  def matches?(line)
+    text = line.downcase
+    @terms.all? { |term| text.include?(term) }
+  end
+
+  # The line (or the part around the first match) split into
+  # [{ text:, match: true/false }]
+  def snippet(line)
+    text = line.strip
+    if text.length > SNIPPET_LENGTH
+      first = @terms.map { |term| text.downcase.index(term) }.compact.min || 0
+      start = [[first - SNIPPET_LENGTH / 3, 0].max, text.length - SNIPPET_LENGTH].min
+      text = "#{'…' if start.positive?}#{text[start, SNIPPET_LENGTH]}#{'…' if start + SNIPPET_LENGTH < text.length}"
+    end
+
+    pattern = Regexp.union(@terms.sort_by { |term| -term.length }.map { |term| /#{Regexp.escape(term)}/i })
+    text.split(/(#{pattern})/).reject(&:empty?).map do |part|
+      { text: part, match: part.match?(/\A#{pattern}\z/) }
+    end
+  end
+end
@@ -0,0 +1,170 @@
+# ============================================================================
+# Service: SparkyHistory
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Sparky appends a session to memory/usage-log.json each time it reports
+# in:
+#
+#   { "sessions": [
+#       { "timestamp": "2026-02-06T20:30:00Z", "context_pct": 42,
+#         "model": "moonshot/kimi-k2.5", "note": "..." }, ... ] }
+#
+# The status card only needs the last one. This service returns all of
+# them inside a time window, for the context-usage chart on the card
+# (GET /api/sparky/history):
+#
+#   SparkyHistory.new(hours: 24).as_json
+#   # { from:, to:, stale_after: 1800,
+#   #   sessions: [{ timestamp:, context_pct:, model:, note:, task: }],
+#   #   gaps: [{ from:, to: }] }
+#
+# TASKS:
+# Each session says which task was current at that moment: Sparky's sprint
+# task if there was one, otherwise its in-progress one (the same rule the
+# status card uses for "now"). Tasks only store their current status, so
+# we replay the status changes in TaskActivity to know each task's status
+# at any moment. Archived tasks count until their `archived` activity -
+# they were current back then - and again from a restore.
+#
+# GAPS:
+# Two sessions more than STALE_AFTER apart (the same 30 minutes after which
+# the status card says "stale") are a gap: Sparky didn't report in. So is
+# the time since the last session, if it's longer than that.
+#
+# COMPARISON TO NODE.JS:
+# - Express: read the JSON file in the route handler and map over it
+# - Rails: a plain Ruby service; the controller just renders as_json
+#
+# ============================================================================
+
+class SparkyHistory
+  STALE_AFTER = 30.minutes
+  DEFAULT_HOURS = 24
+  MAX_HOURS = 7 * 24
+
+  # Sprint wins over in progress when both have a task
+  CURRENT_STATUSES = %w[sprint in_progress].freeze
+
+  attr_reader :from, :to
+
+  # Next to SOUL.md and MEMORY.md, in the directory the config viewer reads
+  def self.log_path
+    Rails.configuration.x.config_files.root.join("memory", "usage-log.json")
+  end
+
+  # Every session in the log, oldest first. Entries without a readable
+  # timestamp are skipped; a missing or broken file is no sessions.
+  def self.sessions
+    return [] unless File.exist?(log_path)
+
+    entries = JSON.parse(File.read(log_path))["sessions"]
+    Array(entries).filter_map { |entry| parse_session(entry) }.sort_by { |session| session[:timestamp] }
+  rescue JSON::ParserError, SystemCallError => e
+    Rails.logger.error("[SparkyHistory] Can't read #{log_path}: #{e.message}")
+    []
+  end
+
+  def self.parse_session(entry)
+    return unless entry.is_a?(Hash) && entry["timestamp"].present?
+
+    timestamp = Time.zone.parse(entry["timestamp"].to_s)
+    return unless timestamp
+
+    {
+      timestamp: timestamp,
+      context_pct: entry["context_pct"].to_f.clamp(0, 100).round(1),
+      model: entry["model"].presence,
+      note: entry["note"].presence
+    }
+  rescue ArgumentError
+    nil
+  end
+  private_class_method :parse_session
+
+  def initialize(hours: DEFAULT_HOURS, now: Time.current)
+    hours = hours.to_i
+    hours = DEFAULT_HOURS unless hours.positive?
+    @to = now
+    @from = now - [hours, MAX_HOURS].min.hours
+  end
+
+  def sessions
+    @sessions ||= self.class.sessions
+      .select { |session| session[:timestamp].between?(from, to) }
+      .map { |session| session.merge(task: task_at(session[:timestamp])) }
+  end
+
+  def gaps
+    times = sessions.map { |session| session[:timestamp] } + [to]
+    times.each_cons(2).filter_map do |before, after|
+      { from: before.iso8601, to: after.iso8601 } if after - before > STALE_AFTER
+    end
+  end
+
+  def as_json(*)
+    {
+      from: from.iso8601,
+      to: to.iso8601,
+      stale_after: STALE_AFTER.to_i,
+      sessions: sessions.map { |session| session.merge(timestamp: session[:timestamp].iso8601) },
+      gaps: gaps
+    }
+  end
+
+  private
+
+  # { id:, title:, status: } of the task Sparky was on at time, or nil
+  def task_at(time)
+    candidates = status_timelines.filter_map do |task, changes|
+      status = changes.reverse_each.find { |at, _| at <= time }&.last
+      [task, status] if CURRENT_STATUSES.include?(status)
+    end
+    task, status = candidates.min_by { |_, candidate_status| CURRENT_STATUSES.index(candidate_status) }
+    task && { id: task.id, title: task.title, status: status }
+  end
+
+  # Task => [[time, status], ...] for each of Sparky's tasks that existed
+  # before the end of the window. status is nil while the task was archived.
+  def status_timelines
+    @status_timelines ||= begin
+      tasks = Task.with_archived.for_assignee("sparky").where("created_at <= ?", to).to_a
+      activities = TaskActivity.where(task_id: tasks.map(&:id))
+        .where("created_at <= ?", to)
+        .order(:created_at, :id)
+        .group_by(&:task_id)
+
+      tasks.index_with { |task| timeline(task, activities.fetch(task.id, [])) }
+    end
+  end
+
+  def timeline(task, activities)
+    # Before its first status change the task had that change's "from"
+    status = activities.find { |activity| status_change?(activity) }&.old_value(:status) || task.status
+    archived = false
+
+    [[task.created_at, status]] + activities.filter_map do |activity|
+      if status_change?(activity)
+        status = activity.new_value(:status)
+      elsif activity.activity_type == "archived"
+        archived = true
+      elsif archived && restore?(activity)
+        archived = false
+      else
+        next
+      end
+      [activity.created_at, (status unless archived)]
+    end
+  end
+
+  def status_change?(activity)
+    activity.changeset&.key?("status")
+  end
+
+  # The restore action, or undoing the archive (TaskUndo#undo_archive!,
+  # a reversal without field changes)
+  def restore?(activity)
+    activity.activity_type == "restored" || (activity.activity_type == "reverted" && activity.changeset.blank?)
+  end
+end
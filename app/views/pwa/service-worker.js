@@ -1,26 +1,421 @@
-// Add a service worker for processing Web Push notifications:
-//
-// self.addEventListener("push", async (event) => {
-//   const { title, options } = await event.data.json()
-//   event.waitUntil(self.registration.showNotification(title, options))
-// })
-//
-// self.addEventListener("notificationclick", function(event) {
-//   event.notification.close()
-//   event.waitUntil(
-//     clients.matchAll({ type: "window" }).then((clientList) => {
-//       for (let i = 0; i < clientList.length; i++) {
-//         let client = clientList[i]
-//         let clientPath = (new URL(client.url)).pathname
-//
-//         if (clientPath == event.notification.data.path && "focus" in client) {
-//           return client.focus()
-//         }
-//       }
-//
-//       if (clients.openWindow) {
-//         return clients.openWindow(event.notification.data.path)
-//       }
-//     })
-//   )
-// })
+// ============================================================================
+// Service Worker: Offline Board + Queued Task Mutations
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// A service worker is a script the browser runs in the background, separate
+// from any page. It sits between the page and the network, so it can answer
+// requests from a cache when there is no connection.
+//
+// Rails serves this file through Rails::PwaController at /service-worker.js
+// (see config/routes.rb). offline_sync_controller.js registers it.
+//
+// WHAT THIS WORKER DOES:
+// 1. Caches the app shell (CSS/JS from /assets and the Bootstrap CDN)
+// 2. Keeps a copy of the last board render (/ and /tasks), so the board
+//    opens on a train with no signal
+// 3. Queues PATCH/POST/DELETE calls to /api/tasks in IndexedDB when the
+//    network is down, and replays them IN ORDER when it comes back
+// 4. Tells open pages about queued, synced and conflicting changes via
+//    postMessage, so the board can show "pending sync" badges
+// 5. Shows Web Push notifications and opens the task when one is clicked
+// 6. Forgets the saved board and any queued changes on sign-out, so the
+//    next person using this browser can't open the board offline or have
+//    the last person's changes replayed under their own session
+//
+// CACHING STRATEGIES:
+// - Network-first (board pages): always try fresh data, fall back to cache
+// - Cache-first (static assets): fingerprinted files never change, so a
+//   cached copy is always correct
+//
+// COMPARISON TO NODE.JS:
+// - Express can't help when the network is down — the request never arrives.
+//   The service worker is the only place offline behavior can live.
+//
+// ============================================================================
+
+const CACHE_VERSION = "v1"
+const SHELL_CACHE = `kanban-shell-${CACHE_VERSION}`
+const PAGE_CACHE = `kanban-pages-${CACHE_VERSION}`
+
+// Pages we keep a copy of for offline use
+const BOARD_PAGES = ["/", "/tasks"]
+
+// Devise session routes (config/routes.rb: devise_for :users)
+const SIGN_IN_PATH = "/users/sign_in"
+const SIGN_OUT_PATH = "/users/sign_out"
+
+// Third-party hosts whose files are safe to cache forever (versioned URLs)
+const CDN_HOSTS = ["cdn.jsdelivr.net"]
+
+const DB_NAME = "kanban-offline"
+const DB_STORE = "mutations"
+const SYNC_TAG = "kanban-replay"
+
+// ==========================================================================
+// LIFECYCLE
+// ==========================================================================
+
+// No pre-caching of the board here: signed out, / and /tasks redirect to
+// the sign-in page, and cache.addAll() would store that under the board's
+// URLs. networkFirst() saves the board the first time it really loads.
+self.addEventListener("install", (event) => {
+  event.waitUntil(self.skipWaiting())
+})
+
+self.addEventListener("activate", (event) => {
+  // Drop caches from older versions of this worker
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith("kanban-") && ![SHELL_CACHE, PAGE_CACHE].includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+// ==========================================================================
+// FETCH ROUTING
+// ==========================================================================
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request
+  const url = new URL(request.url)
+
+  // Signing out: drop the saved board and the queue, then let the request
+  // go through as usual
+  if (url.origin === self.location.origin && url.pathname === SIGN_OUT_PATH) {
+    event.waitUntil(forgetSession())
+    return
+  }
+
+  if (url.origin === self.location.origin && url.pathname.startsWith("/api/tasks")) {
+    if (request.method !== "GET") {
+      event.respondWith(sendOrQueue(request))
+    }
+    return
+  }
+
+  if (request.method !== "GET") return
+
+  if (url.origin === self.location.origin && BOARD_PAGES.includes(url.pathname) && acceptsHtml(request)) {
+    event.respondWith(networkFirst(request))
+  } else if (url.pathname.startsWith("/assets/") || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request))
+  }
+})
+
+function acceptsHtml(request) {
+  return request.mode === "navigate" || (request.headers.get("Accept") || "").includes("text/html")
+}
+
+// Board pages: fresh when online, last saved copy when offline
+async function networkFirst(request) {
+  const cache = await caches.open(PAGE_CACHE)
+
+  try {
+    const response = await fetch(request)
+    if (response.redirected && new URL(response.url).pathname === SIGN_IN_PATH) {
+      // The session is gone (signed out here, or expired): the saved board
+      // and queued changes belong to whoever was signed in, so drop them
+      await forgetSession()
+    } else if (response.ok && !response.redirected) {
+      // Only cache real board renders, not login redirects
+      cache.put(request.url, response.clone())
+    }
+    return response
+  } catch (error) {
+    const cached = await cache.match(request.url) || await cache.match("/tasks")
+    if (cached) return cached
+    throw error
+  }
+}
+
+async function forgetSession() {
+  await Promise.all([caches.delete(PAGE_CACHE), clearMutations()])
+  notifyClients({ type: "drained" })
+}
+
+// Static assets: cached copy if we have one, otherwise fetch and keep it
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok || response.type === "opaque") {
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+// ==========================================================================
+// OFFLINE MUTATION QUEUE
+// ==========================================================================
+//
+// LEARNING NOTE: fetch() only rejects on NETWORK failure (offline, DNS,
+// connection reset). A 422 or 500 is still a resolved response. So a
+// rejected fetch is exactly the "we're offline" signal we need.
+//
+
+async function sendOrQueue(request) {
+  // Read the body now: a Request body can only be consumed once
+  const queued = await serializeRequest(request)
+
+  // Anything already waiting must go first, or changes would apply out of order
+  if ((await countMutations()) === 0) {
+    try {
+      return await fetch(request)
+    } catch {
+      // Offline — fall through and queue it
+    }
+  }
+
+  const id = await addMutation(queued)
+  if (self.registration.sync) {
+    self.registration.sync.register(SYNC_TAG).catch(() => {})
+  }
+  notifyClients({ type: "queued", id, taskId: queued.taskId, method: queued.method })
+
+  // 202 Accepted: "we have it, it isn't done yet"
+  return new Response(JSON.stringify({ queued: true, id, task_id: queued.taskId }), {
+    status: 202,
+    headers: { "Content-Type": "application/json" }
+  })
+}
+
+async function serializeRequest(request) {
+  const url = new URL(request.url)
+  const match = url.pathname.match(/^\/api\/tasks\/(\d+)/)
+  const headers = {}
+  request.headers.forEach((value, key) => { headers[key] = value })
+
+  return {
+    url: request.url,
+    method: request.method,
+    headers,
+    body: ["GET", "HEAD"].includes(request.method) ? null : await request.clone().text(),
+    taskId: match ? match[1] : null,
+    queuedAt: new Date().toISOString()
+  }
+}
+
+// Replay queued mutations oldest-first. Stops at the first network failure
+// (still offline) so later changes never overtake earlier ones.
+//
+// `csrfToken` is the page's current token, when a page asked for the
+// replay: the one saved with a change can be stale after a long time
+// offline. Background Sync has no page, so it sends the saved one.
+let replaying = null
+
+function replayQueue(csrfToken) {
+  replaying ||= doReplay(csrfToken).finally(() => { replaying = null })
+  return replaying
+}
+
+async function doReplay(csrfToken) {
+  const mutations = await allMutations()
+
+  for (const [index, mutation] of mutations.entries()) {
+    let response
+    try {
+      response = await fetch(mutation.url, {
+        method: mutation.method,
+        headers: csrfToken ? { ...mutation.headers, "x-csrf-token": csrfToken } : mutation.headers,
+        body: mutation.body
+      })
+    } catch {
+      return // Still offline — try again on the next sync/online event
+    }
+
+    if (await needsSignIn(response)) {
+      // The change is fine, the session isn't. Keep it and everything
+      // after it, and ask the page to sign in again; the next replay
+      // (with a fresh token) sends it
+      notifyClients({ type: "reauthenticate", status: response.status, pending: mutations.length - index })
+      return
+    }
+
+    await deleteMutation(mutation.id)
+
+    if (response.ok) {
+      notifyClients({ type: "synced", id: mutation.id, taskId: mutation.taskId })
+    } else {
+      // The server refused the change (task deleted, edit conflict,
+      // validation failed…).
+      // Report it and move on: retrying won't make it succeed.
+      notifyClients({
+        type: "conflict",
+        id: mutation.id,
+        taskId: mutation.taskId,
+        method: mutation.method,
+        status: response.status,
+        message: await conflictMessage(response)
+      })
+    }
+  }
+
+  notifyClients({ type: "drained" })
+}
+
+// 401/403: signed out, or a token without the scope. 422 with
+// "reauthenticate": a stale CSRF token (see api_authentication.rb).
+// Any other 422 is a validation error - a real refusal.
+async function needsSignIn(response) {
+  if ([401, 403].includes(response.status)) return true
+  if (response.status !== 422) return false
+
+  try {
+    return (await response.clone().json()).reauthenticate === true
+  } catch {
+    return false // Not JSON
+  }
+}
+
+async function conflictMessage(response) {
+  try {
+    const body = await response.json()
+    if (Array.isArray(body.errors)) return body.errors.join(", ")
+    if (body.error) return body.error
+  } catch {
+    // Not JSON
+  }
+  return `HTTP ${response.status}`
+}
+
+// Background Sync: the browser wakes us up when the connection returns
+self.addEventListener("sync", (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replayQueue())
+  }
+})
+
+// Messages from open pages (offline_sync_controller.js)
+self.addEventListener("message", (event) => {
+  const { type, csrfToken } = event.data || {}
+
+  if (type === "replay") {
+    event.waitUntil(replayQueue(csrfToken))
+  } else if (type === "pending") {
+    event.waitUntil(
+      allMutations().then(mutations => {
+        event.source.postMessage({ type: "pending", mutations: mutations.map(summarize) })
+      })
+    )
+  }
+})
+
+function summarize(mutation) {
+  return { id: mutation.id, taskId: mutation.taskId, method: mutation.method, queuedAt: mutation.queuedAt }
+}
+
+async function notifyClients(message) {
+  const clientList = await self.clients.matchAll({ type: "window" })
+  clientList.forEach(client => client.postMessage(message))
+}
+
+// ==========================================================================
+// INDEXEDDB HELPERS
+// ==========================================================================
+//
+// LEARNING NOTE: IndexedDB is the browser's built-in database. Its API is
+// callback-based, so these helpers wrap it in Promises. autoIncrement keys
+// give us a reliable insertion order for replay.
+//
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(DB_NAME, 1)
+    open.onupgradeneeded = () => {
+      open.result.createObjectStore(DB_STORE, { keyPath: "id", autoIncrement: true })
+    }
+    open.onsuccess = () => resolve(open.result)
+    open.onerror = () => reject(open.error)
+  })
+}
+
+async function withStore(mode, callback) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(DB_STORE, mode)
+    const request = callback(transaction.objectStore(DB_STORE))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+  })
+}
+
+function addMutation(mutation) {
+  return withStore("readwrite", store => store.add(mutation))
+}
+
+function allMutations() {
+  return withStore("readonly", store => store.getAll())
+}
+
+function countMutations() {
+  return withStore("readonly", store => store.count())
+}
+
+function deleteMutation(id) {
+  return withStore("readwrite", store => store.delete(id))
+}
+
+function clearMutations() {
+  return withStore("readwrite", store => store.clear())
+}
+
+// ==========================================================================
+// WEB PUSH
+// ==========================================================================
+//
+// PushNotificationJob sends { title, options } (see push_subscription.rb).
+// The browser wakes this worker even when no tab is open, and we must show
+// a notification for every push (userVisibleOnly).
+//
+// LEARNING NOTE: event.waitUntil() has to be called synchronously inside
+// the handler, so we read the payload first and only then start the
+// async work.
+//
+
+self.addEventListener("push", (event) => {
+  const { title, options } = pushPayload(event.data)
+  event.waitUntil(self.registration.showNotification(title, options))
+})
+
+// Our own pushes are JSON. Anything else (a test push from DevTools, a
+// plain-text payload) still has to show something, so it becomes the body
+function pushPayload(data) {
+  const fallback = { title: "Kanban Board", options: {} }
+  if (!data) return fallback
+
+  try {
+    const { title, options } = data.json()
+    return { title: title || fallback.title, options: options || {} }
+  } catch {
+    return { ...fallback, options: { body: data.text() } }
+  }
+}
+
+// Clicking a notification opens its task (options.data.path): focus a tab
+// already showing it, otherwise reuse any board tab, otherwise open one
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close()
+  const path = event.notification.data?.path || "/"
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clientList) => {
+      const exact = clientList.find(client => new URL(client.url).pathname === path)
+      if (exact && "focus" in exact) return exact.focus()
+
+      const sameOrigin = clientList.find(client => new URL(client.url).origin === self.location.origin)
+      if (sameOrigin && "navigate" in sameOrigin) {
+        return sameOrigin.navigate(path).then(client => client?.focus())
+      }
+
+      return self.clients.openWindow(path)
+    })
+  )
+})
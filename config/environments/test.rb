@@ -39,6 +39,10 @@ Rails.application.configure do
   # Set host to be used by links generated in mailer templates.
   config.action_mailer.default_url_options = { host: "example.com" }
 
+  # Same idea for Web Push: record notifications in
+  # PushSubscription.deliveries instead of sending them to a push service.
+  config.x.web_push.delivery_method = :test
+
   # Print deprecation notices to the stderr.
   config.active_support.deprecation = :stderr
 
@@ -33,6 +33,9 @@ pin "@hotwired/stimulus", to: "stimulus.min.js"
 pin "@hotwired/stimulus-loading", to: "stimulus-loading.js"
 pin_all_from "app/javascript/controllers", under: "controllers"
 
+# Our own plain-JS modules (no Stimulus), e.g. import { renderMarkdown } from "lib/markdown"
+pin_all_from "app/javascript/lib", under: "lib"
+
 # Sortable.js — drag-and-drop library for our Kanban board
 # We use the ESM (ES Module) version so it works with importmap
 # The "modular/sortable.esm.js" path gives us a proper ES module export
@@ -0,0 +1,23 @@
+# =============================================================================
+# Config Files (Sparky's markdown files shown at /config)
+# =============================================================================
+#
+# LEARNING NOTES:
+#
+# config.x is Rails' place for app-specific settings. ConfigFileStore reads
+# these two paths each time it's created, so tests can point them at a
+# temporary directory instead of the real files.
+#
+#   root         where SOUL.md, MEMORY.md, ... live (the parent of this app);
+#                Sparky's memory/usage-log.json is read from here too
+#   backup_root  where the editor keeps a copy of each version it replaces
+#
+# Both can be moved with environment variables, e.g. when the app runs in a
+# container and the files are mounted somewhere else.
+#
+# =============================================================================
+
+Rails.application.configure do
+  config.x.config_files.root ||= Pathname(ENV.fetch("CONFIG_FILES_ROOT", Rails.root.join("..")))
+  config.x.config_files.backup_root ||= Pathname(ENV.fetch("CONFIG_FILES_BACKUP_ROOT", Rails.root.join("storage", "config_backups")))
+end
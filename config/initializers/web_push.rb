@@ -0,0 +1,37 @@
+# =============================================================================
+# Web Push Configuration
+# =============================================================================
+#
+# LEARNING NOTES:
+#
+# Web Push messages are signed with a VAPID key pair (Voluntary Application
+# Server Identification). The public key goes to the browser when it
+# subscribes; the private key signs every message we send.
+#
+# Keys come from encrypted credentials first, then environment variables:
+#
+#   vapid:
+#     public_key: BNc...   (also rendered into the layout for the browser)
+#     private_key: x1F...
+#     subject: mailto:you@example.com
+#
+# If no keys are configured, the "Enable notifications" menu item is hidden
+# and PushNotificationJob does nothing.
+#
+# delivery_method:
+# - :web_push (default) sends through the real push services
+# - :test records messages in PushSubscription.deliveries (see test.rb)
+#
+# =============================================================================
+
+Rails.application.configure do
+  credentials = Rails.application.credentials
+
+  config.x.web_push.vapid = {
+    subject: credentials.dig(:vapid, :subject) || ENV.fetch("VAPID_SUBJECT", "mailto:admin@example.com"),
+    public_key: credentials.dig(:vapid, :public_key) || ENV["VAPID_PUBLIC_KEY"],
+    private_key: credentials.dig(:vapid, :private_key) || ENV["VAPID_PRIVATE_KEY"]
+  }
+
+  config.x.web_push.delivery_method ||= :web_push
+end
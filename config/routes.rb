@@ -29,6 +29,13 @@ Rails.application.routes.draw do
     resources :tasks, only: [:index, :show, :create, :update, :destroy] do
       member do
         post :touch_last_worked
+        # POST /api/tasks/:id/undo - reverse a move, archive or edit
+        post :undo
+      end
+      
+      # POST /api/tasks/batch - bulk move/reassign/reprioritize/archive
+      collection do
+        post :batch
       end
     end
     
@@ -36,10 +43,18 @@ Rails.application.routes.draw do
     # get 'stats', to: 'tasks#stats' creates GET /api/stats
     get 'stats', to: 'tasks#stats'
     
+    # Command palette search - GET /api/search?q=...
+    get 'search', to: 'search#index'
+    
+    # Activity feed on the board - GET /api/activities?before=812&actor=sparky
+    resources :activities, only: [:index]
+    
     # Sparky status endpoint - matches Node.js /api/sparky/status
     # We'll create this controller next
     namespace :sparky do
       get 'status', to: 'status#show'
+      # GET /api/sparky/history?hours=24 - context usage per session
+      get 'history', to: 'history#show'
     end
     
     # AI Provider Balance endpoints
@@ -54,15 +69,39 @@ Rails.application.routes.draw do
     end
   end
   
+  # Balance dashboard - charts drawn from /api/balances/history
+  get 'balances', to: 'balances#index', as: :balances
+  
+  # Low-balance alerts (the banner's buttons) and the thresholds behind them
+  # PATCH /balance_alerts/:id/acknowledge, PATCH /balance_alerts/:id/snooze
+  # PATCH /balance_thresholds/:provider
+  resources :balance_alerts, only: [:index] do
+    member do
+      patch :acknowledge
+      patch :snooze
+    end
+  end
+  resources :balance_thresholds, only: [:update], param: :provider
+  
+  # Work-in-progress limits per board column (one page for all of them)
+  # GET /wip_limits, PATCH /wip_limits
+  resource :wip_limits, only: [:show, :update]
+  
+  # The board's columns and swim lanes (statuses and assignees)
+  # GET /workflow, PATCH /workflow
+  resource :workflow, only: [:show, :update]
+  
   # HTML routes for the Kanban board interface
   resources :tasks do
     # Member routes for task actions
     # POST /tasks/:id/move_left  -> moves to previous status
     # POST /tasks/:id/move_right -> moves to next status
+    # POST /tasks/:id/move_lane  -> moves to another assignee's swim lane
     # POST /tasks/:id/restore    -> restores from archive
     member do
       post :move_left
       post :move_right
+      post :move_lane
       post :restore
     end
     
@@ -77,8 +116,20 @@ Rails.application.routes.draw do
   # Full RESTful routes: index, show, new, create, edit, update, destroy
   resources :quick_notes
   
+  # Web Push subscription for the signed-in user's current browser
+  # POST   /push_subscription -> subscribe
+  # DELETE /push_subscription -> unsubscribe
+  resource :push_subscription, only: [:create, :destroy]
+  
+  # Colour theme from the navbar - PATCH /theme (saved on the user and a cookie)
+  resource :theme, only: [:update]
+  
   # User management (super_admin only, enforced by Pundit)
-  resources :users
+  # POST   /users/:user_id/api_tokens     -> create an API token for the user
+  # DELETE /users/:user_id/api_tokens/:id -> revoke it
+  resources :users do
+    resources :api_tokens, only: [:create, :destroy]
+  end
   
   # The Kanban board is our homepage
   root 'tasks#index'
@@ -86,11 +137,28 @@ Rails.application.routes.draw do
   # Config file viewer - browse Sparky's .md files
   # GET /config - shows file browser
   # GET /config/files - JSON API for file list
+  # GET /config/search?q= - JSON full-text search across the files
   # GET /config/:file - shows specific file
+  # PATCH /config/:file and the backups routes - editing (admins, JSON)
   get 'config', to: 'config#index', as: :config
   get 'config/files', to: 'config#files'
+  get 'config/search', to: 'config#search', as: :config_search
   get 'config/:file', to: 'config#show', as: :config_file, constraints: { file: /[^\/]+/ }
+  constraints file: /[^\/]+/ do
+    defaults format: :json do
+      patch 'config/:file', to: 'config#update'
+      get 'config/:file/backups', to: 'config#backups', as: :config_file_backups
+      get 'config/:file/backups/:backup', to: 'config#backup', as: :config_file_backup
+      post 'config/:file/backups/:backup/restore', to: 'config#restore', as: :restore_config_file_backup
+    end
+  end
   
   # Health check endpoint for monitoring
   get 'up' => 'rails/health#show', as: :rails_health_check
+
+  # PWA files, rendered by Rails' built-in Rails::PwaController from app/views/pwa
+  # GET /service-worker.js - offline cache + queued task changes
+  # GET /manifest.json     - lets browsers install the board as an app
+  get 'service-worker' => 'rails/pwa#service_worker', as: :pwa_service_worker
+  get 'manifest' => 'rails/pwa#manifest', as: :pwa_manifest
 end
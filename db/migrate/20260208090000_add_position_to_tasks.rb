@@ -0,0 +1,46 @@
+# ============================================================================
+# Migration: Add Position to Tasks
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# This migration adds a 'position' integer column to the tasks table so
+# cards keep their hand-sorted order within a kanban column after a reload.
+# Position is relative to the column (assignee + status): 0 is the top card.
+#
+# KEY CONCEPTS:
+# - Backfilling: Existing rows need a sensible value, so we number each
+#   column in the order the board used to show it (most recently updated first)
+# - up/down: We use explicit up/down methods because the backfill is data
+#   work that `change` can't automatically reverse
+#
+# COMPARISON TO EXPRESS/SEQUELIZE:
+# - Sequelize: queryInterface.addColumn('tasks', 'position', ...) + a raw UPDATE loop
+# - Rails: add_column + a small Ruby loop over the rows
+#
+# ============================================================================
+
+class AddPositionToTasks < ActiveRecord::Migration[8.1]
+  def up
+    add_column :tasks, :position, :integer, default: 0, null: false
+
+    # Composite index for the board query: one column, in card order
+    add_index :tasks, [:assignee, :status, :position]
+
+    # Backfill: number every column top-to-bottom by most recently updated,
+    # which is the order the board rendered before positions existed
+    select_rows("SELECT DISTINCT assignee, status FROM tasks").each do |assignee, status|
+      ids = select_values(
+        "SELECT id FROM tasks WHERE assignee = #{quote(assignee)} AND status = #{quote(status)} ORDER BY updated_at DESC"
+      )
+      ids.each_with_index do |id, index|
+        execute("UPDATE tasks SET position = #{index} WHERE id = #{id.to_i}")
+      end
+    end
+  end
+
+  def down
+    remove_index :tasks, [:assignee, :status, :position]
+    remove_column :tasks, :position
+  end
+end
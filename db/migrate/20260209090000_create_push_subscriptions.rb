@@ -0,0 +1,41 @@
+# ============================================================================
+# Migration: Create PushSubscriptions Table
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# When a browser agrees to receive Web Push notifications, it hands us a
+# "subscription": a URL at the browser vendor's push service (the endpoint)
+# plus two keys used to encrypt messages so only that browser can read them.
+#
+# This table stores one row per browser per user:
+# - endpoint: Push service URL (unique — one browser, one endpoint)
+# - p256dh_key: The browser's public encryption key
+# - auth_key: Shared secret for the encryption
+# - user_agent: Which browser/device, so users can tell them apart
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node (web-push package): you'd save `subscription.toJSON()` in a
+#   Mongo document or a Sequelize model, same three fields
+#
+# ============================================================================
+
+class CreatePushSubscriptions < ActiveRecord::Migration[8.1]
+  def change
+    create_table :push_subscriptions do |t|
+      # Every subscription belongs to a signed-in user
+      t.references :user, null: false, foreign_key: true
+
+      # Push service endpoint URLs can be long (FCM URLs are ~200 chars)
+      t.string :endpoint, null: false, limit: 1000
+      t.string :p256dh_key, null: false
+      t.string :auth_key, null: false
+      t.string :user_agent
+
+      t.timestamps
+    end
+
+    # Re-subscribing the same browser updates its row instead of adding one
+    add_index :push_subscriptions, :endpoint, unique: true
+  end
+end
@@ -0,0 +1,33 @@
+# ============================================================================
+# Migration: Create BalanceThresholds Table
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# One row per provider holding the two balance levels we alert on:
+# - warning: "top up soon" (the board shows the balance as Low)
+# - critical: "top up now" (Sparky is about to start failing)
+#
+# Providers without a row use the column defaults, $20 and $5 - the same
+# breakpoints the balance display used before thresholds were editable.
+#
+# COMPARISON TO EXPRESS/SEQUELIZE:
+# - Sequelize: a settings model with defaultValue on each column
+# - Rails: the same, with the defaults living in the database
+#
+# ============================================================================
+
+class CreateBalanceThresholds < ActiveRecord::Migration[8.1]
+  def change
+    create_table :balance_thresholds do |t|
+      t.string :provider, null: false
+      t.decimal :warning, precision: 15, scale: 6, null: false, default: 20
+      t.decimal :critical, precision: 15, scale: 6, null: false, default: 5
+
+      t.timestamps
+    end
+
+    # One set of thresholds per provider
+    add_index :balance_thresholds, :provider, unique: true
+  end
+end
@@ -0,0 +1,36 @@
+# ============================================================================
+# Migration: Create BalanceAlerts Table
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# A balance alert is raised when a recorded balance falls to a provider's
+# warning or critical threshold (see BalanceAlert.evaluate!). It stays
+# open until the balance has clearly recovered, and meanwhile can be:
+# - acknowledged: "I know" - hidden for good
+# - snoozed: hidden until snoozed_until, then shown again
+#
+# balance and threshold are copied in, so the alert still says what
+# happened after the thresholds are changed.
+#
+# ============================================================================
+
+class CreateBalanceAlerts < ActiveRecord::Migration[8.1]
+  def change
+    create_table :balance_alerts do |t|
+      t.string :provider, null: false
+      t.string :level, null: false
+      t.decimal :balance, precision: 15, scale: 6, null: false
+      t.decimal :threshold, precision: 15, scale: 6, null: false
+      t.datetime :triggered_at, null: false
+      t.datetime :acknowledged_at
+      t.datetime :snoozed_until
+      t.datetime :resolved_at
+
+      t.timestamps
+    end
+
+    # "The open alert for this provider" is looked up on every recording
+    add_index :balance_alerts, [:provider, :resolved_at]
+  end
+end
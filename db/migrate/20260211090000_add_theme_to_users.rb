@@ -0,0 +1,24 @@
+# ============================================================================
+# Migration: Add Theme to Users
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Stores each user's colour theme so it follows them to every browser
+# they sign in on. Until now the choice lived only in localStorage.
+#
+# Values are the ones User::THEMES allows: system (follow the operating
+# system's light/dark setting), light, dark and high-contrast. Everyone
+# starts on "system".
+#
+# COMPARISON TO EXPRESS/SEQUELIZE:
+# - Sequelize: queryInterface.addColumn('users', 'theme', { defaultValue: 'system' })
+# - Rails: add_column with the same default, reversible via `change`
+#
+# ============================================================================
+
+class AddThemeToUsers < ActiveRecord::Migration[8.1]
+  def change
+    add_column :users, :theme, :string, default: "system", null: false
+  end
+end
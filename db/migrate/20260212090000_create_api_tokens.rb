@@ -0,0 +1,42 @@
+# ============================================================================
+# Migration: Create ApiTokens Table
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Bearer tokens for the JSON API (/api/*), so scripts and Sparky can call it
+# without a browser session. Each token belongs to a user and acts as them.
+#
+# - token_digest: SHA-256 of the token. The token itself is shown once,
+#   when it's created, and never stored - a leaked database doesn't leak
+#   working tokens (same idea as Devise's encrypted_password)
+# - token_prefix: the first few characters, so people can tell their
+#   tokens apart in the list ("kbt_3fQ9…")
+# - scopes: what the token may do, e.g. ["read", "tasks:write"]
+# - revoked_at: set instead of deleting, so activities keep pointing at
+#   the token that made them
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: a tokens collection storing crypto.createHash('sha256') digests,
+#   looked up by a passport-http-bearer strategy
+#
+# ============================================================================
+
+class CreateApiTokens < ActiveRecord::Migration[8.1]
+  def change
+    create_table :api_tokens do |t|
+      t.references :user, null: false, foreign_key: true
+      t.string :name, null: false
+      t.string :token_digest, null: false
+      t.string :token_prefix, null: false
+      t.json :scopes, default: []
+      t.datetime :last_used_at
+      t.datetime :revoked_at
+
+      t.timestamps
+    end
+
+    # Every API request looks its token up by digest
+    add_index :api_tokens, :token_digest, unique: true
+  end
+end
@@ -0,0 +1,20 @@
+# ============================================================================
+# Migration: Add ApiToken to TaskActivities
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Activities already record the user who made a change. A change made
+# through the API with a token now also records which token: the same
+# user might have one for Sparky's heartbeat and one for a script, and
+# the history should say which did it.
+#
+# Nullable - changes made in the browser have no token.
+#
+# ============================================================================
+
+class AddApiTokenToTaskActivities < ActiveRecord::Migration[8.1]
+  def change
+    add_reference :task_activities, :api_token, foreign_key: true
+  end
+end
@@ -0,0 +1,34 @@
+# ============================================================================
+# Migration: Add lock_version to Tasks
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# A column named lock_version switches on Rails' optimistic locking for
+# the model - no code needed. Every save bumps it, and the UPDATE only
+# matches the row if it still has the version the record was loaded with:
+#
+#   UPDATE tasks SET ..., lock_version = 4 WHERE id = 12 AND lock_version = 3
+#
+# No row matched means someone else saved in between, and Rails raises
+# ActiveRecord::StaleObjectError instead of overwriting their change.
+#
+# Activities remember the task version their change produced
+# (task_version), so a conflict can say exactly what happened since the
+# version the client had (see TaskVersioning).
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: a `version` field, `WHERE version = ?` on every UPDATE and a
+#   check of the affected row count - Mongoose's versionKey (__v) is the
+#   same idea
+#
+# ============================================================================
+
+class AddLockVersionToTasks < ActiveRecord::Migration[8.1]
+  def change
+    add_column :tasks, :lock_version, :integer, default: 0, null: false
+
+    add_column :task_activities, :task_version, :integer
+    add_index :task_activities, [:task_id, :task_version]
+  end
+end
@@ -0,0 +1,32 @@
+# ============================================================================
+# Migration: Create WIP Limits
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# One row per board column that has a work-in-progress limit: "Sparky's
+# In Progress holds at most 1 task". Columns without a row have no limit,
+# so an empty table is the board as it always was.
+#
+# The unique index on [assignee, status] backs WipLimit's uniqueness
+# validation - two admins saving at once can't create a second row.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Node: often a JSON blob in a settings table; a row per column lets
+#   the database enforce one limit per column
+#
+# ============================================================================
+
+class CreateWipLimits < ActiveRecord::Migration[8.1]
+  def change
+    create_table :wip_limits do |t|
+      t.string :assignee, null: false
+      t.string :status, null: false
+      t.integer :max_tasks, null: false
+
+      t.timestamps
+    end
+
+    add_index :wip_limits, [:assignee, :status], unique: true
+  end
+end
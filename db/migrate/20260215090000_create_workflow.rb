@@ -0,0 +1,112 @@
+# ============================================================================
+# Migration: Create Workflow (statuses and assignees)
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Moves the board's columns and swim lanes out of Task::STATUSES and
+# Task::ASSIGNEES into two tables admins edit on /workflow:
+#
+#   workflow_statuses   key, label, color, icon, position   (the columns)
+#   workflow_assignees  key, name, kind, color, icon, position  (the lanes)
+#
+# Tasks and WIP limits keep storing the key ("in_progress", "sparky"), so
+# nothing about existing rows changes.
+#
+# KEEPING EXISTING DATA VALID:
+# The new tables start with the workflow the constants described, then
+# any status or assignee a task (archived ones included) or WIP limit
+# already uses that isn't in it - so every saved task still validates.
+#
+# The defaults are copied here rather than read from Workflow: a
+# migration has to do the same thing in a year, whatever the app code
+# says by then.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Knex: createTable in exports.up plus a knex('...').insert(rows) seed
+# - Rails: the same, with anonymous models so the migration doesn't
+#   depend on app/models
+#
+# ============================================================================
+
+class CreateWorkflow < ActiveRecord::Migration[8.1]
+  STATUSES = [
+    { key: 'hold', label: 'Hold', color: 'secondary', icon: 'bi-pause-circle' },
+    { key: 'backlog', label: 'Backlog', color: 'secondary', icon: 'bi-inbox' },
+    { key: 'in_progress', label: 'In Progress', color: 'primary', icon: 'bi-arrow-repeat' },
+    { key: 'sprint', label: 'Sprint', color: 'danger', icon: 'bi-lightning-charge' },
+    { key: 'daily', label: 'Daily', color: 'info', icon: 'bi-calendar-day' },
+    { key: 'done', label: 'Done', color: 'success', icon: 'bi-check-circle' }
+  ].freeze
+
+  # Sparky's lane has always been drawn first
+  ASSIGNEES = [
+    { key: 'sparky', name: 'Sparky', kind: 'agent', color: 'warning', icon: 'bi-lightning-charge-fill' },
+    { key: 'mechdog', name: 'Mechdog', kind: 'human', color: 'primary', icon: 'bi-robot' }
+  ].freeze
+
+  class MigrationTask < ActiveRecord::Base
+    self.table_name = 'tasks'
+  end
+
+  class MigrationWipLimit < ActiveRecord::Base
+    self.table_name = 'wip_limits'
+  end
+
+  class MigrationStatus < ActiveRecord::Base
+    self.table_name = 'workflow_statuses'
+  end
+
+  class MigrationAssignee < ActiveRecord::Base
+    self.table_name = 'workflow_assignees'
+  end
+
+  def up
+    create_table :workflow_statuses do |t|
+      t.string :key, null: false
+      t.string :label, null: false
+      t.string :color, null: false, default: 'secondary'
+      t.string :icon
+      t.integer :position, null: false, default: 0
+
+      t.timestamps
+    end
+    add_index :workflow_statuses, :key, unique: true
+
+    create_table :workflow_assignees do |t|
+      t.string :key, null: false
+      t.string :name, null: false
+      t.string :kind, null: false, default: 'human'
+      t.string :color, null: false, default: 'secondary'
+      t.string :icon
+      t.integer :position, null: false, default: 0
+
+      t.timestamps
+    end
+    add_index :workflow_assignees, :key, unique: true
+
+    seed(MigrationStatus, STATUSES, in_use(:status)) { |key| { label: key.titleize } }
+    seed(MigrationAssignee, ASSIGNEES, in_use(:assignee)) { |key| { name: key.titleize } }
+  end
+
+  def down
+    drop_table :workflow_assignees
+    drop_table :workflow_statuses
+  end
+
+  private
+
+  # Every value of `column` that tasks or WIP limits hold today
+  def in_use(column)
+    (MigrationTask.distinct.pluck(column) + MigrationWipLimit.distinct.pluck(column)).compact_blank.uniq
+  end
+
+  # The defaults, then whatever else is in use, in that order
+  def seed(model, defaults, used)
+    extra = (used - defaults.pluck(:key)).sort.map { |key| { key: key, **yield(key) } }
+
+    (defaults + extra).each_with_index do |row, position|
+      model.create!(**row, position: position)
+    end
+  end
+end
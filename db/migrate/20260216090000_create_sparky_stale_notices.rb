@@ -0,0 +1,28 @@
+# ============================================================================
+# Migration: Create Sparky Stale Notices
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# One row per usage-log session SparkyStaleCheckJob has already pushed
+# "Sparky status is stale" about. The unique index on session_at is what
+# makes the push happen once: two overlapping runs both try to insert the
+# row, and only one succeeds.
+#
+# COMPARISON TO EXPRESS/NODE.JS:
+# - Knex: createTable with a unique() column, and an INSERT that ignores
+#   duplicate-key errors
+# - Rails: the same, with create_table and add_index unique: true
+#
+# ============================================================================
+
+class CreateSparkyStaleNotices < ActiveRecord::Migration[8.1]
+  def change
+    create_table :sparky_stale_notices do |t|
+      t.datetime :session_at, null: false
+
+      t.timestamps
+    end
+    add_index :sparky_stale_notices, :session_at, unique: true
+  end
+end
@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.1].define(version: 2026_02_07_185300) do
+ActiveRecord::Schema[8.1].define(version: 2026_02_16_090000) do
   create_table "api_balance_histories", force: :cascade do |t|
     t.decimal "balance", precision: 15, scale: 6, default: "0.0", null: false
     t.datetime "created_at", null: false
@@ -25,6 +25,55 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_07_185300) do
     t.index ["queried_at"], name: "index_api_balance_histories_on_queried_at"
   end
 
+  create_table "api_tokens", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "last_used_at"
+    t.string "name", null: false
+    t.datetime "revoked_at"
+    t.json "scopes", default: []
+    t.string "token_digest", null: false
+    t.string "token_prefix", null: false
+    t.datetime "updated_at", null: false
+    t.integer "user_id", null: false
+    t.index ["token_digest"], name: "index_api_tokens_on_token_digest", unique: true
+    t.index ["user_id"], name: "index_api_tokens_on_user_id"
+  end
+
+  create_table "balance_alerts", force: :cascade do |t|
+    t.datetime "acknowledged_at"
+    t.decimal "balance", precision: 15, scale: 6, null: false
+    t.datetime "created_at", null: false
+    t.string "level", null: false
+    t.string "provider", null: false
+    t.datetime "resolved_at"
+    t.datetime "snoozed_until"
+    t.decimal "threshold", precision: 15, scale: 6, null: false
+    t.datetime "triggered_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["provider", "resolved_at"], name: "index_balance_alerts_on_provider_and_resolved_at"
+  end
+
+  create_table "balance_thresholds", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.decimal "critical", precision: 15, scale: 6, default: "5.0", null: false
+    t.string "provider", null: false
+    t.datetime "updated_at", null: false
+    t.decimal "warning", precision: 15, scale: 6, default: "20.0", null: false
+    t.index ["provider"], name: "index_balance_thresholds_on_provider", unique: true
+  end
+
+  create_table "push_subscriptions", force: :cascade do |t|
+    t.string "auth_key", null: false
+    t.datetime "created_at", null: false
+    t.string "endpoint", limit: 1000, null: false
+    t.string "p256dh_key", null: false
+    t.datetime "updated_at", null: false
+    t.string "user_agent"
+    t.integer "user_id", null: false
+    t.index ["endpoint"], name: "index_push_subscriptions_on_endpoint", unique: true
+    t.index ["user_id"], name: "index_push_subscriptions_on_user_id"
+  end
+
   create_table "quick_notes", force: :cascade do |t|
     t.text "content"
     t.datetime "created_at", null: false
@@ -38,23 +87,36 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_07_185300) do
 
   create_table "task_activities", force: :cascade do |t|
     t.string "activity_type", null: false
+    t.integer "api_token_id"
     t.json "changeset", default: {}
     t.datetime "created_at", null: false
     t.text "description"
     t.integer "task_id", null: false
+    t.integer "task_version"
     t.integer "user_id"
     t.index ["activity_type"], name: "index_task_activities_on_activity_type"
+    t.index ["api_token_id"], name: "index_task_activities_on_api_token_id"
     t.index ["task_id", "created_at"], name: "index_task_activities_on_task_id_and_created_at", order: { created_at: :desc }
+    t.index ["task_id", "task_version"], name: "index_task_activities_on_task_id_and_task_version"
     t.index ["task_id"], name: "index_task_activities_on_task_id"
     t.index ["user_id"], name: "index_task_activities_on_user_id"
   end
 
+  create_table "sparky_stale_notices", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "session_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["session_at"], name: "index_sparky_stale_notices_on_session_at", unique: true
+  end
+
   create_table "tasks", force: :cascade do |t|
     t.boolean "archived", default: false, null: false
     t.string "assignee", null: false
     t.datetime "created_at", null: false
     t.text "description"
     t.datetime "last_worked_on"
+    t.integer "lock_version", default: 0, null: false
+    t.integer "position", default: 0, null: false
     t.string "priority", default: "medium", null: false
     t.string "status", default: "backlog", null: false
     t.string "title", null: false
@@ -62,6 +124,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_07_185300) do
     t.integer "user_id"
     t.index ["archived", "assignee"], name: "index_tasks_on_archived_and_assignee"
     t.index ["archived", "status"], name: "index_tasks_on_archived_and_status"
+    t.index ["assignee", "status", "position"], name: "index_tasks_on_assignee_and_status_and_position"
     t.index ["archived"], name: "index_tasks_on_archived"
     t.index ["assignee"], name: "index_tasks_on_assignee"
     t.index ["last_worked_on"], name: "index_tasks_on_last_worked_on"
@@ -78,6 +141,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_07_185300) do
     t.datetime "reset_password_sent_at"
     t.string "reset_password_token"
     t.string "role", default: "user", null: false
+    t.string "theme", default: "system", null: false
     t.datetime "updated_at", null: false
     t.string "username"
     t.index ["email"], name: "index_users_on_email", unique: true
@@ -86,7 +150,42 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_07_185300) do
     t.index ["username"], name: "index_users_on_username", unique: true
   end
 
+  create_table "wip_limits", force: :cascade do |t|
+    t.string "assignee", null: false
+    t.datetime "created_at", null: false
+    t.integer "max_tasks", null: false
+    t.string "status", null: false
+    t.datetime "updated_at", null: false
+    t.index ["assignee", "status"], name: "index_wip_limits_on_assignee_and_status", unique: true
+  end
+
+  create_table "workflow_assignees", force: :cascade do |t|
+    t.string "color", default: "secondary", null: false
+    t.datetime "created_at", null: false
+    t.string "icon"
+    t.string "key", null: false
+    t.string "kind", default: "human", null: false
+    t.string "name", null: false
+    t.integer "position", default: 0, null: false
+    t.datetime "updated_at", null: false
+    t.index ["key"], name: "index_workflow_assignees_on_key", unique: true
+  end
+
+  create_table "workflow_statuses", force: :cascade do |t|
+    t.string "color", default: "secondary", null: false
+    t.datetime "created_at", null: false
+    t.string "icon"
+    t.string "key", null: false
+    t.string "label", null: false
+    t.integer "position", default: 0, null: false
+    t.datetime "updated_at", null: false
+    t.index ["key"], name: "index_workflow_statuses_on_key", unique: true
+  end
+
+  add_foreign_key "api_tokens", "users"
+  add_foreign_key "push_subscriptions", "users"
   add_foreign_key "quick_notes", "users"
+  add_foreign_key "task_activities", "api_tokens"
   add_foreign_key "task_activities", "tasks"
   add_foreign_key "task_activities", "users"
   add_foreign_key "tasks", "users"
@@ -9,7 +9,7 @@
 #
 # This creates two default users:
 # - mechdog (super_admin) — MechDog's account
-# - sparky (admin) — Sparky's account
+# - sparky (admin) — Sparky's account, plus an API token for /api
 #
 # And sample tasks to work with.
 #
@@ -38,6 +38,33 @@ sparky = User.find_or_create_by!(username: "sparky") do |u|
 end
 puts "  ✓ sparky (admin) — password: pass6767"
 
+# Sparky calls /api with its own bearer token rather than a session.
+# Only the digest is stored, so the token is printed this once; re-seeding
+# leaves an existing token alone (revoke it on /users to get a new one).
+unless sparky.api_tokens.active.exists?
+  token = sparky.api_tokens.create!(name: "Sparky", scopes: ApiToken::SCOPES.keys)
+  puts "  ✓ sparky API token (copy it now, it won't be shown again): #{token.token}"
+end
+
+puts ""
+puts "Seeding workflow..."
+
+# The built-in columns and lanes (Workflow::DEFAULT_*), saved as rows so
+# /workflow can edit them. apply! with no rows only saves the defaults
+# when the tables are empty - a workflow changed on /workflow stays.
+Workflow.apply!
+puts "  ✓ #{WorkflowStatus.count} statuses, #{WorkflowAssignee.count} assignees"
+
+puts ""
+puts "Seeding WIP limits..."
+
+# Starting limits, changed on /wip_limits. Sparky's sprint column holds
+# one task, so "what is Sparky working on" has one answer.
+{ ["mechdog", "in_progress"] => 3, ["sparky", "in_progress"] => 3, ["sparky", "sprint"] => 1 }.each do |(assignee, status), max_tasks|
+  WipLimit.find_or_create_by!(assignee: assignee, status: status) { |limit| limit.max_tasks = max_tasks }
+end
+puts "  ✓ #{WipLimit.count} column limits"
+
 puts ""
 puts "Seeding tasks..."
 
@@ -12,9 +12,13 @@ require 'set'
 node_json = File.read('/tmp/node_tasks.json', encoding: 'UTF-8')
 node_tasks = JSON.parse(node_json)
 
+# /api needs a token with read and tasks:write (create one on /users)
+api_token = ENV.fetch('KANBAN_API_TOKEN') { abort 'Set KANBAN_API_TOKEN to an API token with read and tasks:write' }
+auth_header = { 'Authorization' => "Bearer #{api_token}" }
+
 # Fetch Rails tasks
 rails_uri = URI('http://localhost:6767/api/tasks')
-rails_response = Net::HTTP.get(rails_uri)
+rails_response = Net::HTTP.get(rails_uri, auth_header)
 rails_tasks = JSON.parse(rails_response)
 
 # Build set of existing Rails task titles (lowercase for comparison)
@@ -67,7 +71,7 @@ tasks_to_migrate.each do |task|
 
   uri = URI('http://localhost:6767/api/tasks')
   http = Net::HTTP.new(uri.host, uri.port)
-  request = Net::HTTP::Post.new(uri.path, { 'Content-Type' => 'application/json' })
+  request = Net::HTTP::Post.new(uri.path, { 'Content-Type' => 'application/json' }.merge(auth_header))
   request.body = payload.to_json
 
   begin
@@ -0,0 +1,108 @@
+# ============================================================================
+# API Controller Tests: Api::ActivitiesController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# GET /api/activities feeds the "What's happening" panel on the board.
+# These tests check the cursor contract the panel depends on (next_cursor
+# walks backwards without repeats, ?after= only returns newer entries)
+# and the actor / type / task filters.
+#
+# Task.create! doesn't log anything by itself (controllers do), so the
+# activities are logged explicitly here.
+#
+# ============================================================================
+
+require "test_helper"
+
+class Api::ActivitiesControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email: "activity@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "mechdog_feed",
+      name: "Feed Reader",
+      role: "user"
+    )
+    sign_in @user
+
+    @deploy = Task.create!(title: "Deploy", assignee: "sparky", status: "backlog", priority: "high")
+    @docs = Task.create!(title: "Docs", assignee: "mechdog", status: "backlog", priority: "low")
+
+    @created = TaskActivity.log_creation(@deploy, @user)
+    @deploy.update!(status: "in_progress")
+    @moved = TaskActivity.log_update(@deploy, { "status" => %w[backlog in_progress] })
+    @docs_created = TaskActivity.log_creation(@docs, @user)
+  end
+
+  def body
+    JSON.parse(@response.body)
+  end
+
+  def ids
+    body["activities"].map { |activity| activity["id"] }
+  end
+
+  test "requires sign in" do
+    sign_out @user
+    get api_activities_url, as: :json
+
+    assert_response :unauthorized
+  end
+
+  test "lists activity across tasks, newest first" do
+    get api_activities_url, as: :json
+
+    assert_response :success
+    assert_equal [@docs_created.id, @moved.id, @created.id], ids
+    assert_nil body["next_cursor"]
+
+    moved = body["activities"].second
+    assert_equal "system", moved["actor"]
+    assert_equal({ "from" => "backlog", "to" => "in_progress" }, moved["changes"]["status"])
+    assert_equal({ "id" => @deploy.id, "title" => "Deploy", "archived" => false }, moved["task"])
+  end
+
+  test "pages backwards with the cursor" do
+    get api_activities_url(limit: 2), as: :json
+    assert_equal [@docs_created.id, @moved.id], ids
+    assert_equal @moved.id, body["next_cursor"]
+
+    get api_activities_url(limit: 2, before: body["next_cursor"]), as: :json
+    assert_equal [@created.id], ids
+    assert_nil body["next_cursor"]
+  end
+
+  test "after returns only newer activity, and 304 while there's none" do
+    get api_activities_url(after: @docs_created.id), as: :json
+    assert_empty ids
+    etag = @response.headers["ETag"]
+
+    get api_activities_url(after: @docs_created.id), as: :json, headers: { "If-None-Match" => etag }
+    assert_response :not_modified
+
+    archived = TaskActivity.create!(task: @docs, user: @user, activity_type: "archived", description: "Task archived")
+    @docs.update!(archived: true)
+
+    get api_activities_url(after: @docs_created.id), as: :json, headers: { "If-None-Match" => etag }
+    assert_response :success
+    assert_equal [archived.id], ids
+    assert_equal true, body["activities"].first["task"]["archived"], "Archived tasks still show in the feed"
+  end
+
+  test "filters by actor, type and task" do
+    get api_activities_url(actor: @user.username), as: :json
+    assert_equal [@docs_created.id, @created.id], ids
+
+    get api_activities_url(actor: "system"), as: :json
+    assert_equal [@moved.id], ids
+
+    get api_activities_url(type: "status_changed,archived"), as: :json
+    assert_equal [@moved.id], ids
+
+    get api_activities_url(task_id: @docs.id), as: :json
+    assert_equal [@docs_created.id], ids
+  end
+end
@@ -0,0 +1,138 @@
+# ============================================================================
+# API Controller Tests: Api::BalancesController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# GET /api/balances is polled by the balance display on every open board.
+# These tests check that the polls are answered from ApiBalanceHistory
+# (no live provider calls while the recording is fresh) and that an
+# unchanged answer comes back as 304 Not Modified.
+#
+# Every provider gets a fresh record in setup, so nothing here ever
+# reaches the real provider APIs.
+#
+# ============================================================================
+
+require "test_helper"
+
+class Api::BalancesControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email: "balances@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "balance_viewer",
+      name: "Balance Viewer",
+      role: "user"
+    )
+    sign_in @user
+
+    ApiBalanceHistory::PROVIDERS.each do |provider|
+      supports_api = %w[moonshot openrouter].include?(provider)
+      ApiBalanceHistory.create!(
+        provider: provider,
+        balance: supports_api ? 12.5 : 0,
+        currency: "USD",
+        metadata: { name: provider.titleize, supports_api: supports_api },
+        success: true,
+        queried_at: 2.minutes.ago
+      )
+    end
+  end
+
+  def balances
+    JSON.parse(@response.body)["balances"]
+  end
+
+  test "serves recorded balances without querying the providers" do
+    assert_no_difference "ApiBalanceHistory.count" do
+      get api_balances_url, as: :json
+    end
+
+    assert_response :success
+    assert_equal 12.5, balances["openrouter"]["balance"]
+    assert_equal "Openrouter", balances["openrouter"]["name"]
+    assert balances["openrouter"]["queried_at"].present?
+  end
+
+  test "providers without a balance API have no balance" do
+    get api_balances_url, as: :json
+
+    assert_nil balances["anthropic"]["balance"]
+    assert_equal false, balances["anthropic"]["supports_api"]
+  end
+
+  test "failed queries are recorded, so polls keep the error without querying again" do
+    keys = %w[MOONSHOT_API_KEY OPENROUTER_API_KEY].index_with { |key| ENV.delete(key) }
+    travel 11.minutes
+
+    # The recording is stale: this poll queries live, and both fail
+    get api_balances_url, as: :json
+    assert_equal false, balances["moonshot"]["success"]
+
+    assert_no_difference "ApiBalanceHistory.count" do
+      get api_balances_url, as: :json
+    end
+    assert_equal false, balances["moonshot"]["success"]
+    assert_match "MOONSHOT_API_KEY", balances["moonshot"]["error"]
+    assert_nil balances["moonshot"]["balance"]
+  ensure
+    keys&.each { |key, value| ENV[key] = value }
+  end
+
+  test "answers 304 Not Modified until a new balance is recorded" do
+    get api_balances_url, as: :json
+    etag = @response.headers["ETag"]
+    assert etag.present?, "Should send an ETag"
+
+    get api_balances_url, as: :json, headers: { "If-None-Match" => etag }
+    assert_response :not_modified
+
+    ApiBalanceHistory.create!(provider: "moonshot", balance: 10, currency: "USD", success: true, queried_at: Time.current)
+    get api_balances_url, as: :json, headers: { "If-None-Match" => etag }
+    assert_response :success
+    assert_equal 10.0, balances["moonshot"]["balance"]
+  end
+
+  # ==========================================================================
+  # HISTORY AND FORECAST TESTS
+  # ==========================================================================
+
+  test "history forecasts the burn rate and spots top-ups" do
+    ApiBalanceHistory.for_provider("moonshot").delete_all
+    [[3.days.ago, 100], [2.days.ago, 90], [1.day.ago, 80], [20.hours.ago, 120], [2.hours.ago, 110]].each do |queried_at, balance|
+      ApiBalanceHistory.create!(provider: "moonshot", balance: balance, currency: "USD", success: true, queried_at: queried_at)
+    end
+
+    get history_api_balances_url(days: 7), as: :json
+
+    assert_response :success
+    forecast = JSON.parse(@response.body)["forecasts"]["moonshot"]
+    assert_equal [40.0], forecast["top_ups"].map { |top_up| top_up["amount"] }
+    assert_in_delta 30.0, forecast["daily_spend"].sum { |day| day["spent"] }, 0.001
+    assert_equal 8, forecast["daily_spend"].size, "One entry per day, today included"
+
+    %w[linear ewma].each do |method|
+      assert_operator forecast["burn_rate"][method], :>, 0
+      assert_operator forecast["projection"][method]["days_left"], :>, 0
+      assert forecast["projection"][method]["empty_on"].present?
+    end
+  end
+
+  test "history marks console-only providers" do
+    get history_api_balances_url, as: :json
+
+    forecasts = JSON.parse(@response.body)["forecasts"]
+    assert_equal false, forecasts["anthropic"]["supports_api"]
+    assert_equal true, forecasts["moonshot"]["supports_api"]
+  end
+
+  test "history keeps the range between 1 and 30 days" do
+    get history_api_balances_url(days: 365), as: :json
+    assert_equal 30, JSON.parse(@response.body)["days"]
+
+    get history_api_balances_url(days: 0), as: :json
+    assert_equal 1, JSON.parse(@response.body)["days"]
+  end
+end
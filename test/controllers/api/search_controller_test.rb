@@ -0,0 +1,129 @@
+# ============================================================================
+# API Controller Tests: Api::SearchController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# GET /api/search feeds the Ctrl+K command palette. These tests check
+# the ranking contract the palette relies on (best match first, exact
+# task ids on top, archived tasks still findable) and that the endpoint
+# needs a signed-in user.
+#
+# ============================================================================
+
+require "test_helper"
+
+class Api::SearchControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email: "search@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "searcher",
+      name: "Search User",
+      role: "user"
+    )
+    sign_in @user
+
+    @deploy = Task.create!(title: "Deploy to production", assignee: "sparky", status: "in_progress", priority: "high")
+    @docs = Task.create!(title: "Update deployment docs", assignee: "mechdog", status: "backlog", priority: "low")
+  end
+
+  def results
+    JSON.parse(@response.body)["results"]
+  end
+
+  test "returns tasks ranked best match first" do
+    get api_search_url(q: "deploy"), as: :json
+
+    assert_response :success
+    titles = results.select { |r| r["type"] == "task" }.map { |r| r["title"] }
+    assert_equal ["Deploy to production", "Update deployment docs"], titles
+  end
+
+  test "matches letters in order, not only substrings" do
+    get api_search_url(q: "dtp"), as: :json
+
+    assert_includes results.map { |r| r["title"] }, "Deploy to production"
+  end
+
+  test "an exact task id ranks first" do
+    get api_search_url(q: "##{@docs.id}"), as: :json
+
+    assert_equal @docs.id, results.first["id"]
+    assert_equal "/tasks/#{@docs.id}", results.first["url"]
+  end
+
+  test "includes archived tasks, flagged as archived" do
+    @docs.archive!
+
+    get api_search_url(q: "deployment"), as: :json
+
+    match = results.find { |r| r["id"] == @docs.id }
+    assert match["archived"]
+    assert_includes match["subtitle"], "Archived"
+  end
+
+  test "subtitles use the workflow's names for lanes and columns" do
+    Workflow.apply!(
+      statuses: [{ key: "in_progress", label: "Doing" }],
+      assignees: [{ key: "sparky", name: "Sparky Bot" }]
+    )
+
+    get api_search_url(q: "##{@deploy.id}"), as: :json
+
+    assert_equal "##{@deploy.id} · Sparky Bot · Doing", results.first["subtitle"]
+  end
+
+  test "finds quick notes and config files" do
+    QuickNote.create!(title: "Soul searching", content: "ideas")
+
+    get api_search_url(q: "soul"), as: :json
+
+    types = results.map { |r| r["type"] }
+    assert_includes types, "note"
+    assert_includes types, "config"
+  end
+
+  test "a note's content has to contain the query as typed" do
+    QuickNote.create!(title: "Groceries", content: "deploy the app first")
+
+    get api_search_url(q: "dpl"), as: :json
+    assert_not_includes results.map { |r| r["type"] }, "note"
+
+    get api_search_url(q: "deploy the"), as: :json
+    assert_includes results.map { |r| r["title"] }, "Groceries"
+  end
+
+  test "finds a match older than hundreds of rows that don't match" do
+    now = Time.current
+    Task.insert_all(Array.new(CommandSearch::CANDIDATE_LIMIT + 50) do |n|
+      { title: "Unrelated #{n}", assignee: "mechdog", status: "backlog", priority: "low", created_at: now, updated_at: now }
+    end)
+
+    get api_search_url(q: "production"), as: :json
+
+    assert_equal @deploy.id, results.first["id"]
+  end
+
+  test "an empty query returns no results" do
+    get api_search_url(q: ""), as: :json
+
+    assert_response :success
+    assert_equal [], results
+  end
+
+  test "respects the limit" do
+    get api_search_url(q: "d", limit: 1), as: :json
+
+    assert_equal 1, results.length
+  end
+
+  test "requires a signed-in user" do
+    sign_out @user
+
+    get api_search_url(q: "deploy"), as: :json
+
+    assert_response :unauthorized
+  end
+end
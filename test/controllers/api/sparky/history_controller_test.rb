@@ -0,0 +1,136 @@
+# ============================================================================
+# API Controller Tests: Sparky History Endpoint
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# GET /api/sparky/history feeds the context chart on the status card.
+# The usage log is read from the config files root, so these tests point
+# that at a temporary directory and write their own usage-log.json,
+# instead of touching Sparky's real one.
+#
+# Which task was current is rebuilt from TaskActivity status changes, so
+# those tests create activities with explicit created_at times.
+#
+# ============================================================================
+
+require "test_helper"
+require "tmpdir"
+
+class Api::Sparky::HistoryControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email: "history@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "history_viewer",
+      name: "History Viewer",
+      role: "user"
+    )
+    sign_in @user
+
+    @dir = Pathname(Dir.mktmpdir("sparky_history"))
+    @config = Rails.configuration.x.config_files
+    @original_root = @config.root
+    @config.root = @dir
+    FileUtils.mkdir_p(@dir.join("memory"))
+  end
+
+  teardown do
+    @config.root = @original_root
+    FileUtils.rm_rf(@dir)
+  end
+
+  def write_sessions(*sessions)
+    File.write(@dir.join("memory", "usage-log.json"), { "sessions" => sessions }.to_json)
+  end
+
+  def session_at(time, context_pct, model = "moonshot/kimi-k2.5")
+    { "timestamp" => time.iso8601, "context_pct" => context_pct, "model" => model }
+  end
+
+  def history
+    JSON.parse(@response.body)
+  end
+
+  test "returns every session in the window, oldest first" do
+    write_sessions(
+      session_at(20.minutes.ago, 40),
+      session_at(2.days.ago, 90),
+      session_at(40.minutes.ago, 25, "anthropic/claude")
+    )
+
+    get api_sparky_history_url, as: :json
+
+    assert_response :success
+    assert_equal [25.0, 40.0], history["sessions"].map { |s| s["context_pct"] }
+    assert_equal ["anthropic/claude", "moonshot/kimi-k2.5"], history["sessions"].map { |s| s["model"] }
+    assert_equal 1800, history["stale_after"]
+  end
+
+  test "hours widens the window, up to a week" do
+    write_sessions(session_at(2.days.ago, 90), session_at(10.days.ago, 10))
+
+    get api_sparky_history_url(hours: 72), as: :json
+    assert_equal [90.0], history["sessions"].map { |s| s["context_pct"] }
+
+    get api_sparky_history_url(hours: 10_000), as: :json
+    assert_equal [90.0], history["sessions"].map { |s| s["context_pct"] }
+  end
+
+  test "reports gaps longer than the stale limit, including the one up to now" do
+    first = 3.hours.ago.change(usec: 0)
+    second = first + 10.minutes
+    third = first + 2.hours
+    write_sessions(session_at(first, 10), session_at(second, 20), session_at(third, 30))
+
+    get api_sparky_history_url, as: :json
+
+    gaps = history["gaps"]
+    assert_equal 2, gaps.size
+    assert_equal [second.iso8601, third.iso8601], gaps.first.values_at("from", "to")
+    assert_equal third.iso8601, gaps.last["from"]
+  end
+
+  test "each session names the task Sparky was on at the time" do
+    task = Task.create!(title: "Ship the chart", assignee: "sparky", status: "sprint", priority: "high", created_at: 5.hours.ago)
+    TaskActivity.create!(
+      task: task,
+      activity_type: "status_changed",
+      changeset: { "status" => { "from" => "backlog", "to" => "sprint" } },
+      created_at: 3.hours.ago
+    )
+    write_sessions(session_at(4.hours.ago, 10), session_at(2.hours.ago, 20))
+
+    get api_sparky_history_url, as: :json
+
+    before, after = history["sessions"]
+    assert_nil before["task"], "The task was still in the backlog"
+    assert_equal({ "id" => task.id, "title" => "Ship the chart", "status" => "sprint" }, after["task"])
+  end
+
+  test "an archived task stops being the current one until it's restored" do
+    task = Task.create!(title: "Ship the chart", assignee: "sparky", status: "in_progress", priority: "high", created_at: 6.hours.ago)
+    TaskActivity.create!(task: task, activity_type: "archived", created_at: 4.hours.ago)
+    TaskActivity.create!(task: task, activity_type: "restored", created_at: 2.hours.ago)
+    write_sessions(session_at(5.hours.ago, 10), session_at(3.hours.ago, 20), session_at(1.hour.ago, 30))
+
+    get api_sparky_history_url, as: :json
+
+    before, archived, restored = history["sessions"]
+    assert_equal task.id, before["task"]["id"]
+    assert_nil archived["task"], "The task was archived"
+    assert_equal({ "id" => task.id, "title" => "Ship the chart", "status" => "in_progress" }, restored["task"])
+  end
+
+  test "a missing or broken usage log is an empty history" do
+    get api_sparky_history_url, as: :json
+    assert_response :success
+    assert_empty history["sessions"]
+
+    File.write(@dir.join("memory", "usage-log.json"), "{ not json")
+    get api_sparky_history_url, as: :json
+    assert_response :success
+    assert_empty history["sessions"]
+  end
+end
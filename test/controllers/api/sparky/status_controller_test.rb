@@ -33,6 +33,16 @@ class Api::Sparky::StatusControllerTest < ActionDispatch::IntegrationTest
   # ==========================================================================
 
   setup do
+    @sparky = User.create!(
+      email: "sparky@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "sparky",
+      name: "Sparky",
+      role: "admin"
+    )
+    sign_in @sparky
+
     # Create a task so we have "current task" data
     @sprint_task = Task.create!(
       title: "Sprint Task",
@@ -196,10 +206,15 @@ class Api::Sparky::StatusControllerTest < ActionDispatch::IntegrationTest
     assert json["context_percent"] >= 0, "Context percent should be >= 0"
   end
 
-  test "GET /api/sparky/status is accessible without authentication" do
+  test "GET /api/sparky/status needs a session or an API token" do
+    sign_out :user
+
     get api_sparky_status_url, as: :json
-    
-    # Should be accessible for Sparky's polling
+    assert_response :unauthorized
+
+    # Sparky polls with its own token rather than a session
+    token = @sparky.api_tokens.create!(name: "Sparky", scopes: ["read"])
+    get api_sparky_status_url, as: :json, headers: { "Authorization" => "Bearer #{token.token}" }
     assert_response :success
   end
 
@@ -227,4 +242,60 @@ class Api::Sparky::StatusControllerTest < ActionDispatch::IntegrationTest
     # Note: The controller uses kebab-case (sparky-status) not snake_case
     assert_includes @response.body, '<turbo-stream action="replace" target="sparky-status"'
   end
+
+  # ==========================================================================
+  # CONDITIONAL GET TESTS
+  # ==========================================================================
+  #
+  # The poller sends back the ETag it was given. While nothing on the card
+  # has changed, the answer is 304 Not Modified with an empty body.
+
+  test "answers 304 Not Modified while the status is unchanged" do
+    get api_sparky_status_url, as: :json
+    etag = @response.headers["ETag"]
+    assert etag.present?, "Should send an ETag"
+
+    get api_sparky_status_url, as: :json, headers: { "If-None-Match" => etag }
+
+    assert_response :not_modified
+    assert_empty @response.body
+  end
+
+  test "sends the full status again once something changes" do
+    get api_sparky_status_url, as: :json
+    etag = @response.headers["ETag"]
+
+    @sprint_task.update!(status: "done")
+    get api_sparky_status_url, as: :json, headers: { "If-None-Match" => etag }
+
+    assert_response :success
+    assert_not_equal etag, @response.headers["ETag"]
+  end
+
+  test "JSON and Turbo Stream answers have different ETags" do
+    get api_sparky_status_url, as: :json
+    json_etag = @response.headers["ETag"]
+
+    get api_sparky_status_url, headers: { "Accept" => "text/vnd.turbo-stream.html", "If-None-Match" => json_etag }
+
+    assert_response :success
+    assert_includes @response.body, "<turbo-stream"
+  end
+
+  # ==========================================================================
+  # WEB PUSH TESTS
+  # ==========================================================================
+  #
+  # Polling is read-only: the idle push comes from the task change that
+  # causes it (TaskPushNotifications), the stale one from
+  # SparkyStaleCheckJob.
+
+  test "polling never pushes a notification" do
+    Task.destroy_all
+
+    assert_no_enqueued_jobs(only: PushNotificationJob) do
+      get api_sparky_status_url, as: :json
+      get api_sparky_status_url, as: :json
+    end
+  end
 end
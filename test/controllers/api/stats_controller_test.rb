@@ -30,6 +30,16 @@ class Api::StatsControllerTest < ActionDispatch::IntegrationTest
   # ==========================================================================
 
   setup do
+    @user = User.create!(
+      email: "stats@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "stats_user",
+      name: "Stats User",
+      role: "user"
+    )
+    sign_in @user
+
     # Clear tasks to start fresh
     Task.delete_all
     
@@ -129,14 +139,31 @@ class Api::StatsControllerTest < ActionDispatch::IntegrationTest
     assert json["byStatus"].key?("done")
   end
 
-  test "GET /api/stats is accessible without authentication" do
-    # Sign out to test unauthenticated access
-    sign_out :user if @controller.try(:user_signed_in?)
-    
+  test "GET /api/stats counts by the workflow's columns and lanes" do
+    Workflow.apply!(
+      statuses: [{ key: "review", label: "Review", color: "info" }],
+      assignees: [{ key: "qa_bot", name: "QA bot", kind: "agent" }]
+    )
+    Task.create!(title: "Q Review", assignee: "qa_bot", status: "review", priority: "low")
+
     get api_stats_url, as: :json
-    
-    # API endpoints should be accessible without login
-    # (for Sparky's heartbeat checks)
+
+    json = JSON.parse(@response.body)
+    assert_equal 1, json["byStatus"]["review"]
+    assert_equal 1, json["byAssignee"]["qa_bot"]
+    assert_equal 0, json["byStatus"]["hold"], "Empty columns are listed too"
+    assert_equal Workflow.status_keys, json["byStatus"].keys, "Columns come in board order"
+  end
+
+  test "GET /api/stats needs a session or an API token" do
+    sign_out :user
+
+    get api_stats_url, as: :json
+    assert_response :unauthorized
+
+    # Sparky's heartbeat checks send a read token instead of signing in
+    token = @user.api_tokens.create!(name: "Heartbeat", scopes: ["read"])
+    get api_stats_url, as: :json, headers: { "Authorization" => "Bearer #{token.token}" }
     assert_response :success
   end
 end
@@ -22,6 +22,17 @@ class Api::TasksControllerTest < ActionDispatch::IntegrationTest
   # ==========================================================================
 
   setup do
+    # /api needs a session or an API token (see token_authentication_test.rb)
+    @user = User.create!(
+      email: "api@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "api_user",
+      name: "API User",
+      role: "admin"
+    )
+    sign_in @user
+
     @task = Task.create!(
       title: "API Test Task",
       description: "Test via API",
@@ -151,6 +162,53 @@ class Api::TasksControllerTest < ActionDispatch::IntegrationTest
     assert_equal "Updated via API", @task.title
   end
 
+  test "PATCH /api/tasks/:id with position reorders the column" do
+    top = Task.create!(title: "Top", assignee: "sparky", status: "backlog", priority: "low")
+    
+    # @task is second in the column; move it back to the top
+    patch api_task_url(@task), params: { position: 0 }, as: :json
+    
+    assert_response :success
+    assert_equal 0, JSON.parse(@response.body)["position"]
+    assert_equal ["API Test Task", "Top"], Task.in_column("sparky", "backlog").ordered.pluck(:title)
+    assert_equal 1, top.reload.position
+  end
+
+  test "PATCH /api/tasks/:id with status and position drops into the new column" do
+    Task.create!(title: "Existing A", assignee: "mechdog", status: "sprint", priority: "low")
+    Task.create!(title: "Existing B", assignee: "mechdog", status: "sprint", priority: "low")
+    
+    patch api_task_url(@task), params: { status: "sprint", assignee: "mechdog", position: 1 }, as: :json
+    
+    assert_response :success
+    assert_equal ["Existing B", "API Test Task", "Existing A"], Task.in_column("mechdog", "sprint").ordered.pluck(:title)
+  end
+
+  test "PATCH /api/tasks/:id logs the change to the activity history" do
+    assert_difference "@task.activities.count", 1 do
+      patch api_task_url(@task), params: { title: "Renamed inline", priority: "urgent" }, as: :json
+    end
+
+    activity = @task.activities.order(:id).last
+    assert_equal "API Test Task", activity.old_value(:title)
+    assert_equal "urgent", activity.new_value(:priority)
+  end
+
+  test "PATCH /api/tasks/:id logs nothing when nothing changed" do
+    assert_no_difference "TaskActivity.count" do
+      patch api_task_url(@task), params: { title: "API Test Task" }, as: :json
+    end
+  end
+
+  test "PATCH /api/tasks/:id does not log a failed update" do
+    assert_no_difference "TaskActivity.count" do
+      patch api_task_url(@task), params: { title: "" }, as: :json
+    end
+
+    assert_response :unprocessable_entity
+    assert_includes JSON.parse(@response.body)["errors"], "Title can't be blank"
+  end
+
   test "PATCH /api/tasks/:id returns errors for invalid data" do
     patch api_task_url(@task), params: {
       status: "invalid_status"
@@ -165,6 +223,132 @@ class Api::TasksControllerTest < ActionDispatch::IntegrationTest
     assert_response :not_found
   end
 
+  test "PATCH /api/tasks/:id broadcasts the move to the board" do
+    assert_turbo_stream_broadcasts Task::BOARD_STREAM do
+      patch api_task_url(@task), params: { status: "sprint" }, as: :json
+    end
+  end
+
+  # ==========================================================================
+  # VERSION TESTS (If-Match / 409)
+  # ==========================================================================
+
+  # Someone else's saved edit, logged the way the API logs it
+  def change_behind_the_clients_back(attributes)
+    @task.update!(attributes)
+    @task.log_update_activity
+  end
+
+  test "GET and PATCH answer with the task's ETag" do
+    get api_task_url(@task), as: :json
+    assert_equal %("task-#{@task.id}-v0"), @response.headers["ETag"]
+
+    patch api_task_url(@task), params: { status: "sprint" }, as: :json
+    assert_equal %("task-#{@task.id}-v1"), @response.headers["ETag"]
+    assert_equal 1, JSON.parse(@response.body)["lock_version"]
+  end
+
+  test "PATCH with a current If-Match saves" do
+    patch api_task_url(@task), params: { status: "sprint" }, as: :json,
+      headers: { "If-Match" => @task.version_etag }
+
+    assert_response :success
+    assert_equal "sprint", @task.reload.status
+  end
+
+  test "PATCH with a stale If-Match is 409 when the same field changed" do
+    etag = @task.version_etag
+    change_behind_the_clients_back(status: "done")
+
+    patch api_task_url(@task), params: { status: "in_progress" }, as: :json, headers: { "If-Match" => etag }
+
+    assert_response :conflict
+    assert_equal "done", @task.reload.status
+    json = JSON.parse(@response.body)
+    assert_equal "done", json["task"]["status"]
+    assert_equal({ "base" => "backlog", "theirs" => "done", "mine" => "in_progress" }, json["conflict"]["fields"]["status"])
+    assert_equal "system", json["conflict"]["activities"].first["actor"]
+    assert_equal @task.version_etag, @response.headers["ETag"]
+  end
+
+  test "PATCH with a stale If-Match saves when only other fields changed" do
+    etag = @task.version_etag
+    change_behind_the_clients_back(priority: "high")
+
+    patch api_task_url(@task), params: { status: "in_progress" }, as: :json, headers: { "If-Match" => etag }
+
+    assert_response :success
+    @task.reload
+    assert_equal "in_progress", @task.status
+    assert_equal "high", @task.priority
+  end
+
+  test "PATCH takes the version from lock_version without If-Match" do
+    change_behind_the_clients_back(title: "Renamed by Sparky")
+
+    patch api_task_url(@task), params: { task: { title: "Renamed by me", lock_version: 0 } }, as: :json
+
+    assert_response :conflict
+    assert_equal "Renamed by Sparky", @task.reload.title
+  end
+
+  test "PATCH without a version still overwrites" do
+    change_behind_the_clients_back(status: "done")
+
+    patch api_task_url(@task), params: { status: "in_progress" }, as: :json
+
+    assert_response :success
+    assert_equal "in_progress", @task.reload.status
+  end
+
+  # ==========================================================================
+  # WIP LIMIT TESTS
+  # ==========================================================================
+
+  test "PATCH into a full column is 422 with the reason" do
+    WipLimit.create!(assignee: "sparky", status: "in_progress", max_tasks: 1)
+    Task.create!(title: "Already going", assignee: "sparky", status: "in_progress", priority: "high")
+
+    patch api_task_url(@task), params: { status: "in_progress" }, as: :json
+
+    assert_response :unprocessable_entity
+    assert_equal ["Sparky · In Progress is at its WIP limit (1/1)"], JSON.parse(@response.body)["errors"]
+    assert_equal "backlog", @task.reload.status
+  end
+
+  test "PATCH with override_wip_limit goes over and logs it" do
+    WipLimit.create!(assignee: "sparky", status: "in_progress", max_tasks: 1)
+    Task.create!(title: "Already going", assignee: "sparky", status: "in_progress", priority: "high")
+
+    patch api_task_url(@task), params: { status: "in_progress", override_wip_limit: true }, as: :json
+
+    assert_response :success
+    assert_equal "in_progress", @task.reload.status
+    assert_equal %w[status_changed wip_override], @task.activities.order(:id).pluck(:activity_type)
+  end
+
+  test "POST /api/tasks into a full column is 422" do
+    WipLimit.create!(assignee: "sparky", status: "sprint", max_tasks: 1)
+    Task.create!(title: "This sprint", assignee: "sparky", status: "sprint", priority: "high")
+
+    assert_no_difference "Task.count" do
+      post api_tasks_url, params: { title: "Also this sprint", assignee: "sparky", status: "sprint" }, as: :json
+    end
+    assert_response :unprocessable_entity
+  end
+
+  test "batch moves fill a column up to its limit and fail the rest" do
+    WipLimit.create!(assignee: "sparky", status: "sprint", max_tasks: 1)
+    other = Task.create!(title: "Other", assignee: "sparky", status: "backlog", priority: "low")
+
+    post batch_api_tasks_url, params: { ids: [@task.id, other.id], changes: { status: "sprint" }, position: 0 }, as: :json
+
+    json = JSON.parse(@response.body)
+    assert_equal 1, json["succeeded"]
+    assert_match "WIP limit", json["results"].last["errors"].first
+    assert_equal 1, Task.in_column("sparky", "sprint").count
+  end
+
   # ==========================================================================
   # DESTROY TESTS
   # ==========================================================================
@@ -177,12 +361,188 @@ class Api::TasksControllerTest < ActionDispatch::IntegrationTest
     assert_response :no_content
   end
 
+  test "DELETE /api/tasks/:id logs the archive" do
+    delete api_task_url(@task), as: :json
+
+    activity = @task.activities.order(:id).last
+    assert_equal "archived", activity.activity_type
+    assert_equal @user, activity.user
+  end
+
+  test "DELETE /api/tasks/:id with a token records the token" do
+    sign_out @user
+    api_token = @user.api_tokens.create!(name: "Archiver", scopes: ["tasks:write"])
+
+    delete api_task_url(@task), as: :json, headers: { "Authorization" => "Bearer #{api_token.token}" }
+
+    assert_response :no_content
+    assert_equal api_token, @task.activities.order(:id).last.api_token
+  end
+
   test "DELETE /api/tasks/:id returns 404 for missing task" do
     delete api_task_url(id: 99999), as: :json
     
     assert_response :not_found
   end
 
+  # ==========================================================================
+  # BATCH TESTS
+  # ==========================================================================
+
+  test "POST /api/tasks/batch changes every task" do
+    other = Task.create!(title: "Second", assignee: "mechdog", status: "backlog", priority: "low")
+
+    post batch_api_tasks_url, params: { ids: [@task.id, other.id], changes: { status: "done", priority: "high" } }, as: :json
+
+    assert_response :success
+    json = JSON.parse(@response.body)
+    assert_equal 2, json["succeeded"]
+    assert_equal 0, json["failed"]
+    assert_equal [@task.id, other.id], json["results"].map { |result| result["id"] }
+    assert_equal %w[done done], [@task.reload.status, other.reload.status]
+    assert_equal %w[high high], [@task.priority, other.priority]
+  end
+
+  test "POST /api/tasks/batch logs one activity per task" do
+    other = Task.create!(title: "Second", assignee: "mechdog", status: "backlog", priority: "low")
+
+    assert_difference "TaskActivity.count", 2 do
+      post batch_api_tasks_url, params: { ids: [@task.id, other.id], changes: { status: "sprint", assignee: "sparky" } }, as: :json
+    end
+
+    assert_equal 1, @task.activities.count
+    assert_equal 1, other.activities.count
+  end
+
+  test "POST /api/tasks/batch reports missing tasks without failing the rest" do
+    post batch_api_tasks_url, params: { ids: [@task.id, 99999], changes: { status: "hold" } }, as: :json
+
+    assert_response :success
+    json = JSON.parse(@response.body)
+    assert_equal 1, json["succeeded"]
+    assert_equal 1, json["failed"]
+
+    missing = json["results"].find { |result| result["id"] == 99999 }
+    assert_equal false, missing["ok"]
+    assert_equal ["Task not found"], missing["errors"]
+    assert_equal "hold", @task.reload.status
+  end
+
+  test "POST /api/tasks/batch returns 422 when nothing succeeds" do
+    post batch_api_tasks_url, params: { ids: [@task.id], changes: { status: "invalid_status" } }, as: :json
+
+    assert_response :unprocessable_entity
+    json = JSON.parse(@response.body)
+    assert_equal 0, json["succeeded"]
+    assert_not_empty json["results"].first["errors"]
+    assert_equal "backlog", @task.reload.status
+  end
+
+  test "POST /api/tasks/batch archives every task" do
+    other = Task.create!(title: "Second", assignee: "mechdog", status: "backlog", priority: "low")
+
+    post batch_api_tasks_url, params: { ids: [@task.id, other.id], archive: true }, as: :json
+
+    assert_response :success
+    assert @task.reload.archived?
+    assert other.reload.archived?
+    assert_equal ["archived"], other.activities.pluck(:activity_type)
+  end
+
+  test "POST /api/tasks/batch with position drops the tasks in order" do
+    Task.create!(title: "Existing A", assignee: "mechdog", status: "sprint", priority: "low")
+    Task.create!(title: "Existing B", assignee: "mechdog", status: "sprint", priority: "low")
+    other = Task.create!(title: "Second", assignee: "sparky", status: "hold", priority: "low")
+
+    post batch_api_tasks_url, params: { ids: [@task.id, other.id], changes: { status: "sprint", assignee: "mechdog" }, position: 1 }, as: :json
+
+    assert_response :success
+    assert_equal ["Existing B", "API Test Task", "Second", "Existing A"], Task.in_column("mechdog", "sprint").ordered.pluck(:title)
+  end
+
+  test "POST /api/tasks/batch without position keeps the selection order at the top" do
+    Task.create!(title: "Existing", assignee: "mechdog", status: "sprint", priority: "low")
+    other = Task.create!(title: "Second", assignee: "sparky", status: "hold", priority: "low")
+
+    post batch_api_tasks_url, params: { ids: [@task.id, other.id], changes: { status: "sprint", assignee: "mechdog" } }, as: :json
+
+    assert_equal ["API Test Task", "Second", "Existing"], Task.in_column("mechdog", "sprint").ordered.pluck(:title)
+  end
+
+  test "POST /api/tasks/batch requires ids and a change" do
+    post batch_api_tasks_url, params: { ids: [], changes: { status: "done" } }, as: :json
+    assert_response :unprocessable_entity
+
+    post batch_api_tasks_url, params: { ids: [@task.id] }, as: :json
+    assert_response :unprocessable_entity
+  end
+
+  # ==========================================================================
+  # UNDO TESTS
+  # ==========================================================================
+
+  test "POST /api/tasks/:id/undo with restore brings back an archived task" do
+    @task.archive!
+
+    post undo_api_task_url(@task), params: { restore: true }, as: :json
+
+    assert_response :success
+    json = JSON.parse(@response.body)
+    assert_equal false, json["task"]["archived"]
+    assert_equal "reverted", json["activity"]["activity_type"]
+    assert_not @task.reload.archived?
+  end
+
+  test "POST /api/tasks/:id/undo with revert moves the card back" do
+    @task.update!(status: "done", assignee: "mechdog")
+
+    assert_difference "TaskActivity.count", 1 do
+      post undo_api_task_url(@task), params: { revert: { status: "backlog", assignee: "sparky" }, position: 0 }, as: :json
+    end
+
+    assert_response :success
+    @task.reload
+    assert_equal ["backlog", "sparky"], [@task.status, @task.assignee]
+  end
+
+  test "POST /api/tasks/:id/undo with activity_id reapplies the changeset" do
+    @task.update!(title: "Oops")
+    edit = @task.log_update_activity
+
+    post undo_api_task_url(@task), params: { activity_id: edit.id }, as: :json
+
+    assert_response :success
+    assert_equal "API Test Task", @task.reload.title
+  end
+
+  test "POST /api/tasks/:id/undo returns 422 when nothing is left to undo" do
+    @task.update!(title: "Oops")
+    edit = @task.log_update_activity
+    @task.update!(title: "Fixed by hand")
+
+    post undo_api_task_url(@task), params: { activity_id: edit.id }, as: :json
+
+    assert_response :unprocessable_entity
+    assert_match(/Nothing left to undo/, JSON.parse(@response.body)["errors"].first)
+    assert_equal "Fixed by hand", @task.reload.title
+  end
+
+  test "POST /api/tasks/:id/undo returns 404 for another task's activity" do
+    other = Task.create!(title: "Other", assignee: "mechdog", status: "backlog", priority: "low")
+    other.update!(title: "Other renamed")
+    edit = other.log_update_activity
+
+    post undo_api_task_url(@task), params: { activity_id: edit.id }, as: :json
+
+    assert_response :not_found
+  end
+
+  test "POST /api/tasks/:id/undo returns 404 for missing task" do
+    post undo_api_task_url(id: 99999), params: { restore: true }, as: :json
+
+    assert_response :not_found
+  end
+
   # ==========================================================================
   # INTEGRATION TESTS
   # ==========================================================================
@@ -0,0 +1,100 @@
+# ============================================================================
+# API Tests: Token Authentication
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Requests to /api with "Authorization: Bearer <token>" and no session,
+# the way Sparky and scripts call it (ApiAuthentication concern). Checks
+# the 401/403 answers and that changes made with a token are recorded
+# against both the token and its user.
+#
+# ============================================================================
+
+require "test_helper"
+
+class Api::TokenAuthenticationTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email: "script@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "script_owner",
+      name: "Script Owner",
+      role: "admin"
+    )
+    @task = Task.create!(title: "Token task", assignee: "sparky", status: "backlog", priority: "medium")
+  end
+
+  def auth(api_token)
+    { "Authorization" => "Bearer #{api_token.token}" }
+  end
+
+  test "a read token can list tasks without a session" do
+    api_token = @user.api_tokens.create!(name: "Reader", scopes: ["read"])
+
+    get api_tasks_url, as: :json, headers: auth(api_token)
+
+    assert_response :success
+    assert_includes JSON.parse(@response.body).map { |task| task["id"] }, @task.id
+  end
+
+  test "no session and no token is 401" do
+    get api_tasks_url, as: :json
+
+    assert_response :unauthorized
+    assert_match "Bearer", @response.headers["WWW-Authenticate"]
+  end
+
+  test "unknown and revoked tokens are 401" do
+    get api_tasks_url, as: :json, headers: { "Authorization" => "Bearer kbt_nope" }
+    assert_response :unauthorized
+
+    api_token = @user.api_tokens.create!(name: "Old", scopes: ["read"])
+    api_token.revoke!
+    get api_tasks_url, as: :json, headers: auth(api_token)
+    assert_response :unauthorized
+  end
+
+  test "a session request with a bad CSRF token asks the client to sign in again" do
+    ActionController::Base.allow_forgery_protection = true
+    sign_in @user
+
+    patch api_task_url(@task), params: { status: "done" }, as: :json, headers: { "X-CSRF-Token" => "stale" }
+
+    assert_response :unprocessable_entity
+    assert_equal true, JSON.parse(@response.body)["reauthenticate"]
+    assert_equal "backlog", @task.reload.status
+  ensure
+    ActionController::Base.allow_forgery_protection = false
+  end
+
+  test "a token without the scope is 403" do
+    api_token = @user.api_tokens.create!(name: "Reader", scopes: ["read"])
+
+    patch api_task_url(@task), params: { status: "done" }, as: :json, headers: auth(api_token)
+
+    assert_response :forbidden
+    assert_equal "backlog", @task.reload.status
+  end
+
+  test "a write token doesn't imply read" do
+    api_token = @user.api_tokens.create!(name: "Writer", scopes: ["tasks:write"])
+
+    get api_tasks_url, as: :json, headers: auth(api_token)
+
+    assert_response :forbidden
+  end
+
+  test "changes made with a token record the token and its user" do
+    api_token = @user.api_tokens.create!(name: "Sparky", scopes: ["read", "tasks:write"])
+
+    patch api_task_url(@task), params: { status: "in_progress" }, as: :json, headers: auth(api_token)
+
+    assert_response :success
+    activity = @task.activities.order(:id).last
+    assert_equal @user, activity.user
+    assert_equal api_token, activity.api_token
+    assert_equal "Sparky", activity.feed_json[:via]
+  end
+end
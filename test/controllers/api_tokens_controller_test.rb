@@ -0,0 +1,110 @@
+# ============================================================================
+# Controller Tests: ApiTokensController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Creating and revoking API tokens from a user's edit page. Admins may,
+# for their own account; super admins for anyone (ApiTokenPolicy). The new
+# token is shown once via flash.
+#
+# ============================================================================
+
+require "test_helper"
+
+class ApiTokensControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @admin = User.create!(
+      email: "owner@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "owner",
+      name: "Owner",
+      role: "super_admin"
+    )
+    @sparky = User.create!(
+      email: "sparky@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "sparky",
+      name: "Sparky",
+      role: "admin"
+    )
+  end
+
+  test "a super admin creates a token and sees it once" do
+    sign_in @admin
+
+    assert_difference "@sparky.api_tokens.count", 1 do
+      post user_api_tokens_url(@sparky), params: { api_token: { name: "Heartbeat", scopes: ["read", "tasks:write"] } }
+    end
+
+    api_token = @sparky.api_tokens.last
+    assert_redirected_to edit_user_url(@sparky, anchor: "api-tokens")
+    assert_equal ApiToken.digest(flash[:api_token]), api_token.token_digest
+    assert_equal ["read", "tasks:write"], api_token.scopes
+  end
+
+  test "a token without scopes isn't created" do
+    sign_in @admin
+
+    assert_no_difference "ApiToken.count" do
+      post user_api_tokens_url(@sparky), params: { api_token: { name: "Nothing", scopes: [""] } }
+    end
+
+    assert_match "scope", flash[:alert]
+    assert_nil flash[:api_token]
+  end
+
+  test "revoking keeps the token but stops it working" do
+    sign_in @admin
+    api_token = @sparky.api_tokens.create!(name: "Heartbeat", scopes: ["read"])
+
+    delete user_api_token_url(@sparky, api_token)
+
+    assert_redirected_to edit_user_url(@sparky, anchor: "api-tokens")
+    assert api_token.reload.revoked?
+    assert_nil ApiToken.authenticate(api_token.token)
+  end
+
+  test "an admin creates tokens for their own account" do
+    sign_in @sparky
+
+    assert_difference "@sparky.api_tokens.count", 1 do
+      post user_api_tokens_url(@sparky), params: { api_token: { name: "Mine", scopes: ["read"] } }
+    end
+    assert_redirected_to edit_user_url(@sparky, anchor: "api-tokens")
+  end
+
+  test "an admin can't create or revoke someone else's tokens" do
+    sign_in @sparky
+    api_token = @admin.api_tokens.create!(name: "Owner's", scopes: ["read"])
+
+    assert_no_difference "ApiToken.count" do
+      post user_api_tokens_url(@admin), params: { api_token: { name: "Stolen", scopes: ["read", "tasks:write"] } }
+    end
+    delete user_api_token_url(@admin, api_token)
+
+    assert_not api_token.reload.revoked?
+  end
+
+  test "other users can't create or revoke tokens" do
+    member = User.create!(
+      email: "member@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "member",
+      name: "Member",
+      role: "user"
+    )
+    sign_in member
+    api_token = member.api_tokens.create!(name: "Heartbeat", scopes: ["read"])
+
+    assert_no_difference "ApiToken.count" do
+      post user_api_tokens_url(member), params: { api_token: { name: "Mine", scopes: ["read"] } }
+    end
+    delete user_api_token_url(member, api_token)
+
+    assert_not api_token.reload.revoked?
+  end
+end
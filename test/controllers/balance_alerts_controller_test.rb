@@ -0,0 +1,113 @@
+# ============================================================================
+# Controller Tests: BalanceAlertsController and BalanceThresholdsController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The banner's Acknowledge / Snooze buttons and the threshold form on the
+# dashboard. Both answer with what the page needs next: the alerts still
+# active, or where to go after saving.
+#
+# ============================================================================
+
+require "test_helper"
+
+class BalanceAlertsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email: "alerts@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "alert_watcher",
+      name: "Alert Watcher",
+      role: "user"
+    )
+
+    @alert = BalanceAlert.evaluate!("moonshot", 4)
+  end
+
+  def alerts
+    JSON.parse(@response.body)["alerts"]
+  end
+
+  test "requires sign in" do
+    get balance_alerts_url, as: :json
+    assert_response :unauthorized
+  end
+
+  test "lists the active alerts" do
+    sign_in @user
+    get balance_alerts_url, as: :json
+
+    assert_response :success
+    assert_equal [@alert.id], alerts.map { |alert| alert["id"] }
+    assert_equal "critical", alerts.first["level"]
+  end
+
+  test "acknowledging hides the alert" do
+    sign_in @user
+    patch acknowledge_balance_alert_url(@alert), as: :json
+
+    assert_response :success
+    assert_empty alerts
+    assert @alert.reload.acknowledged_at.present?
+  end
+
+  test "snoozing hides the alert for the chosen time" do
+    sign_in @user
+    patch snooze_balance_alert_url(@alert, duration: "1d"), as: :json
+
+    assert_response :success
+    assert_empty alerts
+    assert_in_delta 1.day.from_now, @alert.reload.snoozed_until, 5.seconds
+  end
+
+  test "snoozing needs a known duration" do
+    sign_in @user
+    patch snooze_balance_alert_url(@alert, duration: "forever"), as: :json
+
+    assert_response :unprocessable_entity
+    assert_nil @alert.reload.snoozed_until
+  end
+
+  test "balances JSON carries the active alerts and thresholds" do
+    ApiBalanceHistory.create!(provider: "moonshot", balance: 4, currency: "USD", success: true, queried_at: 1.minute.ago)
+
+    sign_in @user
+    get api_balances_url, as: :json
+
+    body = JSON.parse(@response.body)
+    assert_equal [@alert.id], body["alerts"].map { |alert| alert["id"] }
+    assert_equal({ "warning" => 20.0, "critical" => 5.0 }, body["thresholds"]["moonshot"])
+  end
+
+  # ==========================================================================
+  # THRESHOLDS
+  # ==========================================================================
+
+  test "saving thresholds creates them for the provider" do
+    sign_in @user
+
+    assert_difference "BalanceThreshold.count", 1 do
+      patch balance_threshold_url("openrouter"), params: { balance_threshold: { warning: "50", critical: "10" } }
+    end
+
+    assert_redirected_to balances_url
+    assert_equal 50, BalanceThreshold.for("openrouter").warning
+  end
+
+  test "invalid thresholds aren't saved" do
+    sign_in @user
+    patch balance_threshold_url("openrouter"), params: { balance_threshold: { warning: "5", critical: "10" } }, as: :json
+
+    assert_response :unprocessable_entity
+    assert BalanceThreshold.for("openrouter").new_record?
+  end
+
+  test "unknown providers are not found" do
+    sign_in @user
+    patch balance_threshold_url("nobody"), params: { balance_threshold: { warning: "5" } }
+
+    assert_response :not_found
+  end
+end
@@ -0,0 +1,48 @@
+# ============================================================================
+# Controller Tests: BalancesController (balance dashboard)
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# /balances is an HTML page for signed-in users; the charts on it are
+# drawn in the browser from /api/balances/history (tested in
+# test/controllers/api/balances_controller_test.rb). Here we only check
+# that the page is protected and wires up its Stimulus controllers.
+#
+# ============================================================================
+
+require "test_helper"
+
+class BalancesControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email: "balances@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "balance_watcher",
+      name: "Balance Watcher",
+      role: "user"
+    )
+
+    # A fresh recording, so the page doesn't query the providers
+    ApiBalanceHistory.create!(provider: "moonshot", balance: 42, currency: "USD", success: true, queried_at: 1.minute.ago)
+  end
+
+  test "requires sign in" do
+    get balances_url
+    assert_redirected_to new_user_session_url
+  end
+
+  test "renders the table and the chart controls" do
+    skip "Requires asset pipeline" if ENV["CI"]
+    sign_in @user
+
+    get balances_url(days: 14)
+
+    assert_response :success
+    assert_select "#api-balances[data-controller='balance']"
+    assert_select "tr[data-balance-provider='moonshot'] [data-balance-field='amount']"
+    assert_select "[data-controller='balance-dashboard'][data-balance-dashboard-days-value='14']"
+    assert_select "#balance-days option[selected]", text: "14 days"
+  end
+end
@@ -0,0 +1,224 @@
+# ============================================================================
+# Controller Tests: ConfigController (editing)
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Saving, backups and restores from the /config editor. Viewing is
+# covered in config_controller_test.rb.
+#
+# These tests write files, so they point ConfigFileStore at a temporary
+# directory (config.x.config_files) instead of Sparky's real SOUL.md.
+#
+# ============================================================================
+
+require "test_helper"
+require "tmpdir"
+
+class ConfigControllerEditingTest < ActionDispatch::IntegrationTest
+  setup do
+    @dir = Pathname(Dir.mktmpdir("config_files"))
+    @config = Rails.configuration.x.config_files
+    @original_paths = [@config.root, @config.backup_root]
+    @config.root = @dir.join("files")
+    @config.backup_root = @dir.join("backups")
+    FileUtils.mkdir_p(@config.root)
+    File.write(@config.root.join("SOUL.md"), "# Soul\n\nBe helpful.\n")
+
+    @admin = User.create!(
+      email: "config-admin@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "configadmin",
+      name: "Config Admin",
+      role: "admin"
+    )
+    @user = User.create!(
+      email: "config-user@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "configuser",
+      name: "Config User",
+      role: "user"
+    )
+  end
+
+  teardown do
+    @config.root, @config.backup_root = @original_paths
+    FileUtils.rm_rf(@dir)
+  end
+
+  def soul
+    File.read(@config.root.join("SOUL.md"))
+  end
+
+  def digest
+    ConfigFileStore.digest(soul)
+  end
+
+  def store
+    ConfigFileStore.new
+  end
+
+  # ==========================================================================
+  # SAVING
+  # ==========================================================================
+
+  test "admin saves a file and the old version is backed up" do
+    sign_in @admin
+    patch config_file_url(file: "SOUL.md"), params: { content: "# Soul\n\nBe brief.\n", base_digest: digest }, as: :json
+
+    assert_response :success
+    assert_equal "# Soul\n\nBe brief.\n", soul
+    assert_equal digest, JSON.parse(response.body)["metadata"]["digest"]
+
+    backups = store.backups("SOUL.md")
+    assert_equal 1, backups.size
+    assert_equal "# Soul\n\nBe helpful.\n", store.read_backup("SOUL.md", backups.first[:id])
+  end
+
+  test "a save based on an old version is rejected with the current content" do
+    sign_in @admin
+    stale = digest
+    File.write(@config.root.join("SOUL.md"), "# Soul\n\nChanged by Sparky.\n")
+
+    patch config_file_url(file: "SOUL.md"), params: { content: "mine", base_digest: stale }, as: :json
+
+    assert_response :conflict
+    json = JSON.parse(response.body)
+    assert_equal "# Soul\n\nChanged by Sparky.\n", json["content"]
+    assert_equal digest, json["metadata"]["digest"]
+    assert_equal "# Soul\n\nChanged by Sparky.\n", soul
+    assert_empty store.backups("SOUL.md")
+  end
+
+  test "saving unchanged content makes no backup" do
+    sign_in @admin
+    patch config_file_url(file: "SOUL.md"), params: { content: soul, base_digest: digest }, as: :json
+
+    assert_response :success
+    assert_empty store.backups("SOUL.md")
+  end
+
+  test "a missing file can be created with a blank base digest" do
+    sign_in @admin
+    patch config_file_url(file: "USER.md"), params: { content: "# User\n", base_digest: "" }, as: :json
+
+    assert_response :success
+    assert_equal "# User\n", File.read(@config.root.join("USER.md"))
+  end
+
+  test "regular users can't save" do
+    sign_in @user
+    patch config_file_url(file: "SOUL.md"), params: { content: "hacked", base_digest: digest }, as: :json
+
+    assert_response :forbidden
+    assert_equal "# Soul\n\nBe helpful.\n", soul
+  end
+
+  test "saving requires signing in" do
+    patch config_file_url(file: "SOUL.md"), params: { content: "hacked", base_digest: digest }, as: :json
+
+    assert_response :unauthorized
+    assert_equal "# Soul\n\nBe helpful.\n", soul
+  end
+
+  test "only whitelisted files can be saved" do
+    sign_in @admin
+    patch config_file_url(file: "Gemfile"), params: { content: "source 'x'", base_digest: "" }, as: :json
+
+    assert_response :not_found
+    assert_not File.exist?(@config.root.join("Gemfile"))
+  end
+
+  # ==========================================================================
+  # BACKUPS
+  # ==========================================================================
+
+  test "lists backups and shows one" do
+    store.write("SOUL.md", "version 2", base_digest: digest)
+    sign_in @admin
+
+    get config_file_backups_url(file: "SOUL.md"), as: :json
+    assert_response :success
+    id = JSON.parse(response.body).first["id"]
+
+    get config_file_backup_url(file: "SOUL.md", backup: id), as: :json
+    assert_response :success
+    assert_equal "# Soul\n\nBe helpful.\n", JSON.parse(response.body)["content"]
+  end
+
+  test "restoring a backup puts it back and backs up what it replaced" do
+    store.write("SOUL.md", "version 2", base_digest: digest)
+    id = store.backups("SOUL.md").first[:id]
+    sign_in @admin
+
+    post restore_config_file_backup_url(file: "SOUL.md", backup: id), params: { base_digest: digest }, as: :json
+
+    assert_response :success
+    assert_equal "# Soul\n\nBe helpful.\n", soul
+    assert_equal "version 2", store.read_backup("SOUL.md", store.backups("SOUL.md").first[:id])
+  end
+
+  test "restoring over a changed file is rejected" do
+    store.write("SOUL.md", "version 2", base_digest: digest)
+    id = store.backups("SOUL.md").first[:id]
+    sign_in @admin
+
+    post restore_config_file_backup_url(file: "SOUL.md", backup: id), params: { base_digest: "stale" }, as: :json
+
+    assert_response :conflict
+    assert_equal "version 2", soul
+  end
+
+  test "unknown backups are not found" do
+    sign_in @admin
+    get config_file_backup_url(file: "SOUL.md", backup: "20260101T000000000Z"), as: :json
+    assert_response :not_found
+
+    get config_file_backup_url(file: "SOUL.md", backup: "latest"), as: :json
+    assert_response :not_found
+  end
+
+  test "regular users can't see or restore backups" do
+    store.write("SOUL.md", "version 2", base_digest: digest)
+    id = store.backups("SOUL.md").first[:id]
+    sign_in @user
+
+    get config_file_backups_url(file: "SOUL.md"), as: :json
+    assert_response :forbidden
+
+    post restore_config_file_backup_url(file: "SOUL.md", backup: id), params: { base_digest: digest }, as: :json
+    assert_response :forbidden
+    assert_equal "version 2", soul
+  end
+
+  test "keeps only the newest backups" do
+    (ConfigFileStore::MAX_BACKUPS + 2).times do |i|
+      store.write("SOUL.md", "version #{i}", base_digest: digest)
+    end
+
+    backups = store.backups("SOUL.md")
+    assert_equal ConfigFileStore::MAX_BACKUPS, backups.size
+    # The newest backup holds the version before the last save
+    assert_equal "version #{ConfigFileStore::MAX_BACKUPS}", store.read_backup("SOUL.md", backups.first[:id])
+  end
+
+  # ==========================================================================
+  # VIEW
+  # ==========================================================================
+
+  test "admins see the editor and regular users don't" do
+    skip "Requires asset pipeline" if ENV["CI"]
+
+    sign_in @admin
+    get config_file_url(file: "SOUL.md")
+    assert_select "[data-controller='config-editor'][data-config-editor-digest-value=?]", digest
+    assert_select "textarea#config-editor-input", text: /Be helpful/
+
+    sign_out @admin
+    sign_in @user
+    get config_file_url(file: "SOUL.md")
+    assert_select "[data-controller='config-editor']", count: 0
+  end
+end
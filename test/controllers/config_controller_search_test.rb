@@ -0,0 +1,114 @@
+# ============================================================================
+# Controller Tests: ConfigController (search)
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# GET /config/search feeds the search box in the config viewer. Like the
+# editing tests, these point ConfigFileStore at a temporary directory so
+# the results don't depend on what's in Sparky's real files.
+#
+# The anchors must match the heading ids lib/markdown.js generates in the
+# browser, or the links would open the file at the top instead of at the
+# match.
+#
+# ============================================================================
+
+require "test_helper"
+require "tmpdir"
+
+class ConfigControllerSearchTest < ActionDispatch::IntegrationTest
+  setup do
+    @dir = Pathname(Dir.mktmpdir("config_search"))
+    @config = Rails.configuration.x.config_files
+    @original_root = @config.root
+    @config.root = @dir
+
+    File.write(@dir.join("MEMORY.md"), <<~MARKDOWN)
+      # Memory
+
+      ## Deploys
+
+      Run the deploy script from the server.
+
+      ## Notes
+      Nothing here.
+
+      ## Notes
+      Deploy on Fridays? Never.
+
+      ```
+      # not a heading
+      ```
+      deploy after the code block
+    MARKDOWN
+    File.write(@dir.join("TOOLS.md"), "# Tools\n\n## Using `kamal` **deploy**\n\nkamal deploy pushes the image.\n")
+  end
+
+  teardown do
+    @config.root = @original_root
+    FileUtils.rm_rf(@dir)
+  end
+
+  def results
+    JSON.parse(response.body)["results"]
+  end
+
+  test "finds matches across files without signing in" do
+    get config_search_url(q: "deploy"), as: :json
+
+    assert_response :success
+    assert_equal %w[MEMORY.md TOOLS.md], results.map { |r| r["file"] }.uniq.sort
+  end
+
+  test "links each match to the heading it's under" do
+    get config_search_url(q: "script"), as: :json
+
+    result = results.sole
+    assert_equal "Memory", result["label"]
+    assert_equal "Deploys", result["heading"]
+    assert_equal 5, result["line"]
+    assert_equal config_file_path("MEMORY.md", anchor: "deploys"), result["url"]
+  end
+
+  test "anchors follow the browser renderer's heading ids" do
+    get config_search_url(q: "fridays"), as: :json
+    # Second "## Notes" is numbered, like GitHub
+    assert_equal "notes-1", results.sole["anchor"]
+
+    get config_search_url(q: "after the code"), as: :json
+    # "# not a heading" is inside a code block
+    assert_equal "notes-1", results.sole["anchor"]
+
+    get config_search_url(q: "pushes"), as: :json
+    # Markup is dropped from the heading text
+    assert_equal "Using kamal deploy", results.sole["heading"]
+    assert_equal "using-kamal-deploy", results.sole["anchor"]
+  end
+
+  test "snippets mark every matched word" do
+    get config_search_url(q: "SERVER deploy"), as: :json
+
+    snippet = results.sole["snippet"]
+    assert_equal "Run the deploy script from the server.", snippet.map { |part| part["text"] }.join
+    assert_equal %w[deploy server], snippet.select { |part| part["match"] }.map { |part| part["text"] }
+  end
+
+  test "long lines are cut down around the match" do
+    File.write(@dir.join("USER.md"), "#{'a' * 300} needle #{'b' * 300}\n")
+    get config_search_url(q: "needle"), as: :json
+
+    text = results.sole["snippet"].map { |part| part["text"] }.join
+    assert_operator text.length, :<=, ConfigSearch::SNIPPET_LENGTH + 2
+    assert_includes text, "needle"
+    assert text.start_with?("…") && text.end_with?("…")
+  end
+
+  test "short or blank queries return nothing" do
+    get config_search_url(q: "d"), as: :json
+    assert_empty results
+
+    get config_search_url, as: :json
+    assert_empty results
+  end
+end
@@ -192,6 +192,23 @@ class ConfigControllerTest < ActionDispatch::IntegrationTest
     assert_includes html, 'target="_blank"'
   end
 
+  test "render_markdown escapes raw HTML and drops unsafe links" do
+    controller = ConfigController.new
+
+    html = controller.send(:render_markdown, "<script>alert(1)</script>")
+    assert_not_includes html, "<script>"
+
+    html = controller.send(:render_markdown, "[x](javascript:alert(1))")
+    assert_not_includes html, "javascript:"
+  end
+
+  test "viewer hands the markdown source to the browser renderer" do
+    skip "Requires asset pipeline" if ENV["CI"]
+    get config_file_url(file: "SOUL.md")
+
+    assert_select ".markdown-content[data-controller='markdown'][data-markdown-source-value]"
+  end
+
   test "render_markdown handles empty input" do
     controller = ConfigController.new
     assert_equal "", controller.send(:render_markdown, nil)
@@ -0,0 +1,78 @@
+# ============================================================================
+# Controller Tests: PushSubscriptionsController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The browser posts the JSON from PushSubscription#toJSON():
+#   { endpoint: "...", keys: { p256dh: "...", auth: "..." } }
+# These tests send the same shape.
+#
+# ============================================================================
+
+require "test_helper"
+
+class PushSubscriptionsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email: "push_test@example.com",
+      password: "password123",
+      username: "push_tester",
+      name: "Push Tester",
+      role: "user"
+    )
+    @subscription_json = {
+      endpoint: "https://push.example.test/abc123",
+      keys: { p256dh: "p256dh-key", auth: "auth-key" }
+    }
+  end
+
+  test "requires login" do
+    post push_subscription_url, params: @subscription_json, as: :json
+
+    assert_response :unauthorized
+  end
+
+  test "saves the browser's subscription for the current user" do
+    sign_in @user
+
+    assert_difference "@user.push_subscriptions.count", 1 do
+      post push_subscription_url, params: @subscription_json, as: :json
+    end
+    assert_response :created
+
+    subscription = @user.push_subscriptions.last
+    assert_equal "p256dh-key", subscription.p256dh_key
+    assert_equal "auth-key", subscription.auth_key
+  end
+
+  test "subscribing the same browser again updates its keys" do
+    sign_in @user
+    post push_subscription_url, params: @subscription_json, as: :json
+
+    assert_no_difference "PushSubscription.count" do
+      post push_subscription_url,
+           params: @subscription_json.merge(keys: { p256dh: "new-key", auth: "new-auth" }), as: :json
+    end
+    assert_equal "new-key", PushSubscription.last.p256dh_key
+  end
+
+  test "rejects a subscription without keys" do
+    sign_in @user
+
+    post push_subscription_url, params: { endpoint: "https://push.example.test/x" }, as: :json
+
+    assert_response :unprocessable_entity
+    assert_includes response.parsed_body["errors"], "P256dh key can't be blank"
+  end
+
+  test "unsubscribing removes the subscription" do
+    sign_in @user
+    post push_subscription_url, params: @subscription_json, as: :json
+
+    assert_difference "PushSubscription.count", -1 do
+      delete push_subscription_url, params: { endpoint: @subscription_json[:endpoint] }, as: :json
+    end
+    assert_response :no_content
+  end
+end
@@ -0,0 +1,44 @@
+# ============================================================================
+# Controller Tests: PWA Files
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The service worker and web app manifest are served by Rails' built-in
+# Rails::PwaController from app/views/pwa. These tests make sure the routes
+# exist and return the right content types.
+#
+# KEY CONCEPTS:
+# - Browsers refuse to register a service worker served as anything but JS
+# - Rails::PwaController doesn't inherit our ApplicationController,
+#   so no login is required (the browser fetches these files on its own)
+#
+# ============================================================================
+
+require "test_helper"
+
+class PwaControllerTest < ActionDispatch::IntegrationTest
+  test "serves the service worker as JavaScript without authentication" do
+    get pwa_service_worker_url(format: :js)
+
+    assert_response :success
+    assert_equal "text/javascript", response.media_type
+    assert_includes response.body, "kanban-offline"
+  end
+
+  test "the service worker watches the real Devise sign-in and sign-out paths" do
+    get pwa_service_worker_url(format: :js)
+
+    # The worker drops its saved board when it sees these, so they must
+    # stay in step with config/routes.rb
+    assert_includes response.body, %(SIGN_IN_PATH = "#{new_user_session_path}")
+    assert_includes response.body, %(SIGN_OUT_PATH = "#{destroy_user_session_path}")
+  end
+
+  test "serves the web app manifest as JSON" do
+    get pwa_manifest_url(format: :json)
+
+    assert_response :success
+    assert_equal "KanbanRails", response.parsed_body["name"]
+  end
+end
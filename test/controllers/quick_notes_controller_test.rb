@@ -53,9 +53,34 @@ class QuickNotesControllerTest < ActionDispatch::IntegrationTest
     assert_response :success
   end
   
-  test "should allow JSON access without authentication" do
+  test "JSON needs a session or an API token" do
     get quick_notes_url, as: :json
+    assert_response :unauthorized
+  end
+
+  test "JSON writes without a session or token are refused" do
+    patch quick_note_url(@quick_note), params: { quick_note: { title: "Hijacked" } }, as: :json
+    assert_response :unauthorized
+
+    assert_no_difference("QuickNote.count") do
+      delete quick_note_url(@quick_note), as: :json
+    end
+    assert_response :unauthorized
+    assert_equal "Test Note", @quick_note.reload.title
+  end
+
+  test "an API token needs notes:write to change notes" do
+    read_only = @user.api_tokens.create!(name: "Reader", scopes: ["read"])
+    writer = @user.api_tokens.create!(name: "Writer", scopes: ["read", "notes:write"])
+
+    patch quick_note_url(@quick_note), params: { quick_note: { title: "Nope" } }, as: :json,
+                                       headers: { "Authorization" => "Bearer #{read_only.token}" }
+    assert_response :forbidden
+
+    patch quick_note_url(@quick_note), params: { quick_note: { title: "By token" } }, as: :json,
+                                       headers: { "Authorization" => "Bearer #{writer.token}" }
     assert_response :success
+    assert_equal "By token", @quick_note.reload.title
   end
 
   # ==========================================================================
@@ -71,6 +96,7 @@ class QuickNotesControllerTest < ActionDispatch::IntegrationTest
   end
   
   test "index should return JSON array" do
+    sign_in @user
     get quick_notes_url, as: :json
     json_response = JSON.parse(response.body)
     assert_kind_of Array, json_response
@@ -83,6 +109,7 @@ class QuickNotesControllerTest < ActionDispatch::IntegrationTest
   # ==========================================================================
   
   test "show should return JSON object" do
+    sign_in @user
     get quick_note_url(@quick_note), as: :json
     json_response = JSON.parse(response.body)
     assert_equal "Test Note", json_response["title"]
@@ -150,6 +177,7 @@ class QuickNotesControllerTest < ActionDispatch::IntegrationTest
   end
   
   test "create should return JSON with created status on success" do
+    sign_in @user
     post quick_notes_url, params: {
       quick_note: { title: "API Note", content: "API content" }
     }, as: :json
@@ -160,6 +188,7 @@ class QuickNotesControllerTest < ActionDispatch::IntegrationTest
   end
   
   test "create should return JSON errors on failure" do
+    sign_in @user
     post quick_notes_url, params: {
       quick_note: { title: "", content: "Content" }
     }, as: :json
@@ -170,6 +199,7 @@ class QuickNotesControllerTest < ActionDispatch::IntegrationTest
   end
   
   test "create should accept params without quick_note wrapper" do
+    sign_in @user
     post quick_notes_url, params: {
       title: "Unwrapped Note", content: "Unwrapped content"
     }, as: :json
@@ -221,6 +251,7 @@ class QuickNotesControllerTest < ActionDispatch::IntegrationTest
   end
   
   test "update should return JSON on success" do
+    sign_in @user
     patch quick_note_url(@quick_note), params: {
       quick_note: { title: "JSON Updated", content: "JSON content" }
     }, as: :json
@@ -231,6 +262,7 @@ class QuickNotesControllerTest < ActionDispatch::IntegrationTest
   end
   
   test "update should return JSON errors on failure" do
+    sign_in @user
     patch quick_note_url(@quick_note), params: {
       quick_note: { title: "", content: "Content" }
     }, as: :json
@@ -256,6 +288,7 @@ class QuickNotesControllerTest < ActionDispatch::IntegrationTest
   end
   
   test "destroy should return no content for JSON" do
+    sign_in @user
     delete quick_note_url(@quick_note), as: :json
     assert_response :no_content
   end
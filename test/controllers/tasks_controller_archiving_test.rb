@@ -73,6 +73,24 @@ class TasksControllerArchivingTest < ActionDispatch::IntegrationTest
     assert_equal @task.id, activity.task_id
   end
   
+  test "destroy hands an undo to the next page" do
+    delete task_url(@task)
+    
+    activity = TaskActivity.find_by(task: @task, activity_type: 'archived')
+    undo = flash[:undo].with_indifferent_access
+    assert_equal "Archived task ##{@task.id}", undo[:label]
+    assert_equal activity.id, undo[:steps].first[:body][:activity_id]
+  end
+  
+  test "board renders the pending undo for the undo controller" do
+    delete task_url(@task)
+    follow_redirect!
+    
+    assert_select "[data-controller=undo][data-undo-pending-value*='activity_id']"
+    # Not shown as a flash alert
+    assert_select ".alert", text: /activity_id/, count: 0
+  end
+  
   test "destroy via json returns no_content" do
     delete task_url(@task), as: :json
     
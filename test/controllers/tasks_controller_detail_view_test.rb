@@ -116,7 +116,7 @@ class TasksControllerDetailViewTest < ActionDispatch::IntegrationTest
     assert_response :success
     
     # Task is in_progress, so should have both left and right buttons
-    # STATUSES = %w[hold backlog in_progress sprint daily done]
+    # Workflow::DEFAULT_STATUSES: hold backlog in_progress sprint daily done
     assert_select "button", /Backlog/  # Move left (in_progress -> backlog)
     assert_select "button", /Sprint/   # Move right (in_progress -> sprint)
   end
@@ -116,6 +116,13 @@ class TasksControllerMoveTest < ActionDispatch::IntegrationTest
     assert_includes @response.body, '<turbo-stream action="prepend"'
   end
 
+  test "move_right puts the task at the top of the new column" do
+    post move_right_task_url(@backlog_task), as: :turbo_stream
+    
+    # Matches the prepend above, so a reload shows the same order
+    assert_equal @backlog_task.id, Task.in_column("sparky", "in_progress").ordered.first.id
+  end
+
   # ==========================================================================
   # MOVE LEFT TESTS (regress workflow)
   # ==========================================================================
@@ -259,4 +266,80 @@ class TasksControllerMoveTest < ActionDispatch::IntegrationTest
     task.reload
     assert_equal "sprint", task.status
   end
+
+  # ==========================================================================
+  # MOVE LANE TESTS (swap assignee, keep status)
+  # ==========================================================================
+
+  test "POST /tasks/:id/move_lane moves the task to the other assignee" do
+    post move_lane_task_url(@backlog_task), params: { assignee: "mechdog" }, as: :turbo_stream
+
+    assert_response :success
+    @backlog_task.reload
+    assert_equal "mechdog", @backlog_task.assignee
+    assert_equal "backlog", @backlog_task.status
+  end
+
+  test "move_lane Turbo Stream prepends to the same column in the new lane" do
+    post move_lane_task_url(@backlog_task), params: { assignee: "mechdog" }, as: :turbo_stream
+
+    assert_includes @response.body, '<turbo-stream action="remove"'
+    assert_includes @response.body, '<turbo-stream action="prepend" target="column_mechdog_backlog"'
+  end
+
+  test "move_lane updates the counts of both lanes" do
+    post move_lane_task_url(@backlog_task), params: { assignee: "mechdog" }, as: :turbo_stream
+
+    assert_includes @response.body, 'target="count_mechdog_backlog"'
+    assert_includes @response.body, 'target="count_sparky_backlog"'
+  end
+
+  test "move_lane ignores unknown assignees" do
+    post move_lane_task_url(@backlog_task), params: { assignee: "nobody" }, as: :turbo_stream
+
+    assert_response :success
+    assert_equal "sparky", @backlog_task.reload.assignee
+  end
+
+  # ==========================================================================
+  # WIP LIMITS
+  # ==========================================================================
+
+  test "move_right into a full column is refused with the reason" do
+    WipLimit.create!(assignee: "sparky", status: "in_progress", max_tasks: 1)
+
+    post move_right_task_url(@backlog_task), as: :turbo_stream
+
+    assert_redirected_to tasks_url
+    assert_match "Sparky · In Progress is at its WIP limit (1/1)", flash[:alert]
+    assert_equal "backlog", @backlog_task.reload.status
+  end
+
+  test "move_right with override_wip_limit goes over and logs it" do
+    WipLimit.create!(assignee: "sparky", status: "in_progress", max_tasks: 1)
+
+    post move_right_task_url(@backlog_task), params: { override_wip_limit: "1" }, as: :turbo_stream
+
+    assert_response :success
+    assert_equal "in_progress", @backlog_task.reload.status
+    assert @backlog_task.activities.exists?(activity_type: "wip_override", user: @user)
+  end
+
+  test "move_lane respects the other lane's limit" do
+    WipLimit.create!(assignee: "mechdog", status: "backlog", max_tasks: 1)
+    Task.create!(title: "Mechdog's backlog", assignee: "mechdog", status: "backlog", priority: "low")
+
+    post move_lane_task_url(@backlog_task), params: { assignee: "mechdog" }, as: :json
+
+    assert_response :unprocessable_entity
+    assert_equal "sparky", @backlog_task.reload.assignee
+  end
+
+  test "column counts show the limit" do
+    WipLimit.create!(assignee: "sparky", status: "in_progress", max_tasks: 3)
+
+    post move_right_task_url(@backlog_task), as: :turbo_stream
+
+    assert_includes @response.body, '<span class="column-limit">/3</span>'
+  end
 end
@@ -81,6 +81,7 @@ class TasksControllerQuickNotesTest < ActionDispatch::IntegrationTest
   end
   
   test "kanban board should not load quick notes for JSON format" do
+    sign_in @user
     get tasks_url, as: :json
     
     assert_response :success
@@ -107,6 +107,14 @@ class TasksControllerTest < ActionDispatch::IntegrationTest
     assert_response :success
   end
 
+  test "new prefills fields from the query string" do
+    skip "Requires asset pipeline" if ENV["CI"]
+    get new_task_url(assignee: "sparky", status: "sprint")
+    assert_response :success
+    assert_select "select[name='task[assignee]'] option[selected][value='sparky']"
+    assert_select "select[name='task[status]'] option[selected][value='sprint']"
+  end
+
   # ==========================================================================
   # CREATE TESTS
   # ==========================================================================
@@ -192,6 +200,35 @@ class TasksControllerTest < ActionDispatch::IntegrationTest
     assert_equal "Test Task", @task.title  # Unchanged
   end
 
+  test "update with a stale lock_version shows the merge panel" do
+    skip "Requires asset pipeline" if ENV["CI"]
+    @task.update!(status: "done")
+    @task.log_update_activity
+
+    patch task_url(@task), params: { task: { status: "in_progress", lock_version: 0 } }
+
+    assert_response :conflict
+    assert_equal "done", @task.reload.status
+    assert_select "input[name='resolution[status]'][value=theirs]"
+    assert_select "input[name='task[lock_version]'][value=?]", @task.lock_version.to_s
+  end
+
+  test "update resolved to theirs keeps the saved value and the rest of the edit" do
+    @task.update!(status: "done")
+    @task.log_update_activity
+
+    patch task_url(@task), params: {
+      task: { title: "Renamed", status: "in_progress", lock_version: @task.lock_version },
+      resolve: "theirs",
+      resolution: { status: "theirs" }
+    }
+
+    assert_redirected_to tasks_url
+    @task.reload
+    assert_equal "done", @task.status
+    assert_equal "Renamed", @task.title
+  end
+
   # ==========================================================================
   # DESTROY (ARCHIVE) TESTS
   # ==========================================================================
@@ -221,4 +258,52 @@ class TasksControllerTest < ActionDispatch::IntegrationTest
     # But still exists in database
     assert Task.unscoped.find(@task.id)
   end
+
+  # ==========================================================================
+  # JSON AUTHENTICATION TESTS
+  # ==========================================================================
+  # .json goes through ApiAuthentication: a session (plus CSRF token) or an
+  # API token with tasks:write, never neither
+
+  test "JSON update without a session or token is 401" do
+    sign_out @user
+
+    patch task_url(@task), params: { task: { title: "Hijacked" } }, as: :json
+
+    assert_response :unauthorized
+    assert_equal "Test Task", @task.reload.title
+  end
+
+  test "JSON destroy without a session or token is 401" do
+    sign_out @user
+
+    delete task_url(@task), as: :json
+
+    assert_response :unauthorized
+    assert_not @task.reload.archived?
+  end
+
+  test "JSON moves without a session or token are 401" do
+    sign_out @user
+
+    post move_right_task_url(@task), as: :json
+
+    assert_response :unauthorized
+    assert_equal "backlog", @task.reload.status
+  end
+
+  test "an API token needs tasks:write to change tasks" do
+    sign_out @user
+    reader = @user.api_tokens.create!(name: "Reader", scopes: ["read"])
+    writer = @user.api_tokens.create!(name: "Writer", scopes: ["read", "tasks:write"])
+
+    patch task_url(@task), params: { task: { title: "Nope" } }, as: :json,
+                           headers: { "Authorization" => "Bearer #{reader.token}" }
+    assert_response :forbidden
+
+    patch task_url(@task), params: { task: { title: "By token" } }, as: :json,
+                           headers: { "Authorization" => "Bearer #{writer.token}" }
+    assert_response :success
+    assert_equal "By token", @task.reload.title
+  end
 end
@@ -0,0 +1,76 @@
+# ============================================================================
+# Controller Tests: ThemesController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The theme is saved on the user (so it follows them between browsers)
+# and in a cookie (so signed-out pages get it too). The layout then
+# renders it into <html data-bs-theme>, which is what stops the flash of
+# the wrong theme on page load.
+#
+# ============================================================================
+
+require "test_helper"
+
+class ThemesControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email: "themes@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "theme_picker",
+      name: "Theme Picker",
+      role: "user"
+    )
+  end
+
+  test "new users follow the system theme" do
+    assert_equal "system", @user.theme
+  end
+
+  test "saves the theme on the signed-in user" do
+    sign_in @user
+    patch theme_url, params: { theme: "high-contrast" }, as: :json
+
+    assert_response :success
+    assert_equal "high-contrast", @user.reload.theme
+    assert_equal "high-contrast", cookies[:theme]
+  end
+
+  test "signed-out visitors get a cookie only" do
+    patch theme_url, params: { theme: "light" }, as: :json
+
+    assert_response :success
+    assert_equal "light", cookies[:theme]
+  end
+
+  test "rejects unknown themes" do
+    sign_in @user
+    patch theme_url, params: { theme: "sepia" }, as: :json
+
+    assert_response :unprocessable_entity
+    assert_equal "system", @user.reload.theme
+  end
+
+  test "the layout renders the saved theme" do
+    skip "Requires asset pipeline" if ENV["CI"]
+    @user.update!(theme: "dark")
+    sign_in @user
+
+    get root_url
+
+    assert_select "html[data-bs-theme='dark'][data-theme-preference='dark']"
+    assert_select "[data-controller='theme'][data-theme-preference-value='dark']"
+  end
+
+  test "system is left for the browser to resolve" do
+    skip "Requires asset pipeline" if ENV["CI"]
+    sign_in @user
+
+    get root_url
+
+    assert_select "html[data-theme-preference='system']"
+    assert_select "html[data-bs-theme]", count: 0
+  end
+end
@@ -0,0 +1,72 @@
+# ============================================================================
+# Controller Tests: WipLimitsController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The /wip_limits grid: everyone signed in can look, admins can save
+# (WipLimitPolicy), and a bad number saves nothing.
+#
+# ============================================================================
+
+require "test_helper"
+
+class WipLimitsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @admin = User.create!(
+      email: "lead@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "lead",
+      name: "Lead",
+      role: "admin"
+    )
+    @user = User.create!(
+      email: "member@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "member",
+      name: "Member",
+      role: "user"
+    )
+  end
+
+  test "shows the grid to anyone signed in" do
+    skip "Requires asset pipeline" if ENV["CI"]
+    WipLimit.create!(assignee: "sparky", status: "in_progress", max_tasks: 2)
+    sign_in @user
+
+    get wip_limits_url
+
+    assert_response :success
+    assert_select "input[name='limits[sparky][in_progress]'][value='2'][disabled]"
+  end
+
+  test "an admin saves limits" do
+    sign_in @admin
+
+    patch wip_limits_url, params: { limits: { sparky: { in_progress: "2", sprint: "" }, mechdog: { in_progress: "3" } } }
+
+    assert_redirected_to wip_limits_url
+    assert_equal({ ["sparky", "in_progress"] => 2, ["mechdog", "in_progress"] => 3 }, WipLimit.table)
+  end
+
+  test "an invalid limit saves nothing" do
+    sign_in @admin
+
+    patch wip_limits_url, params: { limits: { sparky: { in_progress: "2", sprint: "0" } } }
+
+    assert_redirected_to wip_limits_url
+    assert_match "Sparky · Sprint", flash[:alert]
+    assert_empty WipLimit.table
+  end
+
+  test "other users can't change them" do
+    sign_in @user
+
+    patch wip_limits_url, params: { limits: { sparky: { in_progress: "2" } } }
+
+    assert_empty WipLimit.table
+    assert_equal "You are not authorized to perform this action.", flash[:alert]
+  end
+end
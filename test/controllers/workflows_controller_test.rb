@@ -0,0 +1,88 @@
+# ============================================================================
+# Controller Tests: WorkflowsController
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The /workflow page: everyone signed in can look, admins can change the
+# board's columns and lanes (WorkflowPolicy), and a column that still
+# has tasks can't be removed.
+#
+# ============================================================================
+
+require "test_helper"
+
+class WorkflowsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @admin = User.create!(
+      email: "lead@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "lead",
+      name: "Lead",
+      role: "admin"
+    )
+    @user = User.create!(
+      email: "member@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "member",
+      name: "Member",
+      role: "user"
+    )
+  end
+
+  test "shows the workflow to anyone signed in" do
+    skip "Requires asset pipeline" if ENV["CI"]
+    sign_in @user
+
+    get workflow_url
+
+    assert_response :success
+    assert_select "input[name='workflow[statuses][2][label]'][value='In Progress'][disabled]"
+    assert_select "input[name='workflow[assignees][0][key]'][value='sparky']", 1
+  end
+
+  test "an admin adds a column" do
+    sign_in @admin
+
+    patch workflow_url, params: { workflow: {
+      statuses: { "0" => { key: "review", label: "Review", color: "info", icon: "bi-eye", position: "4" } }
+    } }
+
+    assert_redirected_to workflow_url
+    assert_equal "Workflow saved.", flash[:notice]
+    assert_equal "Review", Workflow.status_label("review")
+  end
+
+  test "the board draws a column added to the workflow" do
+    skip "Requires asset pipeline" if ENV["CI"]
+    Workflow.apply!(statuses: [{ key: "review", label: "Review", color: "info" }])
+    sign_in @admin
+
+    get tasks_url
+
+    assert_select "#column_sparky_review[data-sortable-target=column][data-status=review]"
+    assert_select "#column_mechdog_review .column-header", /Review/
+  end
+
+  test "a column with tasks isn't removed" do
+    Task.create!(title: "On hold", assignee: "sparky", status: "hold", priority: "low")
+    sign_in @admin
+
+    patch workflow_url, params: { workflow: { statuses: { "0" => { key: "hold", remove: "1" } } } }
+
+    assert_redirected_to workflow_url
+    assert_match "Hold still has 1 task", flash[:alert]
+    assert_includes Workflow.status_keys, "hold"
+  end
+
+  test "other users can't change it" do
+    sign_in @user
+
+    patch workflow_url, params: { workflow: { statuses: { "0" => { key: "review", label: "Review", color: "info" } } } }
+
+    assert_not_includes Workflow.status_keys, "review"
+    assert_equal "You are not authorized to perform this action.", flash[:alert]
+  end
+end
@@ -0,0 +1,61 @@
+# ============================================================================
+# Helper Tests: MarkdownHelper
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The markdown itself is rendered in the browser (lib/markdown.js, tested
+# in test/javascript/markdown.test.mjs). What the server sends is the
+# source in a data attribute plus a simple_format fallback, and both have
+# to arrive escaped. ActionView::TestCase renders helpers without a
+# layout, so these run without the asset pipeline.
+#
+# ============================================================================
+
+require "test_helper"
+
+class MarkdownHelperTest < ActionView::TestCase
+  setup do
+    @task = Task.create!(
+      title: "Checklist task",
+      description: "- [ ] first\n- [x] second <script>alert(1)</script>",
+      assignee: "mechdog",
+      status: "backlog",
+      priority: "low"
+    )
+  end
+
+  # The description block on tasks/show, as that view builds it
+  def render_description
+    data = markdown_data(@task.description, checklist: { url: api_task_path(@task), model: "task", attribute: "description", etag: @task.version_etag })
+    render inline: ".task-description data=data\n  = simple_format(description)", type: :slim,
+                   locals: { data: data, description: @task.description }
+  end
+
+  test "the show page's description is wired to markdown_controller with a tickable checklist" do
+    render_description
+
+    assert_select ".task-description[data-controller='markdown']"
+    assert_select ".task-description[data-markdown-update-url-value=?]", api_task_path(@task)
+    assert_select ".task-description[data-markdown-update-model-value='task']"
+    assert_select ".task-description[data-markdown-update-attribute-value='description']"
+    assert_select ".task-description[data-markdown-update-etag-value=?]", @task.version_etag
+    assert_select ".task-description[data-action*='markdown#tick']"
+  end
+
+  test "the source and the fallback arrive escaped, never as markup" do
+    render_description
+
+    assert_select ".task-description[data-markdown-source-value=?]", @task.description
+    assert_select ".task-description script", count: 0
+    assert_not_includes rendered, "<script>"
+  end
+
+  test "a preview has no checklist" do
+    data = markdown_data("- [ ] item", preview: 50)
+
+    assert_equal "50", data["markdown-preview-value"]
+    assert_nil data["markdown-update-url-value"]
+    assert_not_includes data["action"], "markdown#tick"
+  end
+end
@@ -0,0 +1,69 @@
+// ============================================================================
+// JavaScript Tests: lib/activity_feed.js
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// Dates are built with the local-time Date constructor, because the feed
+// groups by the viewer's local day.
+//
+//   node --test test/javascript/*.test.mjs
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { mergeActivities, groupByDay, dayLabel, titleize } from "../../app/javascript/lib/activity_feed.js"
+
+const now = new Date(2026, 1, 11, 9, 30)
+const at = (day, hour) => new Date(2026, 1, day, hour).toISOString()
+
+describe("mergeActivities", () => {
+  test("newest first, each id once", () => {
+    const current = [{ id: 5, description: "old copy" }, { id: 3 }]
+    const incoming = [{ id: 6 }, { id: 5, description: "new copy" }]
+
+    const merged = mergeActivities(current, incoming)
+    assert.deepEqual(merged.map(activity => activity.id), [6, 5, 3])
+    assert.equal(merged[1].description, "new copy")
+  })
+
+  test("older pages go to the end", () => {
+    assert.deepEqual(mergeActivities([{ id: 9 }], [{ id: 2 }, { id: 1 }]).map(activity => activity.id), [9, 2, 1])
+  })
+})
+
+describe("groupByDay", () => {
+  test("one group per local day, in feed order", () => {
+    const activities = [
+      { id: 4, created_at: at(11, 8) },
+      { id: 3, created_at: at(11, 1) },
+      { id: 2, created_at: at(10, 23) },
+      { id: 1, created_at: at(2, 12) }
+    ]
+
+    const groups = groupByDay(activities, now)
+    assert.deepEqual(groups.map(group => group.activities.map(activity => activity.id)), [[4, 3], [2], [1]])
+    assert.deepEqual(groups.slice(0, 2).map(group => group.label), ["Today", "Yesterday"])
+  })
+
+  test("empty feed, no groups", () => {
+    assert.deepEqual(groupByDay([], now), [])
+  })
+})
+
+describe("dayLabel", () => {
+  test("older days are spelled out, with the year only when it differs", () => {
+    assert.notEqual(dayLabel(new Date(2026, 1, 2), now), "Yesterday")
+    assert.match(dayLabel(new Date(2025, 11, 31), now), /2025/)
+    assert.doesNotMatch(dayLabel(new Date(2026, 1, 2), now), /2026/)
+  })
+})
+
+describe("titleize", () => {
+  test("like Rails", () => {
+    assert.equal(titleize("in_progress"), "In Progress")
+    assert.equal(titleize("backlog"), "Backlog")
+    assert.equal(titleize(null), "")
+  })
+})
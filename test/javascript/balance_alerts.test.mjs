@@ -0,0 +1,74 @@
+// ============================================================================
+// JavaScript Tests: lib/balance_alerts.js
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// localStorage is replaced by a Map with the same getItem / setItem
+// methods, which is all the module uses.
+//
+//   node --test test/javascript/*.test.mjs
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { balanceLevel, unnotifiedAlerts, rememberNotified } from "../../app/javascript/lib/balance_alerts.js"
+
+function memoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial))
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  }
+}
+
+describe("balanceLevel", () => {
+  test("at or below a threshold counts as crossing it", () => {
+    const thresholds = { warning: 50, critical: 10 }
+    assert.equal(balanceLevel(50.01, thresholds), "healthy")
+    assert.equal(balanceLevel(50, thresholds), "warning")
+    assert.equal(balanceLevel(10, thresholds), "critical")
+    assert.equal(balanceLevel(0, thresholds), "critical")
+  })
+
+  test("falls back to $20 and $5", () => {
+    assert.equal(balanceLevel(21), "healthy")
+    assert.equal(balanceLevel(12), "warning")
+    assert.equal(balanceLevel(4.2, undefined), "critical")
+  })
+})
+
+describe("notified alerts", () => {
+  const alerts = [{ id: 1 }, { id: 2 }]
+
+  test("everything is new at first", () => {
+    assert.deepEqual(unnotifiedAlerts(alerts, memoryStorage()), alerts)
+  })
+
+  test("remembered alerts aren't notified again", () => {
+    const storage = memoryStorage()
+    rememberNotified([alerts[0]], storage)
+
+    assert.deepEqual(unnotifiedAlerts(alerts, storage), [alerts[1]])
+  })
+
+  test("only the most recent ids are kept", () => {
+    const storage = memoryStorage()
+    rememberNotified(Array.from({ length: 60 }, (_, index) => ({ id: index })), storage)
+
+    const kept = JSON.parse(storage.getItem("balance-alerts-notified"))
+    assert.equal(kept.length, 50)
+    assert.equal(kept[0], 10)
+  })
+
+  test("unreadable storage means nothing was notified", () => {
+    const storage = memoryStorage({ "balance-alerts-notified": "not json" })
+    assert.deepEqual(unnotifiedAlerts(alerts, storage), alerts)
+  })
+
+  test("storage that refuses writes doesn't throw", () => {
+    const storage = { getItem: () => null, setItem: () => { throw new Error("QuotaExceededError") } }
+    assert.doesNotThrow(() => rememberNotified(alerts, storage))
+  })
+})
@@ -0,0 +1,63 @@
+// ============================================================================
+// JavaScript Tests: lib/balance_chart.js
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// A 100 x 100 chart with no padding over 100 minutes, so x is minutes
+// and y is how far below the axis top ($200 here, from niceMax) the
+// balance is, halved.
+//
+//   node --test test/javascript/*.test.mjs
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { balanceLayout, spendBars, niceMax } from "../../app/javascript/lib/balance_chart.js"
+
+const at = minutes => new Date(Date.UTC(2026, 1, 6, 12, minutes)).toISOString()
+const size = { width: 100, height: 100, padding: 0, from: at(0), to: at(100) }
+
+// Decimals arrive as strings from Rails
+const history = [
+  { timestamp: at(0), balance: "150.0" },
+  { timestamp: at(50), balance: "100.0" },
+  { timestamp: at(60), balance: "140.0" },
+  { timestamp: at(100), balance: "120.0" }
+]
+const forecast = { top_ups: [{ timestamp: at(60), amount: 40 }] }
+
+describe("balanceLayout", () => {
+  test("time across, balance up from zero", () => {
+    const layout = balanceLayout(history, forecast, size)
+    assert.equal(layout.max, 200)
+    assert.equal(layout.line, "M0 25 L50 50 L60 30 L100 40")
+  })
+
+  test("top-ups are marked on the point where the balance jumped", () => {
+    assert.deepEqual(balanceLayout(history, forecast, size).topUps, [{ x: 60, y: 30, amount: 40, label: "+$40.00" }])
+  })
+
+  test("no history, no line", () => {
+    assert.equal(balanceLayout([], {}, size).line, "")
+  })
+})
+
+describe("spendBars", () => {
+  test("the biggest day fills the height", () => {
+    const bars = spendBars([{ date: "2026-02-05", spent: 2 }, { date: "2026-02-06", spent: "4.0" }], { width: 100, height: 100, padding: 0 })
+    assert.deepEqual(bars.map(bar => [bar.x, bar.width, bar.y, bar.height]), [[7.5, 35, 50, 50], [57.5, 35, 0, 100]])
+  })
+
+  test("days without spending are flat", () => {
+    const bars = spendBars([{ date: "2026-02-06", spent: 0 }])
+    assert.equal(bars[0].height, 0)
+  })
+})
+
+describe("niceMax", () => {
+  test("rounds up to 1, 2 or 5 times a power of ten", () => {
+    assert.deepEqual([0, 0.3, 7, 137, 200, 501].map(niceMax), [1, 0.5, 10, 200, 200, 1000])
+  })
+})
@@ -0,0 +1,63 @@
+// ============================================================================
+// JavaScript Tests: lib/context_chart.js
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The history below covers 100 minutes on a 100 x 100 chart with no
+// padding, so one minute is one unit across and one percent one unit up
+// (from the bottom). That keeps the expected coordinates readable.
+//
+//   node --test test/javascript/*.test.mjs
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { chartLayout } from "../../app/javascript/lib/context_chart.js"
+
+const at = minutes => new Date(Date.UTC(2026, 1, 6, 12, minutes)).toISOString()
+const session = (minutes, percent, model = "moonshot/kimi-k2.5") => ({ timestamp: at(minutes), context_pct: percent, model, task: null })
+
+const history = {
+  from: at(0),
+  to: at(100),
+  sessions: [session(10, 20), session(20, 40), session(70, 10, "anthropic/claude"), session(80, 30, "anthropic/claude")],
+  gaps: [{ from: at(20), to: at(70) }, { from: at(80), to: at(100) }]
+}
+const layout = () => chartLayout(history, { width: 100, height: 100, padding: 0 })
+
+describe("chartLayout", () => {
+  test("time goes across, percentage goes up", () => {
+    assert.deepEqual(layout().points.map(point => [point.x, point.y]), [[10, 80], [20, 60], [70, 90], [80, 70]])
+  })
+
+  test("the line is cut at stale gaps", () => {
+    assert.deepEqual(layout().lines, ["M10 80 L20 60", "M70 90 L80 70"])
+  })
+
+  test("gaps become shaded stretches", () => {
+    assert.deepEqual(layout().gaps.map(gap => [gap.x, gap.width]), [[20, 50], [80, 20]])
+  })
+
+  test("model switches are marked where they happen", () => {
+    const { points, switches } = layout()
+    assert.deepEqual(points.map(point => point.modelChanged), [false, false, true, false])
+    assert.deepEqual(switches, [{ x: 70, from: "moonshot/kimi-k2.5", to: "anthropic/claude" }])
+  })
+
+  test("threshold lines at 50% and 80%", () => {
+    assert.deepEqual(layout().thresholds, [{ percent: 50, y: 50 }, { percent: 80, y: 20 }])
+  })
+
+  test("a single session is still drawn", () => {
+    const single = chartLayout({ ...history, sessions: [session(50, 50)], gaps: [] }, { width: 100, height: 100, padding: 0 })
+    assert.deepEqual(single.lines, ["M50 50 L50 50"])
+  })
+
+  test("no sessions, no lines", () => {
+    const empty = chartLayout({ ...history, sessions: [], gaps: [] })
+    assert.deepEqual(empty.lines, [])
+    assert.deepEqual(empty.points, [])
+  })
+})
@@ -0,0 +1,92 @@
+// ============================================================================
+// JavaScript Tests: lib/diff.js
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The config editor shows this diff before every save and restore, so it
+// has to be right: applying the "same" and "add" lines must rebuild the
+// new text, and the "same" and "del" lines the old one.
+//
+//   node --test test/javascript/*.test.mjs
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { diffLines, foldUnchanged, diffStats } from "../../app/javascript/lib/diff.js"
+
+const short = lines => lines.map(line => `${{ same: " ", add: "+", del: "-" }[line.type]}${line.text}`)
+const rebuild = (lines, side) => lines.filter(line => line.type === "same" || line.type === side).map(line => line.text)
+
+describe("diffLines", () => {
+  test("identical texts are all unchanged", () => {
+    assert.deepEqual(short(diffLines("a\nb", "a\nb")), [" a", " b"])
+  })
+
+  test("insertions, deletions and line numbers", () => {
+    const lines = diffLines("a\nb\nc", "a\nc\nd")
+    assert.deepEqual(short(lines), [" a", "-b", " c", "+d"])
+    assert.deepEqual(lines.map(line => [line.oldLine, line.newLine]), [[1, 1], [2, null], [3, 2], [null, 3]])
+  })
+
+  test("a changed line is a deletion then an insertion", () => {
+    assert.deepEqual(short(diffLines("title: old\nbody", "title: new\nbody")), ["-title: old", "+title: new", " body"])
+  })
+
+  test("empty sides", () => {
+    assert.deepEqual(short(diffLines("", "a\nb")), ["+a", "+b"])
+    assert.deepEqual(short(diffLines("a", "")), ["-a"])
+    assert.deepEqual(diffLines("", ""), [])
+  })
+
+  test("ignores a trailing newline and Windows line endings", () => {
+    assert.deepEqual(short(diffLines("a\r\nb\r\n", "a\nb")), [" a", " b"])
+  })
+
+  test("finds the shortest edit, not just any edit", () => {
+    const lines = diffLines("a\nb\nc\na\nb\nb\na", "c\nb\na\nb\na\nc")
+    assert.equal(lines.filter(line => line.type !== "same").length, 5)
+  })
+
+  test("both sides can be rebuilt from a random edit", () => {
+    let seed = 7
+    const random = limit => (seed = (seed * 16807) % 2147483647) % limit
+    for (let round = 0; round < 50; round++) {
+      const before = Array.from({ length: random(30) }, () => `line ${random(6)}`)
+      const after = before.filter(() => random(4) > 0)
+      for (let i = 0; i < random(5); i++) after.splice(random(after.length + 1), 0, `new ${i}`)
+
+      const lines = diffLines(before.join("\n"), after.join("\n"))
+      assert.deepEqual(rebuild(lines, "del"), before)
+      assert.deepEqual(rebuild(lines, "add"), after)
+    }
+  })
+
+  test("a long file with a small change is quick", () => {
+    const before = Array.from({ length: 20000 }, (_, i) => `line ${i}`)
+    const after = [...before]
+    after[10000] = "changed"
+    const started = Date.now()
+    const lines = diffLines(before.join("\n"), after.join("\n"))
+    assert.deepEqual(diffStats(lines), { added: 1, removed: 1 })
+    assert.ok(Date.now() - started < 1000)
+  })
+})
+
+describe("foldUnchanged", () => {
+  test("keeps context around changes and counts what it hides", () => {
+    const before = Array.from({ length: 20 }, (_, i) => `${i}`)
+    const after = [...before]
+    after[10] = "ten"
+
+    const folded = foldUnchanged(diffLines(before.join("\n"), after.join("\n")), 2)
+    assert.deepEqual(folded.map(line => line.type === "skip" ? `…${line.count}` : line.text),
+      ["…8", "8", "9", "10", "ten", "11", "12", "…7"])
+  })
+
+  test("nothing to fold when everything is close to a change", () => {
+    const lines = diffLines("a\nb", "a\nc")
+    assert.deepEqual(foldUnchanged(lines), lines)
+  })
+})
@@ -0,0 +1,461 @@
+// ============================================================================
+// JavaScript Tests: lib/markdown.js
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The markdown renderer is plain JavaScript with no DOM, so Node's
+// built-in test runner can check it — no browser, no npm packages:
+//
+//   node --test test/javascript/*.test.mjs
+//
+// (also run by bin/ci)
+//
+// Each fixture is markdown in, expected HTML out. Most come straight from
+// the CommonMark and GFM spec examples; the SAFETY section is the
+// important one — it's what keeps a config file from running script in
+// the viewer.
+//
+// COMPARISON TO RUBY:
+// - Minitest: `test "..." do ... end` + assert_equal
+// - node:test: test("...", () => { ... }) + assert.equal
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { renderMarkdown, slugify, sanitizeUrl, markdownToText, toggleTask } from "../../app/javascript/lib/markdown.js"
+
+// Heading anchors are tested on their own; leave them out elsewhere so
+// the expected HTML stays short
+const render = (source, options = {}) => renderMarkdown(source, { headingAnchors: false, ...options })
+
+describe("blocks", () => {
+  test("headings, ATX and setext", () => {
+    assert.equal(render("# One\n## Two ##\n###### Six"), "<h1>One</h1>\n<h2>Two</h2>\n<h6>Six</h6>\n")
+    assert.equal(render("Title\n=====\nSub\n---"), "<h1>Title</h1>\n<h2>Sub</h2>\n")
+    assert.equal(render("#hashtag"), "<p>#hashtag</p>\n")
+  })
+
+  test("paragraphs join lines and split on blank lines", () => {
+    assert.equal(render("one\ntwo\n\nthree"), "<p>one\ntwo</p>\n<p>three</p>\n")
+  })
+
+  test("hard line breaks", () => {
+    assert.equal(render("one  \ntwo\\\nthree"), "<p>one<br>\ntwo<br>\nthree</p>\n")
+    assert.equal(render("one\ntwo", { breaks: true }), "<p>one<br>\ntwo</p>\n")
+  })
+
+  test("thematic breaks", () => {
+    assert.equal(render("***\n- - -\n___"), "<hr>\n<hr>\n<hr>\n")
+  })
+
+  test("block quotes, nested and lazy", () => {
+    assert.equal(render("> quote\ncontinued\n> > inner"), "<blockquote>\n<p>quote\ncontinued</p>\n<blockquote>\n<p>inner</p>\n</blockquote>\n</blockquote>\n")
+  })
+
+  test("indented code", () => {
+    assert.equal(render("    a = 1\n\n    b = 2\n"), "<pre><code>a = 1\n\nb = 2\n</code></pre>\n")
+  })
+})
+
+describe("fenced code", () => {
+  test("keeps the language as a class", () => {
+    assert.equal(render("```ruby\nputs 1\n```"), "<pre><code class=\"language-ruby\">puts 1\n</code></pre>\n")
+  })
+
+  test("does not apply headings, emphasis or links inside", () => {
+    const html = render("```\n# not a heading\n*not em* [x](y)\n\nstill code\n```")
+    assert.equal(html, "<pre><code># not a heading\n*not em* [x](y)\n\nstill code\n</code></pre>\n")
+  })
+
+  test("escapes HTML inside", () => {
+    assert.equal(render("~~~\n<script>alert(1)</script>\n~~~"), "<pre><code>&lt;script&gt;alert(1)&lt;/script&gt;\n</code></pre>\n")
+  })
+
+  test("needs a closing fence at least as long as the opening one", () => {
+    assert.equal(render("````\n```\n````"), "<pre><code>```\n</code></pre>\n")
+  })
+
+  test("runs to the end of the document when unclosed", () => {
+    assert.equal(render("```\ncode\n\nmore"), "<pre><code>code\n\nmore\n</code></pre>\n")
+  })
+
+  test("strips the fence's own indentation", () => {
+    assert.equal(render("  ```\n  indented\n    more\n  ```"), "<pre><code>indented\n  more\n</code></pre>\n")
+  })
+
+  test("keeps only safe characters of the language", () => {
+    assert.equal(render("```js\" onclick=\"x\ncode\n```"), "<pre><code class=\"language-js\">code\n</code></pre>\n")
+  })
+})
+
+describe("lists", () => {
+  test("tight bullet list", () => {
+    assert.equal(render("- a\n- b"), "<ul>\n<li>a</li>\n<li>b</li>\n</ul>\n")
+  })
+
+  test("loose list wraps items in paragraphs", () => {
+    assert.equal(render("- a\n\n- b"), "<ul>\n<li>\n<p>a</p>\n</li>\n<li>\n<p>b</p>\n</li>\n</ul>\n")
+  })
+
+  test("nested lists", () => {
+    assert.equal(
+      render("- a\n  - b\n    - c\n- d"),
+      "<ul>\n<li>a<ul>\n<li>b<ul>\n<li>c</li>\n</ul>\n</li>\n</ul>\n</li>\n<li>d</li>\n</ul>\n"
+    )
+  })
+
+  test("a blank line inside a nested list doesn't loosen the outer list", () => {
+    const html = render("- a\n  - b\n\n  - c\n- d")
+    assert.match(html, /^<ul>\n<li>a<ul>/)
+    assert.match(html, /<li>\n<p>b<\/p>\n<\/li>/)
+  })
+
+  test("ordered list keeps its start number", () => {
+    assert.equal(render("3. three\n4. four"), "<ol start=\"3\">\n<li>three</li>\n<li>four</li>\n</ol>\n")
+  })
+
+  test("a different bullet starts a new list", () => {
+    assert.equal(render("- a\n+ b"), "<ul>\n<li>a</li>\n</ul>\n<ul>\n<li>b</li>\n</ul>\n")
+  })
+
+  test("code block inside a list item", () => {
+    assert.equal(
+      render("1. step\n\n   ```sh\n   bin/rails test\n   ```"),
+      "<ol>\n<li>\n<p>step</p>\n<pre><code class=\"language-sh\">bin/rails test\n</code></pre>\n</li>\n</ol>\n"
+    )
+  })
+
+  test("lazy continuation lines stay in the item", () => {
+    assert.equal(render("- one\ntwo"), "<ul>\n<li>one\ntwo</li>\n</ul>\n")
+  })
+
+  test("numbered lists only interrupt a paragraph when they start at 1", () => {
+    assert.equal(render("The year\n2024. was good"), "<p>The year\n2024. was good</p>\n")
+  })
+})
+
+describe("task lists", () => {
+  test("checked and unchecked items", () => {
+    assert.equal(
+      render("- [ ] todo\n- [x] done"),
+      "<ul class=\"contains-task-list\">\n" +
+      "<li class=\"task-list-item\"><input type=\"checkbox\" class=\"task-list-item-checkbox\" disabled> todo</li>\n" +
+      "<li class=\"task-list-item\"><input type=\"checkbox\" class=\"task-list-item-checkbox\" disabled checked> done</li>\n" +
+      "</ul>\n"
+    )
+  })
+
+  test("needs text after the box", () => {
+    assert.equal(render("- [ ]"), "<ul>\n<li>[ ]</li>\n</ul>\n")
+  })
+
+  test("only at the start of an item", () => {
+    assert.equal(render("- see [x] here"), "<ul>\n<li>see [x] here</li>\n</ul>\n")
+  })
+
+  test("interactive boxes are numbered in document order, parents first", () => {
+    const html = render("- [ ] a\n  - [x] b\n- [ ] c", { interactiveTasks: true })
+    const boxes = [...html.matchAll(/<input[^>]*>/g)].map(match => match[0])
+    assert.deepEqual(boxes, [
+      "<input type=\"checkbox\" class=\"task-list-item-checkbox\" data-task-index=\"0\">",
+      "<input type=\"checkbox\" class=\"task-list-item-checkbox\" data-task-index=\"1\" checked>",
+      "<input type=\"checkbox\" class=\"task-list-item-checkbox\" data-task-index=\"2\">"
+    ])
+  })
+})
+
+describe("toggleTask", () => {
+  test("ticks and unticks the numbered item", () => {
+    const source = "Steps:\n\n- [ ] write\n  - [ ] nested\n- [x] ship\n"
+    assert.equal(toggleTask(source, 1, true), "Steps:\n\n- [ ] write\n  - [x] nested\n- [x] ship\n")
+    assert.equal(toggleTask(source, 2, false), "Steps:\n\n- [ ] write\n  - [ ] nested\n- [ ] ship\n")
+  })
+
+  test("skips look-alikes in code and keeps Windows line endings", () => {
+    const source = "```\n- [ ] not a task\n```\r\n* [ ] real\r\n"
+    assert.equal(toggleTask(source, 0, true), "```\n- [ ] not a task\n```\r\n* [x] real\r\n")
+  })
+
+  test("refuses when it can't be sure which line it is", () => {
+    // Indented code holds a look-alike the line scan can't tell apart
+    assert.equal(toggleTask("para\n\n    - [ ] code\n\n- [ ] real", 0, true), null)
+    assert.equal(toggleTask("- [ ] only", 3, true), null)
+  })
+})
+
+describe("task references", () => {
+  const options = { taskUrl: "/tasks/:id" }
+
+  test("#123 links to the task", () => {
+    assert.equal(
+      render("Blocked by #12, see (#7).", options),
+      "<p>Blocked by <a href=\"/tasks/12\" class=\"task-ref\" data-task-id=\"12\">#12</a>, see (<a href=\"/tasks/7\" class=\"task-ref\" data-task-id=\"7\">#7</a>).</p>\n"
+    )
+  })
+
+  test("not inside words, code, links or without the option", () => {
+    assert.equal(render("issue#12 and #12a", options), "<p>issue#12 and #12a</p>\n")
+    assert.equal(render("`#12`", options), "<p><code>#12</code></p>\n")
+    assert.equal(render("[see #12](/x)", options), "<p><a href=\"/x\">see #12</a></p>\n")
+    assert.equal(render("#12 alone"), "<p>#12 alone</p>\n")
+  })
+})
+
+describe("markdownToText", () => {
+  test("drops the markup and keeps the words", () => {
+    assert.equal(markdownToText("## Plan\n\n- [ ] **write** the `code`\n- ship &amp; <b>tell</b>"), "Plan write the code ship & <b>tell</b>")
+  })
+})
+
+describe("tables", () => {
+  test("header, alignment and body", () => {
+    assert.equal(
+      render("| Name | Count |\n| :--- | ----: |\n| a | 1 |\n| b | 2 |"),
+      "<table>\n<thead>\n<tr><th style=\"text-align: left\">Name</th><th style=\"text-align: right\">Count</th></tr>\n</thead>\n" +
+      "<tbody>\n<tr><td style=\"text-align: left\">a</td><td style=\"text-align: right\">1</td></tr>\n" +
+      "<tr><td style=\"text-align: left\">b</td><td style=\"text-align: right\">2</td></tr>\n</tbody>\n</table>\n"
+    )
+  })
+
+  test("inline markdown and escaped pipes in cells", () => {
+    const html = render("a | b\n--|--\n`x \\| y` | **bold**")
+    assert.match(html, /<td><code>x \| y<\/code><\/td><td><strong>bold<\/strong><\/td>/)
+  })
+
+  test("short rows are padded, long rows cut", () => {
+    const html = render("| a | b |\n|---|---|\n| 1 |\n| 1 | 2 | 3 |")
+    assert.match(html, /<tr><td>1<\/td><td><\/td><\/tr>/)
+    assert.match(html, /<tr><td>1<\/td><td>2<\/td><\/tr>/)
+  })
+
+  test("needs a matching delimiter row", () => {
+    assert.equal(render("| a | b |\n| --- |"), "<p>| a | b |\n| --- |</p>\n")
+  })
+
+  test("ends at a blank line", () => {
+    assert.match(render("| a |\n|---|\n| 1 |\n\nafter"), /<\/table>\n<p>after<\/p>/)
+  })
+})
+
+describe("inlines", () => {
+  test("emphasis and strong", () => {
+    assert.equal(render("*em* _em_ **strong** __strong__ ***both***"),
+      "<p><em>em</em> <em>em</em> <strong>strong</strong> <strong>strong</strong> <em><strong>both</strong></em></p>\n")
+  })
+
+  test("underscores inside words are not emphasis", () => {
+    assert.equal(render("snake_case_name"), "<p>snake_case_name</p>\n")
+  })
+
+  test("the rule of three", () => {
+    assert.equal(render("*foo**bar*"), "<p><em>foo**bar</em></p>\n")
+  })
+
+  test("unmatched delimiters stay as text", () => {
+    assert.equal(render("2 * 3 = 6, **oops"), "<p>2 * 3 = 6, **oops</p>\n")
+  })
+
+  test("strikethrough", () => {
+    assert.equal(render("~~gone~~ ~also~"), "<p><del>gone</del> <del>also</del></p>\n")
+  })
+
+  test("code spans win over emphasis and keep backslashes", () => {
+    assert.equal(render("`*not em*` and `` a`b `` and `C:\\dir`"),
+      "<p><code>*not em*</code> and <code>a`b</code> and <code>C:\\dir</code></p>\n")
+  })
+
+  test("backslash escapes", () => {
+    assert.equal(render("\\*not em\\* \\[not a link\\]"), "<p>*not em* [not a link]</p>\n")
+  })
+
+  test("entities pass through", () => {
+    assert.equal(render("&copy; &amp; &#35;"), "<p>&copy; &amp; &#35;</p>\n")
+  })
+})
+
+describe("links and images", () => {
+  test("inline link with title", () => {
+    assert.equal(render("[docs](/docs \"The docs\")"), "<p><a href=\"/docs\" title=\"The docs\">docs</a></p>\n")
+  })
+
+  test("external links open in a new tab", () => {
+    assert.equal(render("[site](https://example.com)"),
+      "<p><a href=\"https://example.com\" target=\"_blank\" rel=\"noopener noreferrer\">site</a></p>\n")
+    assert.equal(render("[site](https://example.com)", { externalLinksInNewTab: false }),
+      "<p><a href=\"https://example.com\">site</a></p>\n")
+  })
+
+  test("destinations with parentheses and angle brackets", () => {
+    assert.equal(render("[a](https://en.wikipedia.org/wiki/Ruby_(language))", { externalLinksInNewTab: false }),
+      "<p><a href=\"https://en.wikipedia.org/wiki/Ruby_(language)\">a</a></p>\n")
+    assert.equal(render("[a](<my file.md>)"), "<p><a href=\"my%20file.md\">a</a></p>\n")
+  })
+
+  test("reference links", () => {
+    const source = "[full][ref], [collapsed][], [shortcut]\n\n[ref]: /one\n[collapsed]: /two 'Two'\n[SHORTCUT]: /three"
+    assert.equal(render(source),
+      "<p><a href=\"/one\">full</a>, <a href=\"/two\" title=\"Two\">collapsed</a>, <a href=\"/three\">shortcut</a></p>\n")
+  })
+
+  test("undefined references stay as text", () => {
+    assert.equal(render("[nope] and [text][nope]"), "<p>[nope] and [text][nope]</p>\n")
+  })
+
+  test("emphasis inside link text", () => {
+    assert.equal(render("[*em* text](/x)"), "<p><a href=\"/x\"><em>em</em> text</a></p>\n")
+  })
+
+  test("no links inside links", () => {
+    assert.equal(render("[a [b](/b) c](/a)"), "<p>[a <a href=\"/b\">b</a> c](/a)</p>\n")
+  })
+
+  test("images", () => {
+    assert.equal(render("![a *cat*](/cat.png \"Cat\")"), "<p><img src=\"/cat.png\" alt=\"a cat\" title=\"Cat\"></p>\n")
+  })
+
+  test("autolinks", () => {
+    assert.equal(render("<https://example.com/a?b=1&c=2> <me@example.com>", { externalLinksInNewTab: false }),
+      "<p><a href=\"https://example.com/a?b=1&amp;c=2\">https://example.com/a?b=1&amp;c=2</a> <a href=\"mailto:me@example.com\">me@example.com</a></p>\n")
+  })
+
+  test("bare URLs (GFM autolink literals)", () => {
+    const options = { externalLinksInNewTab: false }
+    assert.equal(render("See https://example.com/path.", options),
+      "<p>See <a href=\"https://example.com/path\">https://example.com/path</a>.</p>\n")
+    assert.equal(render("(www.example.com)", options),
+      "<p>(<a href=\"http://www.example.com\">www.example.com</a>)</p>\n")
+    assert.equal(render("https://example.com/a_b_c", options),
+      "<p><a href=\"https://example.com/a_b_c\">https://example.com/a_b_c</a></p>\n")
+  })
+
+  test("bare URLs inside link text are not linked twice", () => {
+    assert.equal(render("[see https://a.com](/b)"), "<p><a href=\"/b\">see https://a.com</a></p>\n")
+  })
+})
+
+describe("heading anchors", () => {
+  test("ids follow GitHub's rules", () => {
+    assert.equal(renderMarkdown("## Getting Started!"),
+      "<h2 id=\"getting-started\">Getting Started!<a class=\"heading-anchor\" href=\"#getting-started\" aria-label=\"Permalink: Getting Started!\">#</a></h2>\n")
+  })
+
+  test("repeated headings are numbered", () => {
+    const html = renderMarkdown("# Setup\n# Setup\n# Setup")
+    assert.deepEqual([...html.matchAll(/id="([^"]+)"/g)].map(match => match[1]), ["setup", "setup-1", "setup-2"])
+  })
+
+  test("inline markup is left out of the id", () => {
+    assert.match(renderMarkdown("### The `config` *file*"), /id="the-config-file"/)
+  })
+
+  test("prefix", () => {
+    assert.match(renderMarkdown("# Notes", { idPrefix: "soul-" }), /id="soul-notes"/)
+  })
+
+  test("slugify keeps letters from any language", () => {
+    assert.equal(slugify("Über Café 2.0"), "über-café-20")
+  })
+})
+
+describe("safety", () => {
+  test("raw HTML is escaped, block and inline", () => {
+    assert.equal(render("<script>alert(1)</script>"), "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>\n")
+    assert.equal(render("hi <img src=x onerror=alert(1)>"), "<p>hi &lt;img src=x onerror=alert(1)&gt;</p>\n")
+  })
+
+  test("javascript: links lose their href", () => {
+    assert.equal(render("[x](javascript:alert(1))"), "<p>x</p>\n")
+    assert.equal(render("[x](JaVaScRiPt:alert(1))"), "<p>x</p>\n")
+  })
+
+  test("obfuscated schemes are caught", () => {
+    assert.equal(render("[x](java&#115;cript:alert(1))"), "<p>x</p>\n")
+    assert.equal(render("[x](javascript&colon;alert(1))"), "<p>x</p>\n")
+    assert.equal(render("[x](<java\tscript:alert(1)>)"), "<p>x</p>\n")
+    assert.equal(render("[x][evil]\n\n[evil]: vbscript:msgbox"), "<p>x</p>\n")
+  })
+
+  test("data: and other schemes are not allowed", () => {
+    assert.equal(render("[x](data:text/html;base64,PHNjcmlwdD4=)"), "<p>x</p>\n")
+    assert.equal(render("![alt](data:image/svg+xml,<svg onload=alert(1)>)"), "<p>![alt](data:image/svg+xml,&lt;svg onload=alert(1)&gt;)</p>\n")
+    assert.equal(render("![alt](javascript:alert(1))"), "<p>alt</p>\n")
+  })
+
+  test("autolinks with unsafe schemes are not links", () => {
+    assert.equal(render("<javascript:alert(1)>"), "<p>javascript:alert(1)</p>\n")
+  })
+
+  test("quotes can't break out of attributes", () => {
+    assert.equal(render("[x](/a\"onmouseover=\"alert(1))"), "<p><a href=\"/a%22onmouseover=%22alert(1)\">x</a></p>\n")
+    assert.equal(render("[x](/a 'say \"hi\"')"), "<p><a href=\"/a\" title=\"say &quot;hi&quot;\">x</a></p>\n")
+  })
+
+  test("sanitizeUrl", () => {
+    assert.equal(sanitizeUrl("https://example.com"), "https://example.com")
+    assert.equal(sanitizeUrl("mailto:me@example.com"), "mailto:me@example.com")
+    assert.equal(sanitizeUrl("/tasks/1"), "/tasks/1")
+    assert.equal(sanitizeUrl("#section"), "#section")
+    assert.equal(sanitizeUrl(" javascript:alert(1)"), null)
+    assert.equal(sanitizeUrl("\u0001javascript:alert(1)"), null)
+  })
+})
+
+describe("edge cases", () => {
+  test("empty input", () => {
+    assert.equal(renderMarkdown(""), "")
+    assert.equal(renderMarkdown(null), "")
+    assert.equal(renderMarkdown("\n\n  \n"), "")
+  })
+
+  test("Windows line endings", () => {
+    assert.equal(render("# Title\r\n\r\ntext\r\n"), "<h1>Title</h1>\n<p>text</p>\n")
+  })
+
+  test("tab indentation counts as four spaces", () => {
+    assert.equal(render("- a\n\t- b"), "<ul>\n<li>a<ul>\n<li>b</li>\n</ul>\n</li>\n</ul>\n")
+  })
+
+  test("link reference definitions alone produce nothing", () => {
+    assert.equal(render("[a]: /a"), "")
+  })
+
+  test("long runs of delimiters finish quickly", () => {
+    const started = Date.now()
+    render("*a ".repeat(2000) + "_b ".repeat(2000))
+    assert.ok(Date.now() - started < 2000)
+  })
+
+  test("deep nesting stops at 100 levels and shows the rest as text", () => {
+    const quotes = render(">".repeat(5000) + " deep")
+    assert.equal(quotes.match(/<blockquote>/g).length, 100)
+    assert.match(quotes, /<p>&gt;&gt;&gt;.* deep<\/p>/)
+
+    const lists = render("- ".repeat(5000) + "deep")
+    assert.equal(lists.match(/<ul>/g).length, 100)
+    assert.match(lists, /deep/)
+  })
+
+  test("unclosed link destinations finish quickly", () => {
+    const started = Date.now()
+    assert.equal(render("[a](".repeat(5000)), `<p>${"[a](".repeat(5000)}</p>\n`)
+    render("[a](".repeat(5000) + ")")
+    render("[a](x (".repeat(5000))
+    render("[a](<".repeat(5000))
+    assert.ok(Date.now() - started < 2000)
+  })
+
+  test("tens of thousands of brackets finish quickly", () => {
+    const started = Date.now()
+    assert.equal(render("[".repeat(50000) + "]".repeat(50000)), `<p>${"[".repeat(50000)}${"]".repeat(50000)}</p>\n`)
+    const links = render("[".repeat(25000) + "[a](x)".repeat(25000))
+    assert.equal(links.match(/<a href="x">a<\/a>/g).length, 25000)
+    assert.ok(Date.now() - started < 2000)
+  })
+
+  test("parentheses in a destination nest up to 32 deep", () => {
+    assert.equal(render(`[a](${"(".repeat(32)}b${")".repeat(32)})`), `<p><a href="${"(".repeat(32)}b${")".repeat(32)}">a</a></p>\n`)
+    assert.equal(render(`[a](${"(".repeat(33)}b${")".repeat(33)})`), `<p>[a](${"(".repeat(33)}b${")".repeat(33)})</p>\n`)
+  })
+})
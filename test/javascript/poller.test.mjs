@@ -0,0 +1,172 @@
+// ============================================================================
+// JavaScript Tests: lib/poller.js
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The Poller takes its fetch, document and timer functions as options,
+// so these tests hand it fakes: a fetch that answers from a list, a
+// document whose `hidden` we flip, and timers we fire by hand. No real
+// waiting, no network.
+//
+//   node --test test/javascript/*.test.mjs
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { Poller, backoffDelay, retryAfterDelay } from "../../app/javascript/lib/poller.js"
+
+// A Response-like object: status, ok and headers.get()
+function reply(status, headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+  return { status, ok: status >= 200 && status < 300, headers: { get: name => lower[name.toLowerCase()] ?? null } }
+}
+
+// A Poller wired to fakes. `replies` are returned in order by fetch.
+function fakePoller(replies, options = {}) {
+  const document = new EventTarget()
+  document.hidden = false
+
+  const requests = []
+  const timers = []
+  const updates = []
+  const errors = []
+
+  const poller = new Poller({
+    url: "/api/thing",
+    interval: 1000,
+    onUpdate: response => updates.push(response.status),
+    onError: error => errors.push(error.message),
+    fetch: async (url, init) => {
+      requests.push(init.headers)
+      const next = replies.shift()
+      if (next instanceof Error) throw next
+      return next
+    },
+    document,
+    setTimeout: (callback, delay) => timers.push({ callback, delay }) - 1,
+    clearTimeout: id => { if (timers[id]) timers[id].cleared = true },
+    ...options
+  })
+
+  const pending = () => timers.filter(timer => !timer.cleared)
+  // Run the one scheduled poll and wait for it to finish
+  const tick = async () => {
+    const timer = pending().at(-1)
+    timer.cleared = true
+    await timer.callback()
+  }
+  const hide = hidden => {
+    document.hidden = hidden
+    document.dispatchEvent(new Event("visibilitychange"))
+  }
+
+  return { poller, requests, updates, errors, pending, tick, hide }
+}
+
+describe("backoffDelay", () => {
+  test("doubles after each failure up to the cap", () => {
+    assert.deepEqual([0, 1, 2, 3, 4, 5].map(failures => backoffDelay(1000, failures)), [1000, 2000, 4000, 8000, 8000, 8000])
+    assert.equal(backoffDelay(1000, 10, 60000), 60000)
+  })
+})
+
+describe("retryAfterDelay", () => {
+  test("seconds or an HTTP date", () => {
+    assert.equal(retryAfterDelay("120"), 120000)
+    const now = Date.parse("2026-02-06T20:00:00Z")
+    assert.equal(retryAfterDelay("Fri, 06 Feb 2026 20:00:30 GMT", now), 30000)
+    assert.equal(retryAfterDelay("Fri, 06 Feb 2026 19:00:00 GMT", now), 0)
+  })
+
+  test("missing or unreadable headers mean no wait", () => {
+    assert.equal(retryAfterDelay(null), 0)
+    assert.equal(retryAfterDelay("soon"), 0)
+  })
+})
+
+describe("Poller", () => {
+  test("waits a full interval before the first poll", () => {
+    const { poller, requests, pending } = fakePoller([])
+    poller.start()
+
+    assert.equal(requests.length, 0)
+    assert.deepEqual(pending().map(timer => timer.delay), [1000])
+  })
+
+  test("sends the last ETag back and skips onUpdate on 304", async () => {
+    const { poller, requests, updates, tick } = fakePoller([reply(200, { ETag: 'W/"abc"' }), reply(304)])
+    poller.start()
+
+    await tick()
+    await tick()
+
+    assert.equal(requests[0]["If-None-Match"], undefined)
+    assert.equal(requests[1]["If-None-Match"], 'W/"abc"')
+    assert.deepEqual(updates, [200])
+  })
+
+  test("each Poller keeps its own ETag, even for the same URL", async () => {
+    const first = fakePoller([reply(200, { ETag: '"v1"' })])
+    await first.poller.refresh()
+    assert.equal(first.poller.etag, '"v1"')
+
+    const second = fakePoller([reply(200)], { headers: { Accept: "application/json" } })
+    await second.poller.refresh()
+    assert.equal(second.requests[0]["If-None-Match"], undefined)
+  })
+
+  test("a Poller taking over from another starts with its ETag", async () => {
+    const { poller, requests, updates } = fakePoller([reply(304)], { etag: '"v1"' })
+    await poller.refresh()
+
+    assert.equal(requests[0]["If-None-Match"], '"v1"')
+    assert.deepEqual(updates, [])
+  })
+
+  test("backs off after errors and recovers after a success", async () => {
+    const { poller, errors, pending, tick } = fakePoller([reply(500), new Error("offline"), reply(200)])
+    poller.start()
+
+    await tick()
+    assert.equal(pending().at(-1).delay, 2000)
+    await tick()
+    assert.equal(pending().at(-1).delay, 4000)
+    await tick()
+    assert.equal(pending().at(-1).delay, 1000)
+    assert.deepEqual(errors, ["HTTP 500", "offline"])
+  })
+
+  test("Retry-After is the minimum wait", async () => {
+    const { poller, pending, tick } = fakePoller([reply(429, { "Retry-After": "90" })])
+    poller.start()
+
+    await tick()
+    assert.equal(pending().at(-1).delay, 90000)
+  })
+
+  test("stops while the tab is hidden and polls as soon as it's back", async () => {
+    const { poller, requests, pending, hide } = fakePoller([reply(304)])
+    poller.start()
+
+    hide(true)
+    assert.equal(pending().length, 0)
+
+    hide(false)
+    await new Promise(resolve => setImmediate(resolve))
+    assert.equal(requests.length, 1)
+    assert.equal(pending().length, 1)
+  })
+
+  test("stop() cancels the schedule and ignores visibility", () => {
+    const { poller, requests, pending, hide } = fakePoller([])
+    poller.start()
+    poller.stop()
+    hide(true)
+    hide(false)
+
+    assert.equal(pending().length, 0)
+    assert.equal(requests.length, 0)
+  })
+})
@@ -0,0 +1,135 @@
+// ============================================================================
+// JavaScript Tests: lib/request.js
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// request() takes its fetch and document as options, so these tests pass
+// a fetch that records what it was called with and a document with just
+// enough querySelector to find the CSRF meta tag.
+//
+//   node --test test/javascript/*.test.mjs
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { request, requestJSON, requestOptions, csrfToken, RequestError } from "../../app/javascript/lib/request.js"
+
+// A document with <meta name="csrf-token" content=token>
+function fakeDocument(token) {
+  return { querySelector: selector => selector === "meta[name='csrf-token']" ? { content: token } : null }
+}
+
+// A fetch that remembers its calls and answers with status and body text
+function fakeFetch(status = 200, text = "") {
+  const calls = []
+  const fetch = async (url, options) => {
+    calls.push({ url, options })
+    return { status, ok: status >= 200 && status < 300, text: async () => text }
+  }
+  return { fetch, calls }
+}
+
+describe("csrfToken", () => {
+  test("reads the meta tag", () => {
+    assert.equal(csrfToken(fakeDocument("abc123")), "abc123")
+  })
+
+  test("is empty without a meta tag or a document", () => {
+    assert.equal(csrfToken({ querySelector: () => null }), "")
+    assert.equal(csrfToken(undefined), "")
+  })
+})
+
+describe("requestOptions", () => {
+  test("GET asks for JSON and sends no CSRF token", () => {
+    const options = requestOptions({ document: fakeDocument("abc123") })
+
+    assert.equal(options.method, "GET")
+    assert.equal(options.headers["Accept"], "application/json")
+    assert.equal(options.headers["X-Requested-With"], "XMLHttpRequest")
+    assert.equal("X-CSRF-Token" in options.headers, false)
+  })
+
+  test("anything else carries the CSRF token", () => {
+    for (const method of ["post", "PATCH", "DELETE"]) {
+      const options = requestOptions({ method, document: fakeDocument("abc123") })
+      assert.equal(options.method, method.toUpperCase())
+      assert.equal(options.headers["X-CSRF-Token"], "abc123")
+    }
+  })
+
+  test("json becomes the body", () => {
+    const options = requestOptions({ method: "PATCH", json: { task: { status: "done" } }, document: fakeDocument("") })
+
+    assert.equal(options.body, '{"task":{"status":"done"}}')
+    assert.equal(options.headers["Content-Type"], "application/json")
+  })
+
+  test("without json there's no body or Content-Type", () => {
+    const options = requestOptions({ method: "DELETE", document: fakeDocument("") })
+
+    assert.equal(options.body, undefined)
+    assert.equal("Content-Type" in options.headers, false)
+  })
+
+  test("caller headers, accept and other options win or pass through", () => {
+    const signal = new AbortController().signal
+    const options = requestOptions({
+      accept: "text/vnd.turbo-stream.html",
+      headers: { "X-Turbo-Request-Id": "42", "X-Requested-With": "Test" },
+      signal
+    })
+
+    assert.equal(options.headers["Accept"], "text/vnd.turbo-stream.html")
+    assert.equal(options.headers["X-Turbo-Request-Id"], "42")
+    assert.equal(options.headers["X-Requested-With"], "Test")
+    assert.equal(options.signal, signal)
+  })
+})
+
+describe("request", () => {
+  test("resolves with the response whatever the status", async () => {
+    const { fetch, calls } = fakeFetch(422, '{"errors":["Title can\'t be blank"]}')
+    const response = await request("/api/tasks", { method: "POST", json: { task: {} }, fetch, document: fakeDocument("abc") })
+
+    assert.equal(response.status, 422)
+    assert.equal(calls[0].url, "/api/tasks")
+    assert.equal(calls[0].options.headers["X-CSRF-Token"], "abc")
+    assert.equal("fetch" in calls[0].options, false)
+  })
+})
+
+describe("requestJSON", () => {
+  test("returns the parsed body", async () => {
+    const { fetch } = fakeFetch(200, '{"results":[1,2]}')
+    assert.deepEqual(await requestJSON("/api/search?q=x", { fetch }), { results: [1, 2] })
+  })
+
+  test("returns null for an empty body", async () => {
+    const { fetch } = fakeFetch(204, "")
+    assert.equal(await requestJSON("/api/tasks/1", { method: "DELETE", fetch, document: fakeDocument("") }), null)
+  })
+
+  test("throws a RequestError with the server's errors", async () => {
+    const { fetch } = fakeFetch(422, '{"errors":["Title can\'t be blank","Status is invalid"]}')
+
+    await assert.rejects(requestJSON("/api/tasks", { method: "POST", fetch, document: fakeDocument("") }), error => {
+      assert.ok(error instanceof RequestError)
+      assert.equal(error.status, 422)
+      assert.equal(error.message, "Title can't be blank, Status is invalid")
+      assert.deepEqual(error.body.errors, ["Title can't be blank", "Status is invalid"])
+      return true
+    })
+  })
+
+  test("uses { error } or the status when that's all there is", async () => {
+    await assert.rejects(requestJSON("/api/tasks", { fetch: fakeFetch(401, '{"error":"Invalid API token"}').fetch }), { message: "Invalid API token", status: 401 })
+    await assert.rejects(requestJSON("/api/tasks", { fetch: fakeFetch(500, "<h1>Oops</h1>").fetch }), { message: "HTTP 500", status: 500 })
+  })
+
+  test("a 2xx that isn't JSON is an error too", async () => {
+    await assert.rejects(requestJSON("/api/tasks", { fetch: fakeFetch(200, "<html>").fetch }), RequestError)
+  })
+})
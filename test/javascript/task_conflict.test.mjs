@@ -0,0 +1,126 @@
+// ============================================================================
+// JavaScript Tests: lib/task_conflict.js
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The pure parts of the merge prompt: which changes go out again for each
+// choice, and how the rows and activity lines read. askToResolve is
+// tested against a bare EventTarget standing in for window.
+//
+//   node --test test/javascript/*.test.mjs
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import {
+  etagFrom, conflictRows, resolveChanges, keepsAnyOfMine, describeActivity, askToResolve
+} from "../../app/javascript/lib/task_conflict.js"
+
+// A 409 where status and priority clashed; the drag also moved the card
+const conflict = {
+  base_version: 3,
+  version: 5,
+  fields: {
+    status: { base: "backlog", theirs: "done", mine: "in_progress" },
+    priority: { base: "low", theirs: "high", mine: "urgent" }
+  },
+  activities: []
+}
+const changes = { status: "in_progress", priority: "urgent", position: 2 }
+
+describe("etagFrom", () => {
+  test("prefers the response's ETag header", () => {
+    const response = { headers: { get: name => name === "ETag" ? '"task-7-v4"' : null } }
+    assert.equal(etagFrom(response, { id: 7, lock_version: 9 }), '"task-7-v4"')
+  })
+
+  test("builds one from the task without the header", () => {
+    const response = { headers: { get: () => null } }
+    assert.equal(etagFrom(response, { id: 7, lock_version: 9 }), '"task-7-v9"')
+    assert.equal(etagFrom(null, null), null)
+  })
+})
+
+describe("conflictRows", () => {
+  test("one labelled row per conflicting field", () => {
+    assert.deepEqual(conflictRows(conflict), [
+      { field: "status", label: "Status", base: "backlog", theirs: "done", mine: "in_progress" },
+      { field: "priority", label: "Priority", base: "low", theirs: "high", mine: "urgent" }
+    ])
+  })
+
+  test("no fields, no rows", () => {
+    assert.deepEqual(conflictRows(null), [])
+  })
+})
+
+describe("resolveChanges", () => {
+  test("mine sends everything again", () => {
+    assert.deepEqual(resolveChanges(changes, conflict, "mine"), changes)
+  })
+
+  test("theirs drops the conflicting fields but keeps the rest", () => {
+    assert.deepEqual(resolveChanges(changes, conflict, "theirs"), { position: 2 })
+  })
+
+  test("merge follows the choices, defaulting to mine", () => {
+    assert.deepEqual(
+      resolveChanges(changes, conflict, "merge", { status: "theirs" }),
+      { priority: "urgent", position: 2 }
+    )
+    assert.deepEqual(resolveChanges(changes, conflict, "merge"), changes)
+  })
+
+  test("unknown resolutions throw", () => {
+    assert.throws(() => resolveChanges(changes, conflict, "both"), /Unknown resolution/)
+  })
+})
+
+describe("keepsAnyOfMine", () => {
+  test("true while a conflicting field is still being changed", () => {
+    assert.equal(keepsAnyOfMine({ priority: "urgent", position: 2 }, conflict), true)
+    assert.equal(keepsAnyOfMine({ position: 2 }, conflict), false)
+  })
+})
+
+describe("describeActivity", () => {
+  test("names the actor, the token and each change", () => {
+    const line = describeActivity({
+      actor: "sparky",
+      via: "Sparky heartbeat",
+      changes: { status: { from: "backlog", to: "in_progress" }, assignee: { from: "mechdog", to: "sparky" } }
+    })
+    assert.equal(line, "Sparky (via Sparky heartbeat): Status Backlog → In Progress, Assignee Mechdog → Sparky")
+  })
+
+  test("keeps titles as written and doesn't spell out descriptions", () => {
+    const line = describeActivity({
+      actor: "alice_smith",
+      changes: { title: { from: "fix login", to: "Fix login_form" }, description: { from: "a", to: "b" } }
+    })
+    assert.equal(line, 'Alice Smith: Title "fix login" → "Fix login_form", Description edited')
+  })
+
+  test("falls back to the logged description", () => {
+    assert.equal(describeActivity({ actor: "system", description: "Archived" }), "System: Archived")
+  })
+})
+
+describe("askToResolve", () => {
+  test("resolves with what the listener answers", async () => {
+    const target = new EventTarget()
+    target.addEventListener("task:conflict", event => {
+      event.preventDefault()
+      assert.equal(event.detail.conflict, conflict)
+      event.detail.resolve({ position: 2 })
+    })
+
+    assert.deepEqual(await askToResolve({ task: { id: 7 }, conflict, changes }, target), { position: 2 })
+  })
+
+  test("resolves null when nobody claims the event", async () => {
+    assert.equal(await askToResolve({ task: { id: 7 }, conflict, changes }, new EventTarget()), null)
+  })
+})
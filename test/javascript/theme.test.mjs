@@ -0,0 +1,40 @@
+// ============================================================================
+// JavaScript Tests: lib/theme.js
+// ============================================================================
+//
+//   node --test test/javascript/*.test.mjs
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { resolveTheme, toggledTheme } from "../../app/javascript/lib/theme.js"
+
+describe("resolveTheme", () => {
+  test("system follows the operating system", () => {
+    assert.equal(resolveTheme("system", true), "dark")
+    assert.equal(resolveTheme("system", false), "light")
+  })
+
+  test("fixed themes ignore it", () => {
+    assert.equal(resolveTheme("light", true), "light")
+    assert.equal(resolveTheme("dark", false), "dark")
+    assert.equal(resolveTheme("high-contrast", false), "high-contrast")
+  })
+
+  test("anything unknown is treated as system", () => {
+    assert.equal(resolveTheme(null, true), "dark")
+    assert.equal(resolveTheme("sepia", false), "light")
+  })
+})
+
+describe("toggledTheme", () => {
+  test("swaps light and dark", () => {
+    assert.equal(toggledTheme("light"), "dark")
+    assert.equal(toggledTheme("dark"), "light")
+  })
+
+  test("high contrast toggles to light", () => {
+    assert.equal(toggledTheme("high-contrast"), "light")
+  })
+})
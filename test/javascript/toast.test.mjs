@@ -0,0 +1,102 @@
+// ============================================================================
+// JavaScript Tests: lib/toast.js
+// ============================================================================
+//
+//   node --test test/javascript/*.test.mjs
+//
+// A small stand-in for the DOM and Bootstrap's Toast: just the calls the
+// module makes.
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { buildToast, addToast, showToast, DEFAULT_DELAY } from "../../app/javascript/lib/toast.js"
+
+class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName
+    this.className = ""
+    this.textContent = ""
+    this.style = {}
+    this.attributes = {}
+    this.children = []
+    this.listeners = {}
+    this.parent = null
+  }
+
+  setAttribute(name, value) { this.attributes[name] = value }
+  append(...children) { children.forEach(child => this.appendChild(child)) }
+  appendChild(child) { child.parent = this; this.children.push(child); return child }
+  addEventListener(type, listener) { this.listeners[type] = listener }
+  remove() { this.parent.children = this.parent.children.filter(child => child !== this) }
+
+  // ".class" selectors only
+  querySelector(selector) {
+    for (const child of this.children) {
+      if (child.className.split(" ").includes(selector.slice(1))) return child
+      const found = child.querySelector(selector)
+      if (found) return found
+    }
+    return null
+  }
+}
+
+function fakeDocument() {
+  const body = new FakeElement("body")
+  return { body, createElement: tag => new FakeElement(tag), querySelector: selector => body.querySelector(selector) }
+}
+
+class FakeToast {
+  static shown = []
+  constructor(element, options) { this.element = element; this.options = options }
+  show() { FakeToast.shown.push(this) }
+}
+
+describe("buildToast", () => {
+  test("puts the message in as text, with a close button", () => {
+    const document = fakeDocument()
+    const toast = buildToast("<b>Renamed</b>", "danger", { document })
+
+    assert.equal(toast.className, "toast align-items-center text-bg-danger border-0")
+    assert.equal(toast.querySelector(".toast-body").textContent, "<b>Renamed</b>")
+    assert.equal(toast.querySelector(".btn-close").attributes["data-bs-dismiss"], "toast")
+  })
+
+  test("alerts are assertive, statuses polite", () => {
+    const document = fakeDocument()
+
+    assert.equal(buildToast("Saved", "info", { document }).attributes["aria-live"], "assertive")
+    const status = buildToast("Saved", "info", { role: "status", document })
+    assert.equal(status.attributes.role, "status")
+    assert.equal(status.attributes["aria-live"], "polite")
+  })
+})
+
+describe("addToast", () => {
+  test("makes one container and shows each toast in it", () => {
+    const document = fakeDocument()
+    const first = addToast(buildToast("One", "info", { document }), { document, Toast: FakeToast })
+    addToast(buildToast("Two", "info", { document }), { document, Toast: FakeToast, delay: 6000 })
+
+    const container = document.querySelector(".toast-container")
+    assert.equal(document.body.children.length, 1)
+    assert.equal(container.children.length, 2)
+    assert.deepEqual(FakeToast.shown.at(-2).options, { delay: DEFAULT_DELAY, autohide: true })
+    assert.deepEqual(FakeToast.shown.at(-1).options, { delay: 6000, autohide: true })
+
+    first.listeners["hidden.bs.toast"]()
+    assert.equal(container.children.length, 1)
+  })
+})
+
+describe("showToast", () => {
+  test("builds and shows a message, passing options to both", () => {
+    const document = fakeDocument()
+    const toast = showToast("Offline", "warning", { document, Toast: FakeToast, autohide: false, role: "status" })
+
+    assert.equal(toast.attributes.role, "status")
+    assert.equal(FakeToast.shown.at(-1).element, toast)
+    assert.equal(FakeToast.shown.at(-1).options.autohide, false)
+  })
+})
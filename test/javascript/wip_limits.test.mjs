@@ -0,0 +1,69 @@
+// ============================================================================
+// JavaScript Tests: lib/wip_limits.js
+// ============================================================================
+//
+// LEARNING NOTES:
+//
+// The drag's "is there room in this column?" check and the header's
+// "over the limit" state, without a board to drag on.
+//
+//   node --test test/javascript/*.test.mjs
+//
+// ============================================================================
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { parseLimit, hasRoom, isOverLimit, fullMessage } from "../../app/javascript/lib/wip_limits.js"
+
+describe("parseLimit", () => {
+  test("reads a positive whole number", () => {
+    assert.equal(parseLimit("3"), 3)
+  })
+
+  test("anything else is no limit", () => {
+    assert.equal(parseLimit(undefined), null)
+    assert.equal(parseLimit(""), null)
+    assert.equal(parseLimit("0"), null)
+    assert.equal(parseLimit("lots"), null)
+  })
+})
+
+describe("hasRoom", () => {
+  test("room until the column reaches its limit", () => {
+    assert.equal(hasRoom({ count: 2, limit: 3 }), true)
+    assert.equal(hasRoom({ count: 3, limit: 3 }), false)
+  })
+
+  test("counts every card of a multi-drag", () => {
+    assert.equal(hasRoom({ count: 1, limit: 3, incoming: 2 }), true)
+    assert.equal(hasRoom({ count: 2, limit: 3, incoming: 2 }), false)
+  })
+
+  test("no limit always has room", () => {
+    assert.equal(hasRoom({ count: 40, limit: null }), true)
+  })
+})
+
+describe("isOverLimit", () => {
+  test("only past the limit, not at it", () => {
+    assert.equal(isOverLimit(3, 3), false)
+    assert.equal(isOverLimit(4, 3), true)
+    assert.equal(isOverLimit(4, null), false)
+  })
+})
+
+describe("fullMessage", () => {
+  test("names the column like the server does", () => {
+    assert.equal(
+      fullMessage({ assignee: "sparky", status: "in_progress", count: 3, limit: 3 }),
+      "Sparky · In Progress is at its WIP limit (3/3). Hold Alt while dropping to go over it."
+    )
+  })
+
+  test("prefers the column's workflow name", () => {
+    assert.equal(
+      fullMessage({ assignee: "qa_bot", status: "review", count: 2, limit: 2, name: "QA bot · Code review" }),
+      "QA bot · Code review is at its WIP limit (2/2). Hold Alt while dropping to go over it."
+    )
+  })
+})
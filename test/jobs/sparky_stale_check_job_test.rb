@@ -0,0 +1,86 @@
+# ============================================================================
+# Job Tests: SparkyStaleCheckJob
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The job pushes once per session, on the first run after Sparky's last
+# session turns 30 minutes old, however late that run is. These tests write their own usage-log.json into a
+# temporary config files root (like the history endpoint's tests) and
+# freeze the clock with travel_to.
+#
+# ============================================================================
+
+require "test_helper"
+require "tmpdir"
+
+class SparkyStaleCheckJobTest < ActiveSupport::TestCase
+  setup do
+    @dir = Pathname(Dir.mktmpdir("sparky_stale"))
+    @config = Rails.configuration.x.config_files
+    @original_root = @config.root
+    @config.root = @dir
+    FileUtils.mkdir_p(@dir.join("memory"))
+  end
+
+  teardown do
+    @config.root = @original_root
+    FileUtils.rm_rf(@dir)
+  end
+
+  def last_session_at(time)
+    sessions = [{ "timestamp" => time.iso8601, "context_pct" => 40 }]
+    File.write(@dir.join("memory", "usage-log.json"), { "sessions" => sessions }.to_json)
+  end
+
+  test "pushes on the first run after the log turns stale" do
+    freeze_time
+    last_session_at(32.minutes.ago)
+
+    assert_enqueued_with(job: PushNotificationJob, args: ->(args) { args.first[:title] == "Sparky status is stale" }) do
+      SparkyStaleCheckJob.perform_now
+    end
+  end
+
+  test "a late run still pushes" do
+    freeze_time
+    last_session_at(2.hours.ago)
+
+    assert_enqueued_jobs 1, only: PushNotificationJob do
+      SparkyStaleCheckJob.perform_now
+    end
+  end
+
+  test "doesn't push again on later runs" do
+    freeze_time
+    last_session_at(32.minutes.ago)
+    SparkyStaleCheckJob.perform_now
+
+    travel 5.minutes
+    assert_no_enqueued_jobs(only: PushNotificationJob) do
+      SparkyStaleCheckJob.perform_now
+    end
+  end
+
+  test "pushes again once a newer session goes stale" do
+    freeze_time
+    last_session_at(3.hours.ago)
+    SparkyStaleCheckJob.perform_now
+
+    last_session_at(31.minutes.ago)
+    assert_enqueued_jobs 1, only: PushNotificationJob do
+      SparkyStaleCheckJob.perform_now
+    end
+  end
+
+  test "doesn't push while the log is fresh, or without one" do
+    freeze_time
+    last_session_at(10.minutes.ago)
+
+    assert_no_enqueued_jobs(only: PushNotificationJob) do
+      SparkyStaleCheckJob.perform_now
+      File.delete(@dir.join("memory", "usage-log.json"))
+      SparkyStaleCheckJob.perform_now
+    end
+  end
+end
@@ -0,0 +1,68 @@
+# ============================================================================
+# Model Tests: ApiToken
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The plain token only exists on the instance that created it; everything
+# after that goes through the SHA-256 digest. These tests check that
+# nothing readable is stored and that authenticate finds active tokens
+# only.
+#
+# ============================================================================
+
+require "test_helper"
+
+class ApiTokenTest < ActiveSupport::TestCase
+  setup do
+    @user = User.create!(
+      email: "tokens@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "token_owner",
+      name: "Token Owner",
+      role: "admin"
+    )
+  end
+
+  test "stores a digest and a short prefix, never the token" do
+    api_token = @user.api_tokens.create!(name: "CI", scopes: ["read"])
+
+    assert api_token.token.start_with?(ApiToken::PREFIX)
+    assert_equal ApiToken.digest(api_token.token), api_token.token_digest
+    assert api_token.token.start_with?(api_token.token_prefix)
+    assert_operator api_token.token_prefix.length, :<, api_token.token.length
+
+    reloaded = ApiToken.find(api_token.id)
+    assert_nil reloaded.token
+    refute_includes reloaded.attributes.values.map(&:to_s), api_token.token
+  end
+
+  test "authenticate finds active tokens and notes when they were used" do
+    api_token = @user.api_tokens.create!(name: "CI", scopes: ["read"])
+
+    assert_equal api_token, ApiToken.authenticate(api_token.token)
+    assert api_token.reload.last_used_at.present?
+
+    assert_nil ApiToken.authenticate("kbt_not-a-real-token")
+    assert_nil ApiToken.authenticate(nil)
+  end
+
+  test "revoked tokens no longer authenticate" do
+    api_token = @user.api_tokens.create!(name: "CI", scopes: ["read"])
+    api_token.revoke!
+
+    assert api_token.revoked?
+    assert_nil ApiToken.authenticate(api_token.token)
+  end
+
+  test "needs at least one known scope" do
+    assert_not @user.api_tokens.new(name: "Empty", scopes: []).valid?
+    assert_not @user.api_tokens.new(name: "Typo", scopes: ["tasks:wrte"]).valid?
+
+    api_token = @user.api_tokens.create!(name: "Writer", scopes: ["read", "tasks:write", ""])
+    assert_equal ["read", "tasks:write"], api_token.scopes
+    assert api_token.allows?("tasks:write")
+    assert_not api_token.allows?("balances:write")
+  end
+end
@@ -0,0 +1,101 @@
+# ============================================================================
+# Model Tests: BalanceAlert
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# evaluate! is called with a sequence of balances, as if they'd been
+# recorded one after another, and we check which alerts exist after.
+# Thresholds are the defaults: warning at $20, critical at $5.
+#
+# ============================================================================
+
+require "test_helper"
+
+class BalanceAlertTest < ActiveSupport::TestCase
+  def evaluate(*balances)
+    balances.map { |balance| BalanceAlert.evaluate!("moonshot", balance) }.last
+  end
+
+  test "falling to a threshold raises an alert" do
+    alert = evaluate(30, 18)
+
+    assert alert.persisted?
+    assert_equal "warning", alert.level
+    assert_equal 20, alert.threshold
+    assert_equal "Moonshot (Kimi) balance is $18.00, at or below the warning threshold of $20.00", alert.message
+  end
+
+  test "healthy balances raise nothing" do
+    assert_nil evaluate(30)
+    assert_equal 0, BalanceAlert.count
+  end
+
+  test "a balance that stays low doesn't alert again" do
+    evaluate(18)
+
+    assert_nil evaluate(17, 16)
+    assert_equal 1, BalanceAlert.count
+  end
+
+  test "falling to critical replaces the warning" do
+    warning = evaluate(18)
+    critical = evaluate(4)
+
+    assert_equal "critical", critical.level
+    assert warning.reload.resolved_at.present?
+    assert_equal [critical], BalanceAlert.unresolved.to_a
+  end
+
+  test "hovering around the threshold doesn't clear and re-raise" do
+    evaluate(19.9)
+
+    assert_nil evaluate(20.1, 19.95, 21)
+    assert_equal 1, BalanceAlert.count
+    assert_nil BalanceAlert.last.resolved_at
+  end
+
+  test "a real top-up resolves the alert, and the next fall raises a new one" do
+    first = evaluate(18)
+    evaluate(50)
+
+    assert first.reload.resolved_at.present?
+
+    second = evaluate(15)
+    assert_not_equal first, second
+    assert_equal 2, BalanceAlert.count
+  end
+
+  test "uses the provider's saved thresholds" do
+    BalanceThreshold.create!(provider: "moonshot", warning: 100, critical: 40)
+
+    assert_equal "warning", evaluate(90).level
+  end
+
+  test "active leaves out acknowledged and snoozed alerts" do
+    alert = evaluate(18)
+    assert_equal [alert], BalanceAlert.active.to_a
+
+    alert.snooze!(1.hour)
+    assert_empty BalanceAlert.active
+
+    travel 2.hours do
+      assert_equal [alert], BalanceAlert.active.to_a
+    end
+
+    alert.acknowledge!
+    assert_empty BalanceAlert.active
+  end
+
+  test "a new alert sends a push notification" do
+    assert_enqueued_with(job: PushNotificationJob, args: ->(args) { args.first[:tag] == "balance-moonshot" }) do
+      evaluate(4)
+    end
+  end
+
+  test "console-only providers, recorded as $0, never alert" do
+    assert_no_difference "BalanceAlert.where(provider: %w[anthropic openai xai]).count" do
+      BalanceService.record_balances!
+    end
+  end
+end
@@ -0,0 +1,63 @@
+# ============================================================================
+# Model Tests: BalanceThreshold
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Unsaved thresholds carry the column defaults ($20 warning, $5 critical),
+# so most of these tests never touch the database.
+#
+# ============================================================================
+
+require "test_helper"
+
+class BalanceThresholdTest < ActiveSupport::TestCase
+  test "providers without saved thresholds get the defaults" do
+    threshold = BalanceThreshold.for("moonshot")
+
+    assert threshold.new_record?
+    assert_equal 20, threshold.warning
+    assert_equal 5, threshold.critical
+  end
+
+  test "by_provider covers every provider" do
+    BalanceThreshold.create!(provider: "openrouter", warning: 50, critical: 10)
+
+    thresholds = BalanceThreshold.by_provider
+    assert_equal ApiBalanceHistory::PROVIDERS.sort, thresholds.keys.sort
+    assert_equal 50, thresholds["openrouter"].warning
+    assert_equal 20, thresholds["moonshot"].warning
+  end
+
+  test "level_for counts reaching a threshold as crossing it" do
+    threshold = BalanceThreshold.new(provider: "moonshot", warning: 20, critical: 5)
+
+    assert_nil threshold.level_for(20.01)
+    assert_equal "warning", threshold.level_for(20)
+    assert_equal "critical", threshold.level_for(5)
+    assert_nil threshold.level_for(nil)
+  end
+
+  test "recovery needs a margin above the threshold" do
+    threshold = BalanceThreshold.new(provider: "moonshot", warning: 20, critical: 5)
+
+    # Warning: 10% of $20 is $2
+    assert_not threshold.recovered?("warning", 21.5)
+    assert threshold.recovered?("warning", 22.5)
+
+    # Critical: 10% of $5 is under the $1 minimum
+    assert_not threshold.recovered?("critical", 5.9)
+    assert threshold.recovered?("critical", 6.1)
+  end
+
+  test "critical can't be above warning" do
+    threshold = BalanceThreshold.new(provider: "moonshot", warning: 5, critical: 20)
+
+    assert_not threshold.valid?
+    assert_includes threshold.errors[:critical], "must not be above the warning threshold"
+  end
+
+  test "unknown providers are rejected" do
+    assert_not BalanceThreshold.new(provider: "nobody").valid?
+  end
+end
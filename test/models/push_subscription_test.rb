@@ -0,0 +1,137 @@
+# ============================================================================
+# Model Tests: PushSubscription + PushNotificationJob
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# The test environment sets config.x.web_push.delivery_method = :test, so
+# PushSubscription#deliver records messages in PushSubscription.deliveries
+# (a local stand-in for the push service) instead of making HTTP calls.
+# Same idea as ActionMailer::Base.deliveries for email.
+#
+# ============================================================================
+
+require "test_helper"
+
+class PushSubscriptionTest < ActiveSupport::TestCase
+  # ==========================================================================
+  # SETUP
+  # ==========================================================================
+
+  setup do
+    PushSubscription.deliveries.clear
+
+    @mechdog = create_user("mechdog")
+    @other = create_user("someone_else")
+
+    @mechdog_browser = subscribe(@mechdog, "https://push.example.test/mechdog")
+    @other_browser = subscribe(@other, "https://push.example.test/other")
+  end
+
+  def create_user(username)
+    User.create!(
+      email: "#{username}@example.com",
+      password: "password123",
+      username: username,
+      name: username.titleize,
+      role: "user"
+    )
+  end
+
+  def subscribe(user, endpoint)
+    user.push_subscriptions.create!(endpoint: endpoint, p256dh_key: "p256dh-key", auth_key: "auth-key")
+  end
+
+  def delivered_endpoints
+    PushSubscription.deliveries.map { |delivery| delivery[:endpoint] }
+  end
+
+  # Real delivery, with keys the push service could never decrypt for:
+  # the web-push gem raises before any request is made
+  def with_web_push_delivery
+    settings = Rails.configuration.x.web_push
+    original = [settings.delivery_method, settings.vapid]
+    key = WebPush.generate_key
+    settings.delivery_method = :web_push
+    settings.vapid = { subject: "mailto:test@example.com", public_key: key.public_key, private_key: key.private_key }
+    yield
+  ensure
+    settings.delivery_method, settings.vapid = original
+  end
+
+  # ==========================================================================
+  # VALIDATION TESTS
+  # ==========================================================================
+
+  test "requires an endpoint URL and both keys" do
+    subscription = @mechdog.push_subscriptions.new(endpoint: "not a url")
+
+    assert_not subscription.valid?
+    assert_includes subscription.errors[:endpoint], "must be a URL"
+    assert_includes subscription.errors[:p256dh_key], "can't be blank"
+    assert_includes subscription.errors[:auth_key], "can't be blank"
+  end
+
+  test "endpoints are unique" do
+    duplicate = @other.push_subscriptions.new(
+      endpoint: @mechdog_browser.endpoint, p256dh_key: "k", auth_key: "a"
+    )
+
+    assert_not duplicate.valid?
+  end
+
+  test "subscriptions are removed with their user" do
+    assert_difference "PushSubscription.count", -1 do
+      @other.destroy
+    end
+  end
+
+  # ==========================================================================
+  # JOB TESTS
+  # ==========================================================================
+
+  test "job sends to every subscriber when no usernames are given" do
+    PushNotificationJob.perform_now(title: "Hello", body: "World")
+
+    assert_equal [@mechdog_browser.endpoint, @other_browser.endpoint].sort, delivered_endpoints.sort
+  end
+
+  test "job only sends to the named users" do
+    PushNotificationJob.perform_now(title: "Urgent", body: "Fix it", usernames: ["mechdog"])
+
+    assert_equal [@mechdog_browser.endpoint], delivered_endpoints
+  end
+
+  test "job builds the payload the service worker expects" do
+    PushNotificationJob.perform_now(title: "Urgent task #7", body: "Fix it", path: "/tasks/7",
+                                    tag: "task-7", usernames: ["mechdog"])
+
+    payload = PushSubscription.deliveries.first[:payload]
+    assert_equal "Urgent task #7", payload[:title]
+    assert_equal "Fix it", payload[:options][:body]
+    assert_equal "task-7", payload[:options][:tag]
+    assert_equal({ path: "/tasks/7" }, payload[:options][:data])
+  end
+
+  # ==========================================================================
+  # DELIVERY FAILURE TESTS
+  # ==========================================================================
+
+  test "a failed delivery is logged and keeps the subscription" do
+    with_web_push_delivery do
+      assert_equal false, @mechdog_browser.deliver({ title: "Hello" })
+    end
+
+    assert PushSubscription.exists?(@mechdog_browser.id)
+  end
+
+  test "job carries on past subscriptions that fail" do
+    with_web_push_delivery do
+      assert_nothing_raised do
+        PushNotificationJob.perform_now(title: "Hello", body: "World")
+      end
+    end
+
+    assert_equal 2, PushSubscription.count
+  end
+end
@@ -0,0 +1,20 @@
+# ============================================================================
+# Model Tests: SparkyStaleNotice
+# ============================================================================
+#
+# claim is true only for the first caller per session.
+#
+# ============================================================================
+
+require "test_helper"
+
+class SparkyStaleNoticeTest < ActiveSupport::TestCase
+  test "claims each session once" do
+    session_at = Time.zone.parse("2026-02-16 09:00:00")
+
+    assert SparkyStaleNotice.claim(session_at)
+    assert_not SparkyStaleNotice.claim(session_at)
+    assert SparkyStaleNotice.claim(session_at + 1.minute)
+    assert_equal 2, SparkyStaleNotice.count
+  end
+end
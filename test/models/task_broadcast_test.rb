@@ -0,0 +1,141 @@
+# ============================================================================
+# Model Tests: Task Board Broadcasts
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# These tests verify that task changes are broadcast to the kanban board
+# stream, so other open boards (other tabs, other users) update live.
+#
+# KEY CONCEPTS:
+# - The test environment uses Action Cable's `test` adapter (config/cable.yml),
+#   which records broadcasts instead of sending them
+# - capture_turbo_stream_broadcasts comes from turbo-rails and returns the
+#   <turbo-stream> elements sent to a stream, parsed with Nokogiri
+#
+# ============================================================================
+
+require "test_helper"
+
+class TaskBroadcastTest < ActiveSupport::TestCase
+  # ==========================================================================
+  # SETUP
+  # ==========================================================================
+
+  setup do
+    @task = Task.create!(
+      title: "Broadcast Task",
+      assignee: "sparky",
+      status: "backlog",
+      priority: "medium"
+    )
+  end
+
+  # Helper: [action, target] pairs for everything broadcast by the block
+  def broadcasts_from(&block)
+    capture_turbo_stream_broadcasts(Task::BOARD_STREAM, &block).map do |stream|
+      [stream["action"], stream["target"]]
+    end
+  end
+
+  # ==========================================================================
+  # CREATE
+  # ==========================================================================
+
+  test "creating a task inserts its card below the column header" do
+    broadcasts = broadcasts_from do
+      Task.create!(title: "New", assignee: "mechdog", status: "sprint", priority: "low")
+    end
+
+    assert_includes broadcasts, ["after", "column_header_mechdog_sprint"]
+    assert_includes broadcasts, ["update", "count_mechdog_sprint"]
+  end
+
+  test "a new card placed lower in the column is inserted after the card above it" do
+    broadcasts = broadcasts_from do
+      other = Task.new(title: "Second", assignee: "sparky", status: "backlog", priority: "low")
+      other.requested_position = 1
+      other.save!
+    end
+
+    assert_includes broadcasts, ["after", "task_#{@task.id}"]
+  end
+
+  # ==========================================================================
+  # UPDATE
+  # ==========================================================================
+
+  test "changing status moves the card and updates both column counts" do
+    broadcasts = broadcasts_from { @task.update!(status: "in_progress") }
+
+    assert_includes broadcasts, ["remove", "task_#{@task.id}"]
+    assert_includes broadcasts, ["after", "column_header_sparky_in_progress"]
+    assert_includes broadcasts, ["update", "count_sparky_backlog"]
+    assert_includes broadcasts, ["update", "count_sparky_in_progress"]
+  end
+
+  test "changing assignee moves the card to the other swim lane" do
+    broadcasts = broadcasts_from { @task.update!(assignee: "mechdog") }
+
+    assert_includes broadcasts, ["after", "column_header_mechdog_backlog"]
+    assert_includes broadcasts, ["update", "count_sparky_backlog"]
+    assert_includes broadcasts, ["update", "count_mechdog_backlog"]
+  end
+
+  test "editing the title replaces the card in place" do
+    broadcasts = broadcasts_from { @task.update!(title: "Renamed") }
+
+    assert_equal [["replace", "task_#{@task.id}"]], broadcasts
+  end
+
+  test "reordering within a column moves the card" do
+    Task.create!(title: "Top", assignee: "sparky", status: "backlog", priority: "low")
+
+    broadcasts = broadcasts_from do
+      @task.requested_position = 0
+      @task.save!
+    end
+
+    assert_includes broadcasts, ["remove", "task_#{@task.id}"]
+    assert_includes broadcasts, ["after", "column_header_sparky_backlog"]
+  end
+
+  # ==========================================================================
+  # ARCHIVE / RESTORE / DESTROY
+  # ==========================================================================
+
+  test "archiving removes the card and updates the archived badge" do
+    broadcasts = broadcasts_from { @task.archive! }
+
+    assert_includes broadcasts, ["remove", "task_#{@task.id}"]
+    assert_includes broadcasts, ["update", "count_sparky_backlog"]
+    assert_includes broadcasts, ["replace", "archived_count"]
+  end
+
+  test "restoring puts the card back at the top of its column" do
+    @task.archive!
+
+    broadcasts = broadcasts_from { @task.restore! }
+
+    assert_includes broadcasts, ["after", "column_header_sparky_backlog"]
+    assert_includes broadcasts, ["replace", "archived_count"]
+  end
+
+  test "destroying removes the card" do
+    broadcasts = broadcasts_from { @task.destroy! }
+
+    assert_includes broadcasts, ["remove", "task_#{@task.id}"]
+  end
+
+  # ==========================================================================
+  # ECHO FILTERING
+  # ==========================================================================
+
+  test "broadcasts carry the current request id" do
+    streams = Turbo.with_request_id("abc-123") do
+      capture_turbo_stream_broadcasts(Task::BOARD_STREAM) { @task.update!(title: "Echo") }
+    end
+
+    assert_equal ["abc-123"], streams.map { |stream| stream["request-id"] }
+  end
+end
@@ -0,0 +1,139 @@
+# ============================================================================
+# Model Tests: Task Board Position
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# These tests cover the per-column `position` that keeps hand-sorted card
+# order on the kanban board after a page reload.
+#
+# KEY CONCEPTS:
+# - A column is one assignee + one status (e.g. sparky / sprint)
+# - Position 0 is the top card of the column
+# - reposition!: Moves a card to an index and renumbers its neighbors
+# - New cards and cards moved into a new column go to the top
+#
+# ============================================================================
+
+require "test_helper"
+
+class TaskPositionTest < ActiveSupport::TestCase
+  # ==========================================================================
+  # SETUP
+  # ==========================================================================
+
+  setup do
+    @valid_attributes = {
+      assignee: "mechdog",
+      status: "backlog",
+      priority: "medium"
+    }
+
+    # Created oldest first, so the newest card ends up on top
+    @first = Task.create!(@valid_attributes.merge(title: "First"))
+    @second = Task.create!(@valid_attributes.merge(title: "Second"))
+    @third = Task.create!(@valid_attributes.merge(title: "Third"))
+  end
+
+  # Helper: titles in one column, top to bottom
+  def column_titles(assignee = "mechdog", status = "backlog")
+    Task.in_column(assignee, status).ordered.pluck(:title)
+  end
+
+  # ==========================================================================
+  # NEW TASK TESTS
+  # ==========================================================================
+
+  test "new tasks are added to the top of their column" do
+    assert_equal %w[Third Second First], column_titles
+  end
+
+  test "positions in a column are contiguous" do
+    assert_equal [0, 1, 2], Task.in_column("mechdog", "backlog").ordered.pluck(:position)
+  end
+
+  # ==========================================================================
+  # REPOSITION TESTS
+  # ==========================================================================
+
+  test "reposition! moves a task down and shifts neighbors up" do
+    @third.reposition!(2)
+
+    assert_equal %w[Second First Third], column_titles
+    assert_equal 2, @third.reload.position
+  end
+
+  test "reposition! moves a task up and shifts neighbors down" do
+    @first.reposition!(0)
+
+    assert_equal %w[First Third Second], column_titles
+  end
+
+  test "reposition! clamps indexes past the end of the column" do
+    @third.reposition!(99)
+
+    assert_equal %w[Second First Third], column_titles
+  end
+
+  test "reposition! clamps negative indexes to the top" do
+    @first.reposition!(-5)
+
+    assert_equal %w[First Third Second], column_titles
+  end
+
+  test "reposition! accepts string indexes from params" do
+    @third.reposition!("1")
+
+    assert_equal %w[Second Third First], column_titles
+  end
+
+  test "reposition! does not touch updated_at on neighbors" do
+    original_time = @second.reload.updated_at
+
+    @first.reposition!(0)
+
+    assert_equal original_time, @second.reload.updated_at
+  end
+
+  test "reposition! ignores other columns" do
+    other = Task.create!(@valid_attributes.merge(title: "Other", assignee: "sparky"))
+
+    @third.reposition!(2)
+
+    assert_equal 0, other.reload.position
+  end
+
+  # ==========================================================================
+  # COLUMN CHANGE TESTS
+  # ==========================================================================
+
+  test "changing status moves the task to the top of the new column" do
+    Task.create!(@valid_attributes.merge(title: "Already In Progress", status: "in_progress"))
+
+    @first.update!(status: "in_progress")
+
+    assert_equal ["First", "Already In Progress"], column_titles("mechdog", "in_progress")
+  end
+
+  test "changing assignee moves the task to the top of the new swim lane" do
+    Task.create!(@valid_attributes.merge(title: "Sparky Backlog", assignee: "sparky"))
+
+    @second.update!(assignee: "sparky")
+
+    assert_equal ["Second", "Sparky Backlog"], column_titles("sparky", "backlog")
+  end
+
+  test "editing other fields keeps the task's position" do
+    @first.update!(title: "First (renamed)")
+
+    assert_equal ["Third", "Second", "First (renamed)"], column_titles
+  end
+
+  test "advance_status! places the task at the top of the next column" do
+    Task.create!(@valid_attributes.merge(title: "Existing", status: "in_progress"))
+
+    @first.advance_status!
+
+    assert_equal "First", column_titles("mechdog", "in_progress").first
+  end
+end
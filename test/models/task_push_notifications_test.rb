@@ -0,0 +1,158 @@
+# ============================================================================
+# Model Tests: Task Push Notifications
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# These tests check WHICH task changes enqueue a PushNotificationJob.
+# Delivery itself is covered in push_subscription_test.rb.
+#
+# KEY CONCEPTS:
+# - assert_enqueued_with: a job with matching arguments was queued
+# - assert_no_enqueued_jobs(only: ...): nothing of that class was queued
+# - args can be a lambda, handy when we only care about a few keywords
+#
+# ============================================================================
+
+require "test_helper"
+
+class TaskPushNotificationsTest < ActiveSupport::TestCase
+  setup do
+    @valid_attributes = {
+      title: "Push Test Task",
+      assignee: "mechdog",
+      status: "backlog",
+      priority: "medium"
+    }
+  end
+
+  # Sparky's API token, as ApiAuthentication would put in Current
+  def sparky_token
+    sparky = User.create!(
+      email: "sparky@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "sparky",
+      name: "Sparky",
+      role: "admin"
+    )
+    sparky.api_tokens.create!(name: "Sparky", scopes: ["read", "tasks:write"])
+  end
+
+  # ==========================================================================
+  # URGENT TASKS
+  # ==========================================================================
+
+  test "creating an urgent task notifies its assignee" do
+    assert_enqueued_with(job: PushNotificationJob, args: ->(args) { args.first[:usernames] == ["mechdog"] }) do
+      Task.create!(@valid_attributes.merge(priority: "urgent"))
+    end
+  end
+
+  test "creating a normal task sends nothing" do
+    assert_no_enqueued_jobs(only: PushNotificationJob) do
+      Task.create!(@valid_attributes)
+    end
+  end
+
+  test "raising a task to urgent notifies its assignee" do
+    task = Task.create!(@valid_attributes)
+
+    assert_enqueued_with(job: PushNotificationJob, args: ->(args) { args.first[:path] == "/tasks/#{task.id}" }) do
+      task.update!(priority: "urgent")
+    end
+  end
+
+  test "reassigning an urgent task notifies the new assignee" do
+    task = Task.create!(@valid_attributes.merge(priority: "urgent"))
+
+    assert_enqueued_with(job: PushNotificationJob, args: ->(args) { args.first[:usernames] == ["sparky"] }) do
+      task.update!(assignee: "sparky")
+    end
+  end
+
+  test "editing an urgent task's title sends nothing" do
+    task = Task.create!(@valid_attributes.merge(priority: "urgent"))
+
+    assert_no_enqueued_jobs(only: PushNotificationJob) do
+      task.update!(title: "Renamed")
+    end
+  end
+
+  # ==========================================================================
+  # SPARKY FINISHING WORK
+  # ==========================================================================
+
+  test "Sparky moving a task to done notifies everyone" do
+    task = Task.create!(@valid_attributes.merge(assignee: "sparky", status: "in_progress"))
+
+    assert_enqueued_with(job: PushNotificationJob, args: ->(args) { args.first[:usernames].nil? }) do
+      Current.set(api_token: sparky_token) { task.update!(status: "done") }
+    end
+  end
+
+  test "someone else moving Sparky's task to done sends nothing" do
+    # Still busy afterwards, so no idle push either
+    Task.create!(@valid_attributes.merge(assignee: "sparky", status: "sprint"))
+    task = Task.create!(@valid_attributes.merge(assignee: "sparky", status: "in_progress"))
+
+    assert_no_enqueued_jobs(only: PushNotificationJob) do
+      task.update!(status: "done")
+    end
+  end
+
+  test "MechDog finishing a task sends nothing" do
+    task = Task.create!(@valid_attributes.merge(status: "in_progress"))
+
+    assert_no_enqueued_jobs(only: PushNotificationJob) do
+      Current.set(api_token: sparky_token) { task.update!(status: "done") }
+    end
+  end
+
+  # ==========================================================================
+  # SPARKY GOING IDLE
+  # ==========================================================================
+
+  test "moving Sparky's last current task on notifies everyone" do
+    task = Task.create!(@valid_attributes.merge(assignee: "sparky", status: "in_progress"))
+
+    assert_enqueued_with(job: PushNotificationJob, args: ->(args) { args.first[:title] == "Sparky is idle" }) do
+      task.update!(status: "done")
+    end
+  end
+
+  test "handing over, archiving or deleting the last one notifies too" do
+    handed_over = Task.create!(@valid_attributes.merge(assignee: "sparky", status: "sprint"))
+    assert_enqueued_with(job: PushNotificationJob, args: ->(args) { args.first[:title] == "Sparky is idle" }) do
+      handed_over.update!(assignee: "mechdog")
+    end
+
+    archived = Task.create!(@valid_attributes.merge(assignee: "sparky", status: "sprint"))
+    assert_enqueued_with(job: PushNotificationJob, args: ->(args) { args.first[:title] == "Sparky is idle" }) do
+      archived.archive!
+    end
+
+    deleted = Task.create!(@valid_attributes.merge(assignee: "sparky", status: "in_progress"))
+    assert_enqueued_with(job: PushNotificationJob, args: ->(args) { args.first[:title] == "Sparky is idle" }) do
+      deleted.destroy!
+    end
+  end
+
+  test "no idle push while Sparky has another current task" do
+    Task.create!(@valid_attributes.merge(assignee: "sparky", status: "sprint"))
+    task = Task.create!(@valid_attributes.merge(assignee: "sparky", status: "in_progress"))
+
+    assert_no_enqueued_jobs(only: PushNotificationJob) do
+      task.update!(status: "backlog")
+    end
+  end
+
+  test "changes to tasks Sparky isn't working on don't push idle" do
+    task = Task.create!(@valid_attributes.merge(assignee: "sparky", status: "backlog"))
+
+    assert_no_enqueued_jobs(only: PushNotificationJob) do
+      task.update!(status: "hold")
+      task.update!(title: "Renamed")
+    end
+  end
+end
@@ -73,7 +73,7 @@ class TaskTest < ActiveSupport::TestCase
   end
 
   test "accepts valid assignees" do
-    Task::ASSIGNEES.each do |assignee|
+    Workflow.assignee_keys.each do |assignee|
       task = Task.new(@valid_attributes.merge(assignee: assignee))
       assert task.valid?, "Task should accept assignee: #{assignee}"
     end
@@ -85,7 +85,7 @@ class TaskTest < ActiveSupport::TestCase
   end
 
   test "accepts valid statuses" do
-    Task::STATUSES.each do |status|
+    Workflow.status_keys.each do |status|
       task = Task.new(@valid_attributes.merge(status: status))
       assert task.valid?, "Task should accept status: #{status}"
     end
@@ -241,6 +241,20 @@ class TaskTest < ActiveSupport::TestCase
     assert_equal "done", task.status
   end
 
+  test "advance_status! follows a column added to the workflow" do
+    Workflow.apply!(statuses: [
+      { key: "review", label: "Review", color: "info", position: "4" },
+      { key: "daily", position: "5" },
+      { key: "done", position: "6" }
+    ])
+    task = Task.create!(@valid_attributes.merge(status: "sprint"))
+
+    task.advance_status!
+    assert_equal "review", task.status
+    assert_equal "sprint", task.previous_status
+    assert_equal "Review", task.status_label
+  end
+
   # ==========================================================================
   # CLASS METHOD TESTS
   # ==========================================================================
@@ -0,0 +1,117 @@
+# ============================================================================
+# Model Tests: Task Undo
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Covers the TaskUndo concern: undoing an archive, putting a dragged card
+# back, and reapplying a TaskActivity changeset. Each undo should log a
+# 'reverted' activity of its own.
+#
+# The HTTP side (POST /api/tasks/:id/undo) is in
+# test/controllers/api/tasks_controller_test.rb.
+#
+# ============================================================================
+
+require "test_helper"
+
+class TaskUndoTest < ActiveSupport::TestCase
+  setup do
+    @task = Task.create!(title: "Undo Me", assignee: "mechdog", status: "backlog", priority: "medium")
+  end
+
+  # ==========================================================================
+  # ARCHIVE
+  # ==========================================================================
+
+  test "undo_archive! restores the task and logs a reverted activity" do
+    @task.archive!
+
+    activity = @task.undo_archive!
+
+    assert_not @task.reload.archived?
+    assert_equal "reverted", activity.activity_type
+    assert_equal "Archive undone by system", activity.description
+  end
+
+  test "undo_archive! refuses a task that isn't archived" do
+    error = assert_raises(ActiveRecord::RecordInvalid) { @task.undo_archive! }
+    assert_includes error.record.errors[:base], "Task is not archived"
+  end
+
+  # ==========================================================================
+  # MOVES
+  # ==========================================================================
+
+  test "revert_to! puts the card back in its old column and position" do
+    Task.create!(title: "Above", assignee: "mechdog", status: "backlog", priority: "low")
+    Task.create!(title: "Top", assignee: "mechdog", status: "backlog", priority: "low")
+    @task.update!(status: "done")
+
+    @task.revert_to!({ status: "backlog" }, nil, position: 2)
+
+    assert_equal ["Top", "Above", "Undo Me"], Task.in_column("mechdog", "backlog").ordered.pluck(:title)
+  end
+
+  test "revert_to! logs the reversal with its own changeset" do
+    @task.update!(status: "done", assignee: "sparky")
+
+    activity = @task.revert_to!({ status: "backlog", assignee: "mechdog" })
+
+    assert_equal "reverted", activity.activity_type
+    assert_equal "done", activity.old_value(:status)
+    assert_equal "backlog", activity.new_value(:status)
+    assert_match(/\AMove undone by system: Status changed/, activity.description)
+  end
+
+  test "revert_to! ignores fields that can't be undone" do
+    error = assert_raises(ActiveRecord::RecordInvalid) { @task.revert_to!({ archived: true }) }
+    assert_includes error.record.errors[:base], "Nothing to undo"
+  end
+
+  # ==========================================================================
+  # ACTIVITY CHANGESETS
+  # ==========================================================================
+
+  test "undo_activity! reapplies the previous values" do
+    @task.update!(title: "Renamed", priority: "urgent")
+    edit = @task.log_update_activity
+
+    @task.undo_activity!(edit)
+
+    @task.reload
+    assert_equal "Undo Me", @task.title
+    assert_equal "medium", @task.priority
+    assert_equal "reverted", @task.activities.order(:id).last.activity_type
+  end
+
+  test "undo_activity! leaves fields changed since alone" do
+    @task.update!(title: "Renamed", priority: "urgent")
+    edit = @task.log_update_activity
+    @task.update!(priority: "low")
+
+    @task.undo_activity!(edit)
+
+    @task.reload
+    assert_equal "Undo Me", @task.title
+    assert_equal "low", @task.priority
+  end
+
+  test "undo_activity! fails when nothing is left to undo" do
+    @task.update!(priority: "urgent")
+    edit = @task.log_update_activity
+    @task.update!(priority: "high")
+
+    error = assert_raises(ActiveRecord::RecordInvalid) { @task.undo_activity!(edit) }
+    assert_match(/Nothing left to undo/, error.message)
+  end
+
+  test "undo_activity! on an archived activity restores the task" do
+    @task.archive!
+    archived = TaskActivity.create!(task: @task, activity_type: "archived", description: "Task archived by system")
+
+    @task.undo_activity!(archived)
+
+    assert_not @task.reload.archived?
+  end
+end
@@ -0,0 +1,126 @@
+# ============================================================================
+# Model Tests: TaskVersioning
+# ============================================================================
+#
+# lock_version, ETags and conflict_for: which edits made against an old
+# version of a task are safe to save and which would overwrite someone.
+#
+# ============================================================================
+
+require "test_helper"
+
+class TaskVersioningTest < ActiveSupport::TestCase
+  setup do
+    @task = Task.create!(
+      title: "Versioned task",
+      description: "Original",
+      assignee: "sparky",
+      status: "backlog",
+      priority: "medium"
+    )
+  end
+
+  # Save like the controllers do, so the change is logged with its version
+  def change(task, attributes)
+    task.update!(attributes)
+    task.log_update_activity
+  end
+
+  # ==========================================================================
+  # VERSIONS AND ETAGS
+  # ==========================================================================
+
+  test "every save bumps the version and activities record it" do
+    assert_equal 0, @task.lock_version
+
+    change(@task, status: "in_progress")
+
+    assert_equal 1, @task.lock_version
+    assert_equal 1, @task.activities.order(:id).last.task_version
+  end
+
+  test "reordering doesn't bump the version" do
+    @task.update_column(:position, 5)
+
+    assert_equal 0, @task.reload.lock_version
+  end
+
+  test "version_etag and version_from_etag round-trip" do
+    change(@task, priority: "high")
+
+    assert_equal %("task-#{@task.id}-v1"), @task.version_etag
+    assert_equal 1, Task.version_from_etag(@task.version_etag)
+    assert_equal 1, Task.version_from_etag("W/#{@task.version_etag}")
+    assert_nil Task.version_from_etag("*")
+    assert_nil Task.version_from_etag("something-else")
+    assert_nil Task.version_from_etag(nil)
+  end
+
+  # ==========================================================================
+  # CONFLICTS
+  # ==========================================================================
+
+  test "no conflict against the current version or without one" do
+    assert_nil @task.conflict_for(0, status: "done")
+    assert_nil @task.conflict_for(nil, status: "done")
+  end
+
+  test "no conflict when others changed other fields" do
+    change(@task, status: "done")
+
+    assert_nil @task.conflict_for(0, "title" => "Renamed")
+  end
+
+  test "no conflict when others already made the same change" do
+    change(@task, status: "done")
+
+    assert_nil @task.conflict_for(0, "status" => "done")
+  end
+
+  test "a conflict when others changed the same field" do
+    change(@task, status: "done", priority: "high")
+
+    conflict = @task.conflict_for(0, "status" => "in_progress", "title" => "Renamed")
+
+    assert_equal 0, conflict[:base_version]
+    assert_equal 1, conflict[:version]
+    assert_equal ["status"], conflict[:fields].keys
+    assert_equal({ base: "backlog", theirs: "done", mine: "in_progress" }, conflict[:fields]["status"])
+    assert_equal 1, conflict[:activities].size
+    assert_equal %w[priority status], conflict[:activities].first[:changes].keys.sort
+  end
+
+  test "only changes after the client's version count" do
+    change(@task, status: "in_progress")
+    change(@task, priority: "high")
+
+    assert_nil @task.conflict_for(1, "status" => "hold")
+    assert_equal ["priority"], @task.conflict_for(1, "priority" => "low")[:fields].keys
+  end
+
+  test "a save that logged no activity makes every changed field a conflict" do
+    change(@task, status: "in_progress")
+    @task.update!(priority: "high") # no activity for version 2
+
+    conflict = @task.conflict_for(1, "priority" => "low", "title" => "Renamed", "status" => "in_progress")
+
+    assert_equal 2, conflict[:version]
+    assert_equal %w[priority title], conflict[:fields].keys
+    assert_equal({ base: nil, theirs: "high", mine: "low" }, conflict[:fields]["priority"])
+    assert_empty conflict[:activities]
+  end
+
+  test "a logged save elsewhere in the gap still shows its base value" do
+    @task.update!(title: "Quietly renamed") # version 1, not logged
+    change(@task, status: "done")            # version 2
+
+    conflict = @task.conflict_for(0, "status" => "hold")
+
+    assert_equal({ base: "backlog", theirs: "done", mine: "hold" }, conflict[:fields]["status"])
+    assert_equal 1, conflict[:activities].size
+  end
+
+  test "a version newer than the task's is never trusted" do
+    assert_equal ["status"], @task.conflict_for(7, "status" => "done")[:fields].keys
+  end
+end
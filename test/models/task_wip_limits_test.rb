@@ -0,0 +1,74 @@
+# ============================================================================
+# Model Tests: TaskWipLimits
+# ============================================================================
+#
+# The WIP limit validation on Task: which saves it stops, which it lets
+# through, and the activity an explicit override leaves behind.
+#
+# ============================================================================
+
+require "test_helper"
+
+class TaskWipLimitsTest < ActiveSupport::TestCase
+  setup do
+    WipLimit.create!(assignee: "sparky", status: "in_progress", max_tasks: 1)
+    @current = Task.create!(title: "Current", assignee: "sparky", status: "in_progress", priority: "medium")
+    @next = Task.create!(title: "Next", assignee: "sparky", status: "backlog", priority: "medium")
+    @user = User.create!(
+      email: "lead@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: "lead",
+      name: "Lead",
+      role: "admin"
+    )
+  end
+
+  test "moving into a full column is invalid" do
+    assert_not @next.update(status: "in_progress")
+
+    assert_includes @next.errors.full_messages, "Sparky · In Progress is at its WIP limit (1/1)"
+    assert_equal "backlog", @next.reload.status
+  end
+
+  test "creating into a full column is invalid" do
+    task = Task.new(title: "Another", assignee: "sparky", status: "in_progress", priority: "low")
+
+    assert_not task.valid?
+  end
+
+  test "other lanes and columns without a limit are not affected" do
+    assert @next.update(status: "sprint")
+    assert Task.create(title: "Mechdog's", assignee: "mechdog", status: "in_progress", priority: "low").persisted?
+  end
+
+  test "tasks already in the column can still be edited" do
+    Task.create!(title: "Squeezed in", assignee: "sparky", status: "in_progress", priority: "low", override_wip_limit: true)
+
+    assert @current.update(title: "Renamed while over the limit")
+  end
+
+  test "archived tasks don't take up room" do
+    @current.archive!
+
+    assert @next.update(status: "in_progress")
+  end
+
+  test "an override goes over the limit and is logged" do
+    assert @next.update(status: "in_progress", override_wip_limit: "1")
+    @next.log_update_activity(@user)
+
+    activity = @next.activities.order(:id).last
+    assert_equal "wip_override", activity.activity_type
+    assert_equal @user, activity.user
+    assert_match "Sparky · In Progress now has 2/1", activity.description
+  end
+
+  test "no override activity when the column had room" do
+    @current.update!(status: "done")
+    @next.update!(status: "in_progress", override_wip_limit: true)
+    @next.log_update_activity(@user)
+
+    assert_not @next.activities.exists?(activity_type: "wip_override")
+  end
+end
@@ -0,0 +1,56 @@
+# ============================================================================
+# Model Tests: WipLimit
+# ============================================================================
+#
+# One limit per board column, looked up by assignee and status, and saved
+# all at once from the /wip_limits grid.
+#
+# ============================================================================
+
+require "test_helper"
+
+class WipLimitTest < ActiveSupport::TestCase
+  test "valid for a real column with a positive limit" do
+    assert WipLimit.new(assignee: "sparky", status: "in_progress", max_tasks: 2).valid?
+  end
+
+  test "invalid for unknown columns and limits below 1" do
+    assert_not WipLimit.new(assignee: "nobody", status: "in_progress", max_tasks: 2).valid?
+    assert_not WipLimit.new(assignee: "sparky", status: "someday", max_tasks: 2).valid?
+    assert_not WipLimit.new(assignee: "sparky", status: "in_progress", max_tasks: 0).valid?
+  end
+
+  test "one limit per column" do
+    WipLimit.create!(assignee: "sparky", status: "sprint", max_tasks: 1)
+
+    assert_not WipLimit.new(assignee: "sparky", status: "sprint", max_tasks: 2).valid?
+    assert WipLimit.new(assignee: "mechdog", status: "sprint", max_tasks: 2).valid?
+  end
+
+  test "for and table look limits up by column" do
+    WipLimit.create!(assignee: "sparky", status: "sprint", max_tasks: 1)
+
+    assert_equal 1, WipLimit.for("sparky", "sprint")
+    assert_nil WipLimit.for("mechdog", "sprint")
+    assert_equal({ ["sparky", "sprint"] => 1 }, WipLimit.table)
+  end
+
+  test "apply! saves, changes and clears limits" do
+    WipLimit.create!(assignee: "sparky", status: "sprint", max_tasks: 1)
+
+    WipLimit.apply!(
+      "sparky" => { "sprint" => "", "in_progress" => "2" },
+      "mechdog" => { "in_progress" => "3" }
+    )
+
+    assert_equal({ ["sparky", "in_progress"] => 2, ["mechdog", "in_progress"] => 3 }, WipLimit.table)
+  end
+
+  test "apply! saves nothing when one limit is invalid" do
+    assert_raises(ActiveRecord::RecordInvalid) do
+      WipLimit.apply!("sparky" => { "in_progress" => "2", "sprint" => "0" })
+    end
+
+    assert_empty WipLimit.table
+  end
+end
@@ -0,0 +1,138 @@
+# ============================================================================
+# Model Tests: Workflow (WorkflowStatus, WorkflowAssignee)
+# ============================================================================
+#
+# The board's columns and lanes: the built-in ones while the tables are
+# empty, the saved ones after, and Workflow.apply! from /workflow.
+#
+# ============================================================================
+
+require "test_helper"
+
+class WorkflowTest < ActiveSupport::TestCase
+  def task(attributes = {})
+    Task.create!({ title: "Task", assignee: "sparky", status: "backlog", priority: "low" }.merge(attributes))
+  end
+
+  test "the built-in workflow applies while the tables are empty" do
+    assert_equal %w[hold backlog in_progress sprint daily done], Workflow.status_keys
+    assert_equal %w[sparky mechdog], Workflow.assignee_keys
+    assert_equal "In Progress", Workflow.status_label("in_progress")
+    assert Workflow.assignee("sparky").agent?
+  end
+
+  test "saved rows replace the built-in workflow, in position order" do
+    WorkflowStatus.create!(key: "done", label: "Shipped", color: "success", position: 2)
+    WorkflowStatus.create!(key: "todo", label: "To do", color: "secondary", position: 1)
+
+    assert_equal %w[todo done], Workflow.status_keys
+    assert_equal "Shipped", Workflow.status_label("done")
+    assert_equal "Someday", Workflow.status_label("someday")
+  end
+
+  test "the rows are read once, and again after a change" do
+    assert_equal "Backlog", Workflow.status_label("backlog")
+    assert_no_queries_match(/workflow_statuses/) { Workflow.status_keys }
+
+    WorkflowStatus.create!(key: "backlog", label: "Inbox", color: "secondary", position: 0)
+    assert_equal "Inbox", Workflow.status_label("backlog")
+  end
+
+  test "next and previous status follow the columns" do
+    assert_equal "in_progress", Workflow.next_status("backlog")
+    assert_equal "hold", Workflow.previous_status("backlog")
+    assert_nil Workflow.next_status("done")
+    assert_nil Workflow.previous_status("hold")
+    assert_nil Workflow.next_status("someday")
+  end
+
+  test "next assignee wraps around to the first lane" do
+    assert_equal "mechdog", Workflow.next_assignee("sparky")
+    assert_equal "sparky", Workflow.next_assignee("mechdog")
+  end
+
+  test "default status is backlog, or the first column without one" do
+    assert_equal "backlog", Workflow.default_status
+
+    WorkflowStatus.create!(key: "todo", label: "To do", color: "secondary", position: 0)
+    assert_equal "todo", Workflow.default_status
+    assert_equal "todo", Task.new.status
+  end
+
+  test "keys are lowercase and can't change once saved" do
+    assert_not WorkflowStatus.new(key: "In Review", label: "Review", color: "info").valid?
+
+    status = WorkflowStatus.create!(key: "review", label: "Review", color: "info")
+    status.update!(key: "qa", label: "QA")
+
+    assert_equal "review", status.reload.key
+    assert_equal "QA", status.label
+  end
+
+  test "apply! saves the built-in workflow and adds a column" do
+    Workflow.apply!(statuses: [{ key: "review", label: "Review", color: "info", icon: "bi-eye", position: "4" }])
+
+    assert_equal %w[hold backlog in_progress sprint review daily done].sort, WorkflowStatus.pluck(:key).sort
+    assert_equal 2, WorkflowAssignee.count
+    assert_includes Workflow.status_keys, "review"
+    assert task(status: "review").valid?
+  end
+
+  test "apply! renames, reorders and removes" do
+    Workflow.apply!(
+      statuses: [{ key: "hold", remove: "1" }, { key: "done", label: "Shipped", position: "-1" }],
+      assignees: [{ key: "mechdog", name: "MechDog", kind: "human" }]
+    )
+
+    assert_equal "done", Workflow.status_keys.first
+    assert_equal "Shipped", Workflow.status_label("done")
+    assert_not_includes Workflow.status_keys, "hold"
+    assert_equal "MechDog", Workflow.assignee_name("mechdog")
+  end
+
+  test "a status that tasks still use can't be removed" do
+    task(status: "hold")
+    Task.unscoped.create!(title: "Archived", assignee: "sparky", status: "daily", priority: "low", archived: true)
+
+    error = assert_raises(ActiveRecord::RecordInvalid) do
+      Workflow.apply!(statuses: [{ key: "hold", remove: "1" }])
+    end
+    assert_match "Hold still has 1 task", error.message
+    assert_raises(ActiveRecord::RecordInvalid) { Workflow.apply!(statuses: [{ key: "daily", remove: "1" }]) }
+
+    assert_includes Workflow.status_keys, "hold"
+    assert_includes Workflow.status_keys, "daily"
+  end
+
+  test "removing a column drops its WIP limits" do
+    WipLimit.create!(assignee: "sparky", status: "sprint", max_tasks: 1)
+
+    Workflow.apply!(statuses: [{ key: "sprint", remove: "1" }])
+
+    assert_empty WipLimit.table
+  end
+
+  test "the last lane can't be removed" do
+    assert_raises(ActiveRecord::RecordInvalid) do
+      Workflow.apply!(assignees: [{ key: "sparky", remove: "1" }, { key: "mechdog", remove: "1" }])
+    end
+
+    assert_equal %w[sparky mechdog], Workflow.assignee_keys
+  end
+
+  test "an invalid row saves nothing" do
+    assert_raises(ActiveRecord::RecordInvalid) do
+      Workflow.apply!(statuses: [{ key: "review", label: "Review", color: "info" }, { key: "qa", label: "QA", color: "chartreuse" }])
+    end
+
+    assert_equal 0, WorkflowStatus.count
+  end
+
+  test "a new lane is a valid assignee straight away" do
+    Workflow.apply!(assignees: [{ key: "qa_bot", name: "QA bot", kind: "agent", color: "info" }])
+
+    assert_equal %w[sparky mechdog qa_bot], Workflow.assignee_keys
+    assert task(assignee: "qa_bot").valid?
+    assert WipLimit.new(assignee: "qa_bot", status: "backlog", max_tasks: 1).valid?
+  end
+end
@@ -0,0 +1,60 @@
+# ============================================================================
+# Policy Tests: ApiTokenPolicy
+# ============================================================================
+#
+# LEARNING NOTES:
+#
+# Pundit policies are plain Ruby objects, so they're tested by building
+# one and asking it directly - no request needed:
+#
+#   ApiTokenPolicy.new(current_user, token).create?
+#
+# Admins manage tokens for their own account, super admins for anyone's,
+# and nobody else manages any.
+#
+# ============================================================================
+
+require "test_helper"
+
+class ApiTokenPolicyTest < ActiveSupport::TestCase
+  setup do
+    @owner = create_user("owner", "super_admin")
+    @admin = create_user("lead", "admin")
+    @member = create_user("member", "user")
+  end
+
+  def create_user(username, role)
+    User.create!(
+      email: "#{username}@example.com",
+      password: "password123",
+      password_confirmation: "password123",
+      username: username,
+      name: username.titleize,
+      role: role
+    )
+  end
+
+  def policy(user, token_owner)
+    ApiTokenPolicy.new(user, ApiToken.new(user: token_owner))
+  end
+
+  test "an admin manages their own tokens" do
+    assert policy(@admin, @admin).create?
+    assert policy(@admin, @admin).destroy?
+  end
+
+  test "an admin can't manage anyone else's tokens" do
+    assert_not policy(@admin, @owner).create?
+    assert_not policy(@admin, @member).destroy?
+  end
+
+  test "a super admin manages anyone's tokens" do
+    assert policy(@owner, @admin).create?
+    assert policy(@owner, @member).destroy?
+  end
+
+  test "other users and guests manage none" do
+    assert_not policy(@member, @member).create?
+    assert_not policy(nil, @member).create?
+  end
+end
@@ -120,9 +120,9 @@ class KanbanBoardLayoutTest < ActionDispatch::IntegrationTest
     get tasks_url
     assert_response :success
     
-    # Each assignee should have all 6 status columns
-    Task::ASSIGNEES.each do |assignee|
-      Task::STATUSES.each do |status|
+    # Each assignee should have a column per workflow status
+    Workflow.assignee_keys.each do |assignee|
+      Workflow.status_keys.each do |status|
         column_id = "id=\"column_#{assignee}_#{status}\""
         assert_includes @response.body, column_id,
                        "Column #{column_id} should be present for #{assignee}"
@@ -184,9 +184,9 @@ class KanbanBoardLayoutTest < ActionDispatch::IntegrationTest
     get tasks_url
     assert_response :success
     
-    # Each column should use col-md-2 (6 columns per row on medium+ screens)
-    # This ensures proper layout on desktop while stacking on mobile
-    assert_includes @response.body, 'col-md-2'
+    # Each column should use col-md (equal widths on medium+ screens, however
+    # many statuses the workflow has) while stacking on mobile
+    assert_select ".row.g-3 > .col-md > .kanban-column", Workflow.assignee_keys.size * Workflow.status_keys.size
     
     # Should have container-fluid for full-width responsive container
     assert_includes @response.body, 'container-fluid'
@@ -200,7 +200,7 @@ class KanbanBoardLayoutTest < ActionDispatch::IntegrationTest
     
     # Verify Bootstrap grid structure for responsive stacking
     # On mobile: columns stack vertically (no col-* class = full width)
-    # On medium+: col-md-2 creates 6 columns per row
+    # On medium+: col-md shares the row between the workflow's columns
     assert_includes @response.body, 'row'
     assert_includes @response.body, 'g-3'  # Gap between columns
   end
@@ -253,4 +253,69 @@ class KanbanBoardLayoutTest < ActionDispatch::IntegrationTest
     assert_includes @response.body, 'id="count_mechdog_backlog"'
     assert_includes @response.body, 'column-count'  # CSS class for count
   end
+
+  # ==========================================================================
+  # KEYBOARD NAVIGATION TESTS
+  # ==========================================================================
+
+  test "board has a live region for keyboard move announcements" do
+    skip "Requires asset pipeline" if ENV["CI"]
+
+    get tasks_url
+    assert_response :success
+
+    assert_select "#board-announcer[aria-live=polite]"
+    assert_select "#board-keyboard-help"
+    assert_select "[data-controller~=board-keyboard]"
+  end
+
+  # ==========================================================================
+  # MULTI-SELECT TESTS
+  # ==========================================================================
+
+  test "board has a hidden bulk action bar with a select per field" do
+    skip "Requires asset pipeline" if ENV["CI"]
+
+    get tasks_url
+    assert_response :success
+
+    assert_select "[data-controller~=board-selection]"
+    assert_select ".bulk-action-bar[hidden][role=toolbar]" do
+      assert_select "select[data-field=status]"
+      assert_select "select[data-field=assignee]"
+      assert_select "select[data-field=priority]"
+      assert_select "button[data-action~='board-selection#archive']"
+    end
+  end
+
+  # ==========================================================================
+  # FILTER BAR TESTS
+  # ==========================================================================
+
+  test "board has a filter bar with search, chips and toggles" do
+    skip "Requires asset pipeline" if ENV["CI"]
+
+    get tasks_url
+    assert_response :success
+
+    assert_select "[data-controller~=board-filter]"
+    assert_select ".board-filter-bar[role=search]" do
+      assert_select "input[type=search][data-board-filter-target=query]"
+      assert_select "button[data-board-filter-target=priority]", Task::PRIORITIES.size
+      assert_select "button[data-board-filter-target=dormant]"
+      assert_select "button[data-board-filter-target=today]"
+      assert_select "button[data-board-filter-target=lane]", Workflow.assignee_keys.size + 1
+    end
+  end
+
+  test "swim lanes and columns have hooks for filtering" do
+    skip "Requires asset pipeline" if ENV["CI"]
+
+    get tasks_url
+    assert_response :success
+
+    assert_select ".swim-lane[data-assignee=sparky]"
+    assert_select ".swim-lane[data-assignee=mechdog]"
+    assert_select "#column_sparky_backlog .column-match[hidden]"
+  end
 end
@@ -223,4 +223,95 @@ class TaskCardPartialTest < ActionView::TestCase
     # Should have a button/link with View Details title
     assert_includes rendered, "View Details"
   end
+
+  # ==========================================================================
+  # KEYBOARD ACCESS TESTS
+  # ==========================================================================
+
+  test "_task_card partial is focusable for keyboard navigation" do
+    render partial: "tasks/task_card", locals: { task: @task }
+
+    assert_includes rendered, 'tabindex="0"'
+    assert_includes rendered, 'aria-describedby="board-keyboard-help"'
+  end
+
+  test "_task_card partial has an aria-label describing the task" do
+    render partial: "tasks/task_card", locals: { task: @task }
+
+    assert_includes rendered, "aria-label=\"Task ##{@task.id}: Test Task Card. Sparky, In Progress, high priority\""
+  end
+
+  test "_task_card partial has a button to move to the other swim lane" do
+    render partial: "tasks/task_card", locals: { task: @task }
+
+    assert_includes rendered, move_lane_task_path(@task)
+    assert_includes rendered, "Move to Mechdog"
+  end
+
+  # ==========================================================================
+  # FILTER DATA TESTS
+  # ==========================================================================
+
+  test "_task_card partial carries the fields the board filter reads" do
+    @task.update!(last_worked_on: Time.zone.parse("2026-02-01 09:30"))
+    render partial: "tasks/task_card", locals: { task: @task }
+
+    assert_includes rendered, 'data-search="Test Task Card This is a test description"'
+    assert_includes rendered, 'data-priority="high"'
+    assert_includes rendered, "data-last-worked-on=\"#{@task.last_worked_on.iso8601}\""
+  end
+
+  # ==========================================================================
+  # INLINE EDIT TESTS
+  # ==========================================================================
+
+  test "_task_card partial wires up inline editing" do
+    render partial: "tasks/task_card", locals: { task: @task }
+
+    assert_includes rendered, 'data-controller="inline-edit"'
+    assert_includes rendered, "data-inline-edit-id-value=\"#{@task.id}\""
+    assert_includes rendered, 'data-inline-edit-description-value="This is a test description"'
+    assert_includes rendered, "inline-edit#editTitle"
+    assert_includes rendered, "inline-edit#choosePriority"
+    assert_includes rendered, "inline-edit#toggleDescription"
+  end
+
+  test "_task_card partial offers every priority in the inline picker" do
+    render partial: "tasks/task_card", locals: { task: @task }
+
+    Task::PRIORITIES.each do |priority|
+      assert_includes rendered, "<option value=\"#{priority}\""
+    end
+  end
+
+  # ==========================================================================
+  # MARKDOWN TESTS
+  # ==========================================================================
+
+  test "_task_card partial previews the description as markdown" do
+    render partial: "tasks/task_card", locals: { task: @task }
+
+    assert_includes rendered, 'data-controller="markdown"'
+    assert_includes rendered, 'data-markdown-source-value="This is a test description"'
+    assert_includes rendered, 'data-markdown-preview-value="50"'
+    # Cards aren't edited in place, so their checklists stay read-only
+    assert_not_includes rendered, "markdown#tick"
+  end
+
+  # ==========================================================================
+  # QUERY TESTS
+  # ==========================================================================
+
+  test "a board of cards reads the workflow tables once" do
+    WorkflowStatus.create!(key: "backlog", label: "Backlog", color: "secondary", position: 0)
+    WorkflowStatus.create!(key: "in_progress", label: "In Progress", color: "primary", position: 1)
+    tasks = 20.times.map { |n| Task.create!(title: "Card #{n}", assignee: "sparky", status: "backlog", priority: "low") }
+    Workflow.forget
+
+    assert_queries_match(/workflow_statuses/, count: 1) do
+      assert_queries_match(/workflow_assignees/, count: 1) do
+        tasks.each { |task| render partial: "tasks/task_card", locals: { task: task } }
+      end
+    end
+  end
 end